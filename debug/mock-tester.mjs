@@ -0,0 +1,231 @@
+/**
+ * 模拟测试机的实时数据流服务器 (Node.js，无依赖)
+ * 按蛇形顺序逐行"测试"圆形晶圆上的芯片，通过WebSocket推送芯片结果，协议见 src/utils/die-stream.js
+ * 测试进度与连接无关 (断开期间继续测试)，客户端重连后按 lastSeq 补发错过的消息
+ *
+ * 用法: node debug/mock-tester.mjs [--port 8765] [--radius 500] [--rate 2000] [--batch 50] [--bad 0.08]
+ *   radius 为晶圆半径 (芯片数，默认与随机生成的晶圆一致)，rate 为每秒测试的芯片数，batch 为每条消息的芯片数，
+ *   bad 为失效比例
+ */
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * 解析命令行参数
+ * @returns {Object} 选项 {port, radius, rate, batch, bad}
+ */
+function parseOptions() {
+    const options = { port: 8765, radius: 500, rate: 2000, batch: 50, bad: 0.08 };
+    const args = process.argv.slice(2);
+    for (let i = 0; i < args.length; i += 2) {
+        const key = args[i].replace(/^--/, '');
+        const value = Number(args[i + 1]);
+        if (!(key in options) || !isFinite(value)) {
+            throw new Error(`无效的参数: ${args[i]} ${args[i + 1]}`);
+        }
+        options[key] = value;
+    }
+    return options;
+}
+
+/**
+ * 按蛇形顺序生成圆内芯片的索引坐标 (自上而下，相邻行方向相反)
+ * 与随机生成晶圆的默认坐标系一致: 原点为左上角，+X向右，+Y向下
+ * @param {number} radius - 晶圆半径 (芯片数)
+ * @returns {Array<{x: number, y: number}>} 索引坐标
+ */
+function probeOrder(radius) {
+    const order = [];
+    let leftToRight = true;
+    for (let y = 0; y < radius * 2; y++) {
+        const row = [];
+        for (let x = 0; x < radius * 2; x++) {
+            // 芯片中心在圆内
+            if ((x + 0.5 - radius) ** 2 + (y + 0.5 - radius) ** 2 <= radius ** 2) {
+                row.push({ x, y });
+            }
+        }
+        if (!leftToRight) row.reverse();
+        order.push(...row);
+        leftToRight = !leftToRight;
+    }
+    return order;
+}
+
+/**
+ * 生成一个芯片结果 (失效芯片随机分配bin 2-9)
+ * @param {{x: number, y: number}} die - 索引坐标
+ * @param {number} badRate - 失效比例
+ * @returns {Object} 芯片结果 {x, y, bin, values}
+ */
+function testDie(die, badRate) {
+    const bad = Math.random() < badRate;
+    return {
+        x: die.x,
+        y: die.y,
+        bin: bad ? 2 + Math.floor(Math.random() * 8) : 1,
+        values: { leakage: Number((bad ? 40 + Math.random() * 30 : 5 + Math.random() * 20).toFixed(3)) }
+    };
+}
+
+/**
+ * 编码服务器发往客户端的文本帧 (不加掩码)
+ * @param {string} text - 文本
+ * @returns {Buffer} 帧数据
+ */
+function encodeFrame(text) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * 从缓冲区中解析客户端发来的完整帧 (客户端帧带掩码)
+ * @param {Buffer} buffer - 已接收的数据
+ * @returns {{frames: Array<{opcode: number, payload: Buffer}>, rest: Buffer}} 完整帧和剩余数据
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let headerLength = 2;
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length - offset < headerLength + maskLength + length) break;
+
+        const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + headerLength + maskLength + length));
+        if (masked) {
+            const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+        frames.push({ opcode, payload });
+        offset += headerLength + maskLength + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+const options = parseOptions();
+const order = probeOrder(options.radius);
+// 已发出的消息 (下标即序号)，用于重连后补发
+const history = [];
+const clients = new Set();
+
+/**
+ * 向客户端发送序号大于 lastSeq 的全部消息
+ * @param {Object} client - 客户端 {socket, lastSeq}
+ */
+function flush(client) {
+    while (client.lastSeq < history.length - 1) {
+        client.lastSeq++;
+        client.socket.write(encodeFrame(history[client.lastSeq]));
+    }
+}
+
+const server = http.createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain; charset=utf-8' });
+    response.end('请使用WebSocket连接\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    // 收到 resume 消息之前不发送，避免重复
+    const client = { socket, lastSeq: null };
+    let buffer = Buffer.alloc(0);
+    console.log(`客户端已连接: ${socket.remoteAddress}`);
+
+    socket.on('data', (data) => {
+        const { frames, rest } = decodeFrames(Buffer.concat([buffer, data]));
+        buffer = Buffer.from(rest);
+        for (const frame of frames) {
+            if (frame.opcode === 0x8) {
+                socket.end(Buffer.from([0x88, 0]));
+                return;
+            }
+            if (frame.opcode === 0x9) {
+                socket.write(Buffer.concat([Buffer.from([0x8a, frame.payload.length]), frame.payload]));
+                continue;
+            }
+            if (frame.opcode !== 0x1) continue;
+            try {
+                const message = JSON.parse(frame.payload.toString());
+                if (message.type === 'resume') {
+                    client.lastSeq = Number.isInteger(message.lastSeq) ? message.lastSeq : -1;
+                    console.log(`从序号${client.lastSeq + 1}开始发送，补发${Math.max(0, history.length - 1 - client.lastSeq)}条消息`);
+                    clients.add(client);
+                    flush(client);
+                }
+            } catch (error) {
+                console.warn('无法解析客户端消息:', error.message);
+            }
+        }
+    });
+    socket.on('close', () => {
+        clients.delete(client);
+        console.log('客户端已断开');
+    });
+    socket.on('error', () => {
+        clients.delete(client);
+    });
+});
+
+// 按速率测试芯片，每条消息包含 batch 个芯片
+let next = 0;
+const interval = Math.max(1, (options.batch / options.rate) * 1000);
+const timer = setInterval(() => {
+    if (next >= order.length) {
+        history.push(JSON.stringify({ seq: history.length, type: 'end' }));
+        clearInterval(timer);
+        console.log(`测试完成，共${order.length}个芯片`);
+    } else {
+        const dies = order.slice(next, next + options.batch).map(die => testDie(die, options.bad));
+        next += dies.length;
+        history.push(JSON.stringify({ seq: history.length, dies }));
+    }
+    for (const client of clients) {
+        flush(client);
+    }
+}, interval);
+
+server.listen(options.port, () => {
+    console.log(`模拟测试机已启动: ws://localhost:${options.port}，共${order.length}个芯片，每秒${options.rate}个`);
+});
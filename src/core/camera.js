@@ -282,6 +282,35 @@ export class Camera {
     }
   }
 
+  /**
+   * 移动和缩放相机使矩形范围完整显示在视图中央
+   * @param {Object} bounds - 世界坐标范围 {left, right, bottom, top}
+   * @param {number} margin - 四周留白占范围尺寸的比例
+   */
+  fitBounds(bounds, margin = 0.2) {
+    try {
+      const width = Math.abs(bounds.right - bounds.left) * (1 + margin * 2);
+      const height = Math.abs(bounds.top - bounds.bottom) * (1 + margin * 2);
+      const aspect = this.canvas.width / this.canvas.height || 1;
+      // 视图高度为 1000 / zoom 个世界单位 (见 getViewBounds)
+      const viewHeight = Math.max(height, width / aspect, 1e-6);
+      this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, 1000 / viewHeight));
+      this.position = {
+        x: (bounds.left + bounds.right) / 2,
+        y: (bounds.bottom + bounds.top) / 2,
+      };
+      this.targetPosition = { ...this.position };
+      this.updateMatrix();
+
+      const zoomElement = document.getElementById("zoomLevel");
+      if (zoomElement) {
+        zoomElement.textContent = this.zoom.toFixed(2);
+      }
+    } catch (error) {
+      console.error("相机定位失败:", error);
+    }
+  }
+
   /**
    * 获取视口边界
    * @returns {Object} 视口边界 {left, right, top, bottom}
@@ -310,6 +339,38 @@ export class Camera {
     }
   }
 
+  /**
+   * 屏幕坐标 → 世界坐标
+   * @param {number} screenX - 相对Canvas左上角的X坐标 (CSS像素)
+   * @param {number} screenY - 相对Canvas左上角的Y坐标 (CSS像素)
+   * @returns {{x: number, y: number}} 世界坐标
+   */
+  screenToWorld(screenX, screenY) {
+    const bounds = this.getViewBounds();
+    const width = this.canvas.clientWidth || this.canvas.width;
+    const height = this.canvas.clientHeight || this.canvas.height;
+    return {
+      x: bounds.left + (screenX / width) * (bounds.right - bounds.left),
+      y: bounds.top - (screenY / height) * (bounds.top - bounds.bottom),
+    };
+  }
+
+  /**
+   * 世界坐标 → 屏幕坐标
+   * @param {number} x - 世界X坐标
+   * @param {number} y - 世界Y坐标
+   * @returns {{x: number, y: number}} 相对Canvas左上角的坐标 (CSS像素)
+   */
+  worldToScreen(x, y) {
+    const bounds = this.getViewBounds();
+    const width = this.canvas.clientWidth || this.canvas.width;
+    const height = this.canvas.clientHeight || this.canvas.height;
+    return {
+      x: ((x - bounds.left) / (bounds.right - bounds.left)) * width,
+      y: ((bounds.top - y) / (bounds.top - bounds.bottom)) * height,
+    };
+  }
+
   /**
    * 获取当前缩放级别
    * @returns {number} 缩放级别
@@ -0,0 +1,155 @@
+/**
+ * 实例数据缓冲区
+ * 以类型化数组保存每帧要绘制的方块 (位置、颜色、宽高)，渲染器直接上传到GPU，
+ * 数组在帧之间复用，只在容量不足时扩大
+ * 同时记录每个实例的颜色来源 (瓦片的颜色数组和位置)，来源颜色被修改时只更新对应的实例，
+ * 渲染器按记录的修改区间上传，不需要完整上传
+ */
+export class InstanceBuffer {
+  /**
+   * 间隔不超过该实例数的修改区间合并为一个区间上传 (减少 bufferSubData 调用次数)
+   */
+  static DIRTY_RANGE_GAP = 64;
+
+  /**
+   * 构造函数
+   * @param {number} capacity - 初始容量 (实例数)
+   */
+  constructor(capacity = 4096) {
+    this.count = 0;
+    this.capacity = 0;
+    this.positions = null;
+    this.colors = null;
+    this.sizes = null;
+    // 每个实例的颜色来源: sources 中的颜色数组编号和数组中的偏移
+    this.sources = [];
+    this.sourceIds = null;
+    this.sourceOffsets = null;
+    // 清空的次数，渲染器据此判断实例是否重新收集过 (需要完整上传)
+    this.version = 0;
+    // 颜色被修改、尚未上传的实例
+    this.dirty = [];
+    this.allocate(capacity);
+  }
+
+  /**
+   * 分配数组，保留已有数据
+   * @param {number} capacity - 新容量
+   */
+  allocate(capacity) {
+    const positions = new Float32Array(capacity * 2);
+    const colors = new Float32Array(capacity * 4);
+    const sizes = new Float32Array(capacity * 2);
+    const sourceIds = new Uint8Array(capacity);
+    const sourceOffsets = new Int32Array(capacity);
+    if (this.positions) {
+      positions.set(this.positions.subarray(0, this.count * 2));
+      colors.set(this.colors.subarray(0, this.count * 4));
+      sizes.set(this.sizes.subarray(0, this.count * 2));
+      sourceIds.set(this.sourceIds.subarray(0, this.count));
+      sourceOffsets.set(this.sourceOffsets.subarray(0, this.count));
+    }
+    this.positions = positions;
+    this.colors = colors;
+    this.sizes = sizes;
+    this.sourceIds = sourceIds;
+    this.sourceOffsets = sourceOffsets;
+    this.capacity = capacity;
+  }
+
+  /**
+   * 清空 (开始新的一帧)
+   */
+  reset() {
+    this.count = 0;
+    this.version++;
+    this.sources.length = 0;
+    this.dirty.length = 0;
+  }
+
+  /**
+   * 添加一个实例
+   * @param {number} x - 中心X坐标
+   * @param {number} y - 中心Y坐标
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   * @param {Float32Array|Array<number>} colors - 颜色数组
+   * @param {number} colorOffset - 颜色在数组中的起始位置
+   */
+  push(x, y, width, height, colors, colorOffset = 0) {
+    if (this.count >= this.capacity) {
+      this.allocate(this.capacity * 2);
+    }
+    let source = this.sources.indexOf(colors);
+    if (source === -1) {
+      source = this.sources.push(colors) - 1;
+    }
+    const i = this.count++;
+    this.sourceIds[i] = source;
+    this.sourceOffsets[i] = colorOffset;
+    this.positions[i * 2] = x;
+    this.positions[i * 2 + 1] = y;
+    this.sizes[i * 2] = width;
+    this.sizes[i * 2 + 1] = height;
+    this.colors[i * 4] = colors[colorOffset];
+    this.colors[i * 4 + 1] = colors[colorOffset + 1];
+    this.colors[i * 4 + 2] = colors[colorOffset + 2];
+    this.colors[i * 4 + 3] = colors[colorOffset + 3];
+  }
+
+  /**
+   * 来源颜色被修改后，重新复制引用这些颜色的实例的颜色，并记录为已修改
+   * @param {Map<Float32Array, Set<number>>} changes - 颜色数组 → 颜色被修改的瓦片索引 (颜色位于 瓦片索引 * 4)
+   * @returns {number} 更新的实例数量
+   */
+  updateColors(changes) {
+    const tileSets = this.sources.map((colors) => changes.get(colors));
+    if (!tileSets.some(Boolean)) return 0;
+
+    let updated = 0;
+    for (let i = 0; i < this.count; i++) {
+      const tiles = tileSets[this.sourceIds[i]];
+      const offset = this.sourceOffsets[i];
+      if (!tiles || !tiles.has(offset / 4)) continue;
+
+      const colors = this.sources[this.sourceIds[i]];
+      for (let k = 0; k < 4; k++) {
+        this.colors[i * 4 + k] = colors[offset + k];
+      }
+      this.dirty.push(i);
+      updated++;
+    }
+    return updated;
+  }
+
+  /**
+   * 取出颜色被修改的实例区间 (按位置排序，合并相邻或间隔很小的实例)，并清空修改记录
+   * @returns {Array<{start: number, end: number}>} 实例区间 [start, end)
+   */
+  takeDirtyRanges() {
+    const ranges = [];
+    if (this.dirty.length === 0) return ranges;
+
+    const dirty = Int32Array.from(this.dirty).sort();
+    this.dirty.length = 0;
+    let range = { start: dirty[0], end: dirty[0] + 1 };
+    for (let j = 1; j < dirty.length; j++) {
+      const i = dirty[j];
+      if (i - range.end > InstanceBuffer.DIRTY_RANGE_GAP) {
+        ranges.push(range);
+        range = { start: i, end: i + 1 };
+      } else {
+        range.end = Math.max(range.end, i + 1);
+      }
+    }
+    ranges.push(range);
+    return ranges;
+  }
+
+  /**
+   * 清空修改记录 (实例数据已完整上传)
+   */
+  clearDirty() {
+    this.dirty.length = 0;
+  }
+}
@@ -233,12 +233,13 @@ class QuadTreeNode {
     itemContainsPoint(item, x, y) {
         // 瓦片包含点的逻辑，取决于瓦片的形状
         // 假设瓦片是矩形
-        const halfSize = item.size / 2;
+        const halfWidth = item.width / 2;
+        const halfHeight = item.height / 2;
         return (
-            x >= item.x - halfSize &&
-            x < item.x + halfSize &&
-            y >= item.y - halfSize &&
-            y < item.y + halfSize
+            x >= item.x - halfWidth &&
+            x < item.x + halfWidth &&
+            y >= item.y - halfHeight &&
+            y < item.y + halfHeight
         );
     }
 
@@ -250,11 +251,12 @@ class QuadTreeNode {
      */
     itemIntersectsRange(item, range) {
         // 瓦片与区域相交的逻辑
-        const halfSize = item.size / 2;
-        const itemLeft = item.x - halfSize;
-        const itemRight = item.x + halfSize;
-        const itemTop = item.y + halfSize;
-        const itemBottom = item.y - halfSize;
+        const halfWidth = item.width / 2;
+        const halfHeight = item.height / 2;
+        const itemLeft = item.x - halfWidth;
+        const itemRight = item.x + halfWidth;
+        const itemTop = item.y + halfHeight;
+        const itemBottom = item.y - halfHeight;
 
         const rangeLeft = range.x - range.width / 2;
         const rangeRight = range.x + range.width / 2;
@@ -293,6 +295,24 @@ export class QuadTree {
         this.root.insert(item);
     }
 
+    /**
+     * 从结构化克隆得到的数据 (例如Worker中构建的四叉树) 恢复四叉树
+     * @param {Object} data - 四叉树数据 {root}
+     * @returns {QuadTree} 四叉树
+     */
+    static restore(data) {
+        const restoreNode = (node) => {
+            Object.setPrototypeOf(node, QuadTreeNode.prototype);
+            if (node.children) {
+                node.children.forEach(restoreNode);
+            }
+            return node;
+        };
+        const tree = Object.create(QuadTree.prototype);
+        tree.root = restoreNode(data.root);
+        return tree;
+    }
+
     /**
      * 插入多个元素
      * @param {Array} items - 要插入的元素数组
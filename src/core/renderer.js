@@ -24,6 +24,10 @@ export class Renderer {
     this.useOffscreenCanvas = false;
     this.displayCanvas = null;
     this.hasContextLost = false; // 标记WebGL上下文是否丢失
+    this.clipRadius = 0; // 晶圆半径，超出晶圆的部分芯片被裁剪 (0表示不裁剪)
+    // 实例缓冲区中的实例数据及其版本 (未重新收集时只上传修改的区间)
+    this.uploadedInstances = null;
+    this.uploadedVersion = -1;
 
     // 初始化渲染器
     this.initialize();
@@ -127,6 +131,7 @@ export class Renderer {
         }
       }
       this.buffers = {};
+      this.uploadedInstances = null;
 
       // 重置属性和uniform位置
       this.attributes = {};
@@ -547,7 +552,7 @@ export class Renderer {
       attribute vec2 a_position;
       attribute vec2 a_instancePosition;
       attribute vec4 a_instanceColor;
-      attribute float a_instanceSize;
+      attribute vec2 a_instanceSize;
       
       uniform mat4 u_matrix;
       uniform float u_zoom;
@@ -555,6 +560,7 @@ export class Renderer {
       
       varying vec4 v_color;
       varying vec2 v_position;
+      varying vec2 v_worldPosition;
       
       void main() {
           // 计算实例化位置
@@ -567,6 +573,9 @@ export class Renderer {
           
           // 传递原始位置给片元着色器，用于边缘平滑处理
           v_position = a_position;
+          
+          // 传递世界坐标，用于按晶圆边缘裁剪
+          v_worldPosition = position;
       }
     `;
   }
@@ -580,10 +589,18 @@ export class Renderer {
     return `
       precision highp float;
       
+      uniform float u_clipRadius;
+      
       varying vec4 v_color;
       varying vec2 v_position;
+      varying vec2 v_worldPosition;
       
       void main() {
+          // 裁剪晶圆外的部分 (边缘芯片只显示在晶圆上的部分)
+          if (u_clipRadius > 0.0 && length(v_worldPosition) > u_clipRadius) {
+              discard;
+          }
+          
           // 计算到方块边缘的距离
           vec2 center = vec2(0.0, 0.0);
           vec2 toCenter = abs(v_position);
@@ -701,6 +718,7 @@ export class Renderer {
         matrix: this.gl.getUniformLocation(this.program, "u_matrix"),
         zoom: this.gl.getUniformLocation(this.program, "u_zoom"),
         pixelRatio: this.gl.getUniformLocation(this.program, "u_pixelRatio"),
+        clipRadius: this.gl.getUniformLocation(this.program, "u_clipRadius"),
       };
 
       // 创建顶点缓冲区
@@ -749,11 +767,14 @@ export class Renderer {
       this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffers.instanceColor);
       // 暂不填充数据，将在渲染时填充
 
-      // 创建实例化大小缓冲区
+      // 创建实例化大小缓冲区 (宽、高)
       this.buffers.instanceSize = this.gl.createBuffer();
       this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffers.instanceSize);
       // 暂不填充数据，将在渲染时填充
 
+      // 新建的实例缓冲区为空，下一帧完整上传
+      this.uploadedInstances = null;
+
       // 设置混合模式
       this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
 
@@ -793,12 +814,20 @@ export class Renderer {
     }
   }
 
+  /**
+   * 设置晶圆裁剪半径
+   * @param {number} radius - 晶圆半径 (世界坐标)，0表示不裁剪
+   */
+  setClipRadius(radius) {
+    this.clipRadius = Math.max(0, radius || 0);
+  }
+
   /**
    * 渲染场景
-   * @param {Array} tiles - 要渲染的瓦片数组
+   * @param {InstanceBuffer} instances - 要渲染的瓦片实例数据
    * @param {Camera} camera - 相机对象
    */
-  render(tiles, camera) {
+  render(instances, camera) {
     if (!this.isInitialized) return;
 
     // 如果WebGL上下文丢失，尝试恢复或跳过渲染
@@ -832,7 +861,7 @@ export class Renderer {
       }
 
       try {
-        this.renderWebGL(tiles, camera);
+        this.renderWebGL(instances, camera);
       } catch (error) {
         console.error("WebGL渲染失败:", error);
         // 检查是否是上下文丢失导致的
@@ -870,7 +899,7 @@ export class Renderer {
       }
     } else if (this.ctx2d) {
       try {
-        this.renderCanvas2D(tiles, camera);
+        this.renderCanvas2D(instances, camera);
       } catch (error) {
         console.error("Canvas 2D渲染失败:", error);
       }
@@ -882,12 +911,12 @@ export class Renderer {
 
   /**
    * 使用WebGL渲染
-   * @param {Array} tiles - 瓦片数组
+   * @param {InstanceBuffer} instances - 瓦片实例数据
    * @param {Camera} camera - 相机对象
    */
-  renderWebGL(tiles, camera) {
+  renderWebGL(instances, camera) {
     try {
-      if (!tiles || tiles.length === 0) return;
+      if (!instances || instances.count === 0) return;
 
       // 验证相机矩阵
       if (
@@ -902,9 +931,6 @@ export class Renderer {
       // 清除画布
       this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
 
-      // 获取设备像素比
-      const pixelRatio = window.devicePixelRatio || 1;
-
       // 设置WebGL视口以匹配canvas大小
       this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
 
@@ -915,90 +941,193 @@ export class Renderer {
         this.gl.sampleCoverage(0.5, false);
       }
 
-      // 使用着色器程序
-      this.gl.useProgram(this.program);
+      this.drawInstances(instances, camera.matrix, camera.zoom);
+    } catch (error) {
+      console.error("WebGL渲染失败:", error);
+      throw error; // 向上传递错误，以便外层处理上下文丢失
+    }
+  }
 
-      // 设置视图矩阵
-      this.gl.uniformMatrix4fv(this.uniforms.matrix, false, camera.matrix);
+  /**
+   * 使用着色器程序绘制实例 (绘制到当前绑定的帧缓冲区)
+   * @param {InstanceBuffer} instances - 瓦片实例数据
+   * @param {Float32Array} matrix - 投影矩阵
+   * @param {number} zoom - 缩放级别
+   */
+  drawInstances(instances, matrix, zoom) {
+    // 获取设备像素比
+    const pixelRatio = window.devicePixelRatio || 1;
 
-      // 设置缩放级别
-      this.gl.uniform1f(this.uniforms.zoom, camera.zoom);
+    // 使用着色器程序
+    this.gl.useProgram(this.program);
 
-      // 设置设备像素比
-      if (this.uniforms.pixelRatio) {
-        this.gl.uniform1f(this.uniforms.pixelRatio, pixelRatio);
-      }
+    // 设置视图矩阵
+    this.gl.uniformMatrix4fv(this.uniforms.matrix, false, matrix);
 
-      // 设置顶点数据
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffers.position);
-      this.gl.enableVertexAttribArray(this.attributes.position);
-      this.gl.vertexAttribPointer(
-        this.attributes.position,
-        2,
-        this.gl.FLOAT,
-        false,
-        0,
-        0
-      );
+    // 设置缩放级别
+    this.gl.uniform1f(this.uniforms.zoom, zoom);
 
-      // 设置索引缓冲区
-      this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, this.buffers.indices);
+    // 设置设备像素比
+    if (this.uniforms.pixelRatio) {
+      this.gl.uniform1f(this.uniforms.pixelRatio, pixelRatio);
+    }
 
-      // 分批渲染瓦片
-      const batchSize = Math.min(this.maxInstanceCount, 2000); // 减小批次大小以提高稳定性
-      for (let i = 0; i < tiles.length; i += batchSize) {
-        try {
-          const batchTiles = tiles.slice(i, i + batchSize);
-          this.renderBatch(batchTiles);
-        } catch (batchError) {
-          console.error("渲染批次失败:", batchError, "跳过此批次");
-          // 继续下一批次，避免一个批次失败导致整个渲染中断
-        }
+    // 设置晶圆裁剪半径
+    if (this.uniforms.clipRadius) {
+      this.gl.uniform1f(this.uniforms.clipRadius, this.clipRadius);
+    }
+
+    // 设置顶点数据
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffers.position);
+    this.gl.enableVertexAttribArray(this.attributes.position);
+    this.gl.vertexAttribPointer(
+      this.attributes.position,
+      2,
+      this.gl.FLOAT,
+      false,
+      0,
+      0
+    );
+
+    // 设置索引缓冲区
+    this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, this.buffers.indices);
+
+    // 上传实例数据
+    this.uploadInstances(instances);
+
+    // 分批渲染瓦片
+    const batchSize = Math.min(this.maxInstanceCount, 2000); // 减小批次大小以提高稳定性
+    for (let i = 0; i < instances.count; i += batchSize) {
+      try {
+        this.renderBatch(i, Math.min(batchSize, instances.count - i));
+      } catch (batchError) {
+        console.error("渲染批次失败:", batchError, "跳过此批次");
+        // 继续下一批次，避免一个批次失败导致整个渲染中断
       }
-    } catch (error) {
-      console.error("WebGL渲染失败:", error);
-      throw error; // 向上传递错误，以便外层处理上下文丢失
     }
   }
 
   /**
-   * 渲染一批瓦片
-   * @param {Array} tiles - 瓦片批次
+   * 获取离屏渲染的最大边长 (受帧缓冲区、纹理和视口尺寸限制)
+   * @returns {number} 最大边长 (像素)，不支持WebGL时为0
    */
-  renderBatch(tiles) {
-    try {
-      const count = tiles.length;
+  getMaxRenderSize() {
+    if (!this.useWebGL || !this.gl) return 0;
+    const gl = this.gl;
+    const viewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    return Math.min(
+      gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+      gl.getParameter(gl.MAX_TEXTURE_SIZE),
+      viewport[0],
+      viewport[1],
+      4096 // 限制单次读取的像素数，避免占用过多内存
+    );
+  }
 
-      // 准备实例化数据
-      const instancePositions = new Float32Array(count * 2);
-      const instanceColors = new Float32Array(count * 4);
-      const instanceSizes = new Float32Array(count);
+  /**
+   * 将实例渲染到离屏帧缓冲区并读取像素 (不依赖 preserveDrawingBuffer)
+   * @param {InstanceBuffer} instances - 瓦片实例数据
+   * @param {Float32Array} matrix - 投影矩阵
+   * @param {number} width - 宽度 (像素)，不超过 getMaxRenderSize()
+   * @param {number} height - 高度 (像素)，不超过 getMaxRenderSize()
+   * @returns {Uint8Array} RGBA像素，自下而上逐行排列
+   */
+  renderToPixels(instances, matrix, width, height) {
+    if (!this.useWebGL || !this.gl) {
+      throw new Error("离屏渲染需要WebGL");
+    }
+    const gl = this.gl;
 
-      // 填充实例化数据
-      for (let i = 0; i < count; i++) {
-        const tile = tiles[i];
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
 
-        // 位置
-        instancePositions[i * 2] = tile.x;
-        instancePositions[i * 2 + 1] = tile.y;
+    const depthBuffer = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, depthBuffer);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
 
-        // 颜色
-        instanceColors[i * 4] = tile.color[0];
-        instanceColors[i * 4 + 1] = tile.color[1];
-        instanceColors[i * 4 + 2] = tile.color[2];
-        instanceColors[i * 4 + 3] = tile.color[3];
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depthBuffer);
 
-        // 大小
-        instanceSizes[i] = tile.size;
+    try {
+      if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+        throw new Error("离屏帧缓冲区创建失败");
       }
 
+      gl.viewport(0, 0, width, height);
+      gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+      this.drawInstances(instances, matrix, 1);
+
+      const pixels = new Uint8Array(width * height * 4);
+      gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+      return pixels;
+    } finally {
+      // 恢复到屏幕绘制
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+      gl.deleteFramebuffer(framebuffer);
+      gl.deleteRenderbuffer(depthBuffer);
+      gl.deleteTexture(texture);
+      gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    }
+  }
+
+  /**
+   * 上传实例数据到持久的实例缓冲区
+   * 实例数据重新收集过 (或换了一份实例数据) 时用 bufferData 完整上传 (subarray不复制数据)；
+   * 否则只用 bufferSubData 上传颜色被修改的实例区间，没有修改时不上传
+   * @param {InstanceBuffer} instances - 瓦片实例数据
+   */
+  uploadInstances(instances) {
+    const gl = this.gl;
+    if (instances !== this.uploadedInstances || instances.version !== this.uploadedVersion) {
+      // 上传失败时下一帧重新完整上传
+      this.uploadedInstances = null;
+      const count = instances.count;
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.instancePosition);
+      gl.bufferData(gl.ARRAY_BUFFER, instances.positions.subarray(0, count * 2), gl.DYNAMIC_DRAW);
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.instanceColor);
+      gl.bufferData(gl.ARRAY_BUFFER, instances.colors.subarray(0, count * 4), gl.DYNAMIC_DRAW);
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.instanceSize);
+      gl.bufferData(gl.ARRAY_BUFFER, instances.sizes.subarray(0, count * 2), gl.DYNAMIC_DRAW);
+      instances.clearDirty();
+      this.uploadedInstances = instances;
+      this.uploadedVersion = instances.version;
+      return;
+    }
+
+    // 芯片更新只修改颜色，位置和大小不变
+    const ranges = instances.takeDirtyRanges();
+    if (ranges.length === 0) return;
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.buffers.instanceColor);
+    for (const { start, end } of ranges) {
+      gl.bufferSubData(
+        gl.ARRAY_BUFFER,
+        start * 4 * Float32Array.BYTES_PER_ELEMENT,
+        instances.colors.subarray(start * 4, end * 4)
+      );
+    }
+  }
+
+  /**
+   * 渲染一批瓦片
+   * 实例数据已由 uploadInstances() 上传，批次通过属性指针的偏移指定
+   * @param {number} start - 批次起始实例
+   * @param {number} count - 批次实例数量
+   */
+  renderBatch(start, count) {
+    try {
+      const floatSize = Float32Array.BYTES_PER_ELEMENT;
+
       // 设置实例化位置
       this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffers.instancePosition);
-      this.gl.bufferData(
-        this.gl.ARRAY_BUFFER,
-        instancePositions,
-        this.gl.DYNAMIC_DRAW
-      );
       this.gl.enableVertexAttribArray(this.attributes.instancePosition);
       this.gl.vertexAttribPointer(
         this.attributes.instancePosition,
@@ -1006,17 +1135,12 @@ export class Renderer {
         this.gl.FLOAT,
         false,
         0,
-        0
+        start * 2 * floatSize
       );
       this.gl.vertexAttribDivisor(this.attributes.instancePosition, 1); // 实例化率
 
       // 设置实例化颜色
       this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffers.instanceColor);
-      this.gl.bufferData(
-        this.gl.ARRAY_BUFFER,
-        instanceColors,
-        this.gl.DYNAMIC_DRAW
-      );
       this.gl.enableVertexAttribArray(this.attributes.instanceColor);
       this.gl.vertexAttribPointer(
         this.attributes.instanceColor,
@@ -1024,25 +1148,20 @@ export class Renderer {
         this.gl.FLOAT,
         false,
         0,
-        0
+        start * 4 * floatSize
       );
       this.gl.vertexAttribDivisor(this.attributes.instanceColor, 1); // 实例化率
 
       // 设置实例化大小
       this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffers.instanceSize);
-      this.gl.bufferData(
-        this.gl.ARRAY_BUFFER,
-        instanceSizes,
-        this.gl.DYNAMIC_DRAW
-      );
       this.gl.enableVertexAttribArray(this.attributes.instanceSize);
       this.gl.vertexAttribPointer(
         this.attributes.instanceSize,
-        1,
+        2,
         this.gl.FLOAT,
         false,
         0,
-        0
+        start * 2 * floatSize
       );
       this.gl.vertexAttribDivisor(this.attributes.instanceSize, 1); // 实例化率
 
@@ -1061,11 +1180,11 @@ export class Renderer {
 
   /**
    * 使用Canvas 2D渲染 (降级方案)
-   * @param {Array} tiles - 瓦片数组
+   * @param {InstanceBuffer} instances - 瓦片实例数据
    * @param {Camera} camera - 相机对象
    */
-  renderCanvas2D(tiles, camera) {
-    if (!tiles || tiles.length === 0 || !this.ctx2d) return;
+  renderCanvas2D(instances, camera) {
+    if (!instances || instances.count === 0 || !this.ctx2d) return;
 
     try {
       // 清除画布
@@ -1084,25 +1203,32 @@ export class Renderer {
       // 应用平移
       this.ctx2d.translate(-camera.position.x, -camera.position.y);
 
+      // 裁剪晶圆外的部分
+      if (this.clipRadius > 0) {
+        this.ctx2d.beginPath();
+        this.ctx2d.arc(0, 0, this.clipRadius, 0, Math.PI * 2);
+        this.ctx2d.clip();
+      }
+
       // 限制渲染的瓦片数量以保持性能
-      const maxTiles = Math.min(tiles.length, 5000);
+      const maxTiles = Math.min(instances.count, 5000);
+      const { positions, colors, sizes } = instances;
 
       // 渲染瓦片
       for (let i = 0; i < maxTiles; i++) {
-        const tile = tiles[i];
-
         // 设置颜色
-        this.ctx2d.fillStyle = `rgba(${tile.color[0] * 255}, ${
-          tile.color[1] * 255
-        }, ${tile.color[2] * 255}, ${tile.color[3]})`;
+        this.ctx2d.fillStyle = `rgba(${colors[i * 4] * 255}, ${
+          colors[i * 4 + 1] * 255
+        }, ${colors[i * 4 + 2] * 255}, ${colors[i * 4 + 3]})`;
 
         // 绘制方块
-        const halfSize = tile.size / 2;
+        const width = sizes[i * 2];
+        const height = sizes[i * 2 + 1];
         this.ctx2d.fillRect(
-          tile.x - halfSize,
-          tile.y - halfSize,
-          tile.size,
-          tile.size
+          positions[i * 2] - width / 2,
+          positions[i * 2 + 1] - height / 2,
+          width,
+          height
         );
       }
 
@@ -1114,7 +1240,7 @@ export class Renderer {
       this.ctx2d.font = "12px Arial";
       this.ctx2d.textAlign = "left";
       this.ctx2d.fillText(
-        `使用Canvas 2D降级渲染 (显示${maxTiles}/${tiles.length}个瓦片)`,
+        `使用Canvas 2D降级渲染 (显示${maxTiles}/${instances.count}个瓦片)`,
         10,
         20
       );
@@ -2,6 +2,34 @@ import { Renderer } from './core/renderer.js';
 import { Camera } from './core/camera.js';
 import { TileManager } from './utils/tile-manager.js';
 import { CircleGrid } from './models/circle-grid.js';
+import { DataLoader } from './utils/data-loader.js';
+import { WaferMapImporter } from './utils/wafer-map-importer.js';
+import { LegendPanel } from './ui/legend-panel.js';
+import { ColorModePanel } from './ui/color-mode-panel.js';
+import { CoordinatePanel } from './ui/coordinate-panel.js';
+import { WaferOverlay } from './ui/wafer-overlay.js';
+import { WaferSelector } from './ui/wafer-selector.js';
+import { WaferLot } from './models/wafer-lot.js';
+import { StackedMap } from './models/stacked-map.js';
+import { DiffMap } from './models/diff-map.js';
+import { FailedWafersPanel } from './ui/failed-wafers-panel.js';
+import { ZonalYieldPanel } from './ui/zonal-yield-panel.js';
+import { ZonalYield } from './models/zonal-yield.js';
+import { ReticlePanel } from './ui/reticle-panel.js';
+import { Reticle } from './models/reticle.js';
+import { ProbeCardPanel } from './ui/probe-card-panel.js';
+import { ProbeCard } from './models/probe-card.js';
+import { ClusterPanel } from './ui/cluster-panel.js';
+import { ClusterDetector } from './models/cluster-detector.js';
+import { InkPanel } from './ui/ink-panel.js';
+import { SignatureClassifier } from './models/signature-classifier.js';
+import { DataExporter } from './utils/data-exporter.js';
+import { ImageExporter } from './utils/image-exporter.js';
+import { SvgExporter } from './utils/svg-exporter.js';
+import { DieStream } from './utils/die-stream.js';
+import { ColorModes } from './models/color-modes.js';
+import { DefectPatterns } from './models/defect-patterns.js';
+import { GridGenerator } from './utils/grid-generator.js';
 
 // 添加全局错误处理
 window.addEventListener('error', (event) => {
@@ -95,7 +123,7 @@ class CircleRenderer {
             console.log('初始化Camera');
             this.camera = new Camera(this.canvas);
             
-            this.showLoadingMessage("正在生成圆形网格...");
+            this.showLoadingMessage("正在生成圆形网格...", 0);
             
             // 使用Worker来生成网格，避免阻塞主线程
             this.initCircleGrid();
@@ -108,65 +136,1649 @@ class CircleRenderer {
     /**
      * 初始化圆形网格
      */
-    initCircleGrid() {
+    async initCircleGrid() {
         try {
             console.log('初始化CircleGrid');
             this.circleGrid = new CircleGrid(500); // 半径500
+            // 边缘芯片超出晶圆的部分不绘制
+            this.renderer.setClipRadius(this.circleGrid.radius);
             
-            this.showLoadingMessage("正在构建瓦片系统...");
+            // URL参数中的随机种子和失效图形，便于复现同一张晶圆图
+            try {
+                this.circleGrid.setGeneratorOptions(this.getUrlGeneratorOptions());
+            } catch (error) {
+                console.error('URL中的生成参数无效，使用默认参数:', error);
+            }
             
             console.log('初始化TileManager');
-            this.tileManager = new TileManager(this.circleGrid, this.camera);
+            this.tileManager = new TileManager(this.circleGrid, this.camera, false);
+            this.gridGenerator = new GridGenerator();
+            await this.generateGrid((progress, stage) => {
+                const message = stage === 'index' ? "正在构建瓦片系统..." : "正在生成圆形网格...";
+                this.showLoadingMessage(message, progress);
+            });
+            
+            // 初始化bin图例面板，图例被编辑后重新着色
+            this.legendPanel = new LegendPanel(document.getElementById("binLegend"));
+            this.watchBinLegend(this.circleGrid);
+            this.legendPanel.setGrid(this.circleGrid);
+            
+            // 初始化颜色模式面板
+            this.colorModePanel = new ColorModePanel(
+                document.getElementById("colorModePanel"),
+                (mode, options) => this.setColorMode(mode, options)
+            );
+            this.colorModePanel.setGrid(this.circleGrid);
+            this.updateColorModeInfo();
+            
+            // 初始化坐标系面板
+            this.coordinatePanel = new CoordinatePanel(
+                document.getElementById("coordinatePanel"),
+                (options) => this.setCoordinateSystem(options)
+            );
+            this.coordinatePanel.setGrid(this.circleGrid);
+            
+            // 晶圆轮廓叠加层 (缺口/平边和边缘排除区)
+            this.waferOverlay = new WaferOverlay(document.getElementById("overlayCanvas"));
+            // 框选范围 (世界坐标)，按住Shift拖动设置，用于导出
+            this.selection = null;
+            // 实时数据流和最近测出的芯片 (芯片索引 → 测出时间)，叠加层高亮显示
+            this.dieStream = null;
+            this.streamWafer = null;
+            this.recentDies = new Map();
+            
+            // 分区良率面板 (默认隐藏)，面板显示或分区着色时才统计
+            this.zonalYield = new ZonalYield();
+            this.zoneShade = 'none';
+            this.zonalResult = null;
+            this.zonalYieldPanel = new ZonalYieldPanel(
+                document.getElementById("zonalYieldPanel"),
+                (options) => this.setZonalYield(options)
+            );
+            this.zonalYieldPanel.sync(this.getZonalYieldOptions());
+            
+            // 失效簇面板 (默认隐藏)，面板显示时才检测；选中的簇在叠加层高亮
+            this.clusterDetector = new ClusterDetector();
+            this.clusterViewOnly = false;
+            this.clusterResult = null;
+            this.selectedCluster = null;
+            this.clusterPanel = new ClusterPanel(
+                document.getElementById("clusterPanel"),
+                (options) => this.setClusterDetection(options),
+                (id) => this.selectCluster(id)
+            );
+            this.clusterPanel.sync(this.getClusterOptions());
+            
+            // 掩模面板 (默认隐藏)，面板显示时才按曝光区域内的位置统计；边界线由叠加层绘制
+            this.reticle = new Reticle();
+            this.showShots = false;
+            this.reticleResult = null;
+            this.reticlePanel = new ReticlePanel(
+                document.getElementById("reticlePanel"),
+                (options) => this.setReticle(options)
+            );
+            this.reticlePanel.sync(this.getReticleOptions());
+            
+            // 探针卡面板 (默认隐藏)，探针卡保存在网格中，切换晶圆时沿用；触点分组和步进路径由叠加层绘制
+            this.probeTouchdowns = true;
+            this.probePath = true;
+            this.probeCardPanel = new ProbeCardPanel(
+                document.getElementById("probeCardPanel"),
+                (options) => this.setProbeCard(options)
+            );
+            
+            // 打点规则面板 (默认隐藏)，规则保存在网格中，切换晶圆时沿用
+            this.inkPanel = new InkPanel(
+                document.getElementById("inkPanel"),
+                (options) => this.setInkRules(options.rules, options.visible)
+            );
+            
+            // 批次和晶圆选择面板，初始批次只有当前这片晶圆
+            this.waferSwitchId = 0;
+            this.waferSelector = new WaferSelector(
+                document.getElementById("waferSelector"),
+                (index) => this.selectWafer(index),
+                () => this.createRandomLot(),
+                () => this.createStackedMap(),
+                (afterIndex) => this.compareWafers(this.lot.currentIndex, afterIndex)
+            );
+            this.failedWafersPanel = new FailedWafersPanel(
+                document.getElementById("failedWafersPanel"),
+                (index) => this.selectWafer(index)
+            );
+            const lot = new WaferLot(this.circleGrid.radius);
+            lot.addGrid(this.circleGrid).tileManager = this.tileManager;
+            this.setLot(lot);
+            this.lot.select(0);
+            this.waferSelector.sync();
             
             // 更新坏数据统计
             this.updateBadDataStats();
+            this.updateGeneratorInfo();
+            
+            // 设置事件监听器
+            this.setupEventListeners();
+            
+            // 启动渲染循环
+            console.log('启动渲染循环');
+            // 使用requestAnimationFrame启动渲染循环
+            this.lastFrameTime = performance.now();
+            this.animate();
+            
+            console.log('圆形渲染器初始化完成');
+        } catch (error) {
+            console.error('网格初始化错误:', error);
+            this.showError(error.message);
+        }
+    }
+    
+    /**
+     * 生成圆形网格和LOD瓦片
+     * 优先在Worker中生成，Worker不可用或失败时在主线程中生成
+     * @param {Function} onProgress - 进度回调 (progress: 0-1, stage)
+     * @param {CircleGrid} circleGrid - 要生成的网格，默认为当前网格
+     * @param {TileManager} tileManager - 网格的瓦片管理器
+     * @returns {Promise<boolean>} 是否完成 (被新的生成请求取消时为false)
+     */
+    async generateGrid(onProgress = null, circleGrid = this.circleGrid, tileManager = this.tileManager) {
+        if (GridGenerator.isSupported()) {
+            try {
+                const result = await this.gridGenerator.generate(circleGrid.getGeneratorRequest(), onProgress);
+                if (!result) {
+                    return false;
+                }
+                const recolored = circleGrid.applyGenerated(result.dies);
+                tileManager.importIndex(result.index);
+                if (recolored) {
+                    tileManager.rebuildTiles();
+                }
+                console.log(`Worker生成完成，共${result.dies.count}个方块`);
+                return true;
+            } catch (error) {
+                console.warn('Worker生成网格失败，改为在主线程中生成:', error);
+            }
+        }
+        
+        tileManager.initialize();
+        return true;
+    }
+    
+    /**
+     * 监听网格的bin图例变化 (只处理当前显示的网格)
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     */
+    watchBinLegend(circleGrid) {
+        circleGrid.binLegend.onChange(() => {
+            if (circleGrid === this.circleGrid) {
+                this.onBinLegendChange();
+            }
+        });
+    }
+    
+    /**
+     * 设置当前批次
+     * @param {WaferLot} lot - 批次
+     */
+    setLot(lot) {
+        this.lot = lot;
+        this.waferSelector.setLot(lot);
+    }
+    
+    /**
+     * 按当前种子和失效图形新建随机批次 (第n片晶圆的种子为 当前种子 + n - 1)，并显示第一片
+     * 也可在控制台调用，例如 circleRenderer.createRandomLot(25, {seed: 100, patterns: ['edgeRing']})
+     * @param {number} count - 晶圆数量
+     * @param {Object} options - 生成选项 {seed, patterns}，未指定时使用当前网格的设置
+     * @returns {Promise<boolean>} 是否创建成功
+     */
+    async createRandomLot(count = WaferLot.DEFAULT_SIZE, options = {}) {
+        try {
+            const current = this.circleGrid;
+            const seed = options.seed !== undefined ? options.seed : current.seed;
+            const patterns = options.patterns !== undefined ? options.patterns : current.defectPatterns;
+            if (!Number.isInteger(seed)) {
+                throw new Error(`批次的种子必须为整数: ${seed}`);
+            }
+            
+            const lot = new WaferLot(current.radius, `随机 (种子 ${seed})`);
+            for (let i = 0; i < count; i++) {
+                lot.addRandom({ seed: seed + i, patterns });
+            }
+            // 当前晶圆与批次第一片相同时直接复用
+            if (current.dataSource === 'random' && current.seed === seed &&
+                JSON.stringify(current.defectPatterns) === JSON.stringify(lot.wafers[0].generator.patterns)) {
+                lot.wafers[0].circleGrid = current;
+                lot.wafers[0].tileManager = this.tileManager;
+            }
+            this.setLot(lot);
+            return this.selectWafer(0);
+        } catch (error) {
+            console.error('新建随机批次失败:', error);
+            alert(`新建随机批次失败: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * 获取批次操作的参考网格 (当前显示叠加图或差异图时，使用其来源晶圆的网格)
+     * @returns {CircleGrid} 圆形网格对象
+     */
+    getLotReference() {
+        const current = this.lot.getCurrent();
+        if (current && current.stackedMap) {
+            return current.stackedMap.reference;
+        }
+        if (current && current.diffMap) {
+            return current.diffMap.before;
+        }
+        return this.circleGrid;
+    }
+    
+    /**
+     * 确保晶圆的网格可用 (尚未生成或已被释放的随机晶圆在Worker中生成)，
+     * 并使其索引坐标系与参考网格一致
+     * @param {Object} wafer - 晶圆
+     * @param {CircleGrid} reference - 参考网格
+     * @param {number} switchId - 开始时的切换请求编号
+     * @returns {Promise<boolean>} 是否可用 (被晶圆切换打断时为false)
+     */
+    async prepareWaferGrid(wafer, reference, switchId) {
+        if (!this.lot.isCacheValid(wafer, reference) &&
+            (this.lot.isRegenerable(wafer) || !wafer.circleGrid)) {
+            const ready = await this.buildWafer(wafer, reference, -1);
+            if (!ready || switchId !== this.waferSwitchId) {
+                return false;
+            }
+        }
+        if (wafer.circleGrid !== reference) {
+            wafer.circleGrid.coordinates.configure(reference.coordinates.getOptions());
+        }
+        return true;
+    }
+    
+    /**
+     * 生成批次的叠加图 (每个芯片位置上失效的晶圆数和失效频率) 并显示
+     * 尚未生成的随机晶圆依次在Worker中生成，生成后按缓存上限释放
+     * 也可在控制台调用 circleRenderer.createStackedMap()
+     * @returns {Promise<boolean>} 是否生成成功 (被晶圆切换打断时为false)
+     */
+    async createStackedMap() {
+        try {
+            const lot = this.lot;
+            const wafers = lot.getWafers();
+            if (wafers.length < 2) {
+                throw new Error('批次中至少需要两片晶圆');
+            }
+            
+            const switchId = this.waferSwitchId;
+            const reference = this.getLotReference();
+            const dataSourceElement = document.getElementById("dataSource");
+            const stackedMap = new StackedMap();
+            for (let i = 0; i < wafers.length; i++) {
+                const wafer = wafers[i];
+                if (dataSourceElement) {
+                    dataSourceElement.textContent = `正在叠加... ${i + 1}/${wafers.length}`;
+                }
+                if (!(await this.prepareWaferGrid(wafer, reference, switchId))) {
+                    console.log('叠加图生成被取消');
+                    this.updateGeneratorInfo();
+                    return false;
+                }
+                stackedMap.add(wafer.circleGrid, lot.wafers.indexOf(wafer));
+                // 临时生成的晶圆按缓存上限释放
+                lot.evict();
+            }
+            
+            const circleGrid = stackedMap.build();
+            this.watchBinLegend(circleGrid);
+            const stacked = lot.setStacked(stackedMap, circleGrid);
+            this.waferSelector.render();
+            return this.selectWafer(lot.wafers.indexOf(stacked));
+        } catch (error) {
+            console.error('生成叠加图失败:', error);
+            alert(`生成叠加图失败: ${error.message}`);
+            this.updateGeneratorInfo();
+            return false;
+        }
+    }
+    
+    /**
+     * 对比批次中的两片晶圆，生成差异图 (良品→失效、失效→良品、Bin变化、未变化) 并显示
+     * 也可在控制台调用，例如 circleRenderer.compareWafers(0, 1)
+     * @param {number} beforeIndex - 对比基准晶圆的索引
+     * @param {number} afterIndex - 对比晶圆的索引
+     * @returns {Promise<boolean>} 是否生成成功 (被晶圆切换打断时为false)
+     */
+    async compareWafers(beforeIndex, afterIndex) {
+        try {
+            const lot = this.lot;
+            const before = lot.wafers[beforeIndex];
+            const after = lot.wafers[afterIndex];
+            const wafers = lot.getWafers();
+            if (!wafers.includes(before) || !wafers.includes(after)) {
+                throw new Error('只能对比批次中的晶圆 (不含叠加图和差异图)');
+            }
+            if (before === after) {
+                throw new Error('请选择两片不同的晶圆');
+            }
+            
+            const switchId = this.waferSwitchId;
+            const reference = this.getLotReference();
+            const dataSourceElement = document.getElementById("dataSource");
+            if (dataSourceElement) {
+                dataSourceElement.textContent = '正在对比...';
+            }
+            for (const wafer of [before, after]) {
+                if (!(await this.prepareWaferGrid(wafer, reference, switchId))) {
+                    console.log('对比被取消');
+                    this.updateGeneratorInfo();
+                    return false;
+                }
+            }
+            
+            const diffMap = new DiffMap(before.circleGrid, after.circleGrid);
+            const circleGrid = diffMap.build(`差异图 (${before.name} → ${after.name})`);
+            this.watchBinLegend(circleGrid);
+            const diff = lot.setDiff(diffMap, circleGrid);
+            lot.evict();
+            this.waferSelector.render();
+            return this.selectWafer(lot.wafers.indexOf(diff));
+        } catch (error) {
+            console.error('对比晶圆失败:', error);
+            alert(`对比晶圆失败: ${error.message}`);
+            this.updateGeneratorInfo();
+            return false;
+        }
+    }
+    
+    /**
+     * 在叠加图中显示芯片位置上失效的晶圆
+     * @param {Object} pointer - 鼠标相对Canvas的位置 {x, y}
+     */
+    showFailedWafers(pointer) {
+        const wafer = this.lot.getCurrent();
+        if (!wafer || !wafer.stackedMap || wafer.circleGrid !== this.circleGrid) {
+            return;
+        }
+        const index = this.getDieAtPointer(pointer);
+        if (index < 0) {
+            this.failedWafersPanel.hide();
+            return;
+        }
+        this.failedWafersPanel.show(
+            this.circleGrid.getDieIndex(index),
+            wafer.stackedMap.getFailedWafers(index),
+            this.lot
+        );
+    }
+    
+    /**
+     * 切换显示的晶圆 (保留相机位置和WebGL资源，已访问的晶圆直接复用缓存的LOD瓦片)
+     * 也可在控制台调用，例如 circleRenderer.selectWafer(3)
+     * @param {number} index - 晶圆索引
+     * @returns {Promise<boolean>} 是否切换成功 (被新的切换请求取代时为false)
+     */
+    async selectWafer(index) {
+        const switchId = ++this.waferSwitchId;
+        try {
+            const wafer = this.lot.wafers[index];
+            if (!wafer) {
+                throw new Error(`晶圆索引超出范围: ${index}`);
+            }
+            
+            const reference = this.circleGrid;
+            if (!this.lot.isCacheValid(wafer, reference)) {
+                const ready = await this.buildWafer(wafer, reference, switchId);
+                if (!ready) {
+                    return false;
+                }
+            }
+            // 等待生成期间切换到了其他晶圆，结果只保留在缓存中
+            if (switchId !== this.waferSwitchId) {
+                this.waferSelector.sync();
+                return false;
+            }
+            
+            this.showWafer(index, reference);
+            return true;
+        } catch (error) {
+            console.error('切换晶圆失败:', error);
+            alert(`切换晶圆失败: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * 为晶圆生成网格 (随机晶圆) 或构建LOD瓦片 (文件晶圆和修改过芯片的随机晶圆)，结果保存在晶圆的缓存中
+     * @param {Object} wafer - 晶圆
+     * @param {CircleGrid} reference - 参考网格，随机晶圆沿用其几何参数、bin定义和坐标系
+     * @param {number} switchId - 切换请求编号
+     * @returns {Promise<boolean>} 是否完成
+     */
+    async buildWafer(wafer, reference, switchId) {
+        if (!this.lot.isRegenerable(wafer)) {
+            const tileManager = new TileManager(wafer.circleGrid, this.camera, false);
+            tileManager.reload();
+            wafer.tileManager = tileManager;
+            return true;
+        }
+        
+        const circleGrid = this.lot.createRandomGrid(wafer, reference);
+        const tileManager = new TileManager(circleGrid, this.camera, false);
+        this.watchBinLegend(circleGrid);
+        
+        // 生成期间在数据来源处显示进度
+        const dataSourceElement = document.getElementById("dataSource");
+        const completed = await this.generateGrid((progress) => {
+            if (dataSourceElement && switchId === this.waferSwitchId) {
+                dataSourceElement.textContent = `正在生成${wafer.name}... ${Math.round(progress * 100)}%`;
+            }
+        }, circleGrid, tileManager);
+        if (!completed) {
+            return false;
+        }
+        wafer.circleGrid = circleGrid;
+        wafer.tileManager = tileManager;
+        return true;
+    }
+    
+    /**
+     * 显示已缓存的晶圆，沿用参考网格的颜色模式、坐标系和良率统计规则
+     * @param {number} index - 晶圆索引
+     * @param {CircleGrid} reference - 参考网格 (切换前显示的网格)
+     */
+    showWafer(index, reference) {
+        const wafer = this.lot.select(index);
+        let recolored = this.applyViewSettings(wafer.circleGrid, reference);
+        // 接收实时数据时推迟的重新打点
+        if (wafer.circleGrid.inkStale) {
+            recolored = wafer.circleGrid.applyInk().indexes.length > 0 || recolored;
+        }
+        
+        this.circleGrid = wafer.circleGrid;
+        this.tileManager = wafer.tileManager;
+        if (recolored) {
+            this.tileManager.rebuildTiles();
+        }
+        
+        this.legendPanel.setGrid(this.circleGrid);
+        this.colorModePanel.setGrid(this.circleGrid);
+        this.coordinatePanel.setGrid(this.circleGrid);
+        this.waferSelector.sync();
+        if (!wafer.stackedMap) {
+            this.failedWafersPanel.hide();
+        }
+        this.updateBadDataStats();
+        this.updateColorModeInfo();
+        this.updateGeneratorInfo();
+        this.updateHoveredDie();
+    }
+    
+    /**
+     * 将参考网格的显示设置 (颜色模式、坐标系、良率统计规则、打点规则、探针卡) 应用到目标网格
+     * @param {CircleGrid} target - 目标网格
+     * @param {CircleGrid} reference - 参考网格
+     * @returns {boolean} 目标网格是否重新着色 (需要重建LOD瓦片)
+     */
+    applyViewSettings(target, reference) {
+        // 叠加图和差异图使用自己的着色，从它们切换到晶圆时也不沿用
+        const derived = (grid) => WaferLot.DERIVED_SOURCES.includes(grid.dataSource);
+        if (!reference || target === reference || derived(target) || derived(reference)) {
+            return false;
+        }
+        target.coordinates.configure(reference.coordinates.getOptions());
+        const yieldRuleChanged = JSON.stringify(target.yieldRule) !== JSON.stringify(reference.yieldRule);
+        target.setYieldRule(reference.yieldRule);
+        
+        // 打点规则或良率统计规则 (边缘环打点依赖它) 变化时重新打点
+        let recolored = false;
+        if (JSON.stringify(target.inkRules) !== JSON.stringify(reference.inkRules)) {
+            recolored = target.setInkRules(reference.inkRules).indexes.length > 0;
+        } else if (yieldRuleChanged && target.inkRules.length > 0) {
+            recolored = target.applyInk().indexes.length > 0;
+        }
+        // 探针卡变化时重新计算触点计划 (按Site着色时重新着色)
+        if (JSON.stringify(target.probeCard) !== JSON.stringify(reference.probeCard)) {
+            recolored = target.setProbeCard(reference.probeCard) || recolored;
+        }
+        
+        const source = reference.colorModes;
+        const colorModes = target.colorModes;
+        if (source.mode === colorModes.mode && source.channel === colorModes.channel &&
+            source.sectors === colorModes.sectors && source.densityRadius === colorModes.densityRadius) {
+            return recolored;
+        }
+        const options = { sectors: source.sectors, densityRadius: source.densityRadius };
+        try {
+            target.setColorMode(source.mode, { ...options, channel: source.channel });
+        } catch (error) {
+            // 目标晶圆没有当前的测量值通道时按bin着色
+            console.warn(`${error.message}，改为按Bin着色`);
+            target.setColorMode('bin', options);
+        }
+        return true;
+    }
+    
+    /**
+     * 更新坏数据统计
+     */
+    updateBadDataStats() {
+        if (this.circleGrid && this.circleGrid.dies) {
+            this.updateYieldCounts();
+            this.updateWaferAnalyses();
+        }
+    }
+    
+    /**
+     * 更新坏数据数、良率和打点统计 (只统计计数，接收实时数据时也按固定间隔刷新)
+     */
+    updateYieldCounts() {
+        if (this.circleGrid && this.circleGrid.dies) {
+            // 按良率统计规则排除部分芯片和边缘排除区内的芯片
+            const stats = this.circleGrid.getYieldStats();
+            const badDataPercentage = stats.total > 0 ? ((stats.bad / stats.total) * 100).toFixed(2) : '0.00';
+            
+            // 更新UI显示
+            const badDataCountElement = document.getElementById("badDataCount");
+            if (badDataCountElement) {
+                badDataCountElement.textContent = `${stats.bad} (${badDataPercentage}%)`;
+                badDataCountElement.title =
+                    `统计芯片${stats.total}个，良率${(stats.yield * 100).toFixed(2)}%\n` +
+                    `部分芯片${stats.partial}个，边缘排除区内${stats.excluded}个`;
+            }
+            this.updateInkStats(stats);
+        }
+    }
+    
+    /**
+     * 重新运行遍历整片晶圆的分析和统计
+     * 每次都遍历全部芯片，接收实时数据时推迟到数据流暂停或结束后
+     */
+    updateWaferAnalyses() {
+        if (this.circleGrid && this.circleGrid.dies) {
+            this.updateSignature();
+            this.updateDiffStats();
+            this.updateZonalYield();
+            this.updateClusters();
+            this.updateReticleMap();
+            this.updateProbeCardPanel();
+        }
+    }
+    
+    /**
+     * 更新打点统计 (只在设置了打点规则时显示)，并刷新打点规则面板
+     * @param {Object} stats - CircleGrid.getYieldStats() 的结果
+     */
+    updateInkStats(stats) {
+        const rules = this.circleGrid.inkRules;
+        const inkInfoElement = document.getElementById("inkInfo");
+        const inkCountElement = document.getElementById("inkCount");
+        if (inkInfoElement && inkCountElement) {
+            inkInfoElement.hidden = rules.length === 0;
+            inkCountElement.textContent =
+                `${stats.inked} (良率 ${(stats.yield * 100).toFixed(2)}% → ${(stats.inkedYield * 100).toFixed(2)}%)`;
+            inkCountElement.title = rules
+                .map((rule, i) => `${rule.name}: ${stats.inkedByRule[i]}个`)
+                .join('\n');
+        }
+        if (this.inkPanel) {
+            this.inkPanel.sync(rules, stats);
+        }
+    }
+    
+    /**
+     * 识别当前晶圆的失效特征并显示在信息面板 (叠加图和差异图不识别)
+     * 结果记在批次的晶圆上，晶圆选择框中显示识别到的特征
+     */
+    updateSignature() {
+        const signatureElement = document.getElementById("signature");
+        if (!signatureElement) return;
+        const wafer = this.lot ? this.lot.getCurrent() : null;
+        if (WaferLot.DERIVED_SOURCES.includes(this.circleGrid.dataSource)) {
+            signatureElement.textContent = '-';
+            signatureElement.title = '叠加图和差异图不识别失效特征';
+            return;
+        }
+        try {
+            const signature = SignatureClassifier.analyze(this.circleGrid);
+            signatureElement.textContent = signature.type === 'none'
+                ? signature.name
+                : `${signature.name} (${(signature.confidence * 100).toFixed(0)}%)`;
+            signatureElement.title = Object.entries(signature.scores)
+                .sort((a, b) => b[1] - a[1])
+                .map(([type, score]) => `${SignatureClassifier.SIGNATURES[type].name}: ${score.toFixed(2)}`)
+                .join('\n');
+            if (wafer && wafer.circleGrid === this.circleGrid) {
+                const previous = wafer.signature;
+                wafer.signature = signature;
+                if (!previous || previous.type !== signature.type) {
+                    this.waferSelector.render();
+                }
+            }
+        } catch (error) {
+            console.error('识别失效特征失败:', error);
+            signatureElement.textContent = '-';
+            signatureElement.title = '';
+        }
+    }
+    
+    /**
+     * 修改当前晶圆的打点规则并重新打点 (切换到其他晶圆时沿用)
+     * 也可在控制台调用，例如 circleRenderer.setInkRules([{type: 'neighbours', minBad: 6}, 'edgeRing'])
+     * @param {Array<string|Object>} rules - 打点规则，见 InkRules.DEFAULTS；未指定时不修改规则
+     * @param {boolean} visible - 是否显示打点规则面板，未指定时不变
+     * @returns {boolean} 是否修改成功
+     */
+    setInkRules(rules, visible) {
+        try {
+            if (visible === true) {
+                this.inkPanel.show();
+            } else if (visible === false) {
+                this.inkPanel.hide();
+            }
+            if (rules !== undefined) {
+                if (WaferLot.DERIVED_SOURCES.includes(this.circleGrid.dataSource)) {
+                    throw new Error('叠加图和差异图不能打点');
+                }
+                const result = this.circleGrid.setInkRules(rules);
+                this.updateDieTiles(result);
+                console.log(`打点规则已更新，${result.indexes.length}个芯片的打点状态变化`);
+            }
+            this.updateBadDataStats();
+            return true;
+        } catch (error) {
+            console.error('修改打点规则失败:', error);
+            alert(`修改打点规则失败: ${error.message}`);
+            this.updateBadDataStats();
+            return false;
+        }
+    }
+    
+    /**
+     * 当前的分区良率设置
+     * @returns {{ringCount: number, sectorCount: number, shade: string}} 设置
+     */
+    getZonalYieldOptions() {
+        return {
+            ringCount: this.zonalYield.ringCount,
+            sectorCount: this.zonalYield.sectorCount,
+            shade: this.zoneShade
+        };
+    }
+    
+    /**
+     * 修改分区良率设置并刷新统计
+     * 也可在控制台调用，例如 circleRenderer.setZonalYield({visible: true, ringCount: 8, shade: 'rings'})
+     * @param {Object} options - 选项
+     * @param {boolean} options.visible - 是否显示面板
+     * @param {number} options.ringCount - 径向环数量 (1-20)
+     * @param {number} options.sectorCount - 扇区数量 (4为象限，8为八分区)
+     * @param {string} options.shade - 在晶圆图上着色的分区类型 ('none' 或 ZonalYield.ZONE_TYPES 中的类型)
+     * @returns {boolean} 是否修改成功
+     */
+    setZonalYield(options = {}) {
+        try {
+            if (options.shade !== undefined && options.shade !== 'none' && !ZonalYield.ZONE_TYPES[options.shade]) {
+                throw new Error(`未知的分区类型: ${options.shade}`);
+            }
+            this.zonalYield.configure(options);
+            if (options.shade !== undefined) {
+                this.zoneShade = options.shade;
+            }
+            if (options.visible === true) {
+                this.zonalYieldPanel.show();
+            } else if (options.visible === false) {
+                this.zonalYieldPanel.hide();
+            }
+            this.zonalYieldPanel.sync(this.getZonalYieldOptions());
+            this.updateZonalYield();
+            return true;
+        } catch (error) {
+            console.error('修改分区良率设置失败:', error);
+            alert(`修改分区良率设置失败: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * 按径向环、扇区和框选区域重新统计良率 (面板隐藏且不着色时跳过)
+     */
+    updateZonalYield() {
+        if (!this.zonalYieldPanel || !this.circleGrid || !this.circleGrid.dies) return;
+        if (!this.zonalYieldPanel.isVisible() && this.zoneShade === 'none') {
+            this.zonalResult = null;
+            return;
+        }
+        try {
+            this.zonalResult = this.zonalYield.compute(this.circleGrid, this.selection);
+            this.zonalYieldPanel.render(this.zonalResult);
+        } catch (error) {
+            console.error('统计分区良率失败:', error);
+            this.zonalResult = null;
+        }
+    }
+    
+    /**
+     * 当前的掩模设置
+     * @returns {{shotRows: number, shotCols: number, offsetRow: number, offsetCol: number, showShots: boolean}} 设置
+     */
+    getReticleOptions() {
+        return {
+            shotRows: this.reticle.shotRows,
+            shotCols: this.reticle.shotCols,
+            offsetRow: this.reticle.offsetRow,
+            offsetCol: this.reticle.offsetCol,
+            showShots: this.showShots
+        };
+    }
+    
+    /**
+     * 修改掩模设置并刷新曝光区域内的失效统计
+     * 也可在控制台调用，例如 circleRenderer.setReticle({visible: true, shotRows: 3, shotCols: 5, showShots: true})
+     * @param {Object} options - 选项
+     * @param {boolean} options.visible - 是否显示面板
+     * @param {number} options.shotRows - 每个曝光区域的芯片行数 (1-50)
+     * @param {number} options.shotCols - 每个曝光区域的芯片列数 (1-50)
+     * @param {number} options.offsetRow - 行偏移 (芯片数)
+     * @param {number} options.offsetCol - 列偏移 (芯片数)
+     * @param {boolean} options.showShots - 是否在晶圆图上绘制曝光区域边界
+     * @returns {boolean} 是否修改成功
+     */
+    setReticle(options = {}) {
+        try {
+            this.reticle.configure(options);
+            if (options.showShots !== undefined) {
+                this.showShots = Boolean(options.showShots);
+            }
+            if (options.visible === true) {
+                this.reticlePanel.show();
+            } else if (options.visible === false) {
+                this.reticlePanel.hide();
+            }
+            this.reticlePanel.sync(this.getReticleOptions());
+            this.updateReticleMap();
+            return true;
+        } catch (error) {
+            console.error('修改掩模设置失败:', error);
+            alert(`修改掩模设置失败: ${error.message}`);
+            this.reticlePanel.sync(this.getReticleOptions());
+            return false;
+        }
+    }
+    
+    /**
+     * 按曝光区域内的位置重新统计失效 (面板隐藏时跳过)
+     */
+    updateReticleMap() {
+        if (!this.reticlePanel || !this.circleGrid || !this.circleGrid.dies) return;
+        if (!this.reticlePanel.isVisible()) {
+            this.reticleResult = null;
+            return;
+        }
+        try {
+            this.reticleResult = this.reticle.compute(this.circleGrid);
+            this.reticlePanel.render(this.reticleResult);
+        } catch (error) {
+            console.error('统计曝光区域失效失败:', error);
+            this.reticleResult = null;
+        }
+    }
+    
+    /**
+     * 当前的探针卡设置 (没有探针卡时布局参数为默认值)
+     * @returns {Object} 设置 {enabled, siteRows, siteCols, stepping, offsetRow, offsetCol, touchdowns, path, colorBySite}
+     */
+    getProbeCardOptions() {
+        const card = this.circleGrid.probeCard || ProbeCard.normalize();
+        return {
+            enabled: Boolean(this.circleGrid.probeCard),
+            siteRows: card.siteRows,
+            siteCols: card.siteCols,
+            stepping: card.stepping,
+            offsetRow: card.offsetRow,
+            offsetCol: card.offsetCol,
+            touchdowns: this.probeTouchdowns,
+            path: this.probePath,
+            colorBySite: this.circleGrid.colorModes.mode === 'site'
+        };
+    }
+    
+    /**
+     * 修改当前晶圆的探针卡和显示设置 (切换到其他晶圆时沿用)
+     * 也可在控制台调用，例如 circleRenderer.setProbeCard({visible: true, enabled: true, siteRows: 2, siteCols: 4, colorBySite: true})，
+     * 自定义布局: circleRenderer.setProbeCard({enabled: true, sites: [{row: 0, col: 0}, {row: 0, col: 1}, {row: 1, col: 1}, {row: 1, col: 2}], stepCols: 2})
+     * @param {Object} options - 选项，探针卡参数见 ProbeCard.DEFAULTS (修改布局时未指定的步距恢复为布局的范围)
+     * @param {boolean} options.visible - 是否显示面板
+     * @param {boolean} options.enabled - 是否启用探针卡
+     * @param {boolean} options.touchdowns - 是否绘制触点分组
+     * @param {boolean} options.path - 是否绘制步进路径
+     * @param {boolean} options.colorBySite - 是否按Site着色 (取消时恢复按Bin着色)
+     * @returns {boolean} 是否修改成功
+     */
+    setProbeCard(options = {}) {
+        try {
+            if (options.visible === true) {
+                this.probeCardPanel.show();
+            } else if (options.visible === false) {
+                this.probeCardPanel.hide();
+            }
+            if (options.touchdowns !== undefined) {
+                this.probeTouchdowns = Boolean(options.touchdowns);
+            }
+            if (options.path !== undefined) {
+                this.probePath = Boolean(options.path);
+            }
+            
+            const keys = Object.keys(ProbeCard.DEFAULTS).filter(key => options[key] !== undefined);
+            if (options.enabled !== undefined || keys.length > 0) {
+                if (WaferLot.DERIVED_SOURCES.includes(this.circleGrid.dataSource)) {
+                    throw new Error('叠加图和差异图不能设置探针卡');
+                }
+                let config = null;
+                if (options.enabled !== false && (options.enabled || this.circleGrid.probeCard)) {
+                    config = { ...(this.circleGrid.probeCard || {}) };
+                    // 修改布局时改用新的布局，步距恢复为布局的范围 (除非同时指定)
+                    if (options.siteRows !== undefined || options.siteCols !== undefined || options.sites !== undefined) {
+                        config.sites = null;
+                        config.stepRows = null;
+                        config.stepCols = null;
+                    }
+                    for (const key of keys) {
+                        config[key] = options[key];
+                    }
+                }
+                if (this.circleGrid.setProbeCard(config)) {
+                    this.tileManager.rebuildTiles();
+                }
+                if (config) {
+                    const plan = this.circleGrid.probePlan;
+                    console.log(`探针卡已更新，触点${plan.count}次，${plan.uncovered}个芯片不属于任何触点`);
+                }
+            }
+            
+            if (options.colorBySite === true) {
+                this.setColorMode('site');
+            } else if (options.colorBySite === false && this.circleGrid.colorModes.mode === 'site') {
+                this.setColorMode('bin');
+            }
+            this.updateProbeCardPanel();
+            return true;
+        } catch (error) {
+            console.error('修改探针卡失败:', error);
+            alert(`修改探针卡失败: ${error.message}`);
+            this.updateProbeCardPanel();
+            return false;
+        }
+    }
+    
+    /**
+     * 刷新探针卡面板 (面板隐藏时跳过Site良率统计)
+     */
+    updateProbeCardPanel() {
+        if (!this.probeCardPanel || !this.circleGrid || !this.circleGrid.dies) return;
+        const plan = this.circleGrid.probePlan;
+        const stats = plan && this.probeCardPanel.isVisible() ? ProbeCard.getSiteStats(this.circleGrid) : null;
+        this.probeCardPanel.sync(this.getProbeCardOptions(), plan, stats);
+    }
+    
+    /**
+     * 叠加层绘制的探针卡触点
+     * @returns {Object|null} {card, plan, touchdowns, path}，没有探针卡或都不绘制时为null
+     */
+    getProbing() {
+        const plan = this.circleGrid.probePlan;
+        if (!plan || (!this.probeTouchdowns && !this.probePath)) return null;
+        return { card: this.circleGrid.probeCard, plan, touchdowns: this.probeTouchdowns, path: this.probePath };
+    }
+    
+    /**
+     * 在晶圆图上着色的分区
+     * @returns {Array<Object>|null} 分区，不着色时为null
+     */
+    getShadedZones() {
+        if (this.zoneShade === 'none' || !this.zonalResult) return null;
+        const zones = this.zonalResult[this.zoneShade];
+        if (!zones) return null;
+        return Array.isArray(zones) ? zones : [zones];
+    }
+    
+    /**
+     * 当前的失效簇检测设置
+     * @returns {{connectivity: number, minSize: number, viewOnly: boolean}} 设置
+     */
+    getClusterOptions() {
+        return {
+            connectivity: this.clusterDetector.connectivity,
+            minSize: this.clusterDetector.minSize,
+            viewOnly: this.clusterViewOnly
+        };
+    }
+    
+    /**
+     * 修改失效簇检测设置并重新检测
+     * 也可在控制台调用，例如 circleRenderer.setClusterDetection({visible: true, connectivity: 4, minSize: 5})
+     * @param {Object} options - 选项
+     * @param {boolean} options.visible - 是否显示面板
+     * @param {number} options.connectivity - 连通方式 (4或8)
+     * @param {number} options.minSize - 最小簇大小
+     * @param {boolean} options.viewOnly - 是否只列出视图内的簇
+     * @returns {boolean} 是否修改成功
+     */
+    setClusterDetection(options = {}) {
+        try {
+            this.clusterDetector.configure(options);
+            if (options.viewOnly !== undefined) {
+                this.clusterViewOnly = Boolean(options.viewOnly);
+            }
+            if (options.visible === true) {
+                this.clusterPanel.show();
+            } else if (options.visible === false) {
+                this.clusterPanel.hide();
+            }
+            this.clusterPanel.sync(this.getClusterOptions());
+            this.updateClusters();
+            return true;
+        } catch (error) {
+            console.error('修改失效簇检测设置失败:', error);
+            alert(`修改失效簇检测设置失败: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * 重新检测失效簇 (面板隐藏时清除结果)
+     * 选中的簇在重新检测后按其中的芯片找回，找不到时取消选中
+     */
+    updateClusters() {
+        if (!this.clusterPanel || !this.circleGrid || !this.circleGrid.dies) return;
+        if (!this.clusterPanel.isVisible()) {
+            this.clusterResult = null;
+            this.selectedCluster = null;
+            return;
+        }
+        try {
+            const previous = this.selectedCluster;
+            this.clusterResult = this.clusterDetector.detect(this.circleGrid);
+            this.selectedCluster = previous
+                ? this.clusterResult.clusters.find(cluster => cluster.indexes.includes(previous.indexes[0])) || null
+                : null;
+            this.clusterPanel.render(
+                this.clusterResult,
+                this.selectedCluster ? this.selectedCluster.id : null,
+                this.camera.getViewBounds()
+            );
+        } catch (error) {
+            console.error('检测失效簇失败:', error);
+            this.clusterResult = null;
+            this.selectedCluster = null;
+        }
+    }
+    
+    /**
+     * 选中失效簇: 在晶圆图上高亮并将视图定位到簇的范围
+     * 也可在控制台调用，例如 circleRenderer.selectCluster(1)
+     * @param {number} id - 簇编号 (按评分从1开始)，为null时取消选中
+     * @returns {boolean} 是否选中
+     */
+    selectCluster(id) {
+        if (!this.clusterResult) {
+            this.setClusterDetection({ visible: true });
+        }
+        const cluster = id !== null && this.clusterResult
+            ? this.clusterResult.clusters.find(item => item.id === id) || null
+            : null;
+        this.selectedCluster = cluster;
+        if (cluster) {
+            this.camera.fitBounds(cluster.bounds);
+            console.log(`选中失效簇#${cluster.id}: ${cluster.size}个芯片，密度${(cluster.density * 100).toFixed(0)}%`);
+        }
+        if (this.clusterResult) {
+            this.clusterPanel.render(this.clusterResult, cluster ? cluster.id : null, this.camera.getViewBounds());
+        }
+        return cluster !== null;
+    }
+    
+    /**
+     * 更新差异图的分类统计 (只在显示差异图时显示)
+     */
+    updateDiffStats() {
+        const diffInfoElement = document.getElementById("diffInfo");
+        const diffCountElement = document.getElementById("diffCount");
+        if (!diffInfoElement || !diffCountElement) return;
+        
+        const wafer = this.lot ? this.lot.getCurrent() : null;
+        const diffMap = wafer && wafer.circleGrid === this.circleGrid ? wafer.diffMap : null;
+        diffInfoElement.hidden = !diffMap;
+        if (!diffMap) return;
+        
+        const counts = diffMap.getCounts();
+        diffCountElement.textContent =
+            `良→坏 ${counts.goodToBad} / 坏→良 ${counts.badToGood} / Bin变化 ${counts.binChanged} / 未变化 ${counts.unchanged}`;
+        diffCountElement.title = counts.unmatched > 0
+            ? `${counts.unmatched}个芯片位置只在一片晶圆上存在，未计入`
+            : '';
+    }
+    
+    /**
+     * 修改良率统计规则并刷新统计
+     * 也可在控制台调用，例如 circleRenderer.setYieldRule({includePartial: true})
+     * @param {Object} options - 选项，见 CircleGrid.setYieldRule()
+     * @returns {boolean} 是否修改成功
+     */
+    setYieldRule(options = {}) {
+        try {
+            this.circleGrid.setYieldRule(options);
+            // 边缘环打点按计入统计的芯片计算
+            if (this.circleGrid.inkRules.length > 0) {
+                this.updateDieTiles(this.circleGrid.applyInk());
+            }
+            this.updateBadDataStats();
+            return true;
+        } catch (error) {
+            console.error('修改良率统计规则失败:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * 修改当前晶圆中部分芯片的bin或测量值 (例如实时测试结果)，不重新生成网格，
+     * 只重新统计包含这些芯片的LOD瓦片
+     * 也可在控制台调用，例如 circleRenderer.updateDies([{ x: 3, y: -2, bin: 7 }, { index: 100, values: { leakage: 1.2 } }])
+     * @param {Array<Object>} updates - 更新列表，芯片由 index (芯片存储中的索引) 或 x/y (芯片索引坐标) 指定，
+     *   bin 为新的bin编码，values 为 {通道名: 数值，null表示清除}
+     * @returns {boolean} 是否更新成功
+     */
+    updateDies(updates) {
+        try {
+            // 叠加图和差异图由批次中的晶圆计算得到，修改后与来源晶圆不一致
+            if (WaferLot.DERIVED_SOURCES.includes(this.circleGrid.dataSource)) {
+                throw new Error('叠加图和差异图不能修改芯片');
+            }
+            if (!Array.isArray(updates)) {
+                updates = [updates];
+            }
+            const resolved = updates.map((update) => {
+                if (update.index !== undefined) {
+                    return update;
+                }
+                const index = this.circleGrid.findDie(update.x, update.y);
+                if (index < 0) {
+                    throw new Error(`芯片坐标 (${update.x}, ${update.y}) 处没有芯片`);
+                }
+                return { ...update, index };
+            });
+            
+            const indexes = this.applyDieUpdates(resolved);
+            console.log(`更新了${indexes.length}个芯片`);
+            this.updateBadDataStats();
+            this.legendPanel.render();
+            return true;
+        } catch (error) {
+            console.error('更新芯片失败:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * 将已定位的芯片更新应用到当前晶圆，并增量更新LOD瓦片
+     * (不更新统计和图例面板，由调用方决定刷新频率)
+     * @param {Array<Object>} updates - 更新列表，见 CircleGrid.updateDies()
+     * @param {Object} options - 选项，见 CircleGrid.updateDies()
+     * @returns {Array<number>} 修改的芯片索引
+     */
+    applyDieUpdates(updates, options = {}) {
+        const result = this.circleGrid.updateDies(updates, options);
+        this.updateDieTiles(result);
+        return result.indexes;
+    }
+    
+    /**
+     * 芯片颜色变化后更新LOD瓦片: 重新着色了全部芯片时完整重建，否则只重新统计包含这些芯片的瓦片
+     * @param {{indexes: Array<number>, recoloredAll: boolean}} result - CircleGrid.updateDies() 或 applyInk() 的结果
+     */
+    updateDieTiles(result) {
+        if (result.recoloredAll) {
+            // 新的测量值通道需要出现在颜色模式面板中
+            this.tileManager.rebuildTiles();
+            this.colorModePanel.sync();
+        } else if (result.indexes.length > 0) {
+            this.tileManager.updateDies(result.indexes);
+        }
+    }
+    
+    /**
+     * 连接测试机的实时数据流，收到的芯片结果应用到当前晶圆
+     * 也可在控制台调用，例如 circleRenderer.startStream('ws://localhost:8765')
+     * @param {string} url - WebSocket地址
+     * @returns {boolean} 是否开始连接
+     */
+    startStream(url) {
+        try {
+            if (WaferLot.DERIVED_SOURCES.includes(this.circleGrid.dataSource)) {
+                throw new Error('叠加图和差异图不能接收实时数据');
+            }
+            this.stopStream();
+            this.dieStream = new DieStream(url, () => this.updateStreamInfo());
+            // 数据流绑定到连接时的晶圆，切换到其他晶圆时结果留在队列中
+            this.streamWafer = this.lot.getCurrent();
+            this.streamSkipped = 0;
+            this.streamStatsTime = 0;
+            this.streamChanged = false;
+            // 最近一次应用结果的时间，以及是否有推迟的整片分析
+            this.streamResultTime = 0;
+            this.streamAnalysisPending = false;
+            this.dieStream.connect();
+            return true;
+        } catch (error) {
+            console.error('连接数据流失败:', error);
+            alert(`连接数据流失败: ${error.message}`);
+            this.dieStream = null;
+            this.updateStreamInfo();
+            return false;
+        }
+    }
+    
+    /**
+     * 断开实时数据流
+     */
+    stopStream() {
+        if (this.dieStream) {
+            if (this.streamAnalysisPending && this.isStreamWaferShown()) {
+                this.finishStreamUpdates();
+            }
+            this.dieStream.disconnect();
+            this.dieStream = null;
+            this.streamWafer = null;
+        }
+        this.recentDies.clear();
+        this.updateStreamInfo();
+    }
+    
+    /**
+     * 应用数据流队列中的芯片结果 (每帧调用一次)
+     * 一帧内到达的结果一次应用，积压较多时 TileManager 自动改为完整重建；
+     * 良率计数和图例面板限制刷新频率，整片分析推迟到数据流暂停 (DieStream.ANALYSIS_DELAY) 或测试结束后
+     */
+    applyStreamResults() {
+        const now = performance.now();
+        // 移除高亮已结束的芯片 (按最近测出的时间排列)
+        for (const [index, time] of this.recentDies) {
+            if (now - time < WaferOverlay.HIGHLIGHT_DURATION) break;
+            this.recentDies.delete(index);
+        }
+        
+        const stream = this.dieStream;
+        if (!stream) return;
+        if (stream.backlog > 0 && this.isStreamWaferShown()) {
+            try {
+                const updates = [];
+                for (const result of stream.takePending()) {
+                    const index = this.circleGrid.findDie(result.x, result.y);
+                    if (index < 0) {
+                        this.streamSkipped++;
+                        continue;
+                    }
+                    updates.push({ index, bin: result.bin, values: result.values });
+                }
+                if (updates.length > 0) {
+                    // 重新打点与整片分析一起推迟
+                    for (const index of this.applyDieUpdates(updates, { deferInk: true })) {
+                        this.recentDies.delete(index);
+                        this.recentDies.set(index, now);
+                    }
+                    this.streamChanged = true;
+                    this.streamResultTime = now;
+                    this.streamAnalysisPending = true;
+                }
+            } catch (error) {
+                console.error('应用实时数据失败:', error);
+            }
+        }
+        
+        if (now - this.streamStatsTime > 500) {
+            this.streamStatsTime = now;
+            if (this.streamChanged) {
+                this.streamChanged = false;
+                this.updateYieldCounts();
+                this.legendPanel.render();
+            }
+            const quiet = stream.status === 'ended' || now - this.streamResultTime > DieStream.ANALYSIS_DELAY;
+            if (this.streamAnalysisPending && quiet && stream.backlog === 0 && this.isStreamWaferShown()) {
+                this.finishStreamUpdates();
+            }
+            this.updateStreamInfo();
+        }
+    }
+    
+    /**
+     * 运行接收实时数据时推迟的重新打点和整片分析
+     */
+    finishStreamUpdates() {
+        this.streamAnalysisPending = false;
+        try {
+            if (this.circleGrid.inkStale) {
+                this.updateDieTiles(this.circleGrid.applyInk());
+            }
+        } catch (error) {
+            console.error('重新打点失败:', error);
+        }
+        this.updateBadDataStats();
+    }
+    
+    /**
+     * 当前是否显示数据流绑定的晶圆 (晶圆的网格被释放后重新生成时仍然绑定，
+     * 收到结果后晶圆被标记为修改过，不再释放网格)
+     * @returns {boolean} 是否显示
+     */
+    isStreamWaferShown() {
+        const wafer = this.streamWafer;
+        return !!wafer && this.lot.getCurrent() === wafer && wafer.circleGrid === this.circleGrid;
+    }
+    
+    /**
+     * 更新数据流的连接状态和接收统计
+     */
+    updateStreamInfo() {
+        const stream = this.dieStream;
+        const streamInfoElement = document.getElementById("streamInfo");
+        const streamStatusElement = document.getElementById("streamStatus");
+        const toggleButton = document.getElementById("streamToggle");
+        if (toggleButton) {
+            toggleButton.textContent = stream ? '断开数据流' : '连接数据流';
+        }
+        if (!streamInfoElement || !streamStatusElement) return;
+        
+        streamInfoElement.hidden = !stream;
+        if (!stream) return;
+        streamStatusElement.textContent =
+            `${DieStream.STATUS_NAMES[stream.status]} 已收${stream.received} 待处理${stream.backlog}`;
+        streamStatusElement.title =
+            `${stream.url}\n无效结果${stream.invalid}个，重复消息${stream.duplicates}条，` +
+            `不在晶圆上的芯片${this.streamSkipped}个`;
+    }
+    
+    /**
+     * 获取导出文件的基本名称 (当前晶圆名称，去掉扩展名和文件名中不允许的字符)
+     * @returns {string} 文件名 (不含扩展名)
+     */
+    getExportName() {
+        const wafer = this.lot ? this.lot.getCurrent() : null;
+        const name = (wafer && wafer.name) || this.circleGrid.sourceName || 'wafer-map';
+        return name.replace(/\.[^.]+$/, '').replace(/[\\/:*?"<>|\s]+/g, '_');
+    }
+    
+    /**
+     * 导出当前晶圆的芯片数据
+     * 也可在控制台调用，例如 circleRenderer.exportData('json', 'view')
+     * @param {string} format - 'csv' 或 'json'
+     * @param {string} scope - 'all' (全部芯片)、'view' (当前视图内) 或 'selection' (框选范围内)
+     * @returns {boolean} 是否导出成功
+     */
+    exportData(format = 'csv', scope = 'all') {
+        try {
+            if (format !== 'csv' && format !== 'json') {
+                throw new Error(`不支持的导出格式: ${format}`);
+            }
             
-            // 设置事件监听器
-            this.setupEventListeners();
+            let bounds = null;
+            if (scope === 'view') {
+                bounds = this.camera.getViewBounds();
+            } else if (scope === 'selection') {
+                if (!this.selection) {
+                    throw new Error('没有框选范围，请按住Shift拖动框选芯片');
+                }
+                bounds = this.selection;
+            } else if (scope !== 'all') {
+                throw new Error(`未知的导出范围: ${scope}`);
+            }
             
-            // 启动渲染循环
-            console.log('启动渲染循环');
-            // 使用requestAnimationFrame启动渲染循环
-            this.lastFrameTime = performance.now();
-            this.animate();
+            const indexes = DataExporter.collect(this.circleGrid, bounds);
+            if (indexes.length === 0) {
+                throw new Error('导出范围内没有芯片');
+            }
             
-            console.log('圆形渲染器初始化完成');
+            const fileName = `${this.getExportName()}.${format}`;
+            if (format === 'json') {
+                DataExporter.download(DataExporter.toJSON(this.circleGrid, indexes), fileName, 'application/json');
+            } else {
+                DataExporter.download(DataExporter.toCSV(this.circleGrid, indexes), fileName, 'text/csv');
+            }
+            console.log(`导出了${indexes.length}个芯片到${fileName}`);
+            return true;
         } catch (error) {
-            console.error('网格初始化错误:', error);
-            this.showError(error.message);
+            console.error('导出数据失败:', error);
+            alert(`导出数据失败: ${error.message}`);
+            return false;
         }
     }
     
     /**
-     * 更新坏数据统计
+     * 将当前视图导出为PNG图片 (含晶圆轮廓、图例和比例尺)
+     * 也可在控制台调用，例如 circleRenderer.exportImage(8000, 6000)
+     * @param {number} width - 图片宽度 (像素)，默认为画布像素宽度的2倍
+     * @param {number} height - 图片高度 (像素)，默认按视图长宽比计算
+     * @returns {Promise<boolean>} 是否导出成功
      */
-    updateBadDataStats() {
-        if (this.circleGrid && this.circleGrid.blocks) {
-            let badDataCount = 0;
-            for (const block of this.circleGrid.blocks) {
-                if (block.isBadData) {
-                    badDataCount++;
+    async exportImage(width = 0, height = 0) {
+        try {
+            if (!this.imageExporter) {
+                this.imageExporter = new ImageExporter(this.renderer);
+            }
+            const outputWidth = Math.round(width || this.canvas.width * 2);
+            const outputHeight = Math.round(height || (outputWidth * this.canvas.height) / this.canvas.width);
+            const canvas = this.imageExporter.render(
+                this.circleGrid,
+                this.tileManager,
+                this.camera.getViewBounds(),
+                outputWidth,
+                outputHeight,
+                { title: this.lot && this.lot.getCurrent() ? this.lot.getCurrent().name : this.circleGrid.sourceName }
+            );
+            const blob = await ImageExporter.toBlob(canvas);
+            DataExporter.download(blob, `${this.getExportName()}.png`);
+            return true;
+        } catch (error) {
+            console.error('导出图片失败:', error);
+            alert(`导出图片失败: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * 将当前视图导出为SVG矢量图 (含晶圆轮廓、图例，可选芯片标签)
+     * 也可在控制台调用，例如 circleRenderer.exportSVG({ level: 5, labels: true })
+     * @param {Object} options - 选项 {level: LOD级别 (默认按输出分辨率选择), labels: 是否标注芯片索引坐标, width: 输出宽度}
+     * @returns {boolean} 是否导出成功
+     */
+    exportSVG(options = {}) {
+        try {
+            if (!this.svgExporter) {
+                this.svgExporter = new SvgExporter();
+            }
+            const svg = this.svgExporter.render(
+                this.circleGrid,
+                this.tileManager,
+                this.camera.getViewBounds(),
+                {
+                    title: this.lot && this.lot.getCurrent() ? this.lot.getCurrent().name : this.circleGrid.sourceName,
+                    ...options
                 }
+            );
+            DataExporter.download(svg, `${this.getExportName()}.svg`, 'image/svg+xml');
+            return true;
+        } catch (error) {
+            console.error('导出SVG失败:', error);
+            alert(`导出SVG失败: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * 从URL参数读取生成选项，例如 ?seed=42&patterns=edgeRing,scratch
+     * @returns {Object} 生成选项 {seed, patterns}
+     */
+    getUrlGeneratorOptions() {
+        const params = new URLSearchParams(window.location.search);
+        const options = {};
+        if (params.has('seed')) {
+            const seed = params.get('seed');
+            options.seed = /^\d+$/.test(seed) ? Number(seed) : seed;
+        }
+        if (params.get('patterns')) {
+            options.patterns = params.get('patterns')
+                .split(',')
+                .map((type) => type.trim())
+                .filter((type) => type !== '');
+        }
+        return options;
+    }
+    
+    /**
+     * 使用新的随机种子和失效图形重新生成晶圆图
+     * 也可在控制台调用，例如 circleRenderer.regenerate({seed: 42, patterns: ['edgeRing', {type: 'scratch', count: 3}]})
+     * @param {Object} options - 生成选项，见 CircleGrid.setGeneratorOptions()
+     * @returns {Promise<boolean>} 是否生成成功
+     */
+    async regenerate(options = {}) {
+        try {
+            if (WaferLot.DERIVED_SOURCES.includes(this.circleGrid.dataSource)) {
+                throw new Error('叠加图和差异图不能重新生成，请先选择一片晶圆');
             }
+            const fromFile = this.circleGrid.dataSource === 'file';
+            this.circleGrid.setGeneratorOptions(options);
             
-            const totalBlocks = this.circleGrid.blocks.length;
-            const badDataPercentage = ((badDataCount / totalBlocks) * 100).toFixed(2);
+            // 生成期间在数据来源处显示进度
+            const dataSourceElement = document.getElementById("dataSource");
+            const completed = await this.generateGrid((progress) => {
+                if (dataSourceElement) {
+                    dataSourceElement.textContent = `正在生成... ${Math.round(progress * 100)}%`;
+                }
+            });
+            if (!completed) {
+                return false;
+            }
+            if (fromFile) {
+                this.camera.reset();
+            }
+            // 文件晶圆重新生成后成为随机晶圆
+            const wafer = this.lot.getCurrent();
+            if (wafer && wafer.circleGrid === this.circleGrid) {
+                wafer.source = this.circleGrid.dataSource;
+            }
+            this.updateBadDataStats();
+            this.legendPanel.refresh();
+            this.colorModePanel.sync();
+            this.updateColorModeInfo();
+            this.updateGeneratorInfo();
+            return true;
+        } catch (error) {
+            console.error('重新生成晶圆图失败:', error);
+            alert(`重新生成失败: ${error.message}`);
+            return false;
+        }
+    }
+    
+    /**
+     * 同步生成参数控件和数据来源显示
+     */
+    updateGeneratorInfo() {
+        const seedInput = document.getElementById("seedInput");
+        if (seedInput) {
+            seedInput.value = this.circleGrid.seed;
+        }
+        
+        const patternSelect = document.getElementById("patternSelect");
+        if (patternSelect) {
+            const types = this.circleGrid.defectPatterns.map((pattern) => pattern.type);
+            const allTypes = Object.keys(DefectPatterns.DEFAULTS);
+            patternSelect.innerHTML = '';
+            patternSelect.appendChild(new Option('均匀噪声', ''));
+            for (const type of allTypes) {
+                patternSelect.appendChild(new Option(DefectPatterns.DEFAULTS[type].name, type));
+            }
+            patternSelect.appendChild(new Option('全部图形', 'all'));
             
-            // 更新UI显示
-            const badDataCountElement = document.getElementById("badDataCount");
-            if (badDataCountElement) {
-                badDataCountElement.textContent = `${badDataCount} (${badDataPercentage}%)`;
+            if (types.length === 0) {
+                patternSelect.value = '';
+            } else if (types.length === 1) {
+                patternSelect.value = types[0];
+            } else if (types.length === allTypes.length && allTypes.every((type) => types.includes(type))) {
+                patternSelect.value = 'all';
+            } else {
+                // 其他组合 (来自URL或API) 保留当前配置
+                patternSelect.appendChild(new Option(`自定义 (${types.length}种)`, 'custom'));
+                patternSelect.value = 'custom';
+            }
+        }
+        
+        const dataSourceElement = document.getElementById("dataSource");
+        if (dataSourceElement && this.circleGrid.dataSource === 'random') {
+            dataSourceElement.textContent = `随机生成 (种子 ${this.circleGrid.seed})`;
+            dataSourceElement.title = this.circleGrid.defectPatterns
+                .map((pattern) => DefectPatterns.DEFAULTS[pattern.type].name)
+                .join('、');
+        } else if (dataSourceElement) {
+            // 文件数据显示文件名和跳过的记录
+            const wafer = this.lot ? this.lot.getCurrent() : null;
+            const errors = wafer && wafer.circleGrid === this.circleGrid ? wafer.loadErrors : [];
+            const name = this.circleGrid.sourceName;
+            dataSourceElement.textContent = errors.length > 0
+                ? `${name} (跳过${errors.length}处)`
+                : name;
+            dataSourceElement.title = errors
+                .slice(0, 20)
+                .map((error) => this.formatLoadError(error))
+                .join('\n');
+        }
+    }
+    
+    /**
+     * bin图例被编辑后，重新着色并重建LOD瓦片
+     */
+    onBinLegendChange() {
+        try {
+            this.circleGrid.applyBinLegend();
+            this.tileManager.rebuildTiles();
+            this.updateBadDataStats();
+            this.legendPanel.render();
+        } catch (error) {
+            console.error('更新bin图例失败:', error);
+        }
+    }
+    
+    /**
+     * 切换颜色模式，重新着色并重建LOD瓦片 (不重新生成网格)
+     * 也可在控制台通过 window.circleRenderer.setColorMode('radial') 调用
+     * @param {string} mode - 颜色模式 (bin、radial、angular、value、density)
+     * @param {Object} options - 选项，见 ColorModes.setMode()
+     * @returns {boolean} 是否切换成功
+     */
+    setColorMode(mode, options = {}) {
+        try {
+            this.circleGrid.setColorMode(mode, options);
+            this.tileManager.rebuildTiles();
+            return true;
+        } catch (error) {
+            console.error('切换颜色模式失败:', error);
+            return false;
+        } finally {
+            this.colorModePanel.sync();
+            this.updateColorModeInfo();
+            this.updateProbeCardPanel();
+        }
+    }
+    
+    /**
+     * 依次切换到下一个颜色模式 (没有测量值时跳过测量值模式，没有探针卡时跳过按Site着色)
+     */
+    cycleColorMode() {
+        const modes = Object.keys(ColorModes.MODES).filter(
+            (mode) => (mode !== 'value' || this.circleGrid.valueChannels.length > 0) &&
+                (mode !== 'site' || this.circleGrid.probeCard)
+        );
+        const index = modes.indexOf(this.circleGrid.colorModes.mode);
+        this.setColorMode(modes[(index + 1) % modes.length]);
+    }
+    
+    /**
+     * 在信息面板显示当前颜色模式
+     */
+    updateColorModeInfo() {
+        const colorModeElement = document.getElementById("colorMode");
+        if (colorModeElement) {
+            const colorModes = this.circleGrid.colorModes;
+            const name = ColorModes.MODES[colorModes.mode].name;
+            colorModeElement.textContent = colorModes.mode === 'value'
+                ? `${name} (${colorModes.channel})`
+                : name;
+        }
+    }
+    
+    /**
+     * 修改芯片索引坐标系
+     * 也可在控制台调用，例如 circleRenderer.setCoordinateSystem({originRow: 20, originCol: 20, yDirection: 'up'})
+     * @param {Object} options - 选项，见 DieCoordinates.configure()
+     * @returns {boolean} 是否修改成功
+     */
+    setCoordinateSystem(options = {}) {
+        try {
+            const orientation = this.circleGrid.coordinates.orientation;
+            this.circleGrid.setCoordinateSystem(options);
+            // 随机数据的缺口和平边位置随缺口方向变化，需要重新生成
+            if (this.circleGrid.dataSource === 'random' && this.circleGrid.coordinates.orientation !== orientation) {
+                this.regenerate();
             }
+            return true;
+        } catch (error) {
+            console.error('修改坐标系失败:', error);
+            return false;
+        } finally {
+            this.coordinatePanel.sync();
+            this.updateHoveredDie();
+        }
+    }
+    
+    /**
+     * 修改晶圆几何参数 (毫米)，随机数据时重新生成晶圆图
+     * 也可在控制台调用，例如 circleRenderer.setWaferGeometry({pitchX: 0.4, pitchY: 0.25, scribeX: 0.05, mark: 'flat'})
+     * @param {Object} options - 参数，见 WaferGeometry.DEFAULTS
+     * @returns {Promise<boolean>} 是否修改成功
+     */
+    async setWaferGeometry(options = {}) {
+        try {
+            this.circleGrid.geometry.configure(options);
+        } catch (error) {
+            console.error('修改晶圆几何参数失败:', error);
+            return false;
+        }
+        if (this.circleGrid.dataSource !== 'random') {
+            console.log('当前为文件数据，几何参数将在下次随机生成时生效');
+            return true;
+        }
+        return this.regenerate();
+    }
+    
+    /**
+     * 在信息面板显示鼠标下芯片的索引坐标
+     * @param {Object} pointer - 鼠标相对Canvas的位置 {x, y}，未指定时使用上一次的位置
+     */
+    updateHoveredDie(pointer = this.hoverPointer) {
+        this.hoverPointer = pointer;
+        const dieIndexElement = document.getElementById("dieIndex");
+        if (!dieIndexElement) return;
+        
+        const index = this.getDieAtPointer(pointer);
+        if (index < 0) {
+            dieIndexElement.textContent = '-';
+            return;
+        }
+        const dies = this.circleGrid.dies;
+        const dieIndex = this.circleGrid.getDieIndex(index);
+        dieIndexElement.textContent = `X ${dieIndex.x}, Y ${dieIndex.y} (Bin ${dies.bin[index]})`;
+    }
+    
+    /**
+     * 查找鼠标下的芯片
+     * @param {Object} pointer - 鼠标相对Canvas的位置 {x, y}
+     * @returns {number} 芯片索引，没有芯片时返回-1
+     */
+    getDieAtPointer(pointer) {
+        if (!pointer || !this.tileManager) {
+            return -1;
         }
+        const world = this.camera.screenToWorld(pointer.x, pointer.y);
+        return this.tileManager.getDieAt(world.x, world.y);
     }
     
     /**
      * 显示加载消息
      * @param {string} message - 加载消息
+     * @param {number} progress - 进度 (0-1)，未指定时只显示空进度条
      */
-    showLoadingMessage(message) {
+    showLoadingMessage(message, progress = null) {
         // 避免在已经获取过WebGL上下文后再获取2D上下文
-        if (this.renderer && this.renderer.gl) {
+        // (渲染器使用离屏Canvas时，显示Canvas仍是2D上下文)
+        if (this.renderer && this.renderer.gl && !this.renderer.useOffscreenCanvas) {
             console.log('WebGL上下文已存在，跳过2D加载消息');
             return;
         }
@@ -187,7 +1799,8 @@ class CircleRenderer {
             ctx.fillStyle = '#ffffff';
             ctx.font = `${fontSize}px Arial`;
             ctx.textAlign = 'center';
-            ctx.fillText(message, this.canvas.width / 2, this.canvas.height / 2);
+            const text = progress === null ? message : `${message} ${Math.round(progress * 100)}%`;
+            ctx.fillText(text, this.canvas.width / 2, this.canvas.height / 2);
             
             // 绘制加载进度条
             const barWidth = 200 * pixelRatio;
@@ -195,7 +1808,7 @@ class CircleRenderer {
             ctx.fillStyle = '#3a3a3a';
             ctx.fillRect(this.canvas.width / 2 - barWidth / 2, this.canvas.height / 2 + fontSize + 10, barWidth, barHeight);
             ctx.fillStyle = '#4a90e2';
-            ctx.fillRect(this.canvas.width / 2 - barWidth / 2, this.canvas.height / 2 + fontSize + 10, barWidth * Math.random(), barHeight);
+            ctx.fillRect(this.canvas.width / 2 - barWidth / 2, this.canvas.height / 2 + fontSize + 10, barWidth * (progress || 0), barHeight);
         }
     }
     
@@ -286,6 +1899,10 @@ class CircleRenderer {
 
       this.canvas.addEventListener("mousedown", (e) => {
         e.preventDefault(); // 防止文本选择等默认行为
+        // 按住Shift时为框选，不平移
+        if (e.shiftKey) {
+          return;
+        }
 
         // 确保初始化lastMoveTime
         lastMoveTime = performance.now();
@@ -343,10 +1960,281 @@ class CircleRenderer {
         }
       });
 
+      // 切换颜色模式按钮
+      document.getElementById("toggleColorMode").addEventListener("click", () => {
+        this.cycleColorMode();
+      });
+
+      // 重新生成按钮，使用输入的种子和选择的失效图形
+      document.getElementById("regenerate").addEventListener("click", () => {
+        const seedText = document.getElementById("seedInput").value.trim();
+        const patternType = document.getElementById("patternSelect").value;
+        const options = {};
+        if (seedText !== "") {
+          options.seed = Number(seedText);
+        }
+        if (patternType === "all") {
+          options.patterns = Object.keys(DefectPatterns.DEFAULTS);
+        } else if (patternType !== "custom") {
+          options.patterns = patternType ? [patternType] : [];
+        }
+        this.regenerate(options);
+      });
+
+      // 加载数据按钮，打开文件选择框
+      const fileInput = document.getElementById("dataFileInput");
+      document.getElementById("loadData").addEventListener("click", () => {
+        fileInput.click();
+      });
+
+      fileInput.addEventListener("change", () => {
+        if (fileInput.files.length > 0) {
+          this.loadDataFiles(fileInput.files);
+        }
+        // 清空选择，允许重复加载同一个文件
+        fileInput.value = "";
+      });
+
+      // 拖放文件到画布加载数据
+      this.canvas.addEventListener("dragover", (e) => {
+        e.preventDefault();
+        this.canvas.classList.add("drag-over");
+      });
+
+      this.canvas.addEventListener("dragleave", () => {
+        this.canvas.classList.remove("drag-over");
+      });
+
+      this.canvas.addEventListener("drop", (e) => {
+        e.preventDefault();
+        this.canvas.classList.remove("drag-over");
+        if (e.dataTransfer.files.length > 0) {
+          this.loadDataFiles(e.dataTransfer.files);
+        }
+      });
+
+      // 显示鼠标下芯片的索引坐标
+      const getPointer = (e) => {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+      };
+      this.canvas.addEventListener("mousemove", (e) => {
+        this.updateHoveredDie(getPointer(e));
+      });
+      this.canvas.addEventListener("mouseleave", () => {
+        this.updateHoveredDie(null);
+      });
+
+      // 双击芯片将其设为坐标原点
+      this.canvas.addEventListener("dblclick", (e) => {
+        const index = this.getDieAtPointer(getPointer(e));
+        if (index >= 0) {
+          const dies = this.circleGrid.dies;
+          this.setCoordinateSystem({ originRow: dies.row[index], originCol: dies.col[index] });
+        }
+      });
+
+      // 在叠加图中单击芯片，列出该位置上失效的晶圆 (拖动平移时不触发)
+      let clickStart = null;
+      this.canvas.addEventListener("mousedown", (e) => {
+        clickStart = { x: e.clientX, y: e.clientY };
+      });
+      this.canvas.addEventListener("click", (e) => {
+        if (!clickStart || Math.abs(e.clientX - clickStart.x) > 3 || Math.abs(e.clientY - clickStart.y) > 3) {
+          return;
+        }
+        this.showFailedWafers(getPointer(e));
+      });
+
+      // 按住Shift拖动框选芯片，Esc清除框选
+      let selectionStart = null;
+      this.canvas.addEventListener("mousedown", (e) => {
+        if (!e.shiftKey) {
+          return;
+        }
+        const pointer = getPointer(e);
+        selectionStart = this.camera.screenToWorld(pointer.x, pointer.y);
+        this.selection = null;
+      });
+      document.addEventListener("mousemove", (e) => {
+        if (!selectionStart) {
+          return;
+        }
+        const pointer = getPointer(e);
+        const world = this.camera.screenToWorld(pointer.x, pointer.y);
+        this.selection = {
+          left: Math.min(selectionStart.x, world.x),
+          right: Math.max(selectionStart.x, world.x),
+          bottom: Math.min(selectionStart.y, world.y),
+          top: Math.max(selectionStart.y, world.y),
+        };
+      });
+      document.addEventListener("mouseup", () => {
+        if (selectionStart && this.selection) {
+          const count = DataExporter.collect(this.circleGrid, this.selection).length;
+          console.log(`框选了${count}个芯片`);
+        }
+        if (selectionStart) {
+          this.updateZonalYield();
+        }
+        selectionStart = null;
+      });
+
+      // 导出数据按钮，按选择的格式和范围导出芯片
+      document.getElementById("exportData").addEventListener("click", () => {
+        this.exportData(
+          document.getElementById("exportFormat").value,
+          document.getElementById("exportScope").value
+        );
+      });
+
+      // 导出图片按钮，宽度留空时为画布的2倍
+      document.getElementById("exportImage").addEventListener("click", () => {
+        const widthText = document.getElementById("imageWidthInput").value.trim();
+        this.exportImage(widthText !== "" ? Number(widthText) : 0);
+      });
+
+      // 显示/隐藏打点规则面板
+      document.getElementById("toggleInk").addEventListener("click", () => {
+        this.setInkRules(undefined, !this.inkPanel.isVisible());
+      });
+
+      // 显示/隐藏失效簇面板
+      document.getElementById("toggleClusters").addEventListener("click", () => {
+        this.setClusterDetection({ visible: !this.clusterPanel.isVisible() });
+      });
+
+      // 显示/隐藏探针卡面板
+      document.getElementById("toggleProbeCard").addEventListener("click", () => {
+        this.setProbeCard({ visible: !this.probeCardPanel.isVisible() });
+      });
+
+      // 显示/隐藏掩模面板
+      document.getElementById("toggleReticle").addEventListener("click", () => {
+        this.setReticle({ visible: !this.reticlePanel.isVisible() });
+      });
+
+      // 显示/隐藏分区良率面板
+      document.getElementById("toggleZonalYield").addEventListener("click", () => {
+        this.setZonalYield({ visible: !this.zonalYieldPanel.isVisible() });
+      });
+
+      // 连接/断开测试机的实时数据流
+      document.getElementById("streamToggle").addEventListener("click", () => {
+        if (this.dieStream) {
+          this.stopStream();
+        } else {
+          const url = document.getElementById("streamUrlInput").value.trim();
+          this.startStream(url || document.getElementById("streamUrlInput").placeholder);
+        }
+      });
+
+      // SVG的LOD级别选项 (0为最粗，最后一级为单个芯片)
+      const svgLevelSelect = document.getElementById("svgLevelSelect");
+      for (let level = 0; level < this.tileManager.lodLevels; level++) {
+        const option = document.createElement("option");
+        option.value = String(level);
+        option.textContent = level === this.tileManager.lodLevels - 1 ? `LOD ${level} (芯片)` : `LOD ${level}`;
+        svgLevelSelect.appendChild(option);
+      }
+
+      // 导出SVG按钮，芯片标签只在芯片级别生成
+      document.getElementById("exportSVG").addEventListener("click", () => {
+        const levelText = svgLevelSelect.value;
+        this.exportSVG({
+          level: levelText !== "" ? Number(levelText) : null,
+          labels: document.getElementById("svgLabels").checked,
+        });
+      });
+
+      // PageUp/PageDown 切换批次中的上一片/下一片晶圆
+      document.addEventListener("keydown", (e) => {
+        if (e.target.closest && e.target.closest("input, select, textarea")) {
+          return;
+        }
+        if (e.key === "Escape" && this.selection) {
+          this.selection = null;
+          this.updateZonalYield();
+        }
+        if (e.key === "PageUp" || e.key === "PageDown") {
+          e.preventDefault();
+          this.waferSelector.step(e.key === "PageUp" ? -1 : 1);
+        }
+      });
+
       // 设置默认鼠标样式
       this.canvas.style.cursor = "grab";
     }
     
+    /**
+     * 从文件加载测试结果数据，每个文件作为批次中的一片晶圆
+     * 支持 JSON / CSV 芯片列表，以及 SEMI E142 XML、KLARF 标准晶圆图
+     * @param {Array<File>|FileList} files - 数据文件
+     */
+    async loadDataFiles(files) {
+        try {
+            const lot = new WaferLot(this.circleGrid.radius, files.length > 1 ? `${files.length}个文件` : '');
+            for (const file of Array.from(files)) {
+                console.log(`开始加载数据文件: ${file.name}`);
+                const { records, errors, layout, bins } = await this.parseDataFile(file);
+                
+                if (errors.length > 0) {
+                    console.warn(`${file.name}中有${errors.length}处无法解析，已跳过:`);
+                    for (const error of errors.slice(0, 20)) {
+                        console.warn(`  ${this.formatLoadError(error)}`);
+                    }
+                }
+                
+                if (records.length === 0) {
+                    throw new Error(`${file.name}中没有有效的芯片记录`);
+                }
+                
+                // 沿用当前的坐标系和良率统计规则
+                const circleGrid = new CircleGrid(this.circleGrid.radius);
+                circleGrid.coordinates.configure(this.circleGrid.coordinates.getOptions());
+                circleGrid.setYieldRule(this.circleGrid.yieldRule);
+                circleGrid.loadDies(records, { sourceName: file.name, layout, bins });
+                this.watchBinLegend(circleGrid);
+                lot.addGrid(circleGrid, file.name).loadErrors = errors;
+            }
+            
+            // 文件数据优先于尚未完成的随机生成
+            this.gridGenerator.cancel();
+            this.setLot(lot);
+            await this.selectWafer(0);
+            this.camera.reset();
+        } catch (error) {
+            console.error('加载数据文件失败:', error);
+            alert(`加载数据文件失败: ${error.message}`);
+        }
+    }
+    
+    /**
+     * 解析数据文件
+     * @param {File} file - 数据文件
+     * @returns {Promise<Object>} 解析结果 {records, errors, layout, bins}
+     */
+    async parseDataFile(file) {
+        const text = await file.text();
+        const mapFormat = WaferMapImporter.detectFormat(text, file.name);
+        if (mapFormat) {
+            return WaferMapImporter.parse(text, mapFormat);
+        }
+        return DataLoader.parse(text, DataLoader.detectFormat(text, file.name));
+    }
+    
+    /**
+     * 格式化数据加载错误 (文本格式为行号，XML格式为元素)
+     * @param {Object} error - 错误 {line, element, message}
+     * @returns {string} 错误描述
+     */
+    formatLoadError(error) {
+        if (error.element) {
+            return `${error.element}: ${error.message}`;
+        }
+        return error.line ? `第${error.line}行: ${error.message}` : error.message;
+    }
+    
     /**
      * 渲染循环
      */
@@ -366,11 +2254,14 @@ class CircleRenderer {
                 return;
             }
             
+            // 应用实时数据流收到的芯片结果
+            this.applyStreamResults();
+            
             // 获取可见瓦片
-            const visibleTiles = this.tileManager ? this.tileManager.getVisibleTiles() : [];
+            const visibleTiles = this.tileManager ? this.tileManager.getVisibleTiles() : null;
             
             // 渲染瓦片
-            if (this.renderer && visibleTiles.length > 0) {
+            if (this.renderer && visibleTiles && visibleTiles.count > 0) {
                 try {
                     this.renderer.render(visibleTiles, this.camera);
                 } catch (renderError) {
@@ -386,6 +2277,23 @@ class CircleRenderer {
                 }
             }
             
+            // 绘制晶圆轮廓
+            if (this.waferOverlay) {
+                this.waferOverlay.render(
+                    this.circleGrid,
+                    this.camera,
+                    this.selection,
+                    this.isStreamWaferShown() ? this.recentDies : null,
+                    this.getShadedZones(),
+                    this.selectedCluster,
+                    this.showShots ? this.reticle : null,
+                    this.getProbing()
+                );
+            }
+            if (this.clusterPanel) {
+                this.clusterPanel.updateView(this.camera.getViewBounds());
+            }
+            
             // 继续下一帧
             this.animationFrameId = requestAnimationFrame(() => this.animate());
         } catch (error) {
@@ -409,7 +2317,8 @@ if (document.readyState === 'loading') {
 function initApp() {
     try {
         console.log('DOM已加载，初始化应用');
-        const app = new CircleRenderer();
+        // 暴露到全局，便于在控制台调用API (例如切换颜色模式)
+        window.circleRenderer = new CircleRenderer();
     } catch (error) {
         console.error('应用初始化失败:', error);
     }
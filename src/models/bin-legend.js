@@ -0,0 +1,177 @@
+import { MathUtils } from '../utils/math.js';
+
+/**
+ * Bin图例类
+ * 维护 bin编码 → {名称, 颜色, 是否良品} 的对照表，可在运行时编辑
+ */
+export class BinLegend {
+  /**
+   * 良品bin编码
+   */
+  static GOOD_BIN = 1;
+
+  /**
+   * 未分类失效bin编码 (只有通过/失败信息、没有bin的失败芯片)
+   */
+  static UNCLASSIFIED_FAIL_BIN = 0;
+
+  /**
+   * 默认bin定义
+   */
+  static DEFAULT_BINS = [
+    { code: 1, name: "良品", color: [1, 1, 1, 1], isGood: true },
+    { code: 0, name: "未分类失效", color: [1, 0, 0, 1], isGood: false },
+    { code: 2, name: "开路", isGood: false },
+    { code: 3, name: "短路", isGood: false },
+    { code: 4, name: "漏电超限", isGood: false },
+    { code: 5, name: "功能失效", isGood: false },
+    { code: 6, name: "参数超限", isGood: false },
+    { code: 7, name: "速度不足", isGood: false },
+    { code: 8, name: "其他失效", isGood: false },
+  ];
+
+  /**
+   * 默认失效bin编码 (不含未分类失效)，随机生成时坏数据从中抽取，
+   * 不随图例编辑变化，同一种子总是生成相同的晶圆
+   */
+  static DEFAULT_FAIL_BINS = BinLegend.DEFAULT_BINS
+    .filter((bin) => !bin.isGood && bin.code !== BinLegend.UNCLASSIFIED_FAIL_BIN)
+    .map((bin) => bin.code);
+
+  /**
+   * 构造函数
+   */
+  constructor() {
+    this.bins = new Map();
+    this.listeners = [];
+    this.reset();
+  }
+
+  /**
+   * 恢复默认bin定义
+   */
+  reset() {
+    this.bins.clear();
+    for (const definition of BinLegend.DEFAULT_BINS) {
+      this.bins.set(definition.code, {
+        code: definition.code,
+        name: definition.name,
+        color: definition.color || this.generateBinColor(definition.code),
+        isGood: definition.isGood,
+      });
+    }
+  }
+
+  /**
+   * 为bin生成默认颜色 (按黄金角分布色相，避免与良品的白色混淆)
+   * @param {number} code - bin编码
+   * @returns {Array<number>} RGBA颜色数组
+   */
+  generateBinColor(code) {
+    const hue = (code * 137.508) % 360;
+    return MathUtils.hslToRgb(hue, 75, 55);
+  }
+
+  /**
+   * 确保bin存在，不存在时使用默认名称和颜色创建
+   * @param {number} code - bin编码
+   * @param {boolean} isGood - 新建时是否为良品
+   * @returns {Object} bin定义
+   */
+  ensureBin(code, isGood = code === BinLegend.GOOD_BIN) {
+    if (!this.bins.has(code)) {
+      this.bins.set(code, {
+        code,
+        name: `Bin ${code}`,
+        color: isGood ? [1, 1, 1, 1] : this.generateBinColor(code),
+        isGood,
+      });
+    }
+    return this.bins.get(code);
+  }
+
+  /**
+   * 修改bin定义，并通知监听器
+   * @param {number} code - bin编码
+   * @param {Object} changes - 要修改的字段 {name, color, isGood}
+   */
+  setBin(code, changes) {
+    const bin = this.ensureBin(code);
+    if (changes.name !== undefined) bin.name = String(changes.name);
+    if (Array.isArray(changes.color) && changes.color.length === 4) {
+      bin.color = changes.color.map((c) => Math.max(0, Math.min(1, c)));
+    }
+    if (changes.isGood !== undefined) bin.isGood = !!changes.isGood;
+    this.notifyChange();
+  }
+
+  /**
+   * 批量导入bin定义 (例如来自E142的BinDefinition)，不触发通知
+   * @param {Array<Object>} definitions - bin定义 [{code, name, isGood}]
+   */
+  importDefinitions(definitions) {
+    for (const definition of definitions) {
+      const bin = this.ensureBin(definition.code, definition.isGood);
+      if (definition.name) bin.name = definition.name;
+      if (definition.isGood !== undefined) bin.isGood = definition.isGood;
+    }
+  }
+
+  /**
+   * 替换全部bin定义 (例如在Worker中还原主线程的图例)，不触发通知
+   * @param {Array<Object>} entries - bin定义 [{code, name, color, isGood}]
+   */
+  setEntries(entries) {
+    this.bins.clear();
+    for (const entry of entries) {
+      this.bins.set(entry.code, { ...entry, color: entry.color.slice() });
+    }
+  }
+
+  /**
+   * 获取bin颜色
+   * @param {number} code - bin编码
+   * @returns {Array<number>} RGBA颜色数组
+   */
+  getColor(code) {
+    return this.ensureBin(code).color;
+  }
+
+  /**
+   * 判断bin是否为良品
+   * @param {number} code - bin编码
+   * @returns {boolean} 是否为良品
+   */
+  isGood(code) {
+    return this.ensureBin(code).isGood;
+  }
+
+  /**
+   * 获取按编码排序的bin定义列表
+   * @returns {Array<Object>} bin定义数组
+   */
+  getEntries() {
+    return Array.from(this.bins.values()).sort((a, b) => a.code - b.code);
+  }
+
+  /**
+   * 注册变化监听器
+   * @param {Function} listener - 回调函数
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * 通知所有监听器
+   */
+  notifyChange() {
+    for (const listener of this.listeners) {
+      try {
+        listener(this);
+      } catch (error) {
+        console.error("Bin图例监听器执行失败:", error);
+      }
+    }
+  }
+}
@@ -1,9 +1,26 @@
 import { MathUtils } from '../utils/math.js';
+import { BinLegend } from './bin-legend.js';
+import { ColorModes } from './color-modes.js';
+import { DieStore } from './die-store.js';
+import { DefectPatterns } from './defect-patterns.js';
+import { DieCoordinates } from './die-coordinates.js';
+import { WaferGeometry } from './wafer-geometry.js';
+import { InkRules } from './ink-rules.js';
+import { ProbeCard } from './probe-card.js';
+import { SeededRandom } from '../utils/random.js';
 
 /**
  * 圆形网格生成类
  */
 export class CircleGrid {
+  /**
+   * 默认良率统计规则: 只统计完整且在边缘排除区以外的芯片
+   */
+  static DEFAULT_YIELD_RULE = {
+    includePartial: false,
+    includeExcluded: false,
+  };
+
   /**
    * 构造函数
    * @param {number} radius - 圆形半径
@@ -12,47 +29,145 @@ export class CircleGrid {
     try {
       console.log("CircleGrid初始化开始", radius);
       this.radius = radius;
-      this.blocks = []; // 所有方块
-
-      // 调整初始方块大小，使总数不超过70万个
-      const maxBlocks = 900000;
-      // 计算得到的方块大小
-      const estimatedBlockCount = Math.PI * radius * radius;
-      this.blockSize = Math.max(
-        1.0,
-        Math.sqrt(estimatedBlockCount / maxBlocks)
-      );
-      console.log(
-        `估计方块数量: ${estimatedBlockCount}, 设置方块大小: ${this.blockSize}`
-      );
+      this.dies = new DieStore(); // 所有方块 (结构数组存储)
+
+      // 晶圆几何参数 (毫米): 直径、芯片步距、划片道、边缘排除区、缺口/平边
+      this.geometry = new WaferGeometry(radius);
+
+      // 当前数据的芯片步距 (世界坐标)，随机生成时由几何参数决定，加载文件时按文件计算
+      this.pitch = this.geometry.getPitch();
+      // 当前数据每毫米对应的世界坐标长度 (文件中没有晶圆直径时为null)
+      this.mmScale = this.geometry.getScale();
+      console.log(`芯片步距: ${this.pitch.x} x ${this.pitch.y}`);
 
       // 坏数据的概率 (0.5%)
       this.badDataRate = 0.005;
 
+      // 随机种子，相同种子和参数生成相同的晶圆图
+      this.seed = 1;
+      // 叠加在均匀噪声上的失效图形配置，见 DefectPatterns.DEFAULTS
+      this.defectPatterns = [];
+
+      // 数据来源: "random" 为随机生成，"file" 为从文件加载
+      this.dataSource = "random";
+      this.sourceName = "";
+
+      // 芯片间距 (原始单位，仅从标准晶圆图加载时可用)
+      this.diePitch = null;
+
+      // bin图例 (bin编码 → 名称/颜色/是否良品)
+      this.binLegend = new BinLegend();
+
+      // 测量值通道名称 (dies.values 中的键)
+      this.valueChannels = [];
+
+      // 颜色模式 (按bin、径向、角度、测量值、密度、探针Site着色)
+      this.colorModes = new ColorModes(this);
+
+      // 世界坐标原点对应的内部行列索引 (芯片中心 x = (col - gridOrigin.col) * pitch.x)
+      this.gridOrigin = { row: 0, col: 0 };
+
+      // 芯片索引坐标系 (原点芯片、坐标轴方向、缺口方向)
+      this.coordinates = new DieCoordinates();
+
+      // 良率统计规则: 是否计入部分在晶圆外的芯片和边缘排除区内的芯片
+      this.yieldRule = { ...CircleGrid.DEFAULT_YIELD_RULE };
+      // 打点规则 (GDBN)，为空时不打点；inkedBy 为每个芯片被第几条规则打点 (0为未打点)
+      this.inkRules = [];
+      this.inkedBy = new Uint8Array(0);
+      // 芯片修改后推迟了重新打点 (见 updateDies() 的 deferInk)，调用 applyInk() 后清除
+      this.inkStale = false;
+      // 探针卡配置 (多Site并行测试)，为null时没有探针卡；probePlan 为按当前芯片计算的触点计划
+      this.probeCard = null;
+      this.probePlan = null;
+      // 行列位置 → 芯片索引的网格 {minRow, minCol, width, height, cells}，首次按坐标查找芯片时建立，芯片变化后清除
+      this.dieGrid = null;
+      // 芯片是否被 updateDies() 修改过 (修改过的随机晶圆不能按种子重新生成)，修改的芯片另有 FLAG_EDITED 标记
+      this.edited = false;
+
       console.log("CircleGrid初始化完成");
     } catch (error) {
       console.error("CircleGrid初始化失败:", error);
       // 设置默认值以确保程序能继续运行
       this.radius = radius || 500;
-      this.blockSize = 5.0;
-      this.blocks = [];
+      this.geometry = new WaferGeometry(this.radius);
+      this.pitch = { x: 5.0, y: 5.0 };
+      this.mmScale = null;
+      this.yieldRule = { ...CircleGrid.DEFAULT_YIELD_RULE };
+      this.inkRules = [];
+      this.inkedBy = new Uint8Array(0);
+      this.inkStale = false;
+      this.probeCard = null;
+      this.probePlan = null;
+      this.dieGrid = null;
+      this.edited = false;
+      this.dies = new DieStore();
       this.badDataRate = 0.005;
+      this.seed = 1;
+      this.defectPatterns = [];
+      this.dataSource = "random";
+      this.sourceName = "";
+      this.diePitch = null;
+      this.binLegend = new BinLegend();
+      this.valueChannels = [];
+      this.colorModes = new ColorModes(this);
+      this.gridOrigin = { row: 0, col: 0 };
+      this.coordinates = new DieCoordinates();
+    }
+  }
+
+  /**
+   * 设置合成晶圆图的随机种子和失效图形，调用 generate() 后生效
+   * @param {Object} options - 选项
+   * @param {number|string} options.seed - 随机种子
+   * @param {Array<string|Object>} options.patterns - 失效图形，类型名或 {type, ...参数}
+   */
+  setGeneratorOptions(options = {}) {
+    if (options.seed !== undefined) {
+      this.seed = options.seed;
+    }
+    if (options.patterns !== undefined) {
+      // 提前校验，避免生成时才发现未知图形
+      this.defectPatterns = options.patterns.map((config) => DefectPatterns.normalize(config));
     }
   }
 
   /**
-   * 生成圆形网格
+   * 生成圆形网格 (使用 seed 和 defectPatterns，结果可复现)
+   * @param {Function} onProgress - 进度回调，参数为已完成的比例 (0-1)
+   * @returns {DieStore} 芯片存储
    */
-  generate() {
+  generate(onProgress = null) {
     try {
-      console.log("开始生成圆形网格, 方块大小:", this.blockSize);
+      // 从文件数据切换回随机生成时，恢复默认bin定义
+      if (this.dataSource === "file") {
+        this.binLegend.reset();
+      }
+
+      // 芯片步距和尺寸由几何参数决定
+      this.pitch = this.geometry.getPitch();
+      this.mmScale = this.geometry.getScale();
+      const dieSize = this.geometry.getDieSize();
+      const orientation = this.coordinates.orientation;
+
+      console.log("开始生成圆形网格, 芯片步距:", this.pitch);
       // 计算每行每列的方块数量
       const diameter = this.radius * 2;
-      const gridSize = Math.ceil(diameter / this.blockSize);
+      const cols = Math.ceil(diameter / this.pitch.x);
+      const rows = Math.ceil(diameter / this.pitch.y);
 
-      console.log(`网格尺寸: ${gridSize}x${gridSize}`);
+      console.log(`网格尺寸: ${cols}x${rows}`);
+      this.gridOrigin = this.getGeneratedGridOrigin();
+      // 每完成1%的行报告一次进度
+      const progressStep = Math.max(1, Math.floor(rows / 100));
 
-      this.blocks = [];
+      const dies = this.dies;
+      dies.clear();
+      dies.dieWidth = dieSize.width;
+      dies.dieHeight = dieSize.height;
+      // 模拟的测量值通道
+      dies.getChannel("leakage");
+      dies.getChannel("vth");
 
       // 中心坐标
       const centerX = 0;
@@ -61,82 +176,418 @@ export class CircleGrid {
       // 记录坏数据的数量
       let badDataCount = 0;
 
+      // 坏数据随机分配到默认失效bin (不使用可编辑的图例，保证种子可复现)
+      const failBins = BinLegend.DEFAULT_FAIL_BINS;
+
+      // 种子随机数生成器，失效图形的位置也从中抽取
+      const rng = new SeededRandom(this.seed);
+      const patterns = this.defectPatterns.map((config) =>
+        DefectPatterns.create(config, rng, {
+          radius: this.radius,
+          pitch: this.pitch,
+        })
+      );
+      // 传给失效图形的芯片信息 (复用同一个对象)
+      const die = { nx: 0, ny: 0, distance: 0, angle: 0, row: 0, col: 0 };
+
       // 生成所有方块
       let count = 0;
-      for (let y = -gridSize / 2; y < gridSize / 2; y++) {
-        for (let x = -gridSize / 2; x < gridSize / 2; x++) {
+      for (let y = -rows / 2; y < rows / 2; y++) {
+        for (let x = -cols / 2; x < cols / 2; x++) {
           // 计算方块中心坐标
-          const blockX = x * this.blockSize + this.blockSize / 2;
-          const blockY = y * this.blockSize + this.blockSize / 2;
+          const blockX = x * this.pitch.x + this.pitch.x / 2;
+          const blockY = y * this.pitch.y + this.pitch.y / 2;
 
           // 计算到圆心的距离
           const distance = Math.sqrt(
             Math.pow(blockX - centerX, 2) + Math.pow(blockY - centerY, 2)
           );
 
-          // 如果在圆内，添加方块
-          if (distance <= this.radius) {
+          // 按角点判断芯片是否在晶圆上，部分在晶圆外的边缘芯片也保留
+          const edge = this.geometry.classifyDie(blockX, blockY, dieSize.width, dieSize.height, orientation);
+          if (edge !== "off") {
             // 计算角度 (用于位置信息保存)
             const angle = Math.atan2(blockY - centerY, blockX - centerX);
             const normalizedAngle = (angle + Math.PI) / (Math.PI * 2); // 0-1范围
 
-            // 判断是否为坏数据
-            const isBadData = Math.random() < this.badDataRate;
+            const row = rows / 2 - 1 - y;
+            const col = x + cols / 2;
+            const normalizedDistance = distance / this.radius;
+
+            // 依次检查失效图形，命中的图形决定失效bin
+            let bin = BinLegend.GOOD_BIN;
+            let isBadData = false;
+            if (patterns.length > 0) {
+              die.nx = blockX / this.radius;
+              die.ny = blockY / this.radius;
+              die.distance = normalizedDistance;
+              die.angle = angle;
+              die.row = row;
+              die.col = col;
+              for (const pattern of patterns) {
+                const probability = pattern.evaluate(die);
+                if (probability > 0 && rng.next() < probability) {
+                  bin = pattern.bin;
+                  isBadData = true;
+                  break;
+                }
+              }
+            }
 
-            // 根据数据类型设置颜色
-            const color = isBadData ? [1, 0, 0, 1] : [1, 1, 1, 1]; // 坏数据为红色，正常数据为白色
+            // 未命中图形时按坏数据率随机失效
+            if (!isBadData && rng.next() < this.badDataRate) {
+              isBadData = true;
+              bin = rng.pick(failBins);
+            }
 
             if (isBadData) {
               badDataCount++;
             }
 
-            // 添加方块
-            this.blocks.push({
-              x: blockX,
-              y: blockY,
-              size: this.blockSize,
-              color: color,
-              distance: distance / this.radius, // 归一化距离 (0-1)
-              angle: normalizedAngle,
-              isBadData: isBadData,
-            });
+            // 添加方块，根据bin设置颜色
+            const index = dies.add(
+              blockX,
+              blockY,
+              normalizedDistance,
+              normalizedAngle,
+              row,
+              col,
+              bin,
+              isBadData
+            );
+            dies.setColor(index, this.binLegend.getColor(bin));
+            dies.setFlag(index, DieStore.FLAG_PARTIAL, edge === "partial");
+            dies.setFlag(
+              index,
+              DieStore.FLAG_EXCLUDED,
+              !this.geometry.isUsable(blockX, blockY, orientation)
+            );
+
+            // 模拟参数测量值: 漏电流向边缘升高，阈值电压随角度轻微变化
+            // (通道数组在添加方块时可能扩容，每次重新获取)
+            dies.getChannel("leakage")[index] =
+              Math.exp(2.5 * normalizedDistance * normalizedDistance) *
+              (0.8 + 0.4 * rng.next()) *
+              (isBadData ? 5 : 1);
+            dies.getChannel("vth")[index] =
+              0.45 +
+              0.03 * normalizedDistance * Math.cos(angle) +
+              0.01 * (rng.next() - 0.5);
 
             count++;
           }
         }
 
         // 每生成25%的方块就输出一次进度
-        if (y % Math.floor(gridSize / 4) === 0) {
+        if (y % Math.floor(rows / 4) === 0) {
           console.log(
-            `生成进度: ${Math.floor(((y + gridSize / 2) / gridSize) * 100)}%`
+            `生成进度: ${Math.floor(((y + rows / 2) / rows) * 100)}%`
           );
         }
+        const completedRows = y + rows / 2 + 1;
+        if (onProgress && completedRows % progressStep === 0) {
+          onProgress(Math.min(1, completedRows / rows));
+        }
       }
 
+      dies.trim();
+
+      this.dataSource = "random";
+      this.sourceName = "";
+      this.diePitch = null;
+      this.valueChannels = dies.getChannels();
+      this.edited = false;
+      this.dieGrid = null;
+      this.planProbing();
+      this.colorModes.refresh();
+      this.applyInk();
+
       console.log(
-        `生成了${this.blocks.length}个方块，其中坏数据${badDataCount}个（${(
-          (badDataCount / this.blocks.length) *
+        `生成了${dies.count}个方块，其中坏数据${badDataCount}个（${(
+          (badDataCount / dies.count) *
           100
         ).toFixed(2)}%）`
       );
 
-      return this.blocks;
+      return dies;
     } catch (error) {
       console.error("生成圆形网格失败:", error);
       // 返回至少一个方块，确保能显示一些东西
-      this.blocks = [
-        {
-          x: 0,
-          y: 0,
-          size: 100,
-          color: [1, 1, 1, 1], // 白色
-          distance: 0,
-          angle: 0,
-          isBadData: false,
-        },
-      ];
-      return this.blocks;
+      this.dies = new DieStore(1);
+      this.dies.dieWidth = 100;
+      this.dies.dieHeight = 100;
+      this.dies.add(0, 0, 0, 0, 0, 0, BinLegend.GOOD_BIN, false);
+      this.dies.setColor(0, [1, 1, 1, 1]); // 白色
+      this.edited = false;
+      this.dieGrid = null;
+      return this.dies;
+    }
+  }
+
+  /**
+   * 获取随机生成的网格中世界坐标原点对应的内部行列索引
+   * (第 rows/2 - 1 - y 行、第 x + cols/2 列的芯片中心为 ((x + 0.5) * pitch.x, (y + 0.5) * pitch.y))
+   * @returns {{row: number, col: number}} 行列索引
+   */
+  getGeneratedGridOrigin() {
+    const pitch = this.geometry.getPitch();
+    const cols = Math.ceil((this.radius * 2) / pitch.x);
+    const rows = Math.ceil((this.radius * 2) / pitch.y);
+    return { row: rows / 2 - 0.5, col: cols / 2 - 0.5 };
+  }
+
+  /**
+   * 获取在Worker中生成网格所需的参数 (可结构化克隆)
+   * 从文件数据切换回随机生成时使用默认bin定义，与 generate() 一致
+   * @returns {Object} {radius, geometry, orientation, badDataRate, seed, patterns, bins}
+   */
+  getGeneratorRequest() {
+    return {
+      radius: this.radius,
+      geometry: this.geometry.getOptions(),
+      orientation: this.coordinates.orientation,
+      badDataRate: this.badDataRate,
+      seed: this.seed,
+      patterns: this.defectPatterns,
+      bins: this.dataSource === "file" ? null : this.binLegend.getEntries(),
+    };
+  }
+
+  /**
+   * 使用Worker生成的芯片替换当前数据
+   * Worker按bin着色，当前为其他颜色模式时在主线程重新着色
+   * @param {DieStore} dies - 芯片存储
+   * @returns {boolean} 是否重新着色 (需要重建LOD瓦片)
+   */
+  applyGenerated(dies) {
+    if (this.dataSource === "file") {
+      this.binLegend.reset();
+    }
+    this.pitch = this.geometry.getPitch();
+    this.mmScale = this.geometry.getScale();
+    this.gridOrigin = this.getGeneratedGridOrigin();
+    this.dies = dies;
+    this.dataSource = "random";
+    this.sourceName = "";
+    this.diePitch = null;
+    this.valueChannels = dies.getChannels();
+    this.edited = false;
+    this.dieGrid = null;
+    this.planProbing();
+    this.colorModes.refresh();
+    const ink = this.applyInk();
+    return this.colorModes.mode !== "bin" || ink.indexes.length > 0;
+  }
+
+  /**
+   * 从测试结果记录加载方块，替代随机生成的数据
+   * 记录格式见 DataLoader.validate()，需全部提供 row/col 或全部提供 x/y
+   * @param {Array<Object>} records - 已校验的芯片记录
+   * @param {Object} options - 选项
+   * @param {string} options.sourceName - 数据来源名称
+   * @param {number} options.dieSize - x/y坐标下的芯片间距
+   * @param {Object} options.layout - 标准晶圆图中的版图信息
+   *   {pitchX, pitchY, waferDiameter: 与间距单位相同, center: {row, col} 晶圆中心的索引坐标}
+   * @param {Array<Object>} options.bins - 文件中的bin定义 [{code, name, isGood}]
+   * @returns {DieStore} 芯片存储
+   */
+  loadDies(records, options = {}) {
+    if (!Array.isArray(records) || records.length === 0) {
+      throw new Error("没有可加载的芯片记录");
+    }
+
+    const layout = options.layout || {};
+
+    // 统一转换为行列索引
+    const { records: indexed, pitch: recordPitch } = this.toIndexedRecords(records, options.dieSize);
+
+    let originCol;
+    let originRow;
+    if (layout.center && isFinite(layout.center.col) && isFinite(layout.center.row)) {
+      // 使用文件中给出的晶圆中心
+      originCol = layout.center.col;
+      originRow = layout.center.row;
+    } else {
+      // 计算索引范围的中心，使晶圆居中显示
+      let minRow = Infinity;
+      let maxRow = -Infinity;
+      let minCol = Infinity;
+      let maxCol = -Infinity;
+      for (const record of indexed) {
+        minRow = Math.min(minRow, record.row);
+        maxRow = Math.max(maxRow, record.row);
+        minCol = Math.min(minCol, record.col);
+        maxCol = Math.max(maxCol, record.col);
+      }
+
+      // 原点取半格位置，使方块中心落在 (k + 0.5) * pitch 上
+      originCol = Math.floor((minCol + maxCol) / 2) + 0.5;
+      originRow = Math.floor((minRow + maxRow) / 2) + 0.5;
+    }
+
+    // 记录芯片间距 (原始单位)
+    this.diePitch = layout.pitchX
+      ? { x: layout.pitchX, y: layout.pitchY || layout.pitchX }
+      : null;
+
+    // 版图中的长度单位为微米
+    this.mmScale = layout.waferDiameter
+      ? (this.radius / (layout.waferDiameter / 2)) * 1000
+      : null;
+
+    if (this.diePitch && this.mmScale) {
+      // 已知芯片间距和晶圆直径时按实际比例缩放
+      this.pitch = {
+        x: (this.diePitch.x * this.mmScale) / 1000,
+        y: (this.diePitch.y * this.mmScale) / 1000,
+      };
+    } else {
+      // 按间距的长宽比选择步距，使最远的方块角点也落在圆内
+      const sourcePitch = this.diePitch || recordPitch;
+      const aspect = sourcePitch ? sourcePitch.y / sourcePitch.x : 1;
+      let maxExtent = 0;
+      for (const record of indexed) {
+        const dx = record.col - originCol;
+        const dy = (originRow - record.row) * aspect;
+        maxExtent = Math.max(maxExtent, Math.sqrt(dx * dx + dy * dy));
+      }
+      const pitchX = this.radius / (maxExtent + Math.sqrt(1 + aspect * aspect) / 2);
+      this.pitch = { x: pitchX, y: pitchX * aspect };
+    }
+
+    // 新数据使用默认bin定义加上文件中的bin定义
+    this.binLegend.reset();
+    if (Array.isArray(options.bins)) {
+      this.binLegend.importDefinitions(options.bins);
+    }
+
+    this.gridOrigin = { row: originRow, col: originCol };
+
+    let badDataCount = 0;
+    const dies = this.dies;
+    dies.clear();
+    dies.ensureCapacity(indexed.length);
+    // 文件中没有划片道信息，芯片按步距绘制
+    dies.dieWidth = this.pitch.x;
+    dies.dieHeight = this.pitch.y;
+    const orientation = this.coordinates.orientation;
+
+    for (const record of indexed) {
+      const blockX = (record.col - originCol) * this.pitch.x;
+      const blockY = (originRow - record.row) * this.pitch.y;
+      const distance = Math.sqrt(blockX * blockX + blockY * blockY);
+      const angle = Math.atan2(blockY, blockX);
+
+      // 只有通过/失败信息时使用良品bin或未分类失效bin；
+      // 文件给出的通过/失败与bin定义不一致时以文件为准，芯片归入良品bin或未分类失效bin
+      const hasPass = typeof record.pass === "boolean";
+      let bin = record.bin !== null && record.bin !== undefined
+        ? record.bin
+        : record.pass
+          ? BinLegend.GOOD_BIN
+          : BinLegend.UNCLASSIFIED_FAIL_BIN;
+      const entry = this.binLegend.ensureBin(bin, hasPass ? record.pass : undefined);
+      if (hasPass && entry.isGood !== record.pass) {
+        bin = record.pass ? BinLegend.GOOD_BIN : BinLegend.UNCLASSIFIED_FAIL_BIN;
+      }
+      const isBadData = !this.binLegend.ensureBin(bin).isGood;
+
+      if (isBadData) {
+        badDataCount++;
+      }
+
+      const index = dies.add(
+        blockX,
+        blockY,
+        distance / this.radius,
+        (angle + Math.PI) / (Math.PI * 2),
+        record.row,
+        record.col,
+        bin,
+        isBadData
+      );
+      dies.setColor(index, this.binLegend.getColor(bin));
+
+      // 文件中的芯片都保留，不在晶圆上的芯片也按部分芯片处理
+      // (实际尺寸未知时只按圆判断，不检查缺口、平边和排除区)
+      const edge = this.geometry.classifyDie(
+        blockX, blockY, dies.dieWidth, dies.dieHeight, orientation, this.mmScale
+      );
+      dies.setFlag(index, DieStore.FLAG_PARTIAL, edge !== "full");
+      dies.setFlag(
+        index,
+        DieStore.FLAG_EXCLUDED,
+        !this.geometry.isUsable(blockX, blockY, orientation, this.mmScale)
+      );
+
+      const values = record.values || {};
+      for (const channel in values) {
+        dies.setValue(channel, index, values[channel]);
+      }
     }
+
+    dies.trim();
+
+    this.dataSource = "file";
+    this.sourceName = options.sourceName || "";
+    this.valueChannels = dies.getChannels();
+    this.edited = false;
+    this.dieGrid = null;
+    this.planProbing();
+    this.colorModes.refresh();
+    this.applyInk();
+
+    console.log(
+      `从${this.sourceName || "文件"}加载了${dies.count}个方块，其中坏数据${badDataCount}个，芯片步距: ${this.pitch.x} x ${this.pitch.y}`
+    );
+
+    return dies;
+  }
+
+  /**
+   * 将记录统一转换为行列索引
+   * x/y坐标按芯片间距换算为行列 (y向上对应行号减小)
+   * @param {Array<Object>} records - 芯片记录
+   * @param {number} dieSize - 芯片间距，未指定时从坐标推断
+   * @returns {{records: Array<Object>, pitch: {x: number, y: number}|null}}
+   *   带有 row/col 的记录，以及x/y坐标下的芯片间距 (记录本身带有行列时为null)
+   */
+  toIndexedRecords(records, dieSize) {
+    if (records.every((record) => record.row !== null && record.col !== null)) {
+      return { records, pitch: null };
+    }
+
+    if (!records.every((record) => record.x !== null && record.y !== null)) {
+      throw new Error("记录需全部提供 row/col 或全部提供 x/y 坐标");
+    }
+
+    const pitchX = dieSize || this.inferPitch(records.map((r) => r.x));
+    const pitchY = dieSize || this.inferPitch(records.map((r) => r.y));
+    const minX = records.reduce((min, r) => Math.min(min, r.x), Infinity);
+    const maxY = records.reduce((max, r) => Math.max(max, r.y), -Infinity);
+
+    return {
+      records: records.map((record) => ({
+        ...record,
+        col: Math.round((record.x - minX) / pitchX),
+        row: Math.round((maxY - record.y) / pitchY),
+      })),
+      pitch: { x: pitchX, y: pitchY },
+    };
+  }
+
+  /**
+   * 从坐标推断芯片间距 (相邻不同坐标值的最小差值)
+   * @param {Array<number>} values - 坐标值
+   * @returns {number} 芯片间距
+   */
+  inferPitch(values) {
+    const sorted = [...new Set(values)].sort((a, b) => a - b);
+    let pitch = Infinity;
+    for (let i = 1; i < sorted.length; i++) {
+      pitch = Math.min(pitch, sorted[i] - sorted[i - 1]);
+    }
+    return isFinite(pitch) && pitch > 0 ? pitch : 1;
   }
 
   /**
@@ -150,11 +601,374 @@ export class CircleGrid {
   }
 
   /**
-   * 调整方块大小
-   * @param {number} newSize - 新的方块大小
+   * 按bin图例重新设置所有方块的良品/坏数据状态，并在依赖bin的颜色模式下重新着色 (图例被编辑后调用)
+   */
+  applyBinLegend() {
+    const dies = this.dies;
+    for (let i = 0; i < dies.count; i++) {
+      dies.setBad(i, !this.binLegend.isGood(dies.bin[i]));
+    }
+
+    const mode = this.colorModes.mode;
+    if (mode === "bin" || mode === "density") {
+      this.colorModes.apply();
+    }
+    this.applyInk();
+  }
+
+  /**
+   * 修改部分芯片的bin或测量值 (不重新生成网格)，并重新计算这些芯片的良品/坏数据状态和颜色
+   * 全部更新先校验，有一项无效时不修改任何芯片
+   * @param {Array<Object>} updates - 更新列表 [{index: 芯片索引, bin: 新bin编码, values: {通道名: 数值，null表示清除}}]
+   * 设置了打点规则时重新打点，打点状态变化的芯片也包含在返回的芯片索引中
+   * @param {Object} options - 选项
+   * @param {boolean} options.deferInk - 推迟重新打点 (打点规则遍历整片晶圆，接收实时数据时由调用方稍后调用 applyInk())，
+   *   此时只取消变为坏数据的芯片的打点
+   * @returns {{indexes: Array<number>, recoloredAll: boolean}} 修改的芯片索引 (去重)，以及是否重新着色了全部芯片
+   *   (密度模式的颜色依赖邻域，或出现了新的测量值通道时为true，此时LOD瓦片需要完整重建)
+   */
+  updateDies(updates, options = {}) {
+    const dies = this.dies;
+    for (const update of updates) {
+      if (!Number.isInteger(update.index) || update.index < 0 || update.index >= dies.count) {
+        throw new Error(`无效的芯片索引: ${update.index}`);
+      }
+      if (update.bin !== undefined && !Number.isInteger(update.bin)) {
+        throw new Error(`无效的bin值: ${update.bin}`);
+      }
+      for (const [channel, value] of Object.entries(update.values || {})) {
+        if (value !== null && !isFinite(value)) {
+          throw new Error(`无效的测量值 ${channel}: ${value}`);
+        }
+      }
+    }
+
+    const indexes = new Set();
+    for (const update of updates) {
+      const index = update.index;
+      if (update.bin !== undefined) {
+        dies.bin[index] = update.bin;
+        dies.setBad(index, !this.binLegend.isGood(update.bin));
+      }
+      for (const [channel, value] of Object.entries(update.values || {})) {
+        dies.setValue(channel, index, value === null ? NaN : Number(value));
+      }
+      dies.setFlag(index, DieStore.FLAG_EDITED, true);
+      indexes.add(index);
+    }
+    if (indexes.size > 0) {
+      this.edited = true;
+    }
+
+    const channelsAdded = dies.getChannels().length !== this.valueChannels.length;
+    if (channelsAdded) {
+      this.valueChannels = dies.getChannels();
+    }
+    if (this.inkRules.length > 0 && options.deferInk) {
+      // 只有良品芯片会被打点
+      for (const index of indexes) {
+        if (dies.isBad(index) && dies.hasFlag(index, DieStore.FLAG_INKED)) {
+          dies.setFlag(index, DieStore.FLAG_INKED, false);
+          this.inkedBy[index] = 0;
+        }
+      }
+      this.inkStale = true;
+    }
+    let recoloredAll = this.colorModes.updateDies(indexes);
+    if (this.inkRules.length > 0 && !options.deferInk) {
+      const ink = this.applyInk();
+      ink.indexes.forEach((index) => indexes.add(index));
+      recoloredAll = recoloredAll || ink.recoloredAll;
+    }
+    return { indexes: Array.from(indexes), recoloredAll: recoloredAll || channelsAdded };
+  }
+
+  /**
+   * 修改打点规则并重新打点
+   * @param {Array<string|Object>} rules - 打点规则，类型名或 {type, ...参数}，见 InkRules.DEFAULTS；空数组取消打点
+   * @returns {{indexes: Array<number>, recoloredAll: boolean}} 打点状态变化的芯片索引，见 applyInk()
+   */
+  setInkRules(rules) {
+    // 全部规则先校验，有一条无效时不修改
+    const normalized = rules.map((rule) => InkRules.normalize(rule));
+    this.inkRules = normalized;
+    return this.applyInk();
+  }
+
+  /**
+   * 按打点规则重新计算打点芯片 (数据变化后调用)，只重新着色打点状态变化的芯片
+   * @returns {{indexes: Array<number>, recoloredAll: boolean}} 打点状态变化的芯片索引，以及是否重新着色了全部芯片
+   */
+  applyInk() {
+    const dies = this.dies;
+    this.inkedBy = InkRules.evaluate(this, this.inkRules);
+    this.inkStale = false;
+    const indexes = [];
+    for (let i = 0; i < dies.count; i++) {
+      const inked = this.inkedBy[i] > 0;
+      if (inked !== dies.hasFlag(i, DieStore.FLAG_INKED)) {
+        dies.setFlag(i, DieStore.FLAG_INKED, inked);
+        indexes.push(i);
+      }
+    }
+    const recoloredAll = indexes.length > 0 && this.colorModes.updateDies(indexes);
+    return { indexes, recoloredAll };
+  }
+
+  /**
+   * 修改探针卡并重新计算触点计划，按Site着色时重新着色全部芯片
+   * @param {Object} config - 探针卡配置，见 ProbeCard.DEFAULTS；为null时取消探针卡
+   * @returns {boolean} 是否重新着色 (需要重建LOD瓦片)
+   */
+  setProbeCard(config) {
+    // 配置无效时不修改
+    this.probeCard = config ? ProbeCard.normalize(config) : null;
+    this.planProbing();
+    if (this.colorModes.mode !== "site") return false;
+    this.colorModes.apply();
+    return true;
+  }
+
+  /**
+   * 按探针卡计算触点计划 (芯片变化后调用，只依赖芯片的行列位置，不依赖测试结果)
+   */
+  planProbing() {
+    this.probePlan = this.probeCard ? ProbeCard.plan(this, this.probeCard) : null;
+  }
+
+  /**
+   * 切换颜色模式，只重新着色，不重新生成网格
+   * @param {string} mode - 颜色模式 (bin、radial、angular、value、density、site)
+   * @param {Object} options - 选项，见 ColorModes.setMode()
+   */
+  setColorMode(mode, options = {}) {
+    this.colorModes.setMode(mode, options);
+  }
+
+  /**
+   * 获取测量值通道的数值范围
+   * @param {string} channel - 测量值通道名
+   * @returns {{min: number, max: number, count: number}} 数值范围和有效数量
+   */
+  getValueRange(channel) {
+    let min = Infinity;
+    let max = -Infinity;
+    let count = 0;
+    const values = this.dies.values.get(channel);
+    if (values) {
+      for (let i = 0; i < this.dies.count; i++) {
+        const value = values[i];
+        if (isFinite(value)) {
+          if (value < min) min = value;
+          if (value > max) max = value;
+          count++;
+        }
+      }
+    }
+    return count > 0 ? { min, max, count } : { min: 0, max: 1, count: 0 };
+  }
+
+  /**
+   * 统计每个bin的芯片数量
+   * @returns {Map<number, number>} bin编码 → 芯片数量
+   */
+  getBinCounts() {
+    const counts = new Map();
+    const bins = this.dies.bin;
+    for (let i = 0; i < this.dies.count; i++) {
+      counts.set(bins[i], (counts.get(bins[i]) || 0) + 1);
+    }
+    return counts;
+  }
+
+  /**
+   * 修改良率统计规则，未指定的选项保持不变
+   * @param {Object} options - 选项
+   * @param {boolean} options.includePartial - 是否计入部分在晶圆外的芯片
+   * @param {boolean} options.includeExcluded - 是否计入边缘排除区内的芯片
+   */
+  setYieldRule(options = {}) {
+    for (const key of Object.keys(CircleGrid.DEFAULT_YIELD_RULE)) {
+      if (options[key] !== undefined) {
+        if (typeof options[key] !== "boolean") {
+          throw new Error(`${key}必须为布尔值: ${options[key]}`);
+        }
+        this.yieldRule[key] = options[key];
+      }
+    }
+  }
+
+  /**
+   * 判断芯片是否计入良率统计
+   * @param {number} index - 芯片索引
+   * @returns {boolean} 是否计入
+   */
+  isYieldDie(index) {
+    const dies = this.dies;
+    if (!this.yieldRule.includePartial && dies.hasFlag(index, DieStore.FLAG_PARTIAL)) {
+      return false;
+    }
+    if (!this.yieldRule.includeExcluded && dies.hasFlag(index, DieStore.FLAG_EXCLUDED)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 按良率统计规则统计芯片
+   * @returns {Object} {total, good, bad, yield, partial, excluded, inked, inkedYield, inkedByRule}，
+   *   total/good/bad 只包含计入统计的芯片，partial/excluded 为全部芯片中的数量，
+   *   inked 为计入统计的良品中被打点的数量，inkedYield 为打点后的良率，inkedByRule 为每条打点规则打掉的数量
+   */
+  getYieldStats() {
+    const dies = this.dies;
+    const stats = {
+      total: 0,
+      good: 0,
+      bad: 0,
+      yield: 0,
+      partial: 0,
+      excluded: 0,
+      inked: 0,
+      inkedYield: 0,
+      inkedByRule: this.inkRules.map(() => 0),
+    };
+    for (let i = 0; i < dies.count; i++) {
+      if (dies.hasFlag(i, DieStore.FLAG_PARTIAL)) stats.partial++;
+      if (dies.hasFlag(i, DieStore.FLAG_EXCLUDED)) stats.excluded++;
+      if (!this.isYieldDie(i)) continue;
+      stats.total++;
+      if (dies.isBad(i)) {
+        stats.bad++;
+      } else {
+        stats.good++;
+        if (this.inkedBy[i] > 0) {
+          stats.inked++;
+          stats.inkedByRule[this.inkedBy[i] - 1]++;
+        }
+      }
+    }
+    stats.yield = stats.total > 0 ? stats.good / stats.total : 0;
+    stats.inkedYield = stats.total > 0 ? (stats.good - stats.inked) / stats.total : 0;
+    return stats;
+  }
+
+  /**
+   * 修改芯片索引坐标系
+   * @param {Object} options - 选项，见 DieCoordinates.configure()
+   */
+  setCoordinateSystem(options = {}) {
+    this.coordinates.configure(options);
+  }
+
+  /**
+   * 内部行列索引 → 芯片中心的世界坐标
+   * @param {number} row - 内部行索引
+   * @param {number} col - 内部列索引
+   * @returns {{x: number, y: number}} 世界坐标
+   */
+  gridToWorld(row, col) {
+    return {
+      x: (col - this.gridOrigin.col) * this.pitch.x,
+      y: (this.gridOrigin.row - row) * this.pitch.y,
+    };
+  }
+
+  /**
+   * 世界坐标 → 所在芯片位置的内部行列索引 (该位置不一定有芯片)
+   * @param {number} x - 世界X坐标
+   * @param {number} y - 世界Y坐标
+   * @returns {{row: number, col: number}} 内部行列索引
+   */
+  worldToGrid(x, y) {
+    return {
+      row: Math.round(this.gridOrigin.row - y / this.pitch.y),
+      col: Math.round(x / this.pitch.x + this.gridOrigin.col),
+    };
+  }
+
+  /**
+   * 世界坐标 → 芯片索引坐标
+   * @param {number} x - 世界X坐标
+   * @param {number} y - 世界Y坐标
+   * @returns {{x: number, y: number}} 索引坐标
+   */
+  worldToIndex(x, y) {
+    const grid = this.worldToGrid(x, y);
+    return this.coordinates.gridToIndex(grid.row, grid.col);
+  }
+
+  /**
+   * 芯片索引坐标 → 芯片中心的世界坐标
+   * @param {number} indexX - 索引X
+   * @param {number} indexY - 索引Y
+   * @returns {{x: number, y: number}} 世界坐标
+   */
+  indexToWorld(indexX, indexY) {
+    const grid = this.coordinates.indexToGrid(indexX, indexY);
+    return this.gridToWorld(grid.row, grid.col);
+  }
+
+  /**
+   * 建立 行列位置 → 芯片索引 的网格，没有芯片的位置为-1
+   * @returns {{minRow: number, minCol: number, width: number, height: number, cells: Int32Array}} 网格
+   */
+  buildDieGrid() {
+    const dies = this.dies;
+    const { minRow, maxRow, minCol, maxCol } = dies.getBounds() || { minRow: 0, maxRow: -1, minCol: 0, maxCol: -1 };
+    const grid = { minRow, minCol, width: maxCol - minCol + 1, height: maxRow - minRow + 1 };
+    grid.cells = new Int32Array(grid.width * grid.height).fill(-1);
+    for (let i = 0; i < dies.count; i++) {
+      grid.cells[(dies.row[i] - minRow) * grid.width + (dies.col[i] - minCol)] = i;
+    }
+    return grid;
+  }
+
+  /**
+   * 按芯片索引坐标查找芯片 (直接按行列位置查找，不经过世界坐标)
+   * @param {number} indexX - 索引X
+   * @param {number} indexY - 索引Y
+   * @returns {number} 芯片在芯片存储中的索引，该位置没有芯片时返回-1
+   */
+  findDie(indexX, indexY) {
+    if (!this.dieGrid) {
+      this.dieGrid = this.buildDieGrid();
+    }
+    const grid = this.dieGrid;
+    const { row, col } = this.coordinates.indexToGrid(indexX, indexY);
+    const gridRow = row - grid.minRow;
+    const gridCol = col - grid.minCol;
+    if (!Number.isInteger(gridRow) || !Number.isInteger(gridCol) ||
+      gridRow < 0 || gridCol < 0 || gridRow >= grid.height || gridCol >= grid.width) {
+      return -1;
+    }
+    return grid.cells[gridRow * grid.width + gridCol];
+  }
+
+  /**
+   * 获取芯片的索引坐标
+   * @param {number} index - 芯片在芯片存储中的索引
+   * @returns {{x: number, y: number}} 索引坐标
+   */
+  getDieIndex(index) {
+    return this.coordinates.gridToIndex(this.dies.row[index], this.dies.col[index]);
+  }
+
+  /**
+   * 调整方块大小 (设置为正方形芯片步距)
+   * @param {number} newSize - 新的方块大小 (世界坐标)
    */
   setBlockSize(newSize) {
-    this.blockSize = Math.max(0.1, newSize);
+    const pitch = Math.max(0.1, newSize) / this.geometry.getScale();
+    this.setGeometry({ pitchX: pitch, pitchY: pitch, scribeX: 0, scribeY: 0 });
+  }
+
+  /**
+   * 修改晶圆几何参数 (毫米) 并重新生成网格
+   * @param {Object} options - 参数，见 WaferGeometry.DEFAULTS
+   */
+  setGeometry(options) {
+    this.geometry.configure(options);
     this.generate(); // 重新生成网格
   }
 
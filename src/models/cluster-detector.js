@@ -0,0 +1,245 @@
+import { QuadTree } from "../core/quadtree.js";
+
+/**
+ * 失效簇检测类
+ * 在芯片的行列网格上查找相邻坏芯片组成的连通区域 (4邻域或8邻域)，按规模和密度评分，
+ * 并把簇的包围盒放入四叉树，用于查询视图范围内的簇
+ */
+export class ClusterDetector {
+  /**
+   * 连通方式
+   */
+  static CONNECTIVITIES = {
+    4: { name: "4邻域", offsets: [[0, 1], [1, 0], [0, -1], [-1, 0]] },
+    8: {
+      name: "8邻域",
+      offsets: [[0, 1], [1, 1], [1, 0], [1, -1], [0, -1], [-1, -1], [-1, 0], [-1, 1]],
+    },
+  };
+
+  /**
+   * 构造函数
+   */
+  constructor() {
+    // 连通方式 (4或8)
+    this.connectivity = 8;
+    // 最小簇大小 (芯片数)，更小的连通区域视为随机失效
+    this.minSize = 3;
+  }
+
+  /**
+   * 修改检测设置，未指定的选项保持不变
+   * @param {Object} options - 选项
+   * @param {number} options.connectivity - 连通方式 (4或8)
+   * @param {number} options.minSize - 最小簇大小 (不小于2)
+   */
+  configure(options = {}) {
+    if (options.connectivity !== undefined) {
+      if (!ClusterDetector.CONNECTIVITIES[options.connectivity]) {
+        throw new Error(`连通方式必须是4或8: ${options.connectivity}`);
+      }
+      this.connectivity = Number(options.connectivity);
+    }
+    if (options.minSize !== undefined) {
+      if (!Number.isInteger(options.minSize) || options.minSize < 2) {
+        throw new Error(`最小簇大小必须是不小于2的整数: ${options.minSize}`);
+      }
+      this.minSize = options.minSize;
+    }
+  }
+
+  /**
+   * 检测失效簇
+   * 坏芯片按良率统计规则筛选 (默认不含部分芯片和边缘排除区内的芯片)。
+   * 密度为簇内芯片数与簇的行列包围盒内统计芯片数之比，评分 = 芯片数 × 密度，大而密的簇排在前面
+   * @param {CircleGrid} circleGrid - 圆形网格对象
+   * @returns {{clusters: Array<Object>, badCount: number, clusteredCount: number, quadTree: QuadTree}}
+   *   簇按评分从高到低排列，每个簇为 {id, size, density, score, dominantBin, indexes, bounds, center}，
+   *   indexes 为芯片索引，bounds 为世界坐标包围盒 {left, right, bottom, top}
+   */
+  detect(circleGrid) {
+    const dies = circleGrid.dies;
+    const count = dies.count;
+    const offsets = ClusterDetector.CONNECTIVITIES[this.connectivity].offsets;
+
+    if (count === 0) {
+      return { clusters: [], badCount: 0, clusteredCount: 0, quadTree: this.buildIndex(circleGrid, []) };
+    }
+    const { minRow, maxRow, minCol, maxCol } = dies.getBounds();
+    const width = maxCol - minCol + 1;
+    const height = maxRow - minRow + 1;
+
+    // 行列网格: 坏芯片的芯片索引 (没有坏芯片为-1)，以及统计芯片数的二维前缀和 (用于计算包围盒内的芯片数)
+    const badCells = new Int32Array(width * height).fill(-1);
+    const counted = new Int32Array((width + 1) * (height + 1));
+    let badCount = 0;
+    for (let i = 0; i < count; i++) {
+      if (!circleGrid.isYieldDie(i)) continue;
+      const cell = (dies.row[i] - minRow) * width + (dies.col[i] - minCol);
+      counted[(dies.row[i] - minRow + 1) * (width + 1) + (dies.col[i] - minCol + 1)] = 1;
+      if (dies.isBad(i)) {
+        badCells[cell] = i;
+        badCount++;
+      }
+    }
+    for (let row = 1; row <= height; row++) {
+      for (let col = 1; col <= width; col++) {
+        const k = row * (width + 1) + col;
+        counted[k] += counted[k - 1] + counted[k - width - 1] - counted[k - width - 2];
+      }
+    }
+
+    // 深度优先遍历连通区域
+    const visited = new Uint8Array(width * height);
+    const stack = new Int32Array(badCount);
+    const clusters = [];
+    let clusteredCount = 0;
+    for (let start = 0; start < badCells.length; start++) {
+      if (badCells[start] < 0 || visited[start]) continue;
+      visited[start] = 1;
+      stack[0] = start;
+      let top = 1;
+      const cells = [];
+      while (top > 0) {
+        const cell = stack[--top];
+        cells.push(cell);
+        const row = Math.floor(cell / width);
+        const col = cell - row * width;
+        for (const [dRow, dCol] of offsets) {
+          const nextRow = row + dRow;
+          const nextCol = col + dCol;
+          if (nextRow < 0 || nextCol < 0 || nextRow >= height || nextCol >= width) continue;
+          const next = nextRow * width + nextCol;
+          if (badCells[next] < 0 || visited[next]) continue;
+          visited[next] = 1;
+          stack[top++] = next;
+        }
+      }
+      if (cells.length < this.minSize) continue;
+
+      const cluster = this.summarize(circleGrid, cells.map((cell) => badCells[cell]));
+      let rowMin = Infinity;
+      let rowMax = -Infinity;
+      let colMin = Infinity;
+      let colMax = -Infinity;
+      for (const cell of cells) {
+        const row = Math.floor(cell / width);
+        const col = cell - row * width;
+        rowMin = Math.min(rowMin, row);
+        rowMax = Math.max(rowMax, row);
+        colMin = Math.min(colMin, col);
+        colMax = Math.max(colMax, col);
+      }
+      const boxDies =
+        counted[(rowMax + 1) * (width + 1) + colMax + 1] -
+        counted[rowMin * (width + 1) + colMax + 1] -
+        counted[(rowMax + 1) * (width + 1) + colMin] +
+        counted[rowMin * (width + 1) + colMin];
+      cluster.density = cluster.size / Math.max(cluster.size, boxDies);
+      cluster.score = cluster.size * cluster.density;
+      clusters.push(cluster);
+      clusteredCount += cluster.size;
+    }
+
+    clusters.sort((a, b) => b.score - a.score || b.size - a.size);
+    clusters.forEach((cluster, i) => {
+      cluster.id = i + 1;
+    });
+
+    return { clusters, badCount, clusteredCount, quadTree: this.buildIndex(circleGrid, clusters) };
+  }
+
+  /**
+   * 统计簇的芯片、包围盒和主要失效bin
+   * @param {CircleGrid} circleGrid - 圆形网格对象
+   * @param {Array<number>} indexes - 芯片索引
+   * @returns {Object} 簇 {size, indexes, bounds, center, dominantBin}
+   */
+  summarize(circleGrid, indexes) {
+    const dies = circleGrid.dies;
+    const halfWidth = dies.dieWidth / 2;
+    const halfHeight = dies.dieHeight / 2;
+    const bounds = { left: Infinity, right: -Infinity, bottom: Infinity, top: -Infinity };
+    const binCounts = new Map();
+    for (const index of indexes) {
+      bounds.left = Math.min(bounds.left, dies.x[index] - halfWidth);
+      bounds.right = Math.max(bounds.right, dies.x[index] + halfWidth);
+      bounds.bottom = Math.min(bounds.bottom, dies.y[index] - halfHeight);
+      bounds.top = Math.max(bounds.top, dies.y[index] + halfHeight);
+      binCounts.set(dies.bin[index], (binCounts.get(dies.bin[index]) || 0) + 1);
+    }
+
+    let dominantBin = -1;
+    let maxCount = 0;
+    for (const [bin, binCount] of binCounts) {
+      if (binCount > maxCount) {
+        maxCount = binCount;
+        dominantBin = bin;
+      }
+    }
+
+    return {
+      id: 0,
+      size: indexes.length,
+      density: 1,
+      score: 0,
+      dominantBin,
+      indexes: Int32Array.from(indexes),
+      bounds,
+      center: { x: (bounds.left + bounds.right) / 2, y: (bounds.bottom + bounds.top) / 2 },
+    };
+  }
+
+  /**
+   * 把簇的包围盒放入四叉树
+   * @param {CircleGrid} circleGrid - 圆形网格对象
+   * @param {Array<Object>} clusters - 簇
+   * @returns {QuadTree} 四叉树，元素为 {x, y, width, height, cluster}
+   */
+  buildIndex(circleGrid, clusters) {
+    const size = circleGrid.radius * 2.5; // 稍大一些以包含边缘的部分芯片
+    const quadTree = new QuadTree(size, size);
+    for (const cluster of clusters) {
+      quadTree.insert({
+        x: cluster.center.x,
+        y: cluster.center.y,
+        width: cluster.bounds.right - cluster.bounds.left,
+        height: cluster.bounds.top - cluster.bounds.bottom,
+        cluster,
+      });
+    }
+    return quadTree;
+  }
+
+  /**
+   * 查询与范围相交的簇
+   * 四叉树按包围盒中心分配节点，查询范围按最大的簇扩大，避免漏掉中心在范围外但与范围相交的大簇
+   * @param {Object} result - detect() 的结果
+   * @param {Object} bounds - 范围 (世界坐标 {left, right, bottom, top})
+   * @returns {Array<Object>} 簇 (按评分从高到低)
+   */
+  static findInRange(result, bounds) {
+    let maxWidth = 0;
+    let maxHeight = 0;
+    for (const cluster of result.clusters) {
+      maxWidth = Math.max(maxWidth, cluster.bounds.right - cluster.bounds.left);
+      maxHeight = Math.max(maxHeight, cluster.bounds.top - cluster.bounds.bottom);
+    }
+    const items = result.quadTree.queryRange({
+      x: (bounds.left + bounds.right) / 2,
+      y: (bounds.bottom + bounds.top) / 2,
+      width: bounds.right - bounds.left + maxWidth,
+      height: bounds.top - bounds.bottom + maxHeight,
+    });
+    return items
+      .map((item) => item.cluster)
+      .filter(
+        (cluster) =>
+          cluster.bounds.right >= bounds.left &&
+          cluster.bounds.left <= bounds.right &&
+          cluster.bounds.top >= bounds.bottom &&
+          cluster.bounds.bottom <= bounds.top
+      )
+      .sort((a, b) => a.id - b.id);
+  }
+}
@@ -0,0 +1,303 @@
+import { MathUtils } from '../utils/math.js';
+import { ColorScale } from '../utils/color-scale.js';
+import { DieStore } from './die-store.js';
+import { InkRules } from './ink-rules.js';
+import { ProbeCard } from './probe-card.js';
+
+/**
+ * 颜色模式类
+ * 决定方块和LOD合并瓦片的着色方式，切换模式只重新计算颜色，不重新生成网格
+ */
+export class ColorModes {
+  /**
+   * 支持的颜色模式 (scale为默认颜色映射，没有scale的模式不使用连续映射)
+   */
+  static MODES = {
+    bin: { name: "按Bin" },
+    radial: { name: "径向距离", scale: "viridis" },
+    angular: { name: "角度扇区" },
+    value: { name: "测量值", scale: "viridis" },
+    density: { name: "坏数据密度", scale: "heat" },
+    site: { name: "探针Site" },
+  };
+
+  /**
+   * 密度模式的默认映射上限 (邻域内坏数据比例)
+   */
+  static DEFAULT_DENSITY_MAX = 0.25;
+
+  /**
+   * 构造函数
+   * @param {CircleGrid} circleGrid - 圆形网格对象
+   */
+  constructor(circleGrid) {
+    this.circleGrid = circleGrid;
+    this.mode = "bin";
+    // 测量值模式使用的通道
+    this.channel = null;
+    // 连续颜色映射 (径向、测量值、密度模式)
+    this.scale = null;
+    // 角度扇区数量
+    this.sectors = 8;
+    // 密度模式的邻域半径 (芯片数)，邻域为 (2r+1)x(2r+1)
+    this.densityRadius = 2;
+  }
+
+  /**
+   * 切换颜色模式并重新着色所有方块
+   * @param {string} mode - 颜色模式 (bin、radial、angular、value、density、site)
+   * @param {Object} options - 选项
+   * @param {string} options.channel - 测量值通道 (value模式)
+   * @param {ColorScale} options.scale - 颜色映射，未指定时在模式或通道变化后使用默认映射
+   * @param {number} options.sectors - 角度扇区数量
+   * @param {number} options.densityRadius - 密度邻域半径
+   */
+  setMode(mode, options = {}) {
+    if (!ColorModes.MODES[mode]) {
+      throw new Error(`未知的颜色模式: ${mode}`);
+    }
+
+    let channel = this.channel;
+    if (mode === "value") {
+      channel = options.channel || this.channel || this.circleGrid.valueChannels[0];
+      if (!channel || !this.circleGrid.valueChannels.includes(channel)) {
+        throw new Error(`未知的测量值通道: ${channel}`);
+      }
+    }
+
+    if (options.sectors !== undefined) {
+      this.sectors = Math.max(1, Math.round(options.sectors) || 1);
+    }
+    if (options.densityRadius !== undefined) {
+      this.densityRadius = Math.max(1, Math.round(options.densityRadius) || 1);
+    }
+
+    const changed = mode !== this.mode || channel !== this.channel;
+    this.mode = mode;
+    this.channel = channel;
+
+    if (options.scale) {
+      this.scale = options.scale;
+    } else if (changed || !this.scale) {
+      this.scale = this.createDefaultScale();
+    }
+
+    this.apply();
+  }
+
+  /**
+   * 创建当前模式的默认颜色映射
+   * @returns {ColorScale|null} 颜色映射，模式不使用连续映射时返回null
+   */
+  createDefaultScale() {
+    const preset = ColorModes.MODES[this.mode].scale;
+    if (!preset) return null;
+    const range = this.getDefaultRange();
+    return ColorScale.create(preset, range.min, range.max);
+  }
+
+  /**
+   * 获取颜色映射的默认范围
+   * @param {string} mode - 颜色模式
+   * @param {string} channel - 测量值通道
+   * @returns {{min: number, max: number}} 数值范围
+   */
+  getDefaultRange(mode = this.mode, channel = this.channel) {
+    if (mode === "value" && channel) {
+      const range = this.circleGrid.getValueRange(channel);
+      return { min: range.min, max: range.max };
+    }
+    if (mode === "density") {
+      return { min: 0, max: ColorModes.DEFAULT_DENSITY_MAX };
+    }
+    return { min: 0, max: 1 };
+  }
+
+  /**
+   * 数据变化 (重新生成或加载文件) 后重新着色
+   * 新数据中没有当前测量值通道时恢复按bin着色
+   */
+  refresh() {
+    if (this.mode === "value") {
+      if (!this.circleGrid.valueChannels.includes(this.channel)) {
+        this.mode = "bin";
+        this.channel = null;
+        this.scale = null;
+      } else {
+        const range = this.getDefaultRange();
+        this.scale.setRange(range.min, range.max);
+      }
+    }
+
+    // 新数据的方块已按bin着色
+    if (this.mode !== "bin") {
+      this.apply();
+    }
+  }
+
+  /**
+   * 按当前模式为所有方块着色 (直接写入芯片存储的颜色数组)
+   */
+  apply() {
+    const dies = this.circleGrid.dies;
+
+    if (this.mode === "density") {
+      const densities = this.computeDensities();
+      for (let i = 0; i < dies.count; i++) {
+        dies.setColor(i, dies.hasFlag(i, DieStore.FLAG_INKED) ? InkRules.INK_COLOR : this.scale.map(densities[i]));
+      }
+      return;
+    }
+
+    for (let i = 0; i < dies.count; i++) {
+      dies.setColor(i, this.colorDie(i));
+    }
+  }
+
+  /**
+   * 芯片数据被修改后重新着色
+   * 密度模式下修改的芯片会影响邻域内其他芯片的颜色，重新着色全部芯片
+   * @param {Iterable<number>} indexes - 被修改的芯片索引
+   * @returns {boolean} 是否重新着色了全部芯片
+   */
+  updateDies(indexes) {
+    if (this.mode === "density") {
+      this.apply();
+      return true;
+    }
+    const dies = this.circleGrid.dies;
+    for (const index of indexes) {
+      dies.setColor(index, this.colorDie(index));
+    }
+    return false;
+  }
+
+  /**
+   * 计算单个芯片的颜色 (密度模式需要邻域信息，由apply统一计算)，被打点的芯片在所有模式下使用打点颜色
+   * @param {number} index - 芯片索引
+   * @returns {Array<number>} RGBA颜色数组
+   */
+  colorDie(index) {
+    const dies = this.circleGrid.dies;
+    if (dies.hasFlag(index, DieStore.FLAG_INKED)) {
+      return InkRules.INK_COLOR;
+    }
+    switch (this.mode) {
+      case "radial":
+        return this.scale.map(dies.distance[index]);
+      case "angular":
+        return this.getSectorColor(dies.angle[index]);
+      case "value":
+        return this.scale.map(dies.getValue(this.channel, index));
+      case "site": {
+        // 没有探针卡时所有芯片都不属于任何触点
+        const plan = this.circleGrid.probePlan;
+        return plan
+          ? ProbeCard.getSiteColor(plan.siteOf[index], this.circleGrid.probeCard.sites.length, dies.isBad(index))
+          : ProbeCard.UNCOVERED_COLOR;
+      }
+      default:
+        return this.circleGrid.binLegend.getColor(dies.bin[index]);
+    }
+  }
+
+  /**
+   * 计算LOD合并瓦片的颜色
+   * @param {Object} level - LOD级别数据，见 TileManager.buildMergedLevel()
+   * @param {number} index - 瓦片索引
+   * @param {Array<number>} averageColor - 区域内芯片颜色的平均值
+   * @returns {Array<number>} RGBA颜色数组
+   */
+  colorMergedTile(level, index, averageColor) {
+    const x = level.x[index];
+    const y = level.y[index];
+    switch (this.mode) {
+      case "radial":
+        return this.scale.map(Math.sqrt(x * x + y * y) / this.circleGrid.radius);
+      case "angular":
+        return this.getSectorColor((Math.atan2(y, x) + Math.PI) / (Math.PI * 2));
+      case "value": {
+        const sums = level.valueSums.get(this.channel);
+        const counts = level.valueCounts.get(this.channel);
+        return this.scale.map(sums && counts[index] > 0 ? sums[index] / counts[index] : NaN);
+      }
+      case "density":
+        return this.scale.map(level.badCount[index] / level.dieCount[index]);
+      case "site":
+        // 瓦片内包含多个Site，使用平均颜色
+        return averageColor;
+      default:
+        // 坏数据瓦片使用数量最多的失效bin的颜色，否则使用平均颜色
+        return level.isBad[index]
+          ? this.circleGrid.binLegend.getColor(level.dominantFailBin[index])
+          : averageColor;
+    }
+  }
+
+  /**
+   * 获取角度所在扇区的颜色 (相邻扇区交替亮度，扇区数较多时也能区分)
+   * @param {number} angle - 归一化角度 (0-1)
+   * @returns {Array<number>} RGBA颜色数组
+   */
+  getSectorColor(angle) {
+    const sector = Math.min(this.sectors - 1, Math.floor(angle * this.sectors));
+    return MathUtils.hslToRgb((sector * 360) / this.sectors, 70, sector % 2 === 0 ? 55 : 40);
+  }
+
+  /**
+   * 计算每个芯片邻域内的坏数据比例
+   * 使用二维前缀和，每个芯片的查询为O(1)
+   * @returns {Float32Array} 按芯片索引排列的密度值 (0-1)
+   */
+  computeDensities() {
+    const dies = this.circleGrid.dies;
+    const count = dies.count;
+    const densities = new Float32Array(count);
+    if (count === 0) return densities;
+
+    const { minRow, maxRow, minCol, maxCol } = dies.getBounds();
+
+    // 前缀和表多一行一列，下标 (r+1, c+1) 存储 [0..r]x[0..c] 的和
+    const rows = maxRow - minRow + 1;
+    const cols = maxCol - minCol + 1;
+    const stride = cols + 1;
+    const present = new Int32Array((rows + 1) * stride);
+    const bad = new Int32Array((rows + 1) * stride);
+
+    for (let i = 0; i < count; i++) {
+      const index = (dies.row[i] - minRow + 1) * stride + (dies.col[i] - minCol + 1);
+      present[index] = 1;
+      if (dies.isBad(i)) {
+        bad[index] = 1;
+      }
+    }
+
+    for (let r = 1; r <= rows; r++) {
+      for (let c = 1; c <= cols; c++) {
+        const i = r * stride + c;
+        present[i] += present[i - 1] + present[i - stride] - present[i - stride - 1];
+        bad[i] += bad[i - 1] + bad[i - stride] - bad[i - stride - 1];
+      }
+    }
+
+    const boxSum = (table, r0, c0, r1, c1) =>
+      table[(r1 + 1) * stride + c1 + 1] -
+      table[r0 * stride + c1 + 1] -
+      table[(r1 + 1) * stride + c0] +
+      table[r0 * stride + c0];
+
+    const radius = this.densityRadius;
+    for (let i = 0; i < count; i++) {
+      const r = dies.row[i] - minRow;
+      const c = dies.col[i] - minCol;
+      const r0 = Math.max(0, r - radius);
+      const r1 = Math.min(rows - 1, r + radius);
+      const c0 = Math.max(0, c - radius);
+      const c1 = Math.min(cols - 1, c + radius);
+      const total = boxSum(present, r0, c0, r1, c1);
+      densities[i] = total > 0 ? boxSum(bad, r0, c0, r1, c1) / total : 0;
+    }
+
+    return densities;
+  }
+}
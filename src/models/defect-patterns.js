@@ -0,0 +1,295 @@
+import { MathUtils } from "../utils/math.js";
+
+/**
+ * 晶圆失效图形类
+ * 为合成晶圆图提供常见的失效特征 (边缘环、中心团、划痕、径向条纹、随机团簇、掩模重复缺陷)
+ * 图形的随机位置在创建时从种子随机数生成器中抽取，相同种子得到相同的图形
+ */
+export class DefectPatterns {
+  /**
+   * 各图形的默认参数
+   * 长度类参数以晶圆半径归一化 (0-1)，scratch.width 和 reticle 的参数以芯片为单位
+   * probability 为图形覆盖区域内芯片失效的概率，bin 为失效芯片的bin编码
+   */
+  static DEFAULTS = {
+    edgeRing: { name: "边缘环", width: 0.08, probability: 0.5, bin: 4 },
+    centerBlob: {
+      name: "中心团",
+      radius: 0.2,
+      offsetX: 0,
+      offsetY: 0,
+      probability: 0.6,
+      bin: 6,
+    },
+    scratch: {
+      name: "划痕",
+      count: 2,
+      length: 0.8,
+      width: 1.5,
+      curvature: 0.15,
+      probability: 0.9,
+      bin: 2,
+    },
+    radialStreaks: {
+      name: "径向条纹",
+      count: 5,
+      width: 0.015,
+      innerRadius: 0.3,
+      probability: 0.5,
+      bin: 3,
+    },
+    clusters: { name: "随机团簇", count: 10, radius: 0.04, probability: 0.8, bin: 5 },
+    reticle: {
+      name: "掩模重复缺陷",
+      shotRows: 4,
+      shotCols: 4,
+      count: 1,
+      offsets: null,
+      probability: 0.9,
+      bin: 7,
+    },
+  };
+
+  /**
+   * 划痕折线的分段数
+   */
+  static SCRATCH_SEGMENTS = 8;
+
+  /**
+   * 规范化图形配置，字符串视为使用默认参数的图形类型
+   * @param {string|Object} config - 图形类型或配置 {type, ...参数}
+   * @returns {Object} 合并默认参数后的配置
+   */
+  static normalize(config) {
+    const options = typeof config === "string" ? { type: config } : config || {};
+    const defaults = DefectPatterns.DEFAULTS[options.type];
+    if (!defaults) {
+      throw new Error(`未知的失效图形: ${options.type}`);
+    }
+    return { ...defaults, ...options };
+  }
+
+  /**
+   * 创建失效图形
+   * @param {string|Object} config - 图形类型或配置
+   * @param {SeededRandom} rng - 种子随机数生成器
+   * @param {Object} context - 晶圆信息 {radius, pitch}
+   * @returns {{type: string, bin: number, evaluate: Function}} 图形，
+   *   evaluate(die) 返回芯片的失效概率，die 为 {nx, ny, distance, angle, row, col}
+   *   (nx/ny 为归一化坐标，angle 为弧度 -π~π)
+   */
+  static create(config, rng, context) {
+    const options = DefectPatterns.normalize(config);
+    let evaluate;
+    switch (options.type) {
+      case "edgeRing":
+        evaluate = DefectPatterns.createEdgeRing(options);
+        break;
+      case "centerBlob":
+        evaluate = DefectPatterns.createCenterBlob(options);
+        break;
+      case "scratch":
+        evaluate = DefectPatterns.createScratch(options, rng, context);
+        break;
+      case "radialStreaks":
+        evaluate = DefectPatterns.createRadialStreaks(options, rng);
+        break;
+      case "clusters":
+        evaluate = DefectPatterns.createClusters(options, rng);
+        break;
+      default:
+        evaluate = DefectPatterns.createReticle(options, rng);
+    }
+    return { type: options.type, bin: options.bin, evaluate };
+  }
+
+  /**
+   * 边缘环: 靠近晶圆边缘的环带，失效概率向外线性升高
+   * @param {Object} options - 图形参数
+   * @returns {Function} 失效概率函数 (die) => number
+   */
+  static createEdgeRing(options) {
+    const inner = 1 - options.width;
+    return (die) => {
+      if (die.distance < inner) return 0;
+      return options.probability * Math.min(1, (die.distance - inner) / options.width);
+    };
+  }
+
+  /**
+   * 中心团: 圆形区域，失效概率从中心向外递减
+   * @param {Object} options - 图形参数
+   * @returns {Function} 失效概率函数 (die) => number
+   */
+  static createCenterBlob(options) {
+    return (die) => {
+      const dx = die.nx - options.offsetX;
+      const dy = die.ny - options.offsetY;
+      const t = (dx * dx + dy * dy) / (options.radius * options.radius);
+      return t < 1 ? options.probability * (1 - t) : 0;
+    };
+  }
+
+  /**
+   * 划痕: 随机起点和方向的弯曲细线 (二次贝塞尔曲线近似为折线)
+   * @param {Object} options - 图形参数
+   * @param {SeededRandom} rng - 种子随机数生成器
+   * @param {Object} context - 晶圆信息 {radius, pitch}
+   * @returns {Function} 失效概率函数 (die) => number
+   */
+  static createScratch(options, rng, context) {
+    // 宽度以芯片个数计，使用X、Y步距的平均值
+    const dieSize = (context.pitch.x + context.pitch.y) / 2;
+    const halfWidth = (options.width * dieSize) / context.radius / 2;
+    const scratches = [];
+
+    for (let i = 0; i < options.count; i++) {
+      // 起点在晶圆内部，方向随机
+      const startRadius = 0.8 * Math.sqrt(rng.next());
+      const startAngle = rng.range(-Math.PI, Math.PI);
+      const direction = rng.range(-Math.PI, Math.PI);
+      const x0 = startRadius * Math.cos(startAngle);
+      const y0 = startRadius * Math.sin(startAngle);
+      const x2 = x0 + options.length * Math.cos(direction);
+      const y2 = y0 + options.length * Math.sin(direction);
+
+      // 控制点沿法线偏移形成弧度
+      const bend = rng.range(-1, 1) * options.curvature * options.length;
+      const x1 = (x0 + x2) / 2 - bend * Math.sin(direction);
+      const y1 = (y0 + y2) / 2 + bend * Math.cos(direction);
+
+      const points = [];
+      for (let s = 0; s <= DefectPatterns.SCRATCH_SEGMENTS; s++) {
+        const t = s / DefectPatterns.SCRATCH_SEGMENTS;
+        const a = (1 - t) * (1 - t);
+        const b = 2 * (1 - t) * t;
+        const c = t * t;
+        points.push([a * x0 + b * x1 + c * x2, a * y0 + b * y1 + c * y2]);
+      }
+
+      // 包围盒用于快速排除远处的芯片
+      const xs = points.map((p) => p[0]);
+      const ys = points.map((p) => p[1]);
+      scratches.push({
+        points,
+        minX: Math.min(...xs) - halfWidth,
+        maxX: Math.max(...xs) + halfWidth,
+        minY: Math.min(...ys) - halfWidth,
+        maxY: Math.max(...ys) + halfWidth,
+      });
+    }
+
+    return (die) => {
+      for (const scratch of scratches) {
+        if (die.nx < scratch.minX || die.nx > scratch.maxX || die.ny < scratch.minY || die.ny > scratch.maxY) {
+          continue;
+        }
+        const points = scratch.points;
+        for (let i = 1; i < points.length; i++) {
+          if (DefectPatterns.segmentDistance(die.nx, die.ny, points[i - 1], points[i]) <= halfWidth) {
+            return options.probability;
+          }
+        }
+      }
+      return 0;
+    };
+  }
+
+  /**
+   * 径向条纹: 从内半径延伸到边缘的放射状窄条
+   * @param {Object} options - 图形参数
+   * @param {SeededRandom} rng - 种子随机数生成器
+   * @returns {Function} 失效概率函数 (die) => number
+   */
+  static createRadialStreaks(options, rng) {
+    const angles = [];
+    for (let i = 0; i < options.count; i++) {
+      angles.push(rng.range(-Math.PI, Math.PI));
+    }
+
+    return (die) => {
+      if (die.distance < options.innerRadius) return 0;
+      for (const angle of angles) {
+        let delta = Math.abs(die.angle - angle);
+        if (delta > Math.PI) delta = Math.PI * 2 - delta;
+        if (delta <= options.width) return options.probability;
+      }
+      return 0;
+    };
+  }
+
+  /**
+   * 随机团簇: 随机位置、大小不一的圆形团簇，失效概率从中心向外递减
+   * @param {Object} options - 图形参数
+   * @param {SeededRandom} rng - 种子随机数生成器
+   * @returns {Function} 失效概率函数 (die) => number
+   */
+  static createClusters(options, rng) {
+    const clusters = [];
+    for (let i = 0; i < options.count; i++) {
+      const r = 0.95 * Math.sqrt(rng.next());
+      const angle = rng.range(-Math.PI, Math.PI);
+      clusters.push({
+        x: r * Math.cos(angle),
+        y: r * Math.sin(angle),
+        radius: options.radius * rng.range(0.5, 1.5),
+      });
+    }
+
+    return (die) => {
+      let probability = 0;
+      for (const cluster of clusters) {
+        const dx = die.nx - cluster.x;
+        const dy = die.ny - cluster.y;
+        const r = Math.sqrt(dx * dx + dy * dy);
+        if (r < cluster.radius) {
+          probability = Math.max(probability, options.probability * (1 - r / cluster.radius));
+        }
+      }
+      return probability;
+    };
+  }
+
+  /**
+   * 掩模重复缺陷: 每个曝光区域 (shotRows x shotCols 个芯片) 中相同位置的芯片失效
+   * offsets 为曝光区域内的失效位置 [{row, col}]，未指定时随机选取 count 个
+   * @param {Object} options - 图形参数
+   * @param {SeededRandom} rng - 种子随机数生成器
+   * @returns {Function} 失效概率函数 (die) => number
+   */
+  static createReticle(options, rng) {
+    const offsets = Array.isArray(options.offsets)
+      ? options.offsets
+      : Array.from({ length: options.count }, () => ({
+          row: rng.int(options.shotRows),
+          col: rng.int(options.shotCols),
+        }));
+
+    const defective = new Set(offsets.map((offset) => offset.row * options.shotCols + offset.col));
+
+    return (die) => {
+      const key =
+        MathUtils.mod(die.row, options.shotRows) * options.shotCols + MathUtils.mod(die.col, options.shotCols);
+      return defective.has(key) ? options.probability : 0;
+    };
+  }
+
+  /**
+   * 计算点到线段的距离
+   * @param {number} px - 点的X坐标
+   * @param {number} py - 点的Y坐标
+   * @param {Array<number>} a - 线段起点 [x, y]
+   * @param {Array<number>} b - 线段终点 [x, y]
+   * @returns {number} 距离
+   */
+  static segmentDistance(px, py, a, b) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSq = dx * dx + dy * dy;
+    let t = lengthSq > 0 ? ((px - a[0]) * dx + (py - a[1]) * dy) / lengthSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    const cx = a[0] + t * dx - px;
+    const cy = a[1] + t * dy - py;
+    return Math.sqrt(cx * cx + cy * cy);
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * 芯片索引坐标系
+ * 网格内部使用行列索引 (左上角为原点，行向下、列向右递增)，
+ * 不同测试机台使用各自的原点芯片、坐标轴方向和定位缺口方向，
+ * 本类负责在内部行列索引和机台索引坐标 (X, Y) 之间转换
+ */
+export class DieCoordinates {
+  /**
+   * 定位缺口 (notch) 或平边 (flat) 在显示中的方向 → 相对缺口朝下时顺时针旋转的角度
+   * 索引坐标轴固定在晶圆上，缺口朝下时 +X/+Y 方向与设置一致，晶圆旋转时坐标轴随之旋转
+   */
+  static ORIENTATIONS = {
+    down: { name: "下", angle: 0 },
+    left: { name: "左", angle: 90 },
+    up: { name: "上", angle: 180 },
+    right: { name: "右", angle: 270 },
+  };
+
+  /**
+   * X轴正方向 (缺口朝下时)
+   */
+  static X_DIRECTIONS = {
+    right: { name: "向右", sign: 1 },
+    left: { name: "向左", sign: -1 },
+  };
+
+  /**
+   * Y轴正方向 (缺口朝下时)
+   */
+  static Y_DIRECTIONS = {
+    up: { name: "向上", sign: 1 },
+    down: { name: "向下", sign: -1 },
+  };
+
+  /**
+   * 构造函数
+   */
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * 恢复默认坐标系: 原点为第0行第0列，+X向右，+Y向下，缺口朝下
+   * (与内部行列索引一致)
+   */
+  reset() {
+    this.originRow = 0;
+    this.originCol = 0;
+    this.xDirection = "right";
+    this.yDirection = "down";
+    this.orientation = "down";
+  }
+
+  /**
+   * 修改坐标系
+   * @param {Object} options - 选项
+   * @param {number} options.originRow - 原点芯片的内部行索引
+   * @param {number} options.originCol - 原点芯片的内部列索引
+   * @param {string} options.xDirection - X轴正方向 (right、left)
+   * @param {string} options.yDirection - Y轴正方向 (up、down)
+   * @param {string} options.orientation - 缺口方向 (down、left、up、right)
+   */
+  configure(options = {}) {
+    if (options.xDirection !== undefined && !DieCoordinates.X_DIRECTIONS[options.xDirection]) {
+      throw new Error(`未知的X轴方向: ${options.xDirection}`);
+    }
+    if (options.yDirection !== undefined && !DieCoordinates.Y_DIRECTIONS[options.yDirection]) {
+      throw new Error(`未知的Y轴方向: ${options.yDirection}`);
+    }
+    if (options.orientation !== undefined && !DieCoordinates.ORIENTATIONS[options.orientation]) {
+      throw new Error(`未知的缺口方向: ${options.orientation}`);
+    }
+    for (const key of ["originRow", "originCol"]) {
+      if (options[key] !== undefined && !Number.isInteger(options[key])) {
+        throw new Error(`原点索引必须为整数: ${key}=${options[key]}`);
+      }
+    }
+
+    for (const key of ["originRow", "originCol", "xDirection", "yDirection", "orientation"]) {
+      if (options[key] !== undefined) {
+        this[key] = options[key];
+      }
+    }
+  }
+
+  /**
+   * 获取当前设置 (可用于 configure() 恢复)
+   * @returns {Object} {originRow, originCol, xDirection, yDirection, orientation}
+   */
+  getOptions() {
+    return {
+      originRow: this.originRow,
+      originCol: this.originCol,
+      xDirection: this.xDirection,
+      yDirection: this.yDirection,
+      orientation: this.orientation,
+    };
+  }
+
+  /**
+   * 内部行列索引 → 索引坐标
+   * @param {number} row - 内部行索引
+   * @param {number} col - 内部列索引
+   * @returns {{x: number, y: number}} 索引坐标
+   */
+  gridToIndex(row, col) {
+    // 相对原点的偏移 (显示方向，向右、向上为正)
+    const dx = col - this.originCol;
+    const dy = this.originRow - row;
+
+    // 逆时针旋转回缺口朝下的晶圆方向
+    const { cos, sin } = this.getRotation();
+    const waferX = dx * cos - dy * sin;
+    const waferY = dx * sin + dy * cos;
+
+    return {
+      x: DieCoordinates.X_DIRECTIONS[this.xDirection].sign * waferX,
+      y: DieCoordinates.Y_DIRECTIONS[this.yDirection].sign * waferY,
+    };
+  }
+
+  /**
+   * 索引坐标 → 内部行列索引
+   * @param {number} x - 索引X
+   * @param {number} y - 索引Y
+   * @returns {{row: number, col: number}} 内部行列索引
+   */
+  indexToGrid(x, y) {
+    const waferX = DieCoordinates.X_DIRECTIONS[this.xDirection].sign * x;
+    const waferY = DieCoordinates.Y_DIRECTIONS[this.yDirection].sign * y;
+
+    // 顺时针旋转到显示方向
+    const { cos, sin } = this.getRotation();
+    const dx = waferX * cos + waferY * sin;
+    const dy = -waferX * sin + waferY * cos;
+
+    return {
+      row: this.originRow - dy,
+      col: this.originCol + dx,
+    };
+  }
+
+  /**
+   * 获取缺口方向对应的旋转 (角度均为90°的倍数，使用整数避免浮点误差)
+   * @returns {{cos: number, sin: number}} 旋转角的余弦和正弦
+   */
+  getRotation() {
+    switch (DieCoordinates.ORIENTATIONS[this.orientation].angle) {
+      case 90:
+        return { cos: 0, sin: 1 };
+      case 180:
+        return { cos: -1, sin: 0 };
+      case 270:
+        return { cos: 0, sin: -1 };
+      default:
+        return { cos: 1, sin: 0 };
+    }
+  }
+}
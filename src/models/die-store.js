@@ -0,0 +1,344 @@
+/**
+ * 芯片存储类 (结构数组)
+ * 每个属性存放在一个连续的类型化数组中，芯片以索引访问，
+ * 避免为几十万个芯片分别创建对象，颜色数组也可以直接上传到GPU
+ */
+export class DieStore {
+  /**
+   * 标记位: 坏数据 (失效芯片)
+   */
+  static FLAG_BAD = 1;
+
+  /**
+   * 标记位: 部分在晶圆外的边缘芯片
+   */
+  static FLAG_PARTIAL = 2;
+
+  /**
+   * 标记位: 中心在边缘排除区内 (或缺口、平边处) 的芯片
+   */
+  static FLAG_EXCLUDED = 4;
+
+  /**
+   * 标记位: 被打点规则打掉的良品芯片 (bin和坏数据标记保持原始测试结果)
+   */
+  static FLAG_INKED = 8;
+
+  /**
+   * 标记位: 生成或加载后被修改过 (增量更新或实时数据流) 的芯片
+   */
+  static FLAG_EDITED = 16;
+
+  /**
+   * 构造函数
+   * @param {number} capacity - 初始容量
+   */
+  constructor(capacity = 1024) {
+    this.count = 0;
+    this.capacity = 0;
+    // 芯片绘制尺寸 (所有芯片相同，步距减去划片道)
+    this.dieWidth = 1;
+    this.dieHeight = 1;
+    // 测量值通道名 → Float32Array，缺失值为NaN
+    this.values = new Map();
+    this.allocate(Math.max(1, capacity));
+  }
+
+  /**
+   * 分配 (或扩大) 数组，保留已有数据
+   * @param {number} capacity - 新容量
+   */
+  allocate(capacity) {
+    const grow = (ArrayType, old, stride = 1) => {
+      const array = new ArrayType(capacity * stride);
+      if (old) {
+        array.set(old.subarray(0, this.count * stride));
+      }
+      return array;
+    };
+
+    // 中心坐标
+    this.x = grow(Float32Array, this.x);
+    this.y = grow(Float32Array, this.y);
+    // 归一化距离 (0-1) 和归一化角度 (0-1)
+    this.distance = grow(Float32Array, this.distance);
+    this.angle = grow(Float32Array, this.angle);
+    // 行列索引 (左上角为原点，行向下、列向右递增)
+    this.row = grow(Int32Array, this.row);
+    this.col = grow(Int32Array, this.col);
+    this.bin = grow(Int32Array, this.bin);
+    this.flags = grow(Uint8Array, this.flags);
+    // RGBA颜色，每个芯片4个分量
+    this.colors = grow(Float32Array, this.colors, 4);
+
+    for (const [channel, array] of this.values) {
+      const resized = new Float32Array(capacity).fill(NaN);
+      resized.set(array.subarray(0, this.count));
+      this.values.set(channel, resized);
+    }
+
+    this.capacity = capacity;
+  }
+
+  /**
+   * 清空所有芯片 (保留已分配的数组)
+   */
+  clear() {
+    this.count = 0;
+    this.values.clear();
+  }
+
+  /**
+   * 确保容量足够，不足时按2倍扩容
+   * @param {number} capacity - 需要的容量
+   */
+  ensureCapacity(capacity) {
+    if (capacity > this.capacity) {
+      this.allocate(Math.max(capacity, this.capacity * 2));
+    }
+  }
+
+  /**
+   * 释放多余容量 (生成或加载完成后调用)
+   */
+  trim() {
+    if (this.capacity > this.count) {
+      this.allocate(Math.max(1, this.count));
+    }
+  }
+
+  /**
+   * 添加芯片
+   * @param {number} x - 中心X坐标
+   * @param {number} y - 中心Y坐标
+   * @param {number} distance - 归一化距离 (0-1)
+   * @param {number} angle - 归一化角度 (0-1)
+   * @param {number} row - 行索引
+   * @param {number} col - 列索引
+   * @param {number} bin - bin编码
+   * @param {boolean} isBadData - 是否为坏数据
+   * @returns {number} 芯片索引
+   */
+  add(x, y, distance, angle, row, col, bin, isBadData) {
+    this.ensureCapacity(this.count + 1);
+    const index = this.count++;
+    this.x[index] = x;
+    this.y[index] = y;
+    this.distance[index] = distance;
+    this.angle[index] = angle;
+    this.row[index] = row;
+    this.col[index] = col;
+    this.bin[index] = bin;
+    this.flags[index] = isBadData ? DieStore.FLAG_BAD : 0;
+    for (const array of this.values.values()) {
+      array[index] = NaN;
+    }
+    return index;
+  }
+
+  /**
+   * 判断芯片是否为坏数据
+   * @param {number} index - 芯片索引
+   * @returns {boolean} 是否为坏数据
+   */
+  isBad(index) {
+    return (this.flags[index] & DieStore.FLAG_BAD) !== 0;
+  }
+
+  /**
+   * 设置芯片是否为坏数据
+   * @param {number} index - 芯片索引
+   * @param {boolean} isBadData - 是否为坏数据
+   */
+  setBad(index, isBadData) {
+    this.setFlag(index, DieStore.FLAG_BAD, isBadData);
+  }
+
+  /**
+   * 判断芯片是否带有标记位
+   * @param {number} index - 芯片索引
+   * @param {number} flag - 标记位 (DieStore.FLAG_*)
+   * @returns {boolean} 是否带有标记位
+   */
+  hasFlag(index, flag) {
+    return (this.flags[index] & flag) !== 0;
+  }
+
+  /**
+   * 设置或清除芯片的标记位
+   * @param {number} index - 芯片索引
+   * @param {number} flag - 标记位 (DieStore.FLAG_*)
+   * @param {boolean} enabled - 是否设置
+   */
+  setFlag(index, flag, enabled) {
+    if (enabled) {
+      this.flags[index] |= flag;
+    } else {
+      this.flags[index] &= ~flag;
+    }
+  }
+
+  /**
+   * 芯片内部行列索引的范围
+   * @returns {{minRow: number, maxRow: number, minCol: number, maxCol: number}|null} 范围，没有芯片时为null
+   */
+  getBounds() {
+    if (this.count === 0) return null;
+    let minRow = Infinity;
+    let maxRow = -Infinity;
+    let minCol = Infinity;
+    let maxCol = -Infinity;
+    for (let i = 0; i < this.count; i++) {
+      minRow = Math.min(minRow, this.row[i]);
+      maxRow = Math.max(maxRow, this.row[i]);
+      minCol = Math.min(minCol, this.col[i]);
+      maxCol = Math.max(maxCol, this.col[i]);
+    }
+    return { minRow, maxRow, minCol, maxCol };
+  }
+
+  /**
+   * 统计坏数据数量
+   * @returns {number} 坏数据数量
+   */
+  countBad() {
+    let count = 0;
+    for (let i = 0; i < this.count; i++) {
+      count += this.flags[i] & DieStore.FLAG_BAD;
+    }
+    return count;
+  }
+
+  /**
+   * 设置芯片颜色
+   * @param {number} index - 芯片索引
+   * @param {Array<number>} color - RGBA颜色数组
+   */
+  setColor(index, color) {
+    const offset = index * 4;
+    this.colors[offset] = color[0];
+    this.colors[offset + 1] = color[1];
+    this.colors[offset + 2] = color[2];
+    this.colors[offset + 3] = color[3];
+  }
+
+  /**
+   * 获取芯片颜色
+   * @param {number} index - 芯片索引
+   * @returns {Array<number>} RGBA颜色数组 (副本)
+   */
+  getColor(index) {
+    return Array.from(this.colors.subarray(index * 4, index * 4 + 4));
+  }
+
+  /**
+   * 获取测量值通道名
+   * @returns {Array<string>} 通道名数组
+   */
+  getChannels() {
+    return Array.from(this.values.keys());
+  }
+
+  /**
+   * 获取测量值通道的数组，不存在时创建 (填充NaN)
+   * @param {string} channel - 通道名
+   * @returns {Float32Array} 数值数组
+   */
+  getChannel(channel) {
+    let array = this.values.get(channel);
+    if (!array) {
+      array = new Float32Array(this.capacity).fill(NaN);
+      this.values.set(channel, array);
+    }
+    return array;
+  }
+
+  /**
+   * 设置芯片的测量值
+   * @param {string} channel - 通道名
+   * @param {number} index - 芯片索引
+   * @param {number} value - 数值
+   */
+  setValue(channel, index, value) {
+    this.getChannel(channel)[index] = value;
+  }
+
+  /**
+   * 获取芯片的测量值
+   * @param {string} channel - 通道名
+   * @param {number} index - 芯片索引
+   * @returns {number} 数值，缺失时为NaN
+   */
+  getValue(channel, index) {
+    const array = this.values.get(channel);
+    return array ? array[index] : NaN;
+  }
+
+  /**
+   * 获取芯片的全部测量值
+   * @param {number} index - 芯片索引
+   * @returns {Object} 通道名 → 数值 (不含缺失值)
+   */
+  getValues(index) {
+    const values = {};
+    for (const [channel, array] of this.values) {
+      if (!Number.isNaN(array[index])) {
+        values[channel] = array[index];
+      }
+    }
+    return values;
+  }
+
+  /**
+   * 获取所有数组的底层缓冲区，用于 postMessage 的转移列表
+   * (转移后原数组不可再用)
+   * @returns {Array<ArrayBuffer>} 缓冲区数组
+   */
+  getTransferables() {
+    const arrays = [
+      this.x,
+      this.y,
+      this.distance,
+      this.angle,
+      this.row,
+      this.col,
+      this.bin,
+      this.flags,
+      this.colors,
+      ...this.values.values(),
+    ];
+    return arrays.map((array) => array.buffer);
+  }
+
+  /**
+   * 从结构化克隆得到的数据 (例如Worker发送的芯片存储) 恢复芯片存储
+   * @param {Object} data - 芯片存储的字段
+   * @returns {DieStore} 芯片存储
+   */
+  static restore(data) {
+    const store = new DieStore(1);
+    Object.assign(store, data);
+    return store;
+  }
+
+  /**
+   * 获取芯片的全部属性 (用于显示和导出，不要在渲染循环中调用)
+   * @param {number} index - 芯片索引
+   * @returns {Object} {index, x, y, distance, angle, row, col, bin, isBadData, color, values}
+   */
+  getDie(index) {
+    return {
+      index,
+      x: this.x[index],
+      y: this.y[index],
+      distance: this.distance[index],
+      angle: this.angle[index],
+      row: this.row[index],
+      col: this.col[index],
+      bin: this.bin[index],
+      isBadData: this.isBad(index),
+      color: this.getColor(index),
+      values: this.getValues(index),
+    };
+  }
+}
@@ -0,0 +1,188 @@
+import { CircleGrid } from "./circle-grid.js";
+import { DieStore } from "./die-store.js";
+import { StackedMap } from "./stacked-map.js";
+
+/**
+ * 差异图类
+ * 按芯片索引坐标对比两片几何参数相同的晶圆 (例如复测前后、两个测试程序)，
+ * 每个芯片归入 未变化 / 良品→失效 / 失效→良品 / Bin变化 之一，
+ * 结果生成为一个圆形网格，以类别作为bin编码，沿用按Bin着色和图例面板
+ */
+export class DiffMap {
+  /**
+   * 差异类别 (同时作为差异图中的bin编码)
+   */
+  static UNCHANGED = 1;
+  static GOOD_TO_BAD = 2;
+  static BAD_TO_GOOD = 3;
+  static BIN_CHANGED = 4;
+
+  /**
+   * 差异类别的名称、颜色和统计键
+   */
+  static CATEGORIES = [
+    { code: 1, key: "unchanged", name: "未变化", color: [0.35, 0.35, 0.35, 1], isGood: true },
+    { code: 2, key: "goodToBad", name: "良品→失效", color: [0.9, 0.15, 0.15, 1], isGood: false },
+    { code: 3, key: "badToGood", name: "失效→良品", color: [0.2, 0.8, 0.3, 1], isGood: false },
+    { code: 4, key: "binChanged", name: "Bin变化", color: [1, 0.75, 0.1, 1], isGood: false },
+  ];
+
+  /**
+   * 对比前后的bin编码通道
+   */
+  static BIN_BEFORE_CHANNEL = "binBefore";
+  static BIN_AFTER_CHANNEL = "binAfter";
+
+  /**
+   * 构造函数
+   * @param {CircleGrid} before - 对比基准网格
+   * @param {CircleGrid} after - 对比网格
+   */
+  constructor(before, after) {
+    DiffMap.validate(before, after);
+    this.before = before;
+    this.after = after;
+    // 只在一片晶圆上有芯片的位置数量 (不计入差异图)
+    this.unmatched = 0;
+    // build() 生成的差异图网格
+    this.circleGrid = null;
+  }
+
+  /**
+   * 检查两片晶圆能否对比 (半径、几何参数和芯片步距必须一致)
+   * @param {CircleGrid} before - 对比基准网格
+   * @param {CircleGrid} after - 对比网格
+   */
+  static validate(before, after) {
+    if (!before || !after) {
+      throw new Error("需要两片晶圆才能对比");
+    }
+    if (before === after) {
+      throw new Error("不能与自身对比");
+    }
+    const samePitch = (a, b) => Math.abs(a - b) <= Math.max(Math.abs(a), Math.abs(b)) * 1e-6;
+    if (
+      before.radius !== after.radius ||
+      JSON.stringify(before.geometry.getOptions()) !== JSON.stringify(after.geometry.getOptions()) ||
+      !samePitch(before.pitch.x, after.pitch.x) ||
+      !samePitch(before.pitch.y, after.pitch.y)
+    ) {
+      throw new Error("两片晶圆的几何参数不一致，无法对比");
+    }
+  }
+
+  /**
+   * 判断芯片的差异类别
+   * @param {boolean} goodBefore - 对比前是否良品
+   * @param {boolean} goodAfter - 对比后是否良品
+   * @param {number} binBefore - 对比前的bin编码
+   * @param {number} binAfter - 对比后的bin编码
+   * @returns {number} 差异类别
+   */
+  static classify(goodBefore, goodAfter, binBefore, binAfter) {
+    if (goodBefore && !goodAfter) return DiffMap.GOOD_TO_BAD;
+    if (!goodBefore && goodAfter) return DiffMap.BAD_TO_GOOD;
+    if (binBefore !== binAfter) return DiffMap.BIN_CHANGED;
+    return DiffMap.UNCHANGED;
+  }
+
+  /**
+   * 生成差异图的圆形网格
+   * 位置、边缘标记、坐标系和良率统计规则沿用对比基准网格，有变化的芯片为坏数据
+   * @param {string} name - 差异图名称
+   * @returns {CircleGrid} 圆形网格对象
+   */
+  build(name = "差异图") {
+    const before = this.before;
+    const after = this.after;
+
+    // 对比网格中索引坐标键 → 芯片索引
+    const afterDies = new Map();
+    for (let i = 0; i < after.dies.count; i++) {
+      const index = after.getDieIndex(i);
+      afterDies.set(StackedMap.getKey(index.x, index.y), i);
+    }
+
+    const circleGrid = new CircleGrid(before.radius);
+    circleGrid.geometry.configure(before.geometry.getOptions());
+    circleGrid.pitch = { ...before.pitch };
+    circleGrid.mmScale = before.mmScale;
+    circleGrid.gridOrigin = { ...before.gridOrigin };
+    circleGrid.coordinates.configure(before.coordinates.getOptions());
+    circleGrid.setYieldRule(before.yieldRule);
+    circleGrid.binLegend.setEntries(DiffMap.CATEGORIES.map(({ key, ...entry }) => entry));
+
+    const source = before.dies;
+    const dies = circleGrid.dies;
+    dies.clear();
+    dies.ensureCapacity(source.count);
+    dies.dieWidth = source.dieWidth;
+    dies.dieHeight = source.dieHeight;
+
+    let matched = 0;
+    for (let i = 0; i < source.count; i++) {
+      const index = before.getDieIndex(i);
+      const key = StackedMap.getKey(index.x, index.y);
+      const j = afterDies.get(key);
+      if (j === undefined) {
+        continue;
+      }
+      afterDies.delete(key);
+      matched++;
+
+      const binBefore = source.bin[i];
+      const binAfter = after.dies.bin[j];
+      const category = DiffMap.classify(!source.isBad(i), !after.dies.isBad(j), binBefore, binAfter);
+      const die = dies.add(
+        source.x[i],
+        source.y[i],
+        source.distance[i],
+        source.angle[i],
+        source.row[i],
+        source.col[i],
+        category,
+        category !== DiffMap.UNCHANGED
+      );
+      dies.flags[die] |= source.flags[i] & (DieStore.FLAG_PARTIAL | DieStore.FLAG_EXCLUDED);
+      dies.setColor(die, circleGrid.binLegend.getColor(category));
+      dies.setValue(DiffMap.BIN_BEFORE_CHANNEL, die, binBefore);
+      dies.setValue(DiffMap.BIN_AFTER_CHANNEL, die, binAfter);
+    }
+    dies.trim();
+    this.unmatched = source.count - matched + afterDies.size;
+
+    circleGrid.dataSource = "diff";
+    circleGrid.sourceName = name;
+    circleGrid.valueChannels = dies.getChannels();
+    circleGrid.setColorMode("bin");
+    this.circleGrid = circleGrid;
+
+    if (this.unmatched > 0) {
+      console.warn(`有${this.unmatched}个芯片位置只在一片晶圆上存在，未计入差异图`);
+    }
+    console.log(`对比了${matched}个芯片位置`);
+    return circleGrid;
+  }
+
+  /**
+   * 统计各差异类别的芯片数 (按差异图的良率统计规则排除部分芯片和边缘排除区内的芯片)
+   * @returns {{unchanged: number, goodToBad: number, badToGood: number, binChanged: number, unmatched: number}} 各类别数量
+   */
+  getCounts() {
+    const counts = { unmatched: this.unmatched };
+    for (const category of DiffMap.CATEGORIES) {
+      counts[category.key] = 0;
+    }
+    const circleGrid = this.circleGrid;
+    if (!circleGrid) {
+      return counts;
+    }
+    const keys = new Map(DiffMap.CATEGORIES.map((category) => [category.code, category.key]));
+    for (let i = 0; i < circleGrid.dies.count; i++) {
+      if (circleGrid.isYieldDie(i)) {
+        counts[keys.get(circleGrid.dies.bin[i])]++;
+      }
+    }
+    return counts;
+  }
+}
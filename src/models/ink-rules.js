@@ -0,0 +1,237 @@
+import { ClusterDetector } from "./cluster-detector.js";
+
+/**
+ * 打点规则类 (GDBN, good die in bad neighbourhood)
+ * 在芯片的行列网格上按邻域规则找出周围失效过多的良品芯片，这些芯片虽然测试通过，可靠性风险较高，需要打点剔除。
+ * 只有良品芯片会被打点，芯片原始的bin和坏数据标记不变
+ */
+export class InkRules {
+  /**
+   * 各规则的默认参数
+   * neighbours: 相邻芯片中至少 minBad 个为坏数据 (connectivity 为4或8邻域)
+   * edgeRing: 计入良率统计的芯片中最外 width 圈 (按行列网格到晶圆外、部分芯片和边缘排除区的距离计算)
+   * clusterProximity: 与至少 minSize 个芯片的失效簇 (8邻域) 的距离不超过 distance 个芯片
+   */
+  static DEFAULTS = {
+    neighbours: { name: "坏邻居", minBad: 5, connectivity: 8 },
+    edgeRing: { name: "边缘环", width: 1 },
+    clusterProximity: { name: "失效簇邻近", minSize: 10, distance: 1 },
+  };
+
+  /**
+   * 打点芯片的颜色
+   */
+  static INK_COLOR = [0.62, 0.35, 0.95, 1];
+
+  /**
+   * 规范化规则配置，字符串视为使用默认参数的规则类型
+   * @param {string|Object} config - 规则类型或配置 {type, ...参数}
+   * @returns {Object} 合并默认参数后的配置
+   */
+  static normalize(config) {
+    const options = typeof config === "string" ? { type: config } : config || {};
+    const defaults = InkRules.DEFAULTS[options.type];
+    if (!defaults) {
+      throw new Error(`未知的打点规则: ${options.type}`);
+    }
+    const rule = { ...defaults, ...options };
+    const checkInteger = (key, min, max = Infinity) => {
+      if (!Number.isInteger(rule[key]) || rule[key] < min || rule[key] > max) {
+        throw new Error(`${rule.name}的${key}必须是${min}到${max}之间的整数: ${rule[key]}`);
+      }
+    };
+    switch (rule.type) {
+      case "neighbours":
+        if (!ClusterDetector.CONNECTIVITIES[rule.connectivity]) {
+          throw new Error(`${rule.name}的connectivity必须是4或8: ${rule.connectivity}`);
+        }
+        checkInteger("minBad", 1, rule.connectivity);
+        break;
+      case "edgeRing":
+        checkInteger("width", 1, 50);
+        break;
+      default:
+        checkInteger("minSize", 2);
+        checkInteger("distance", 0, 50);
+    }
+    return rule;
+  }
+
+  /**
+   * 按规则计算每个芯片是否打点
+   * @param {CircleGrid} circleGrid - 圆形网格对象
+   * @param {Array<Object>} rules - 规范化后的规则
+   * @returns {Uint8Array} 按芯片索引排列，0为不打点，k为被第k条规则 (从1开始) 打点，多条规则满足时取第一条
+   */
+  static evaluate(circleGrid, rules) {
+    const dies = circleGrid.dies;
+    const inked = new Uint8Array(dies.count);
+    if (rules.length === 0 || dies.count === 0) return inked;
+
+    const grid = InkRules.buildGrid(dies);
+    rules.forEach((rule, k) => {
+      let matches;
+      switch (rule.type) {
+        case "neighbours":
+          matches = InkRules.matchNeighbours(dies, grid, rule);
+          break;
+        case "edgeRing":
+          matches = InkRules.matchEdgeRing(circleGrid, grid, rule);
+          break;
+        default:
+          matches = InkRules.matchClusterProximity(circleGrid, grid, rule);
+      }
+      for (let i = 0; i < dies.count; i++) {
+        if (!inked[i] && matches[i] && !dies.isBad(i)) {
+          inked[i] = k + 1;
+        }
+      }
+    });
+    return inked;
+  }
+
+  /**
+   * 建立行列网格，四周各留一圈空位，网格外视为没有芯片
+   * @param {DieStore} dies - 芯片存储
+   * @returns {{minRow: number, minCol: number, width: number, height: number, cells: Int32Array}}
+   *   cells 为行列位置上的芯片索引，没有芯片为-1
+   */
+  static buildGrid(dies) {
+    const { minRow, maxRow, minCol, maxCol } = dies.getBounds() || { minRow: 0, maxRow: 0, minCol: 0, maxCol: 0 };
+    const grid = {
+      minRow: minRow - 1,
+      minCol: minCol - 1,
+      width: maxCol - minCol + 3,
+      height: maxRow - minRow + 3,
+    };
+    grid.cells = new Int32Array(grid.width * grid.height).fill(-1);
+    for (let i = 0; i < dies.count; i++) {
+      grid.cells[InkRules.cellOf(dies, grid, i)] = i;
+    }
+    return grid;
+  }
+
+  /**
+   * 芯片所在的网格位置
+   * @param {DieStore} dies - 芯片存储
+   * @param {Object} grid - buildGrid() 的结果
+   * @param {number} index - 芯片索引
+   * @returns {number} 网格位置
+   */
+  static cellOf(dies, grid, index) {
+    return (dies.row[index] - grid.minRow) * grid.width + (dies.col[index] - grid.minCol);
+  }
+
+  /**
+   * 坏邻居规则
+   * @param {DieStore} dies - 芯片存储
+   * @param {Object} grid - buildGrid() 的结果
+   * @param {Object} rule - 规则 {minBad, connectivity}
+   * @returns {Uint8Array} 满足规则的芯片
+   */
+  static matchNeighbours(dies, grid, rule) {
+    const offsets = ClusterDetector.CONNECTIVITIES[rule.connectivity].offsets
+      .map(([dRow, dCol]) => dRow * grid.width + dCol);
+    const matches = new Uint8Array(dies.count);
+    for (let i = 0; i < dies.count; i++) {
+      // 网格四周留有空位，相邻位置不会越界
+      const cell = InkRules.cellOf(dies, grid, i);
+      let bad = 0;
+      for (const offset of offsets) {
+        const neighbour = grid.cells[cell + offset];
+        if (neighbour >= 0 && dies.isBad(neighbour)) bad++;
+      }
+      matches[i] = bad >= rule.minBad ? 1 : 0;
+    }
+    return matches;
+  }
+
+  /**
+   * 边缘环规则: 以不计入良率统计的位置 (没有芯片、部分芯片或边缘排除区内的芯片) 为起点按8邻域逐圈扩展，
+   * 前 width 圈的芯片满足规则，即按良率统计规则计入的芯片中最外面的 width 圈
+   * @param {CircleGrid} circleGrid - 圆形网格对象
+   * @param {Object} grid - buildGrid() 的结果
+   * @param {Object} rule - 规则 {width}
+   * @returns {Uint8Array} 满足规则的芯片
+   */
+  static matchEdgeRing(circleGrid, grid, rule) {
+    const dies = circleGrid.dies;
+    const sources = [];
+    for (let cell = 0; cell < grid.cells.length; cell++) {
+      const index = grid.cells[cell];
+      if (index < 0 || !circleGrid.isYieldDie(index)) sources.push(cell);
+    }
+    const distances = InkRules.spread(grid, sources, rule.width);
+    const matches = new Uint8Array(dies.count);
+    for (let i = 0; i < dies.count; i++) {
+      const distance = distances[InkRules.cellOf(dies, grid, i)];
+      matches[i] = distance > 0 && distance <= rule.width ? 1 : 0;
+    }
+    return matches;
+  }
+
+  /**
+   * 失效簇邻近规则: 以失效簇的芯片为起点按8邻域扩展 distance 圈
+   * @param {CircleGrid} circleGrid - 圆形网格对象
+   * @param {Object} grid - buildGrid() 的结果
+   * @param {Object} rule - 规则 {minSize, distance}
+   * @returns {Uint8Array} 满足规则的芯片
+   */
+  static matchClusterProximity(circleGrid, grid, rule) {
+    const dies = circleGrid.dies;
+    const detector = new ClusterDetector();
+    detector.configure({ connectivity: 8, minSize: rule.minSize });
+    const sources = [];
+    for (const cluster of detector.detect(circleGrid).clusters) {
+      for (const index of cluster.indexes) {
+        sources.push(InkRules.cellOf(dies, grid, index));
+      }
+    }
+    const distances = InkRules.spread(grid, sources, rule.distance);
+    const matches = new Uint8Array(dies.count);
+    for (let i = 0; i < dies.count; i++) {
+      matches[i] = distances[InkRules.cellOf(dies, grid, i)] <= rule.distance ? 1 : 0;
+    }
+    return matches;
+  }
+
+  /**
+   * 从起点按8邻域逐圈扩展 (多源广度优先)，计算网格位置到最近起点的圈数
+   * @param {Object} grid - buildGrid() 的结果
+   * @param {Array<number>} sources - 起点网格位置
+   * @param {number} maxDistance - 最大圈数，更远的位置不再扩展
+   * @returns {Uint16Array} 圈数 (起点为0，超过 maxDistance 的位置为65535)
+   */
+  static spread(grid, sources, maxDistance) {
+    const { width, height } = grid;
+    const distances = new Uint16Array(width * height).fill(65535);
+    let frontier = [];
+    for (const cell of sources) {
+      if (distances[cell] !== 0) {
+        distances[cell] = 0;
+        frontier.push(cell);
+      }
+    }
+    for (let distance = 1; distance <= maxDistance && frontier.length > 0; distance++) {
+      const next = [];
+      for (const cell of frontier) {
+        const row = Math.floor(cell / width);
+        const col = cell - row * width;
+        for (let dRow = -1; dRow <= 1; dRow++) {
+          for (let dCol = -1; dCol <= 1; dCol++) {
+            const nextRow = row + dRow;
+            const nextCol = col + dCol;
+            if (nextRow < 0 || nextCol < 0 || nextRow >= height || nextCol >= width) continue;
+            const neighbour = nextRow * width + nextCol;
+            if (distances[neighbour] > distance) {
+              distances[neighbour] = distance;
+              next.push(neighbour);
+            }
+          }
+        }
+      }
+      frontier = next;
+    }
+    return distances;
+  }
+}
@@ -0,0 +1,289 @@
+import { MathUtils } from "../utils/math.js";
+
+/**
+ * 探针卡类 (多Site并行测试)
+ * 探针卡一次触点 (touchdown) 同时测试多个芯片，每个针位为一个Site，Site相对触点参考位置的行列偏移构成探针卡布局。
+ * 触点参考位置落在以步进行列数为间隔的网格上，探针台按步进顺序逐个触点，
+ * 比较各Site的良率可以发现某个针位接触不良等问题
+ */
+export class ProbeCard {
+  /**
+   * 默认配置
+   * siteRows x siteCols: 矩形布局的行列数 (未指定 sites 时按行优先编号生成)
+   * sites: 自定义布局 [{row, col}]，第k个为Site k+1 相对触点参考位置的偏移
+   * stepRows/stepCols: 相邻触点之间的行列步距，未指定时为布局的行列范围 (矩形布局正好铺满)
+   * stepping: 步进顺序，见 STEPPINGS
+   * offsetRow/offsetCol: 某个触点参考位置的内部行列索引 (按步距取模)
+   */
+  static DEFAULTS = {
+    siteRows: 2,
+    siteCols: 2,
+    sites: null,
+    stepRows: null,
+    stepCols: null,
+    stepping: "serpentine",
+    offsetRow: 0,
+    offsetCol: 0,
+  };
+
+  /**
+   * 步进顺序: 触点按行从上到下，蛇形在相邻行之间交替方向，逐行每行都从左到右
+   */
+  static STEPPINGS = {
+    serpentine: { name: "蛇形" },
+    raster: { name: "逐行" },
+  };
+
+  /**
+   * 最大Site数量
+   */
+  static MAX_SITES = 64;
+
+  /**
+   * 不属于任何触点的芯片的颜色 (非矩形布局可能铺不满晶圆)
+   */
+  static UNCOVERED_COLOR = [0.3, 0.3, 0.3, 1];
+
+  /**
+   * 规范化探针卡配置
+   * @param {Object} config - 配置，见 DEFAULTS
+   * @returns {Object} 配置 {siteRows, siteCols, sites, stepRows, stepCols, stepping, offsetRow, offsetCol}，
+   *   sites 为Site偏移 (行列范围从0开始)，siteRows/siteCols 为布局的行列范围
+   */
+  static normalize(config = {}) {
+    const options = { ...ProbeCard.DEFAULTS, ...config };
+    const checkInteger = (key, value, min, max) => {
+      if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`探针卡的${key}必须是${min}到${max}之间的整数: ${value}`);
+      }
+    };
+
+    let sites;
+    if (Array.isArray(config.sites)) {
+      sites = config.sites.map((site) => ({ row: site.row, col: site.col }));
+      if (sites.length === 0 || sites.length > ProbeCard.MAX_SITES) {
+        throw new Error(`探针卡的Site数量必须是1到${ProbeCard.MAX_SITES}: ${sites.length}`);
+      }
+      for (const site of sites) {
+        checkInteger("Site偏移", site.row, -100, 100);
+        checkInteger("Site偏移", site.col, -100, 100);
+      }
+      // 偏移平移到从0开始，便于比较
+      const minRow = Math.min(...sites.map((site) => site.row));
+      const minCol = Math.min(...sites.map((site) => site.col));
+      sites = sites.map((site) => ({ row: site.row - minRow, col: site.col - minCol }));
+      const keys = new Set(sites.map((site) => `${site.row},${site.col}`));
+      if (keys.size !== sites.length) {
+        throw new Error("探针卡的Site偏移不能重复");
+      }
+    } else {
+      checkInteger("siteRows", options.siteRows, 1, 16);
+      checkInteger("siteCols", options.siteCols, 1, 16);
+      if (options.siteRows * options.siteCols > ProbeCard.MAX_SITES) {
+        throw new Error(`探针卡的Site数量不能超过${ProbeCard.MAX_SITES}: ${options.siteRows} x ${options.siteCols}`);
+      }
+      sites = [];
+      for (let row = 0; row < options.siteRows; row++) {
+        for (let col = 0; col < options.siteCols; col++) {
+          sites.push({ row, col });
+        }
+      }
+    }
+
+    const siteRows = Math.max(...sites.map((site) => site.row)) + 1;
+    const siteCols = Math.max(...sites.map((site) => site.col)) + 1;
+    const stepRows = options.stepRows === null ? siteRows : options.stepRows;
+    const stepCols = options.stepCols === null ? siteCols : options.stepCols;
+    checkInteger("stepRows", stepRows, 1, 200);
+    checkInteger("stepCols", stepCols, 1, 200);
+    if (!ProbeCard.STEPPINGS[options.stepping]) {
+      throw new Error(`未知的步进顺序: ${options.stepping}`);
+    }
+    checkInteger("offsetRow", options.offsetRow, -1e6, 1e6);
+    checkInteger("offsetCol", options.offsetCol, -1e6, 1e6);
+
+    return {
+      siteRows,
+      siteCols,
+      sites,
+      stepRows,
+      stepCols,
+      stepping: options.stepping,
+      offsetRow: MathUtils.mod(options.offsetRow, stepRows),
+      offsetCol: MathUtils.mod(options.offsetCol, stepCols),
+    };
+  }
+
+  /**
+   * 计算触点和步进顺序，并为每个芯片分配触点和Site
+   * 芯片可以被多个触点覆盖时 (布局重叠) 归入步进顺序中第一个触点，不测试任何芯片的触点不计入
+   * @param {CircleGrid} circleGrid - 圆形网格对象
+   * @param {Object} card - 规范化后的探针卡配置
+   * @returns {Object} 触点计划 {count, rows, cols, x, y, dieCounts, siteOf, touchdownOf, uncovered}
+   *   rows/cols 为按步进顺序排列的触点参考位置 (内部行列索引)，x/y 为触点中心的世界坐标，dieCounts 为触点测试的芯片数；
+   *   siteOf 按芯片索引排列 (0为不属于任何触点，k为Site k)，touchdownOf 为芯片所属触点的序号 (-1为不属于任何触点)，
+   *   uncovered 为不属于任何触点的芯片数
+   */
+  static plan(circleGrid, card) {
+    const dies = circleGrid.dies;
+    const { sites, stepRows, stepCols, offsetRow, offsetCol } = card;
+    const empty = {
+      count: 0,
+      rows: new Int32Array(0),
+      cols: new Int32Array(0),
+      x: new Float32Array(0),
+      y: new Float32Array(0),
+      dieCounts: new Int32Array(0),
+      siteOf: new Uint8Array(dies.count),
+      touchdownOf: new Int32Array(dies.count).fill(-1),
+      uncovered: dies.count,
+    };
+    if (dies.count === 0) return empty;
+
+    const { minRow, maxRow, minCol, maxCol } = dies.getBounds();
+
+    // 触点网格: 第 (r, c) 个触点的参考位置为 (firstRow + r * stepRows, firstCol + c * stepCols)，
+    // 范围覆盖所有可能测试到芯片的触点
+    const firstRow = offsetRow + Math.floor((minRow - card.siteRows + 1 - offsetRow) / stepRows) * stepRows;
+    const firstCol = offsetCol + Math.floor((minCol - card.siteCols + 1 - offsetCol) / stepCols) * stepCols;
+    const latticeRows = Math.floor((maxRow - firstRow) / stepRows) + 1;
+    const latticeCols = Math.floor((maxCol - firstCol) / stepCols) + 1;
+    // 芯片相对触点网格的行列余数决定了它可能属于哪些Site (矩形布局只有一个)，预先按余数列出
+    const candidates = Array.from({ length: stepRows * stepCols }, () => []);
+    sites.forEach((site, s) => {
+      candidates[MathUtils.mod(site.row, stepRows) * stepCols + MathUtils.mod(site.col, stepCols)].push(s);
+    });
+    const candidatesOf = (i) => {
+      const row = dies.row[i] - firstRow;
+      const col = dies.col[i] - firstCol;
+      return candidates[(row % stepRows) * stepCols + (col % stepCols)];
+    };
+    // 芯片作为Site s 时所属触点在触点网格中的位置
+    const cellOf = (i, s) =>
+      ((dies.row[i] - sites[s].row - firstRow) / stepRows) * latticeCols +
+      (dies.col[i] - sites[s].col - firstCol) / stepCols;
+
+    // 找出覆盖芯片的所有触点
+    const present = new Uint8Array(latticeRows * latticeCols);
+    for (let i = 0; i < dies.count; i++) {
+      for (const s of candidatesOf(i)) {
+        present[cellOf(i, s)] = 1;
+      }
+    }
+
+    // 按行从上到下编排步进顺序，蛇形步进在相邻的 (有触点的) 行之间交替方向
+    const order = new Int32Array(latticeRows * latticeCols).fill(-1);
+    let count = 0;
+    let rowIndex = 0;
+    for (let r = 0; r < latticeRows; r++) {
+      let any = false;
+      const reverse = card.stepping === "serpentine" && rowIndex % 2 === 1;
+      for (let k = 0; k < latticeCols; k++) {
+        const cell = r * latticeCols + (reverse ? latticeCols - 1 - k : k);
+        if (present[cell]) {
+          order[cell] = count++;
+          any = true;
+        }
+      }
+      if (any) rowIndex++;
+    }
+
+    // 芯片归入步进顺序中第一个覆盖它的触点
+    const siteOf = new Uint8Array(dies.count);
+    const orderOf = new Int32Array(dies.count).fill(-1);
+    for (let i = 0; i < dies.count; i++) {
+      for (const s of candidatesOf(i)) {
+        const cell = cellOf(i, s);
+        if (orderOf[i] < 0 || order[cell] < orderOf[i]) {
+          orderOf[i] = order[cell];
+          siteOf[i] = s + 1;
+        }
+      }
+    }
+
+    // 去掉不测试任何芯片的触点 (布局重叠时) 并重新编号
+    const dieCountsByOrder = new Int32Array(count);
+    let uncovered = 0;
+    for (let i = 0; i < dies.count; i++) {
+      if (orderOf[i] < 0) {
+        uncovered++;
+      } else {
+        dieCountsByOrder[orderOf[i]]++;
+      }
+    }
+    const renumber = new Int32Array(count).fill(-1);
+    let kept = 0;
+    for (let k = 0; k < count; k++) {
+      if (dieCountsByOrder[k] > 0) renumber[k] = kept++;
+    }
+
+    const plan = {
+      ...empty,
+      count: kept,
+      rows: new Int32Array(kept),
+      cols: new Int32Array(kept),
+      x: new Float32Array(kept),
+      y: new Float32Array(kept),
+      dieCounts: new Int32Array(kept),
+      siteOf,
+      touchdownOf: new Int32Array(dies.count),
+      uncovered,
+    };
+    for (let cell = 0; cell < order.length; cell++) {
+      if (order[cell] < 0 || renumber[order[cell]] < 0) continue;
+      const index = renumber[order[cell]];
+      const row = firstRow + Math.floor(cell / latticeCols) * stepRows;
+      const col = firstCol + (cell % latticeCols) * stepCols;
+      const center = circleGrid.gridToWorld(row + (card.siteRows - 1) / 2, col + (card.siteCols - 1) / 2);
+      plan.rows[index] = row;
+      plan.cols[index] = col;
+      plan.x[index] = center.x;
+      plan.y[index] = center.y;
+      plan.dieCounts[index] = dieCountsByOrder[order[cell]];
+    }
+    for (let i = 0; i < dies.count; i++) {
+      plan.touchdownOf[i] = orderOf[i] < 0 ? -1 : renumber[orderOf[i]];
+    }
+    return plan;
+  }
+
+  /**
+   * 按Site统计良率 (沿用网格的良率统计规则)
+   * @param {CircleGrid} circleGrid - 圆形网格对象 (需要已有触点计划)
+   * @returns {Array<Object>} 每个Site一项 {site, total, bad, yield, color}，没有芯片的Site良率为NaN
+   */
+  static getSiteStats(circleGrid) {
+    const card = circleGrid.probeCard;
+    const plan = circleGrid.probePlan;
+    const dies = circleGrid.dies;
+    const stats = card.sites.map((site, s) => ({
+      site: s + 1,
+      total: 0,
+      bad: 0,
+      yield: NaN,
+      color: ProbeCard.getSiteColor(s + 1, card.sites.length, false),
+    }));
+    for (let i = 0; i < dies.count; i++) {
+      const site = plan.siteOf[i];
+      if (site === 0 || !circleGrid.isYieldDie(i)) continue;
+      stats[site - 1].total++;
+      if (dies.isBad(i)) stats[site - 1].bad++;
+    }
+    for (const stat of stats) {
+      if (stat.total > 0) stat.yield = (stat.total - stat.bad) / stat.total;
+    }
+    return stats;
+  }
+
+  /**
+   * Site的颜色: 各Site的色相均匀分布，坏芯片为同色相的暗色，便于比较各Site的良率
+   * @param {number} site - Site编号 (从1开始，0为不属于任何触点)
+   * @param {number} siteCount - Site数量
+   * @param {boolean} isBad - 是否为坏芯片
+   * @returns {Array<number>} RGBA颜色数组
+   */
+  static getSiteColor(site, siteCount, isBad) {
+    if (site === 0) return ProbeCard.UNCOVERED_COLOR;
+    return MathUtils.hslToRgb(((site - 1) * 360) / siteCount, 75, isBad ? 22 : 58);
+  }
+}
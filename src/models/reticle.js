@@ -0,0 +1,183 @@
+import { ColorScale } from "../utils/color-scale.js";
+import { MathUtils } from "../utils/math.js";
+
+/**
+ * 掩模 (曝光区域) 模型
+ * 光刻按曝光区域 (shot) 逐次曝光，每个曝光区域包含 shotRows x shotCols 个芯片。
+ * 曝光区域按芯片的内部行列索引划分，offsetRow/offsetCol 为某个曝光区域左上角芯片的行列索引，
+ * 与合成晶圆图的掩模重复缺陷 (DefectPatterns 的 reticle 图形，偏移为0) 使用相同的划分
+ */
+export class Reticle {
+  /**
+   * 构造函数
+   */
+  constructor() {
+    // 每个曝光区域的芯片行数和列数
+    this.shotRows = 4;
+    this.shotCols = 4;
+    // 曝光区域的行列偏移 (芯片数)
+    this.offsetRow = 0;
+    this.offsetCol = 0;
+  }
+
+  /**
+   * 修改掩模设置，未指定的选项保持不变
+   * @param {Object} options - 选项
+   * @param {number} options.shotRows - 每个曝光区域的芯片行数 (1-50)
+   * @param {number} options.shotCols - 每个曝光区域的芯片列数 (1-50)
+   * @param {number} options.offsetRow - 行偏移 (芯片数，按曝光区域行数取模)
+   * @param {number} options.offsetCol - 列偏移 (芯片数，按曝光区域列数取模)
+   */
+  configure(options = {}) {
+    const checkSize = (key) => {
+      const value = options[key];
+      if (!Number.isInteger(value) || value < 1 || value > 50) {
+        throw new Error(`${key}必须是1到50之间的整数: ${value}`);
+      }
+      return value;
+    };
+    const checkOffset = (key) => {
+      const value = options[key];
+      if (!Number.isInteger(value)) {
+        throw new Error(`${key}必须是整数: ${value}`);
+      }
+      return value;
+    };
+    const shotRows = options.shotRows !== undefined ? checkSize("shotRows") : this.shotRows;
+    const shotCols = options.shotCols !== undefined ? checkSize("shotCols") : this.shotCols;
+    const offsetRow = options.offsetRow !== undefined ? checkOffset("offsetRow") : this.offsetRow;
+    const offsetCol = options.offsetCol !== undefined ? checkOffset("offsetCol") : this.offsetCol;
+
+    this.shotRows = shotRows;
+    this.shotCols = shotCols;
+    this.offsetRow = MathUtils.mod(offsetRow, shotRows);
+    this.offsetCol = MathUtils.mod(offsetCol, shotCols);
+  }
+
+  /**
+   * 芯片所在的曝光区域和曝光区域内的位置
+   * @param {number} row - 内部行索引
+   * @param {number} col - 内部列索引
+   * @returns {{shotRow: number, shotCol: number, row: number, col: number}} 曝光区域的行列序号和区域内的行列位置
+   *   (区域内第0行为曝光区域的最上一行)
+   */
+  getPosition(row, col) {
+    const localRow = row - this.offsetRow;
+    const localCol = col - this.offsetCol;
+    return {
+      shotRow: Math.floor(localRow / this.shotRows),
+      shotCol: Math.floor(localCol / this.shotCols),
+      row: MathUtils.mod(localRow, this.shotRows),
+      col: MathUtils.mod(localCol, this.shotCols),
+    };
+  }
+
+  /**
+   * 按曝光区域内的位置统计失效 (沿用网格的良率统计规则)
+   * @param {CircleGrid} circleGrid - 圆形网格对象
+   * @returns {{shotRows: number, shotCols: number, shotCount: number, overall: Object, cells: Array<Object>}}
+   *   shotCount 为含有统计芯片的曝光区域数；overall 为 {total, bad, failRate}；
+   *   cells 按行优先排列，每个位置为 {row, col, total, bad, failRate, ratio, color}，
+   *   ratio 为该位置的失效率与整片失效率之比，没有芯片的位置 failRate 为NaN、不着色
+   */
+  compute(circleGrid) {
+    const dies = circleGrid.dies;
+    const { shotRows, shotCols } = this;
+    const totals = new Int32Array(shotRows * shotCols);
+    const bad = new Int32Array(shotRows * shotCols);
+    const shots = new Set();
+
+    for (let i = 0; i < dies.count; i++) {
+      if (!circleGrid.isYieldDie(i)) continue;
+      const localRow = dies.row[i] - this.offsetRow;
+      const localCol = dies.col[i] - this.offsetCol;
+      const cell = MathUtils.mod(localRow, shotRows) * shotCols + MathUtils.mod(localCol, shotCols);
+      totals[cell]++;
+      if (dies.isBad(i)) bad[cell]++;
+      // 曝光区域序号远小于 2^15，按行列序号组合为一个数
+      shots.add(Math.floor(localRow / shotRows) * 65536 + Math.floor(localCol / shotCols));
+    }
+
+    let total = 0;
+    let badCount = 0;
+    for (let cell = 0; cell < totals.length; cell++) {
+      total += totals[cell];
+      badCount += bad[cell];
+    }
+    const overallRate = total > 0 ? badCount / total : NaN;
+
+    const cells = [];
+    for (let row = 0; row < shotRows; row++) {
+      for (let col = 0; col < shotCols; col++) {
+        const cell = row * shotCols + col;
+        const failRate = totals[cell] > 0 ? bad[cell] / totals[cell] : NaN;
+        cells.push({
+          row,
+          col,
+          total: totals[cell],
+          bad: bad[cell],
+          failRate,
+          ratio: overallRate > 0 ? failRate / overallRate : NaN,
+          color: null,
+        });
+      }
+    }
+    this.assignColors(cells);
+
+    return {
+      shotRows,
+      shotCols,
+      shotCount: shots.size,
+      overall: { total, bad: badCount, failRate: overallRate },
+      cells,
+    };
+  }
+
+  /**
+   * 按失效率为各位置着色 (失效率最低为绿色、最高为红色)
+   * @param {Array<Object>} cells - 位置
+   */
+  assignColors(cells) {
+    const rates = cells.map((cell) => cell.failRate).filter((value) => isFinite(value));
+    if (rates.length === 0) return;
+    const min = Math.min(...rates);
+    const max = Math.max(...rates);
+    const scale = ColorScale.create("frequency", 0, 1);
+    for (const cell of cells) {
+      if (!isFinite(cell.failRate)) continue;
+      cell.color = scale.map(max > min ? (cell.failRate - min) / (max - min) : 0).slice();
+    }
+  }
+
+  /**
+   * 视图范围内的曝光区域边界线 (世界坐标)
+   * 芯片中心 x = (col - gridOrigin.col) * pitch.x，曝光区域的边界在其第一列芯片的左边缘和第一行芯片的上边缘
+   * @param {CircleGrid} circleGrid - 圆形网格对象
+   * @param {Object} bounds - 视图范围 {left, right, bottom, top}
+   * @returns {{xs: Array<number>, ys: Array<number>}} 竖线的X坐标和横线的Y坐标
+   */
+  getBoundaries(circleGrid, bounds) {
+    const { pitch, gridOrigin } = circleGrid;
+    const xs = [];
+    const ys = [];
+
+    // 左边缘在视图范围内的第一列
+    const firstCol = Math.ceil(bounds.left / pitch.x + gridOrigin.col + 0.5);
+    let col = firstCol + MathUtils.mod(this.offsetCol - firstCol, this.shotCols);
+    for (; ; col += this.shotCols) {
+      const x = (col - 0.5 - gridOrigin.col) * pitch.x;
+      if (x > bounds.right) break;
+      xs.push(x);
+    }
+
+    // 行索引向下递增，从视图顶部开始
+    const firstRow = Math.ceil(gridOrigin.row - bounds.top / pitch.y + 0.5);
+    let row = firstRow + MathUtils.mod(this.offsetRow - firstRow, this.shotRows);
+    for (; ; row += this.shotRows) {
+      const y = (gridOrigin.row - row + 0.5) * pitch.y;
+      if (y < bounds.bottom) break;
+      ys.push(y);
+    }
+    return { xs, ys };
+  }
+}
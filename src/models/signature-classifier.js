@@ -0,0 +1,218 @@
+import { ClusterDetector } from "./cluster-detector.js";
+
+/**
+ * 晶圆失效特征分类类
+ * 从芯片的归一化距离、角度和坏芯片的空间分布中提取特征，按规则为晶圆标注主要的失效特征
+ * (中心、环形、边缘环、边缘局部、划痕、随机、近满片失效)，用于快速分拣大量晶圆
+ */
+export class SignatureClassifier {
+  /**
+   * 失效特征类型
+   */
+  static SIGNATURES = {
+    center: { name: "中心" },
+    donut: { name: "环形" },
+    edgeRing: { name: "边缘环" },
+    edgeLocal: { name: "边缘局部" },
+    scratch: { name: "划痕" },
+    random: { name: "随机" },
+    nearFull: { name: "近满片失效" },
+  };
+
+  /**
+   * 径向分区的边界 (归一化距离): 中心区 [0, center)，中间环 [center, edge)，边缘区 [edge, ∞)
+   */
+  static ZONES = { center: 0.35, edge: 0.8 };
+
+  /**
+   * 边缘区的扇区数量
+   */
+  static EDGE_SECTORS = 8;
+
+  /**
+   * 划痕的最小伸长度 (簇的主轴长度 / 芯片数的平方根，紧凑的团块约为1)
+   */
+  static SCRATCH_ELONGATION = 4;
+
+  /**
+   * 提取晶圆的失效特征 (只统计计入良率统计的芯片)
+   * 各径向分区的"超额比例"为分区内超出分区外失效率的坏芯片数占全部坏芯片的比例 (0-1)，
+   * 表示有多少失效可以由该分区的失效率升高解释
+   * @param {CircleGrid} circleGrid - 圆形网格对象
+   * @returns {Object} 特征 {total, badCount, badRate, centerExcess, donutExcess, edgeExcess,
+   *   donutCoverage, edgeCoverage, clusteredShare, scratchShare}
+   */
+  static extractFeatures(circleGrid) {
+    const dies = circleGrid.dies;
+    const { center, edge } = SignatureClassifier.ZONES;
+    const sectorCount = SignatureClassifier.EDGE_SECTORS;
+    // 分区 0/1/2 为中心区、中间环、边缘区
+    const zoneTotals = [0, 0, 0];
+    const zoneBad = [0, 0, 0];
+    // 中间环和边缘区按角度分扇区计数 (分区 × 扇区)
+    const sectorTotals = new Array(3 * sectorCount).fill(0);
+    const sectorBad = new Array(3 * sectorCount).fill(0);
+
+    for (let i = 0; i < dies.count; i++) {
+      if (!circleGrid.isYieldDie(i)) continue;
+      const bad = dies.isBad(i) ? 1 : 0;
+      const distance = dies.distance[i];
+      const zone = distance < center ? 0 : distance < edge ? 1 : 2;
+      zoneTotals[zone]++;
+      zoneBad[zone] += bad;
+      if (zone > 0) {
+        const sector = zone * sectorCount + Math.min(sectorCount - 1, Math.floor(dies.angle[i] * sectorCount));
+        sectorTotals[sector]++;
+        sectorBad[sector] += bad;
+      }
+    }
+
+    const total = zoneTotals[0] + zoneTotals[1] + zoneTotals[2];
+    const badCount = zoneBad[0] + zoneBad[1] + zoneBad[2];
+    const features = {
+      total,
+      badCount,
+      badRate: total > 0 ? badCount / total : 0,
+      centerExcess: 0,
+      donutExcess: 0,
+      edgeExcess: 0,
+      donutCoverage: 0,
+      edgeCoverage: 0,
+      clusteredShare: 0,
+      scratchShare: 0,
+    };
+    if (badCount === 0) return features;
+
+    const excess = (zone) => {
+      const outsideTotal = total - zoneTotals[zone];
+      const outsideRate = outsideTotal > 0 ? (badCount - zoneBad[zone]) / outsideTotal : 0;
+      return Math.max(0, zoneBad[zone] - zoneTotals[zone] * outsideRate) / badCount;
+    };
+    features.centerExcess = excess(0);
+    features.donutExcess = excess(1);
+    features.edgeExcess = excess(2);
+
+    // 分区中失效率明显高于分区外的扇区所占的比例 (整圈失效接近1，局部失效较小)
+    const coverage = (zone) => {
+      const outsideTotal = total - zoneTotals[zone];
+      const outsideRate = outsideTotal > 0 ? (badCount - zoneBad[zone]) / outsideTotal : 0;
+      const zoneRate = zoneTotals[zone] > 0 ? zoneBad[zone] / zoneTotals[zone] : 0;
+      const threshold = outsideRate + (zoneRate - outsideRate) * 0.5;
+      let elevated = 0;
+      let sectors = 0;
+      for (let k = zone * sectorCount; k < (zone + 1) * sectorCount; k++) {
+        if (sectorTotals[k] === 0) continue;
+        sectors++;
+        if (sectorBad[k] / sectorTotals[k] > threshold) elevated++;
+      }
+      return sectors > 0 ? elevated / sectors : 0;
+    };
+    features.donutCoverage = coverage(1);
+    features.edgeCoverage = coverage(2);
+
+    // 失效簇: 细长的簇视为划痕
+    const detector = new ClusterDetector();
+    detector.configure({ connectivity: 8, minSize: 5 });
+    let clustered = 0;
+    let scratched = 0;
+    for (const cluster of detector.detect(circleGrid).clusters) {
+      clustered += cluster.size;
+      const elongation = SignatureClassifier.getElongation(dies, cluster.indexes, circleGrid.pitch);
+      if (elongation >= SignatureClassifier.SCRATCH_ELONGATION) {
+        scratched += cluster.size;
+      }
+    }
+    features.clusteredShare = clustered / badCount;
+    features.scratchShare = scratched / badCount;
+    return features;
+  }
+
+  /**
+   * 计算簇的伸长度: 按芯片中心坐标的主成分求主轴长度 (均匀分布的线段长度为 √(12λ))，再除以芯片数的平方根
+   * @param {DieStore} dies - 芯片存储
+   * @param {Int32Array} indexes - 簇内芯片索引
+   * @param {{x: number, y: number}} pitch - 芯片步距 (世界坐标)，坐标按步距换算为芯片数
+   * @returns {number} 伸长度
+   */
+  static getElongation(dies, indexes, pitch) {
+    const n = indexes.length;
+    let meanX = 0;
+    let meanY = 0;
+    for (const index of indexes) {
+      meanX += dies.x[index] / pitch.x;
+      meanY += dies.y[index] / pitch.y;
+    }
+    meanX /= n;
+    meanY /= n;
+    let xx = 0;
+    let yy = 0;
+    let xy = 0;
+    for (const index of indexes) {
+      const dx = dies.x[index] / pitch.x - meanX;
+      const dy = dies.y[index] / pitch.y - meanY;
+      xx += dx * dx;
+      yy += dy * dy;
+      xy += dx * dy;
+    }
+    xx /= n;
+    yy /= n;
+    xy /= n;
+    // 协方差矩阵的最大特征值
+    const lambda = (xx + yy) / 2 + Math.sqrt(((xx - yy) / 2) ** 2 + xy * xy);
+    return Math.sqrt(12 * lambda) / Math.sqrt(n);
+  }
+
+  /**
+   * 按规则计算各失效特征的得分 (0-1) 并选出得分最高的特征
+   * 置信度为最高得分占所有得分之和的比例，多种特征叠加时置信度较低
+   * @param {Object} features - extractFeatures() 的结果
+   * @returns {{type: string, name: string, confidence: number, scores: Object}} 分类结果，
+   *   没有坏芯片时 type 为 "none"
+   */
+  static classify(features) {
+    if (features.badCount === 0) {
+      return { type: "none", name: "无失效", confidence: 1, scores: {} };
+    }
+
+    const clamp = (value) => Math.max(0, Math.min(1, value));
+    const scores = {
+      nearFull: clamp((features.badRate - 0.35) / 0.3),
+      center: clamp(features.centerExcess / 0.5),
+      donut: clamp(features.donutExcess / 0.5) * clamp((features.donutCoverage - 0.4) / 0.4),
+      edgeRing: clamp(features.edgeExcess / 0.5) * clamp((features.edgeCoverage - 0.4) / 0.4),
+      edgeLocal: clamp(features.edgeExcess / 0.5) * clamp((0.8 - features.edgeCoverage) / 0.4),
+      scratch: clamp(features.scratchShare / 0.15),
+    };
+    // 没有明显的空间特征时为随机失效；近满片失效时空间特征没有意义
+    const spatial = Math.max(scores.center, scores.donut, scores.edgeRing, scores.edgeLocal, scores.scratch);
+    scores.random = clamp(1 - spatial - features.clusteredShare * 0.5) * (1 - scores.nearFull);
+    if (scores.nearFull > 0) {
+      for (const type of ["center", "donut", "edgeRing", "edgeLocal", "scratch"]) {
+        scores[type] *= 1 - scores.nearFull;
+      }
+    }
+
+    let type = "random";
+    let sum = 0;
+    for (const [key, score] of Object.entries(scores)) {
+      sum += score;
+      if (score > scores[type]) type = key;
+    }
+    return {
+      type,
+      name: SignatureClassifier.SIGNATURES[type].name,
+      confidence: sum > 0 ? scores[type] / sum : 0,
+      scores,
+    };
+  }
+
+  /**
+   * 提取特征并分类
+   * @param {CircleGrid} circleGrid - 圆形网格对象
+   * @returns {{type: string, name: string, confidence: number, scores: Object, features: Object}} 分类结果
+   */
+  static analyze(circleGrid) {
+    const features = SignatureClassifier.extractFeatures(circleGrid);
+    return { ...SignatureClassifier.classify(features), features };
+  }
+}
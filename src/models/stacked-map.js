@@ -0,0 +1,171 @@
+import { BinLegend } from "./bin-legend.js";
+import { CircleGrid } from "./circle-grid.js";
+import { DieStore } from "./die-store.js";
+import { ColorScale } from "../utils/color-scale.js";
+
+/**
+ * 叠加图类
+ * 按芯片索引坐标汇总多片晶圆，统计每个位置上失效的晶圆，
+ * 结果生成为一个普通的圆形网格 (测量值通道 failCount、failRate)，沿用现有的LOD和实例化渲染
+ */
+export class StackedMap {
+  /**
+   * 失效次数通道
+   */
+  static FAIL_COUNT_CHANNEL = "failCount";
+
+  /**
+   * 失效频率通道 (失效晶圆数 / 该位置有芯片的晶圆数)
+   */
+  static FAIL_RATE_CHANNEL = "failRate";
+
+  /**
+   * 构造函数
+   */
+  constructor() {
+    // 第一片晶圆，决定叠加图的几何参数和坐标系
+    this.reference = null;
+    this.waferCount = 0;
+    // 索引坐标键 → 位置编号
+    this.slots = new Map();
+    // 每个位置的索引坐标、计入统计的晶圆数、失效晶圆列表和边缘标记 (按位置编号)
+    this.indexX = [];
+    this.indexY = [];
+    this.testedCounts = [];
+    this.failedWafers = [];
+    this.flags = [];
+    // build() 生成的圆形网格中芯片索引 → 位置编号
+    this.dieSlots = null;
+  }
+
+  /**
+   * 计算索引坐标的键
+   * @param {number} x - 索引X
+   * @param {number} y - 索引Y
+   * @returns {number} 键
+   */
+  static getKey(x, y) {
+    // 索引坐标在 ±2^20 以内
+    return (x + 1048576) * 2097152 + (y + 1048576);
+  }
+
+  /**
+   * 累加一片晶圆
+   * 按良率统计规则不计入的芯片 (部分芯片、边缘排除区) 只记录位置，不计入统计
+   * @param {CircleGrid} circleGrid - 圆形网格对象
+   * @param {number} waferIndex - 晶圆在批次中的索引
+   */
+  add(circleGrid, waferIndex) {
+    if (!this.reference) {
+      this.reference = circleGrid;
+    }
+    this.waferCount++;
+
+    const dies = circleGrid.dies;
+    for (let i = 0; i < dies.count; i++) {
+      const index = circleGrid.getDieIndex(i);
+      const key = StackedMap.getKey(index.x, index.y);
+      let slot = this.slots.get(key);
+      if (slot === undefined) {
+        slot = this.indexX.length;
+        this.slots.set(key, slot);
+        this.indexX.push(index.x);
+        this.indexY.push(index.y);
+        this.testedCounts.push(0);
+        this.failedWafers.push(null);
+        this.flags.push(dies.flags[i] & (DieStore.FLAG_PARTIAL | DieStore.FLAG_EXCLUDED));
+      }
+      if (!circleGrid.isYieldDie(i)) {
+        continue;
+      }
+      this.testedCounts[slot]++;
+      if (dies.isBad(i)) {
+        if (!this.failedWafers[slot]) {
+          this.failedWafers[slot] = [];
+        }
+        this.failedWafers[slot].push(waferIndex);
+      }
+    }
+  }
+
+  /**
+   * 生成叠加图的圆形网格
+   * 每个位置一个芯片，失效过的位置为坏数据，默认按失效频率着色
+   * @returns {CircleGrid} 圆形网格对象
+   */
+  build() {
+    const reference = this.reference;
+    if (!reference) {
+      throw new Error("没有可叠加的晶圆");
+    }
+
+    const circleGrid = new CircleGrid(reference.radius);
+    circleGrid.geometry.configure(reference.geometry.getOptions());
+    circleGrid.pitch = { ...reference.pitch };
+    circleGrid.mmScale = reference.mmScale;
+    circleGrid.gridOrigin = { ...reference.gridOrigin };
+    circleGrid.coordinates.configure(reference.coordinates.getOptions());
+    circleGrid.setYieldRule(reference.yieldRule);
+
+    const count = this.indexX.length;
+    const dies = circleGrid.dies;
+    dies.clear();
+    dies.ensureCapacity(count);
+    dies.dieWidth = reference.dies.dieWidth;
+    dies.dieHeight = reference.dies.dieHeight;
+    this.dieSlots = new Uint32Array(count);
+
+    for (let slot = 0; slot < count; slot++) {
+      const grid = reference.coordinates.indexToGrid(this.indexX[slot], this.indexY[slot]);
+      const world = reference.gridToWorld(grid.row, grid.col);
+      const failCount = this.failedWafers[slot] ? this.failedWafers[slot].length : 0;
+      const tested = this.testedCounts[slot];
+      const bin = failCount > 0 ? BinLegend.UNCLASSIFIED_FAIL_BIN : BinLegend.GOOD_BIN;
+
+      const index = dies.add(
+        world.x,
+        world.y,
+        Math.sqrt(world.x * world.x + world.y * world.y) / reference.radius,
+        (Math.atan2(world.y, world.x) + Math.PI) / (Math.PI * 2),
+        grid.row,
+        grid.col,
+        bin,
+        failCount > 0
+      );
+      dies.flags[index] |= this.flags[slot];
+      dies.setColor(index, circleGrid.binLegend.getColor(bin));
+      // 没有计入统计的位置没有失效频率 (显示为无数据颜色)
+      dies.setValue(StackedMap.FAIL_COUNT_CHANNEL, index, failCount);
+      dies.setValue(StackedMap.FAIL_RATE_CHANNEL, index, tested > 0 ? failCount / tested : NaN);
+      this.dieSlots[index] = slot;
+    }
+    dies.trim();
+
+    circleGrid.dataSource = "stacked";
+    circleGrid.sourceName = `叠加图 (${this.waferCount}片)`;
+    circleGrid.valueChannels = dies.getChannels();
+
+    // 按失效频率着色，范围为 0 到最高失效频率
+    const range = circleGrid.getValueRange(StackedMap.FAIL_RATE_CHANNEL);
+    circleGrid.setColorMode("value", {
+      channel: StackedMap.FAIL_RATE_CHANNEL,
+      scale: ColorScale.create("frequency", 0, Math.max(range.max, 1 / this.waferCount)),
+    });
+
+    console.log(`叠加了${this.waferCount}片晶圆，共${count}个位置`);
+    return circleGrid;
+  }
+
+  /**
+   * 获取叠加图中某个芯片位置上失效的晶圆
+   * @param {number} index - 叠加图网格中的芯片索引
+   * @returns {{failed: Array<number>, tested: number}} 失效晶圆在批次中的索引，以及计入统计的晶圆数
+   */
+  getFailedWafers(index) {
+    const slot = this.dieSlots[index];
+    return {
+      failed: this.failedWafers[slot] ? this.failedWafers[slot].slice() : [],
+      tested: this.testedCounts[slot],
+    };
+  }
+}
@@ -0,0 +1,271 @@
+/**
+ * 晶圆几何参数
+ * 以毫米为单位描述晶圆直径、芯片步距、划片道宽度、边缘排除区和定位缺口/平边，
+ * 并换算为世界坐标 (晶圆半径对应 CircleGrid.radius)
+ */
+export class WaferGeometry {
+  /**
+   * 默认参数 (毫米)
+   * 步距 0.3mm 时 300mm 晶圆约有78万个芯片
+   */
+  static DEFAULTS = {
+    // 晶圆直径
+    waferDiameter: 300,
+    // 芯片步距 (芯片尺寸 + 划片道)
+    pitchX: 0.3,
+    pitchY: 0.3,
+    // 划片道宽度，绘制的芯片尺寸为步距减去划片道
+    scribeX: 0,
+    scribeY: 0,
+    // 边缘排除区宽度，中心落在排除区内的芯片被标记，默认不计入良率
+    edgeExclusion: 3,
+    // 定位标记: notch (缺口)、flat (平边)、none
+    mark: "notch",
+    // 缺口深度 (缺口为90°的V形)
+    notchDepth: 1,
+    // 平边长度
+    flatLength: 57.5,
+  };
+
+  /**
+   * 定位标记类型
+   */
+  static MARKS = {
+    notch: { name: "缺口" },
+    flat: { name: "平边" },
+    none: { name: "无" },
+  };
+
+  /**
+   * 缺口方向 → 晶圆中心指向缺口的单位向量 (世界坐标，y向上)
+   */
+  static MARK_DIRECTIONS = {
+    down: { x: 0, y: -1 },
+    left: { x: -1, y: 0 },
+    up: { x: 0, y: 1 },
+    right: { x: 1, y: 0 },
+  };
+
+  /**
+   * 判断芯片与晶圆边缘关系时检查的点 (相对芯片半宽、半高): 中心、4个角点和4个边中点
+   */
+  static DIE_SAMPLE_POINTS = [
+    [0, 0],
+    [-1, -1], [1, -1], [1, 1], [-1, 1],
+    [0, -1], [1, 0], [0, 1], [-1, 0],
+  ];
+
+  /**
+   * 构造函数
+   * @param {number} radius - 晶圆半径 (世界坐标)
+   */
+  constructor(radius) {
+    this.radius = radius;
+    Object.assign(this, WaferGeometry.DEFAULTS);
+  }
+
+  /**
+   * 修改几何参数 (毫米)，未指定的参数保持不变
+   * @param {Object} options - 参数，见 WaferGeometry.DEFAULTS
+   */
+  configure(options = {}) {
+    const next = { ...this.getOptions() };
+    for (const key of Object.keys(WaferGeometry.DEFAULTS)) {
+      if (options[key] !== undefined) {
+        next[key] = options[key];
+      }
+    }
+
+    if (!WaferGeometry.MARKS[next.mark]) {
+      throw new Error(`未知的定位标记: ${next.mark}`);
+    }
+    for (const key of ["waferDiameter", "pitchX", "pitchY"]) {
+      if (!(next[key] > 0)) {
+        throw new Error(`${key}必须大于0: ${next[key]}`);
+      }
+    }
+    for (const key of ["scribeX", "scribeY", "edgeExclusion", "notchDepth", "flatLength"]) {
+      if (!(next[key] >= 0)) {
+        throw new Error(`${key}不能为负数: ${next[key]}`);
+      }
+    }
+    if (next.scribeX >= next.pitchX || next.scribeY >= next.pitchY) {
+      throw new Error("划片道宽度必须小于芯片步距");
+    }
+    if (next.edgeExclusion >= next.waferDiameter / 2) {
+      throw new Error("边缘排除区宽度必须小于晶圆半径");
+    }
+    if (next.flatLength >= next.waferDiameter) {
+      throw new Error("平边长度必须小于晶圆直径");
+    }
+
+    Object.assign(this, next);
+  }
+
+  /**
+   * 获取当前参数 (可用于 configure() 恢复或发送到Worker)
+   * @returns {Object} 参数 (毫米)
+   */
+  getOptions() {
+    const options = {};
+    for (const key of Object.keys(WaferGeometry.DEFAULTS)) {
+      options[key] = this[key];
+    }
+    return options;
+  }
+
+  /**
+   * 每毫米对应的世界坐标长度
+   * @returns {number} 比例
+   */
+  getScale() {
+    return this.radius / (this.waferDiameter / 2);
+  }
+
+  /**
+   * 芯片步距 (世界坐标)
+   * @returns {{x: number, y: number}} 步距
+   */
+  getPitch() {
+    const scale = this.getScale();
+    return { x: this.pitchX * scale, y: this.pitchY * scale };
+  }
+
+  /**
+   * 绘制的芯片尺寸 (步距减去划片道，世界坐标)
+   * @returns {{width: number, height: number}} 芯片尺寸
+   */
+  getDieSize() {
+    const scale = this.getScale();
+    return {
+      width: (this.pitchX - this.scribeX) * scale,
+      height: (this.pitchY - this.scribeY) * scale,
+    };
+  }
+
+  /**
+   * 判断点是否在晶圆上 (圆内，不在缺口或平边处)
+   * @param {number} x - 世界X坐标
+   * @param {number} y - 世界Y坐标
+   * @param {string} orientation - 缺口方向 (down、left、up、right)
+   * @param {number|null} scale - 每毫米对应的世界坐标长度，为null时 (实际尺寸未知) 只判断圆
+   * @param {number} margin - 向内收缩的宽度 (世界坐标)
+   * @returns {boolean} 是否在晶圆上
+   */
+  isOnWafer(x, y, orientation, scale = this.getScale(), margin = 0) {
+    const distance = Math.sqrt(x * x + y * y);
+    if (distance > this.radius - margin) {
+      return false;
+    }
+    if (!scale) {
+      return true;
+    }
+
+    // 沿缺口方向 (u) 和垂直方向 (v) 的坐标
+    const direction = WaferGeometry.MARK_DIRECTIONS[orientation] || WaferGeometry.MARK_DIRECTIONS.down;
+    const u = x * direction.x + y * direction.y;
+    const v = x * direction.y - y * direction.x;
+
+    if (this.mark === "flat") {
+      return u <= this.getFlatDistance() * scale - margin;
+    }
+    if (this.mark === "notch" && this.notchDepth > 0) {
+      // 90°的V形缺口: 顶点在 radius - depth 处，两边与缺口方向成45°
+      const apex = this.radius - this.notchDepth * scale;
+      return u < apex + Math.abs(v) - margin * Math.SQRT2;
+    }
+    return true;
+  }
+
+  /**
+   * 判断点是否在可用区域内 (晶圆上且在边缘排除区以外)
+   * @param {number} x - 世界X坐标
+   * @param {number} y - 世界Y坐标
+   * @param {string} orientation - 缺口方向 (down、left、up、right)
+   * @param {number|null} scale - 每毫米对应的世界坐标长度，为null时只判断圆且没有排除区
+   * @returns {boolean} 是否可用
+   */
+  isUsable(x, y, orientation, scale = this.getScale()) {
+    return this.isOnWafer(x, y, orientation, scale, scale ? this.edgeExclusion * scale : 0);
+  }
+
+  /**
+   * 按芯片的角点、边中点和中心判断芯片与晶圆边缘的关系
+   * @param {number} x - 芯片中心X坐标
+   * @param {number} y - 芯片中心Y坐标
+   * @param {number} width - 芯片宽度
+   * @param {number} height - 芯片高度
+   * @param {string} orientation - 缺口方向 (down、left、up、right)
+   * @param {number|null} scale - 每毫米对应的世界坐标长度，为null时只判断圆
+   * @returns {string} full (完整)、partial (部分在晶圆外) 或 off (不在晶圆上)
+   */
+  classifyDie(x, y, width, height, orientation, scale = this.getScale()) {
+    const halfWidth = width / 2;
+    const halfHeight = height / 2;
+    let inside = 0;
+    for (const [dx, dy] of WaferGeometry.DIE_SAMPLE_POINTS) {
+      if (this.isOnWafer(x + dx * halfWidth, y + dy * halfHeight, orientation, scale)) {
+        inside++;
+      }
+    }
+    if (inside === WaferGeometry.DIE_SAMPLE_POINTS.length) {
+      return "full";
+    }
+    return inside > 0 ? "partial" : "off";
+  }
+
+  /**
+   * 平边到晶圆中心的距离 (毫米)
+   * @returns {number} 距离
+   */
+  getFlatDistance() {
+    const r = this.waferDiameter / 2;
+    const half = this.flatLength / 2;
+    return Math.sqrt(r * r - half * half);
+  }
+
+  /**
+   * 获取晶圆轮廓 (含缺口或平边，世界坐标)
+   * @param {number} scale - 每毫米对应的世界坐标长度
+   * @param {string} orientation - 缺口方向 (down、left、up、right)
+   * @param {number} segments - 圆周分段数
+   * @returns {Array<{x: number, y: number}>} 多边形顶点
+   */
+  getOutline(scale, orientation, segments = 256) {
+    const direction = WaferGeometry.MARK_DIRECTIONS[orientation] || WaferGeometry.MARK_DIRECTIONS.down;
+    const markAngle = Math.atan2(direction.y, direction.x);
+    const radius = this.radius;
+
+    // 标记占据的角度范围 (两侧各 halfAngle)
+    let halfAngle = 0;
+    if (this.mark === "flat" && this.flatLength > 0) {
+      halfAngle = Math.asin(Math.min(1, (this.flatLength * scale) / 2 / radius));
+    } else if (this.mark === "notch" && this.notchDepth > 0) {
+      halfAngle = Math.asin(Math.min(1, (this.notchDepth * scale) / radius));
+    }
+
+    const toPoint = (angle, r = radius) => ({
+      x: r * Math.cos(markAngle + angle),
+      y: r * Math.sin(markAngle + angle),
+    });
+
+    const points = [];
+    if (halfAngle > 0) {
+      points.push(toPoint(halfAngle));
+    }
+    for (let i = 1; i < segments; i++) {
+      const angle = halfAngle + ((Math.PI * 2 - halfAngle * 2) * i) / segments;
+      points.push(toPoint(angle));
+    }
+    if (halfAngle > 0) {
+      points.push(toPoint(-halfAngle));
+      if (this.mark === "notch") {
+        // 缺口顶点
+        points.push(toPoint(0, radius - this.notchDepth * scale));
+      }
+    } else {
+      points.push(toPoint(0));
+    }
+    return points;
+  }
+}
@@ -0,0 +1,256 @@
+import { CircleGrid } from "./circle-grid.js";
+
+/**
+ * 批次类
+ * 保存一个批次中的多片晶圆，每片晶圆有自己的圆形网格和LOD瓦片 (瓦片管理器)，
+ * 访问过的晶圆缓存其网格和瓦片，切换时直接复用；
+ * 缓存数量超过上限时释放最久未访问的晶圆 (未修改过芯片的随机晶圆可按种子重新生成)
+ */
+export class WaferLot {
+  /**
+   * 默认批次大小
+   */
+  static DEFAULT_SIZE = 25;
+
+  /**
+   * 由批次中的晶圆派生的条目来源 (不参与叠加和对比)
+   */
+  static DERIVED_SOURCES = ["stacked", "diff"];
+
+  /**
+   * 构造函数
+   * @param {number} radius - 晶圆半径
+   * @param {string} name - 批次名称
+   */
+  constructor(radius, name = "") {
+    this.radius = radius;
+    this.name = name;
+    // 晶圆列表 {id, name, source, generator, circleGrid, tileManager, loadErrors, stackedMap, diffMap, signature, lastVisited}
+    // source 为 "random"、"file"，或派生的 "stacked" (叠加图)、"diff" (差异图)，派生条目总在列表末尾；
+    // generator 为随机晶圆的生成选项 {seed, patterns}；loadErrors 为加载文件时跳过的记录
+    this.wafers = [];
+    this.currentIndex = -1;
+    // 同时缓存网格和瓦片的晶圆数量上限
+    this.maxCachedWafers = 8;
+    this.visitCounter = 0;
+  }
+
+  /**
+   * 添加已有网格的晶圆
+   * @param {CircleGrid} circleGrid - 圆形网格对象
+   * @param {string} name - 晶圆名称
+   * @returns {Object} 晶圆
+   */
+  addGrid(circleGrid, name) {
+    const wafer = this.createWafer(name, circleGrid.dataSource);
+    wafer.circleGrid = circleGrid;
+    wafer.generator = {
+      seed: circleGrid.seed,
+      patterns: circleGrid.defectPatterns,
+    };
+    this.wafers.push(wafer);
+    return wafer;
+  }
+
+  /**
+   * 添加随机晶圆 (首次显示时才生成)
+   * @param {Object} generator - 生成选项 {seed, patterns}，见 CircleGrid.setGeneratorOptions()
+   * @param {string} name - 晶圆名称
+   * @returns {Object} 晶圆
+   */
+  addRandom(generator, name) {
+    const wafer = this.createWafer(name, "random");
+    wafer.generator = { ...generator };
+    this.wafers.push(wafer);
+    return wafer;
+  }
+
+  /**
+   * 设置批次的叠加图 (替换已有的叠加图)
+   * @param {StackedMap} stackedMap - 叠加图
+   * @param {CircleGrid} circleGrid - 叠加图生成的圆形网格
+   * @returns {Object} 叠加图条目
+   */
+  setStacked(stackedMap, circleGrid) {
+    const wafer = this.addDerived("stacked", circleGrid);
+    wafer.stackedMap = stackedMap;
+    return wafer;
+  }
+
+  /**
+   * 设置批次的差异图 (替换已有的差异图)
+   * @param {DiffMap} diffMap - 差异图
+   * @param {CircleGrid} circleGrid - 差异图生成的圆形网格
+   * @returns {Object} 差异图条目
+   */
+  setDiff(diffMap, circleGrid) {
+    const wafer = this.addDerived("diff", circleGrid);
+    wafer.diffMap = diffMap;
+    return wafer;
+  }
+
+  /**
+   * 在列表末尾添加派生条目，替换同一来源的已有条目
+   * @param {string} source - 派生条目来源
+   * @param {CircleGrid} circleGrid - 派生的圆形网格
+   * @returns {Object} 派生条目
+   */
+  addDerived(source, circleGrid) {
+    const current = this.getCurrent();
+    this.wafers = this.wafers.filter((wafer) => wafer.source !== source);
+    this.currentIndex = this.wafers.indexOf(current);
+    const wafer = this.createWafer(circleGrid.sourceName, source);
+    wafer.circleGrid = circleGrid;
+    this.wafers.push(wafer);
+    return wafer;
+  }
+
+  /**
+   * 获取批次中的晶圆 (不含叠加图、差异图等派生条目)
+   * @returns {Array<Object>} 晶圆
+   */
+  getWafers() {
+    return this.wafers.filter((wafer) => !WaferLot.DERIVED_SOURCES.includes(wafer.source));
+  }
+
+  /**
+   * 创建晶圆条目
+   * @param {string} name - 晶圆名称
+   * @param {string} source - 数据来源
+   * @returns {Object} 晶圆
+   */
+  createWafer(name, source) {
+    const id = this.wafers.length + 1;
+    return {
+      id,
+      name: name || `晶圆 ${String(id).padStart(2, "0")}`,
+      source,
+      generator: null,
+      circleGrid: null,
+      tileManager: null,
+      loadErrors: [],
+      stackedMap: null,
+      diffMap: null,
+      // 最近一次识别的失效特征 (SignatureClassifier.analyze() 的结果)，尚未识别时为null
+      signature: null,
+      lastVisited: 0,
+    };
+  }
+
+  /**
+   * 创建随机晶圆的网格 (尚未生成芯片)
+   * 几何参数、坏数据率、bin定义和坐标系沿用参考网格，保证同一批次的晶圆一致
+   * @param {Object} wafer - 晶圆
+   * @param {CircleGrid} reference - 参考网格 (通常为当前显示的网格)
+   * @returns {CircleGrid} 圆形网格对象
+   */
+  createRandomGrid(wafer, reference) {
+    const circleGrid = new CircleGrid(this.radius);
+    // 缓存失效的晶圆使用其最新的生成选项 (可能通过重新生成修改过)
+    circleGrid.setGeneratorOptions(
+      wafer.circleGrid
+        ? { seed: wafer.circleGrid.seed, patterns: wafer.circleGrid.defectPatterns }
+        : wafer.generator
+    );
+    if (reference) {
+      circleGrid.geometry.configure(reference.geometry.getOptions());
+      circleGrid.badDataRate = reference.badDataRate;
+      circleGrid.coordinates.configure(reference.coordinates.getOptions());
+      circleGrid.setYieldRule(reference.yieldRule);
+      if (reference.dataSource === "random") {
+        circleGrid.binLegend.setEntries(reference.binLegend.getEntries());
+      }
+    }
+    return circleGrid;
+  }
+
+  /**
+   * 判断晶圆能否按种子重新生成 (随机晶圆且芯片没有被 CircleGrid.updateDies() 修改过)
+   * @param {Object} wafer - 晶圆
+   * @returns {boolean} 是否可以重新生成
+   */
+  isRegenerable(wafer) {
+    return wafer.source === "random" && !(wafer.circleGrid && wafer.circleGrid.edited);
+  }
+
+  /**
+   * 判断晶圆的缓存能否直接显示
+   * 随机晶圆的芯片排布取决于几何参数和缺口方向，与参考网格不一致时需要重新生成
+   * (修改过芯片的随机晶圆与文件晶圆一样不再重新生成)
+   * @param {Object} wafer - 晶圆
+   * @param {CircleGrid} reference - 参考网格
+   * @returns {boolean} 是否可以复用
+   */
+  isCacheValid(wafer, reference) {
+    if (!wafer.circleGrid || !wafer.tileManager) {
+      return false;
+    }
+    if (!this.isRegenerable(wafer) || !reference) {
+      return true;
+    }
+    const grid = wafer.circleGrid;
+    return (
+      grid.coordinates.orientation === reference.coordinates.orientation &&
+      JSON.stringify(grid.geometry.getOptions()) === JSON.stringify(reference.geometry.getOptions())
+    );
+  }
+
+  /**
+   * 设为当前晶圆，并释放超出缓存上限的晶圆
+   * @param {number} index - 晶圆索引
+   * @returns {Object} 晶圆
+   */
+  select(index) {
+    const wafer = this.wafers[index];
+    if (!wafer) {
+      throw new Error(`晶圆索引超出范围: ${index}`);
+    }
+    this.currentIndex = index;
+    wafer.lastVisited = ++this.visitCounter;
+    this.evict();
+    return wafer;
+  }
+
+  /**
+   * 获取当前晶圆
+   * @returns {Object|null} 晶圆
+   */
+  getCurrent() {
+    return this.wafers[this.currentIndex] || null;
+  }
+
+  /**
+   * 获取已缓存LOD瓦片的晶圆数量
+   * @returns {number} 数量
+   */
+  getCachedCount() {
+    return this.wafers.filter((wafer) => wafer.tileManager).length;
+  }
+
+  /**
+   * 释放最久未访问的晶圆，直到缓存数量不超过上限
+   * 可重新生成的随机晶圆释放网格和瓦片 (保留生成选项)；文件晶圆和修改过芯片的随机晶圆只释放瓦片
+   * (芯片数据无法重新生成)
+   */
+  evict() {
+    const cached = this.wafers
+      .filter((wafer, index) => wafer.tileManager && index !== this.currentIndex)
+      .sort((a, b) => a.lastVisited - b.lastVisited);
+
+    let excess = cached.length + 1 - this.maxCachedWafers;
+    for (const wafer of cached) {
+      if (excess <= 0) break;
+      console.log(`释放${wafer.name}的缓存`);
+      if (this.isRegenerable(wafer)) {
+        // 保留最新的生成选项 (可能通过重新生成修改过)
+        wafer.generator = {
+          seed: wafer.circleGrid.seed,
+          patterns: wafer.circleGrid.defectPatterns,
+        };
+        wafer.circleGrid = null;
+      }
+      wafer.tileManager = null;
+      excess--;
+    }
+  }
+}
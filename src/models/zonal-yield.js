@@ -0,0 +1,191 @@
+import { ColorScale } from "../utils/color-scale.js";
+
+/**
+ * 分区良率统计类
+ * 按芯片保存的归一化距离和角度把晶圆分为等宽的径向环和等角度的扇区 (象限/八分区)，
+ * 再加上用户框选的区域，分别统计芯片数、坏数据数和良率 (沿用网格的良率统计规则)
+ */
+export class ZonalYield {
+  /**
+   * 可着色的分区类型
+   */
+  static ZONE_TYPES = {
+    rings: { name: "径向环" },
+    sectors: { name: "扇区" },
+    region: { name: "框选区域" },
+  };
+
+  /**
+   * 构造函数
+   */
+  constructor() {
+    // 径向环数量
+    this.ringCount = 5;
+    // 扇区数量 (4为象限，8为八分区)
+    this.sectorCount = 4;
+  }
+
+  /**
+   * 修改分区设置，未指定的选项保持不变
+   * @param {Object} options - 选项
+   * @param {number} options.ringCount - 径向环数量 (1-20)
+   * @param {number} options.sectorCount - 扇区数量 (1-36)
+   */
+  configure(options = {}) {
+    if (options.ringCount !== undefined) {
+      this.ringCount = Math.max(1, Math.min(20, Math.round(options.ringCount) || 1));
+    }
+    if (options.sectorCount !== undefined) {
+      this.sectorCount = Math.max(1, Math.min(36, Math.round(options.sectorCount) || 1));
+    }
+  }
+
+  /**
+   * 芯片所在的径向环 (部分在晶圆外的边缘芯片归入最外环)
+   * @param {number} distance - 归一化距离 (0-1)
+   * @param {number} ringCount - 径向环数量
+   * @returns {number} 径向环序号 (0为中心)
+   */
+  static getRing(distance, ringCount) {
+    return Math.min(ringCount - 1, Math.floor(distance * ringCount));
+  }
+
+  /**
+   * 芯片所在的扇区
+   * 归一化角度 0 对应 -X 方向，扇区0从-180°开始，按逆时针排列，因此象限边界与坐标轴对齐
+   * @param {number} angle - 归一化角度 (0-1)
+   * @param {number} sectorCount - 扇区数量
+   * @returns {number} 扇区序号
+   */
+  static getSector(angle, sectorCount) {
+    return Math.min(sectorCount - 1, Math.floor(angle * sectorCount));
+  }
+
+  /**
+   * 统计各分区的良率
+   * @param {CircleGrid} circleGrid - 圆形网格对象
+   * @param {Object} region - 框选区域 (世界坐标 {left, right, bottom, top})，芯片中心在区域内时计入，为null时不统计
+   * @returns {{overall: Object, rings: Array<Object>, sectors: Array<Object>, region: Object|null}}
+   *   每个分区为 {name, total, bad, yield, color} 以及位置 (径向环 inner/outer，扇区 start/end 弧度，区域 bounds)
+   */
+  compute(circleGrid, region = null) {
+    const dies = circleGrid.dies;
+    const ringCount = this.ringCount;
+    const sectorCount = this.sectorCount;
+    const radiusMm = circleGrid.radius / (circleGrid.mmScale || circleGrid.geometry.getScale());
+
+    const rings = [];
+    for (let i = 0; i < ringCount; i++) {
+      const inner = i / ringCount;
+      const outer = (i + 1) / ringCount;
+      rings.push(
+        this.createZone(`${this.formatMm(inner * radiusMm)}-${this.formatMm(outer * radiusMm)} mm`, { inner, outer })
+      );
+    }
+    const sectors = [];
+    for (let i = 0; i < sectorCount; i++) {
+      // 弧度 (世界坐标，从+X方向逆时针)
+      const start = (i / sectorCount) * Math.PI * 2 - Math.PI;
+      const end = ((i + 1) / sectorCount) * Math.PI * 2 - Math.PI;
+      const toDegrees = (radians) => Math.round((((radians * 180) / Math.PI) % 360 + 360) % 360);
+      sectors.push(this.createZone(`${toDegrees(start)}°-${toDegrees(end) || 360}°`, { start, end }));
+    }
+
+    let bounds = null;
+    let regionZone = null;
+    if (region) {
+      bounds = {
+        left: Math.min(region.left, region.right),
+        right: Math.max(region.left, region.right),
+        bottom: Math.min(region.bottom, region.top),
+        top: Math.max(region.bottom, region.top),
+      };
+      regionZone = this.createZone("框选区域", { bounds });
+    }
+    const overall = this.createZone("整片晶圆");
+
+    // 先用计数数组统计，再写入分区
+    const ringTotals = new Int32Array(ringCount);
+    const ringBad = new Int32Array(ringCount);
+    const sectorTotals = new Int32Array(sectorCount);
+    const sectorBad = new Int32Array(sectorCount);
+    for (let i = 0; i < dies.count; i++) {
+      if (!circleGrid.isYieldDie(i)) continue;
+      const bad = dies.isBad(i) ? 1 : 0;
+      const ring = ZonalYield.getRing(dies.distance[i], ringCount);
+      const sector = ZonalYield.getSector(dies.angle[i], sectorCount);
+      ringTotals[ring]++;
+      ringBad[ring] += bad;
+      sectorTotals[sector]++;
+      sectorBad[sector] += bad;
+      if (
+        regionZone &&
+        dies.x[i] >= bounds.left &&
+        dies.x[i] <= bounds.right &&
+        dies.y[i] >= bounds.bottom &&
+        dies.y[i] <= bounds.top
+      ) {
+        regionZone.total++;
+        regionZone.bad += bad;
+      }
+    }
+    rings.forEach((zone, i) => {
+      zone.total = ringTotals[i];
+      zone.bad = ringBad[i];
+      overall.total += zone.total;
+      overall.bad += zone.bad;
+    });
+    sectors.forEach((zone, i) => {
+      zone.total = sectorTotals[i];
+      zone.bad = sectorBad[i];
+    });
+
+    for (const zone of [overall, ...rings, ...sectors, ...(regionZone ? [regionZone] : [])]) {
+      zone.yield = zone.total > 0 ? (zone.total - zone.bad) / zone.total : NaN;
+    }
+    this.assignColors(rings);
+    this.assignColors(sectors);
+    // 框选区域按与整片晶圆的良率差着色
+    if (regionZone) {
+      this.assignColors([overall, regionZone]);
+    }
+
+    return { overall, rings, sectors, region: regionZone };
+  }
+
+  /**
+   * 创建分区统计
+   * @param {string} name - 分区名称
+   * @param {Object} extra - 分区位置
+   * @returns {Object} 分区 {name, total, bad, yield, color, ...extra}
+   */
+  createZone(name, extra = {}) {
+    return { name, total: 0, bad: 0, yield: NaN, color: null, ...extra };
+  }
+
+  /**
+   * 按良率为一组分区着色 (组内良率最低为红色、最高为绿色，没有芯片的分区不着色)
+   * @param {Array<Object>} zones - 分区
+   */
+  assignColors(zones) {
+    const yields = zones.map((zone) => zone.yield).filter((value) => isFinite(value));
+    if (yields.length === 0) return;
+    const min = Math.min(...yields);
+    const max = Math.max(...yields);
+    // 失效频率颜色映射: 0为绿色、1为红色，良率越低越接近红色
+    const scale = ColorScale.create("frequency", 0, 1);
+    for (const zone of zones) {
+      if (!isFinite(zone.yield)) continue;
+      zone.color = scale.map(max > min ? (max - zone.yield) / (max - min) : 0).slice();
+    }
+  }
+
+  /**
+   * 格式化毫米数 (最多1位小数)
+   * @param {number} value - 毫米数
+   * @returns {string} 文字
+   */
+  formatMm(value) {
+    return String(Math.round(value * 10) / 10);
+  }
+}
@@ -1,9 +1,17 @@
 precision highp float;
 
+uniform float u_clipRadius;
+
 varying vec4 v_color;
 varying vec2 v_position;
+varying vec2 v_worldPosition;
 
 void main() {
+    // 裁剪晶圆外的部分 (边缘芯片只显示在晶圆上的部分)
+    if (u_clipRadius > 0.0 && length(v_worldPosition) > u_clipRadius) {
+        discard;
+    }
+    
     // 计算到方块边缘的距离
     vec2 center = vec2(0.0, 0.0);
     vec2 toCenter = abs(v_position);
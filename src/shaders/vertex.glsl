@@ -1,13 +1,14 @@
 attribute vec2 a_position;
 attribute vec2 a_instancePosition;
 attribute vec4 a_instanceColor;
-attribute float a_instanceSize;
+attribute vec2 a_instanceSize;
 
 uniform mat4 u_matrix;
 uniform float u_zoom;
 
 varying vec4 v_color;
 varying vec2 v_position;
+varying vec2 v_worldPosition;
 
 void main() {
     // 计算实例化位置
@@ -21,4 +22,7 @@ void main() {
     
     // 传递原始位置给片元着色器，用于边缘平滑处理
     v_position = a_position;
+    
+    // 传递世界坐标，用于按晶圆边缘裁剪
+    v_worldPosition = position;
 } 
\ No newline at end of file
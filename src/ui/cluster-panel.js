@@ -0,0 +1,224 @@
+import { ClusterDetector } from '../models/cluster-detector.js';
+
+/**
+ * 失效簇面板
+ * 设置连通方式和最小簇大小，列出检测到的失效簇 (可只列出当前视图内的簇)，点击簇在晶圆图上高亮并定位
+ */
+export class ClusterPanel {
+    /**
+     * 列表最多显示的簇数量
+     */
+    static MAX_ROWS = 200;
+
+    /**
+     * 只列出视图内的簇时，视图变化后刷新列表的最小间隔 (毫秒)
+     */
+    static VIEW_REFRESH_INTERVAL = 300;
+
+    /**
+     * 构造函数
+     * @param {HTMLElement} container - 面板容器元素
+     * @param {Function} onChange - 设置变化回调 (options)，options 为 {visible, connectivity, minSize, viewOnly}
+     * @param {Function} onSelect - 选择簇回调 (id)
+     */
+    constructor(container, onChange, onSelect) {
+        this.container = container;
+        this.onChange = onChange;
+        this.onSelect = onSelect;
+        this.result = null;
+        this.selectedId = null;
+        this.viewOnly = false;
+        this.viewBounds = null;
+        this.lastViewRefresh = 0;
+
+        this.build();
+        this.hide();
+    }
+
+    /**
+     * 创建面板元素
+     */
+    build() {
+        this.container.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.className = 'legend-title';
+        title.textContent = '失效簇';
+
+        const closeButton = document.createElement('button');
+        closeButton.className = 'failed-wafers-close';
+        closeButton.textContent = '×';
+        closeButton.title = '关闭';
+        closeButton.addEventListener('click', () => this.emit({ visible: false }));
+        title.appendChild(closeButton);
+
+        this.connectivitySelect = document.createElement('select');
+        this.connectivitySelect.title = '相邻的判断方式: 4邻域只算上下左右，8邻域包括对角';
+        for (const [value, connectivity] of Object.entries(ClusterDetector.CONNECTIVITIES)) {
+            this.connectivitySelect.appendChild(new Option(connectivity.name, value));
+        }
+        this.connectivitySelect.addEventListener('change', () => {
+            this.emit({ connectivity: Number(this.connectivitySelect.value) });
+        });
+
+        this.minSizeInput = document.createElement('input');
+        this.minSizeInput.type = 'number';
+        this.minSizeInput.min = '2';
+        this.minSizeInput.title = '最小簇大小 (芯片数)，更小的连通区域不列出';
+        this.minSizeInput.addEventListener('change', () => {
+            const minSize = Number(this.minSizeInput.value);
+            if (Number.isInteger(minSize) && minSize >= 2) {
+                this.emit({ minSize });
+            }
+        });
+
+        this.viewOnlyInput = document.createElement('input');
+        this.viewOnlyInput.type = 'checkbox';
+        this.viewOnlyInput.addEventListener('change', () => {
+            this.emit({ viewOnly: this.viewOnlyInput.checked });
+        });
+        const viewOnlyLabel = document.createElement('label');
+        viewOnlyLabel.title = '只列出与当前视图相交的簇';
+        viewOnlyLabel.append(this.viewOnlyInput, ' 仅视图内');
+
+        const controls = document.createElement('div');
+        controls.className = 'color-mode-controls';
+        controls.append(
+            this.createLabel('连通', this.connectivitySelect),
+            this.createLabel('最小', this.minSizeInput),
+            viewOnlyLabel
+        );
+
+        this.summary = document.createElement('div');
+        this.summary.className = 'cluster-summary';
+
+        this.table = document.createElement('table');
+        this.table.className = 'zonal-yield-table cluster-table';
+
+        this.container.append(title, controls, this.summary, this.table);
+    }
+
+    /**
+     * 创建带文字的标签
+     * @param {string} text - 文字
+     * @param {HTMLElement} control - 控件
+     * @returns {HTMLLabelElement} 标签
+     */
+    createLabel(text, control) {
+        const label = document.createElement('label');
+        label.append(text, ' ', control);
+        return label;
+    }
+
+    /**
+     * 按当前设置刷新控件
+     * @param {{connectivity: number, minSize: number, viewOnly: boolean}} options - 设置
+     */
+    sync(options) {
+        this.connectivitySelect.value = String(options.connectivity);
+        this.minSizeInput.value = String(options.minSize);
+        this.viewOnlyInput.checked = options.viewOnly;
+        this.viewOnly = options.viewOnly;
+    }
+
+    /**
+     * 显示检测结果
+     * @param {Object} result - ClusterDetector.detect() 的结果
+     * @param {number} selectedId - 选中的簇编号，没有选中时为null
+     * @param {Object} viewBounds - 当前视图范围 (只列出视图内的簇时使用)
+     */
+    render(result, selectedId, viewBounds) {
+        this.result = result;
+        this.selectedId = selectedId;
+        this.viewBounds = viewBounds;
+        this.lastViewRefresh = performance.now();
+
+        const percentage = result.badCount > 0 ? ((result.clusteredCount / result.badCount) * 100).toFixed(1) : '0.0';
+        this.summary.textContent =
+            `坏芯片 ${result.badCount}，成簇 ${result.clusteredCount} (${percentage}%)，共 ${result.clusters.length} 个簇`;
+
+        const clusters = this.viewOnly && viewBounds
+            ? ClusterDetector.findInRange(result, viewBounds)
+            : result.clusters;
+
+        this.table.innerHTML = '';
+        const header = this.table.insertRow();
+        for (const text of ['#', '芯片', '密度', '评分', 'Bin']) {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        }
+        for (const cluster of clusters.slice(0, ClusterPanel.MAX_ROWS)) {
+            const row = this.table.insertRow();
+            row.className = cluster.id === selectedId ? 'cluster-row selected' : 'cluster-row';
+            row.title = '点击在晶圆图上高亮并定位';
+            row.insertCell().textContent = String(cluster.id);
+            row.insertCell().textContent = String(cluster.size);
+            row.insertCell().textContent = `${(cluster.density * 100).toFixed(0)}%`;
+            row.insertCell().textContent = cluster.score.toFixed(1);
+            row.insertCell().textContent = String(cluster.dominantBin);
+            row.addEventListener('click', () => {
+                if (this.onSelect) {
+                    this.onSelect(cluster.id === this.selectedId ? null : cluster.id);
+                }
+            });
+        }
+        if (clusters.length === 0 || clusters.length > ClusterPanel.MAX_ROWS) {
+            const row = this.table.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 5;
+            cell.className = 'zonal-yield-empty';
+            cell.textContent = clusters.length === 0
+                ? (this.viewOnly ? '视图内没有失效簇' : '没有失效簇')
+                : `只列出前 ${ClusterPanel.MAX_ROWS} 个 (共 ${clusters.length} 个)`;
+        }
+    }
+
+    /**
+     * 只列出视图内的簇时，按新的视图范围刷新列表 (每帧调用，视图不变或间隔过短时跳过)
+     * @param {Object} viewBounds - 当前视图范围
+     */
+    updateView(viewBounds) {
+        if (!this.viewOnly || !this.result || !this.isVisible()) return;
+        const previous = this.viewBounds;
+        if (previous &&
+            previous.left === viewBounds.left && previous.right === viewBounds.right &&
+            previous.bottom === viewBounds.bottom && previous.top === viewBounds.top) {
+            return;
+        }
+        if (performance.now() - this.lastViewRefresh < ClusterPanel.VIEW_REFRESH_INTERVAL) return;
+        this.render(this.result, this.selectedId, viewBounds);
+    }
+
+    /**
+     * 面板是否显示
+     * @returns {boolean} 是否显示
+     */
+    isVisible() {
+        return !this.container.hidden;
+    }
+
+    /**
+     * 显示面板
+     */
+    show() {
+        this.container.hidden = false;
+    }
+
+    /**
+     * 隐藏面板
+     */
+    hide() {
+        this.container.hidden = true;
+    }
+
+    /**
+     * 通知设置变化
+     * @param {Object} options - 设置
+     */
+    emit(options) {
+        if (this.onChange) {
+            this.onChange(options);
+        }
+    }
+}
@@ -0,0 +1,285 @@
+import { ColorScale } from '../utils/color-scale.js';
+import { ColorModes } from '../models/color-modes.js';
+
+/**
+ * 颜色模式面板
+ * 选择颜色模式 (bin、径向、角度、测量值、密度、探针Site) 及其参数，使用连续映射的模式显示颜色条
+ */
+export class ColorModePanel {
+    /**
+     * 构造函数
+     * @param {HTMLElement} container - 面板容器元素
+     * @param {Function} onChange - 设置变化回调 (mode, options)，options 见 ColorModes.setMode()
+     */
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+        this.circleGrid = null;
+        this.scale = null;
+
+        this.build();
+    }
+
+    /**
+     * 创建面板元素
+     */
+    build() {
+        this.container.innerHTML = '';
+
+        // 模式选择，切换模式时使用该模式的默认映射
+        this.modeSelect = document.createElement('select');
+        this.modeSelect.title = '颜色模式';
+        for (const [key, mode] of Object.entries(ColorModes.MODES)) {
+            this.modeSelect.appendChild(new Option(mode.name, key));
+        }
+        this.modeSelect.addEventListener('change', () => {
+            this.emit(this.modeSelect.value, {});
+        });
+
+        // 测量值通道选择
+        this.channelSelect = document.createElement('select');
+        this.channelSelect.title = '测量值通道';
+        this.channelSelect.addEventListener('change', () => {
+            const channel = this.channelSelect.value;
+            const range = this.circleGrid.colorModes.getDefaultRange('value', channel);
+            this.scale.setRange(range.min, range.max);
+            this.emit('value', { channel, scale: this.scale });
+        });
+
+        // 角度扇区数量
+        this.sectorsInput = this.createNumberInput('扇区数', 1, () => {
+            this.emit('angular', { sectors: parseInt(this.sectorsInput.value, 10) });
+        });
+
+        // 密度邻域半径
+        this.densityRadiusInput = this.createNumberInput('邻域半径 (芯片数)', 1, () => {
+            this.emit('density', { densityRadius: parseInt(this.densityRadiusInput.value, 10) });
+        });
+
+        // 颜色映射选择
+        this.scaleSelect = document.createElement('select');
+        this.scaleSelect.title = '颜色映射';
+        for (const [key, preset] of Object.entries(ColorScale.PRESETS)) {
+            this.scaleSelect.appendChild(new Option(preset.name, key));
+        }
+        this.scaleSelect.appendChild(new Option('自定义', 'custom'));
+        this.scaleSelect.addEventListener('change', () => {
+            this.stopsInput.hidden = this.scaleSelect.value !== 'custom';
+            this.updateScale();
+        });
+
+        // 自定义停靠点，格式: 0:#000000, 0.5:#ff0000, 1:#ffffff
+        this.stopsInput = document.createElement('input');
+        this.stopsInput.type = 'text';
+        this.stopsInput.className = 'color-stops';
+        this.stopsInput.placeholder = '0:#000000, 1:#ffffff';
+        this.stopsInput.value = '0:#000000, 0.5:#ff0000, 1:#ffff00';
+        this.stopsInput.hidden = true;
+        this.stopsInput.addEventListener('change', () => this.updateScale());
+
+        // 数值范围
+        const onRangeChange = () => {
+            this.scale.setRange(parseFloat(this.minInput.value), parseFloat(this.maxInput.value));
+            this.emitScale();
+        };
+        this.minInput = this.createNumberInput('最小值', 'any', onRangeChange);
+        this.maxInput = this.createNumberInput('最大值', 'any', onRangeChange);
+
+        this.autoButton = document.createElement('button');
+        this.autoButton.textContent = '自动';
+        this.autoButton.title = '恢复默认范围 (测量值模式为数据的最小值和最大值)';
+        this.autoButton.addEventListener('click', () => {
+            const range = this.circleGrid.colorModes.getDefaultRange();
+            this.scale.setRange(range.min, range.max);
+            this.emitScale();
+        });
+
+        const controls = document.createElement('div');
+        controls.className = 'color-mode-controls';
+        controls.append(
+            this.modeSelect, this.channelSelect, this.sectorsInput, this.densityRadiusInput,
+            this.scaleSelect, this.stopsInput, this.minInput, this.maxInput, this.autoButton
+        );
+
+        // 颜色条
+        this.colorBar = document.createElement('canvas');
+        this.colorBar.className = 'color-bar';
+        this.colorBar.width = 256;
+        this.colorBar.height = 12;
+
+        this.rangeLabel = document.createElement('div');
+        this.rangeLabel.className = 'color-bar-labels';
+
+        this.barContainer = document.createElement('div');
+        this.barContainer.append(this.colorBar, this.rangeLabel);
+
+        this.container.append(controls, this.barContainer);
+        this.updateVisibility();
+    }
+
+    /**
+     * 创建数值输入框
+     * @param {string} title - 提示文字
+     * @param {string|number} step - 步长
+     * @param {Function} onChange - 数值变化回调
+     * @returns {HTMLInputElement} 输入框
+     */
+    createNumberInput(title, step, onChange) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = String(step);
+        input.title = title;
+        input.placeholder = title;
+        input.addEventListener('change', onChange);
+        return input;
+    }
+
+    /**
+     * 设置圆形网格并同步面板状态
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     */
+    setGrid(circleGrid) {
+        this.circleGrid = circleGrid;
+        this.sync();
+    }
+
+    /**
+     * 按网格当前的颜色模式刷新面板 (模式也可能通过API或按钮切换)
+     */
+    sync() {
+        if (!this.circleGrid) return;
+        const colorModes = this.circleGrid.colorModes;
+        const channels = this.circleGrid.valueChannels;
+
+        // 没有测量值时禁用测量值模式
+        for (const option of this.modeSelect.options) {
+            option.disabled = option.value === 'value' && channels.length === 0;
+        }
+        this.modeSelect.value = colorModes.mode;
+
+        this.channelSelect.innerHTML = '';
+        for (const channel of channels) {
+            this.channelSelect.appendChild(new Option(channel, channel));
+        }
+        this.channelSelect.value = colorModes.channel || '';
+
+        this.sectorsInput.value = colorModes.sectors;
+        this.densityRadiusInput.value = colorModes.densityRadius;
+
+        this.scale = colorModes.scale;
+        if (this.scale) {
+            if (this.scale.presetName) {
+                this.scaleSelect.value = this.scale.presetName;
+            }
+            this.minInput.value = ColorModePanel.formatValue(this.scale.min);
+            this.maxInput.value = ColorModePanel.formatValue(this.scale.max);
+            this.drawColorBar();
+        }
+        this.updateVisibility();
+    }
+
+    /**
+     * 根据选择重新创建颜色映射 (保留当前范围)
+     */
+    updateScale() {
+        if (!this.scale) return;
+        const min = this.scale.min;
+        const max = this.scale.max;
+        try {
+            if (this.scaleSelect.value === 'custom') {
+                this.scale = new ColorScale(ColorModePanel.parseStops(this.stopsInput.value), min, max);
+            } else {
+                this.scale = ColorScale.create(this.scaleSelect.value, min, max);
+            }
+            this.stopsInput.classList.remove('invalid');
+        } catch (error) {
+            console.warn('颜色映射无效:', error.message);
+            this.stopsInput.classList.add('invalid');
+            return;
+        }
+        this.emitScale();
+    }
+
+    /**
+     * 以当前模式和颜色映射通知变化
+     */
+    emitScale() {
+        this.emit(this.circleGrid.colorModes.mode, { scale: this.scale });
+    }
+
+    /**
+     * 通知设置变化
+     * @param {string} mode - 颜色模式
+     * @param {Object} options - 模式选项
+     */
+    emit(mode, options) {
+        if (this.onChange) {
+            this.onChange(mode, options);
+        }
+    }
+
+    /**
+     * 按当前模式显示或隐藏对应的设置
+     */
+    updateVisibility() {
+        const mode = this.circleGrid ? this.circleGrid.colorModes.mode : 'bin';
+        const hasScale = !!this.scale;
+        this.channelSelect.hidden = mode !== 'value';
+        this.sectorsInput.hidden = mode !== 'angular';
+        this.densityRadiusInput.hidden = mode !== 'density';
+        this.scaleSelect.hidden = !hasScale;
+        this.stopsInput.hidden = !hasScale || this.scaleSelect.value !== 'custom';
+        this.minInput.hidden = !hasScale;
+        this.maxInput.hidden = !hasScale;
+        this.autoButton.hidden = !hasScale;
+        this.barContainer.hidden = !hasScale;
+    }
+
+    /**
+     * 绘制颜色条和范围标签
+     */
+    drawColorBar() {
+        const ctx = this.colorBar.getContext('2d');
+        if (!ctx || !this.scale) return;
+
+        const width = this.colorBar.width;
+        for (let x = 0; x < width; x++) {
+            const color = this.scale.interpolate(x / (width - 1));
+            ctx.fillStyle = `rgb(${color[0] * 255}, ${color[1] * 255}, ${color[2] * 255})`;
+            ctx.fillRect(x, 0, 1, this.colorBar.height);
+        }
+
+        const mid = (this.scale.min + this.scale.max) / 2;
+        this.rangeLabel.innerHTML = '';
+        for (const value of [this.scale.min, mid, this.scale.max]) {
+            const label = document.createElement('span');
+            label.textContent = ColorModePanel.formatValue(value);
+            this.rangeLabel.appendChild(label);
+        }
+    }
+
+    /**
+     * 解析自定义颜色停靠点
+     * @param {string} text - 形如 "0:#000000, 1:#ffffff"
+     * @returns {Array<[number, string]>} 停靠点
+     */
+    static parseStops(text) {
+        return text.split(',').map(part => {
+            const [position, color] = part.split(':').map(item => item.trim());
+            const t = parseFloat(position);
+            if (!isFinite(t) || !/^#[0-9a-f]{6}$/i.test(color || '')) {
+                throw new Error(`无效的停靠点: ${part}`);
+            }
+            return [t, color];
+        });
+    }
+
+    /**
+     * 格式化数值 (保留4位有效数字)
+     * @param {number} value - 数值
+     * @returns {string} 格式化后的文本
+     */
+    static formatValue(value) {
+        return isFinite(value) ? Number(value.toPrecision(4)).toString() : '';
+    }
+}
@@ -0,0 +1,121 @@
+import { DieCoordinates } from '../models/die-coordinates.js';
+
+/**
+ * 坐标系面板
+ * 设置芯片索引坐标系的坐标轴方向、缺口方向和原点芯片
+ */
+export class CoordinatePanel {
+    /**
+     * 构造函数
+     * @param {HTMLElement} container - 面板容器元素
+     * @param {Function} onChange - 设置变化回调 (options)，options 见 DieCoordinates.configure()
+     */
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+        this.circleGrid = null;
+
+        this.build();
+    }
+
+    /**
+     * 创建面板元素
+     */
+    build() {
+        this.container.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.className = 'legend-title';
+        title.textContent = '坐标系';
+
+        this.xSelect = this.createSelect('+X方向', DieCoordinates.X_DIRECTIONS, 'xDirection');
+        this.ySelect = this.createSelect('+Y方向', DieCoordinates.Y_DIRECTIONS, 'yDirection');
+        this.orientationSelect = this.createSelect('缺口方向', DieCoordinates.ORIENTATIONS, 'orientation');
+
+        // 原点芯片 (双击芯片设置)
+        this.originLabel = document.createElement('span');
+        this.originLabel.className = 'coordinate-origin';
+        this.originLabel.title = '双击芯片将其设为原点';
+
+        const resetButton = document.createElement('button');
+        resetButton.textContent = '重置';
+        resetButton.title = '恢复默认坐标系 (与内部行列索引一致)';
+        resetButton.addEventListener('click', () => {
+            this.emit(new DieCoordinates().getOptions());
+        });
+
+        const controls = document.createElement('div');
+        controls.className = 'color-mode-controls';
+        controls.append(
+            this.createLabel('+X', this.xSelect),
+            this.createLabel('+Y', this.ySelect),
+            this.createLabel('缺口', this.orientationSelect),
+            this.originLabel,
+            resetButton
+        );
+
+        this.container.append(title, controls);
+    }
+
+    /**
+     * 创建选择框
+     * @param {string} title - 提示文字
+     * @param {Object} choices - 选项定义 {值: {name}}
+     * @param {string} key - 对应的坐标系设置
+     * @returns {HTMLSelectElement} 选择框
+     */
+    createSelect(title, choices, key) {
+        const select = document.createElement('select');
+        select.title = title;
+        for (const [value, choice] of Object.entries(choices)) {
+            select.appendChild(new Option(choice.name, value));
+        }
+        select.addEventListener('change', () => {
+            this.emit({ [key]: select.value });
+        });
+        return select;
+    }
+
+    /**
+     * 创建带文字的标签
+     * @param {string} text - 文字
+     * @param {HTMLElement} control - 控件
+     * @returns {HTMLLabelElement} 标签
+     */
+    createLabel(text, control) {
+        const label = document.createElement('label');
+        label.append(text, ' ', control);
+        return label;
+    }
+
+    /**
+     * 设置圆形网格并同步面板状态
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     */
+    setGrid(circleGrid) {
+        this.circleGrid = circleGrid;
+        this.sync();
+    }
+
+    /**
+     * 按网格当前的坐标系刷新面板 (坐标系也可能通过API或双击修改)
+     */
+    sync() {
+        if (!this.circleGrid) return;
+        const coordinates = this.circleGrid.coordinates;
+        this.xSelect.value = coordinates.xDirection;
+        this.ySelect.value = coordinates.yDirection;
+        this.orientationSelect.value = coordinates.orientation;
+        this.originLabel.textContent = `原点: 行${coordinates.originRow} 列${coordinates.originCol}`;
+    }
+
+    /**
+     * 通知设置变化
+     * @param {Object} options - 坐标系设置
+     */
+    emit(options) {
+        if (this.onChange) {
+            this.onChange(options);
+        }
+    }
+}
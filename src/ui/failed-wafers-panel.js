@@ -0,0 +1,65 @@
+/**
+ * 失效晶圆面板
+ * 在叠加图中点击芯片后，列出该位置上失效的晶圆，点击晶圆名称切换到该晶圆
+ */
+export class FailedWafersPanel {
+    /**
+     * 构造函数
+     * @param {HTMLElement} container - 面板容器元素
+     * @param {Function} onSelect - 选择晶圆回调 (index)
+     */
+    constructor(container, onSelect) {
+        this.container = container;
+        this.onSelect = onSelect;
+        this.hide();
+    }
+
+    /**
+     * 显示芯片位置上失效的晶圆
+     * @param {{x: number, y: number}} dieIndex - 芯片的索引坐标
+     * @param {{failed: Array<number>, tested: number}} result - StackedMap.getFailedWafers() 的结果
+     * @param {WaferLot} lot - 批次
+     */
+    show(dieIndex, result, lot) {
+        this.container.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.className = 'legend-title';
+        title.textContent = `X ${dieIndex.x}, Y ${dieIndex.y}: 失效 ${result.failed.length}/${result.tested} 片`;
+
+        const closeButton = document.createElement('button');
+        closeButton.className = 'failed-wafers-close';
+        closeButton.textContent = '×';
+        closeButton.title = '关闭';
+        closeButton.addEventListener('click', () => this.hide());
+        title.appendChild(closeButton);
+
+        const list = document.createElement('div');
+        list.className = 'failed-wafers-list';
+        if (result.failed.length === 0) {
+            list.textContent = '没有晶圆在此位置失效';
+        }
+        for (const index of result.failed) {
+            const wafer = lot.wafers[index];
+            const button = document.createElement('button');
+            button.textContent = wafer ? wafer.name : `#${index + 1}`;
+            button.title = '切换到该晶圆';
+            button.addEventListener('click', () => {
+                if (this.onSelect) {
+                    this.onSelect(index);
+                }
+            });
+            list.appendChild(button);
+        }
+
+        this.container.append(title, list);
+        this.container.hidden = false;
+    }
+
+    /**
+     * 隐藏面板
+     */
+    hide() {
+        this.container.hidden = true;
+    }
+}
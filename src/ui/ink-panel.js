@@ -0,0 +1,188 @@
+import { InkRules } from '../models/ink-rules.js';
+import { ClusterDetector } from '../models/cluster-detector.js';
+
+/**
+ * 打点规则面板
+ * 每种打点规则一行: 勾选启用并设置参数，修改后按面板中的规则重新打点
+ */
+export class InkPanel {
+    /**
+     * 各规则的参数输入框 (参数名 → 标签和取值范围)，connectivity 为选择框
+     */
+    static FIELDS = {
+        neighbours: [
+            { key: 'minBad', label: '坏邻居≥', min: 1, max: 8, title: '相邻芯片中至少多少个为坏数据' },
+            { key: 'connectivity', label: '邻域', choices: ClusterDetector.CONNECTIVITIES }
+        ],
+        edgeRing: [
+            { key: 'width', label: '圈数', min: 1, max: 50, title: '打掉计入良率统计的芯片中最外面的几圈' }
+        ],
+        clusterProximity: [
+            { key: 'minSize', label: '簇≥', min: 2, max: 100000, title: '失效簇的最小芯片数 (8邻域)' },
+            { key: 'distance', label: '距离≤', min: 0, max: 50, title: '与失效簇相距不超过几个芯片' }
+        ]
+    };
+
+    /**
+     * 构造函数
+     * @param {HTMLElement} container - 面板容器元素
+     * @param {Function} onChange - 设置变化回调 (options)，options 为 {visible} 或 {rules}
+     */
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+        // 规则类型 → {enabled: 复选框, inputs: {参数名: 控件}}
+        this.rows = new Map();
+
+        this.build();
+        this.hide();
+    }
+
+    /**
+     * 创建面板元素
+     */
+    build() {
+        this.container.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.className = 'legend-title';
+        title.textContent = '打点规则';
+
+        const closeButton = document.createElement('button');
+        closeButton.className = 'failed-wafers-close';
+        closeButton.textContent = '×';
+        closeButton.title = '关闭';
+        closeButton.addEventListener('click', () => this.emit({ visible: false }));
+        title.appendChild(closeButton);
+
+        this.container.appendChild(title);
+
+        for (const [type, defaults] of Object.entries(InkRules.DEFAULTS)) {
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.addEventListener('change', () => this.emitRules());
+            const enabledLabel = document.createElement('label');
+            enabledLabel.className = 'ink-rule-name';
+            enabledLabel.append(enabled, ' ', defaults.name);
+
+            const controls = document.createElement('div');
+            controls.className = 'color-mode-controls ink-rule';
+            controls.appendChild(enabledLabel);
+
+            const inputs = {};
+            for (const field of InkPanel.FIELDS[type]) {
+                let control;
+                if (field.choices) {
+                    control = document.createElement('select');
+                    for (const [value, choice] of Object.entries(field.choices)) {
+                        control.appendChild(new Option(choice.name, value));
+                    }
+                } else {
+                    control = document.createElement('input');
+                    control.type = 'number';
+                    control.min = String(field.min);
+                    control.max = String(field.max);
+                    control.step = '1';
+                }
+                control.title = field.title || '';
+                control.addEventListener('change', () => {
+                    if (enabled.checked) {
+                        this.emitRules();
+                    }
+                });
+                inputs[field.key] = control;
+                controls.appendChild(this.createLabel(field.label, control));
+            }
+
+            this.rows.set(type, { enabled, inputs });
+            this.container.appendChild(controls);
+        }
+
+        this.summary = document.createElement('div');
+        this.summary.className = 'cluster-summary';
+        this.container.appendChild(this.summary);
+    }
+
+    /**
+     * 创建带文字的标签
+     * @param {string} text - 文字
+     * @param {HTMLElement} control - 控件
+     * @returns {HTMLLabelElement} 标签
+     */
+    createLabel(text, control) {
+        const label = document.createElement('label');
+        label.append(text, ' ', control);
+        return label;
+    }
+
+    /**
+     * 按网格当前的打点规则刷新控件，未启用的规则显示默认参数
+     * @param {Array<Object>} rules - 规范化后的打点规则
+     * @param {Object} stats - CircleGrid.getYieldStats() 的结果
+     */
+    sync(rules, stats) {
+        for (const [type, row] of this.rows) {
+            const rule = rules.find(item => item.type === type);
+            const values = rule || InkRules.DEFAULTS[type];
+            row.enabled.checked = Boolean(rule);
+            for (const [key, control] of Object.entries(row.inputs)) {
+                control.value = String(values[key]);
+            }
+        }
+
+        if (rules.length === 0) {
+            this.summary.textContent = '未启用打点';
+            return;
+        }
+        this.summary.textContent =
+            `打点 ${stats.inked} 个，良率 ${(stats.yield * 100).toFixed(2)}% → ${(stats.inkedYield * 100).toFixed(2)}%`;
+    }
+
+    /**
+     * 按面板中勾选的规则通知变化 (规则顺序即优先级: 芯片计入第一条满足的规则)
+     */
+    emitRules() {
+        const rules = [];
+        for (const [type, row] of this.rows) {
+            if (!row.enabled.checked) continue;
+            const rule = { type };
+            for (const [key, control] of Object.entries(row.inputs)) {
+                rule[key] = Number(control.value);
+            }
+            rules.push(rule);
+        }
+        this.emit({ rules });
+    }
+
+    /**
+     * 面板是否显示
+     * @returns {boolean} 是否显示
+     */
+    isVisible() {
+        return !this.container.hidden;
+    }
+
+    /**
+     * 显示面板
+     */
+    show() {
+        this.container.hidden = false;
+    }
+
+    /**
+     * 隐藏面板
+     */
+    hide() {
+        this.container.hidden = true;
+    }
+
+    /**
+     * 通知设置变化
+     * @param {Object} options - 设置
+     */
+    emit(options) {
+        if (this.onChange) {
+            this.onChange(options);
+        }
+    }
+}
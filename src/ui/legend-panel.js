@@ -0,0 +1,137 @@
+/**
+ * Bin图例面板
+ * 显示当前晶圆中出现的bin及其数量，可编辑颜色、名称和良品标记
+ */
+export class LegendPanel {
+    /**
+     * 构造函数
+     * @param {HTMLElement} container - 面板容器元素
+     */
+    constructor(container) {
+        this.container = container;
+        this.circleGrid = null;
+        this.binCounts = new Map();
+    }
+
+    /**
+     * 设置要显示的圆形网格
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     */
+    setGrid(circleGrid) {
+        this.circleGrid = circleGrid;
+        this.refresh();
+    }
+
+    /**
+     * 重新统计bin数量并刷新面板
+     */
+    refresh() {
+        if (!this.circleGrid) return;
+        this.binCounts = this.circleGrid.getBinCounts();
+        this.render();
+    }
+
+    /**
+     * 渲染面板内容
+     */
+    render() {
+        if (!this.container || !this.circleGrid) return;
+
+        const legend = this.circleGrid.binLegend;
+        const total = Array.from(this.binCounts.values()).reduce((sum, count) => sum + count, 0);
+
+        this.container.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.className = 'legend-title';
+        title.textContent = 'Bin图例';
+        this.container.appendChild(title);
+
+        // 只显示当前数据中出现的bin
+        const entries = legend.getEntries().filter(bin => this.binCounts.has(bin.code));
+        for (const bin of entries) {
+            this.container.appendChild(this.createRow(bin, this.binCounts.get(bin.code), total));
+        }
+    }
+
+    /**
+     * 创建一行图例
+     * @param {Object} bin - bin定义
+     * @param {number} count - 芯片数量
+     * @param {number} total - 芯片总数
+     * @returns {HTMLElement} 行元素
+     */
+    createRow(bin, count, total) {
+        const legend = this.circleGrid.binLegend;
+        const row = document.createElement('div');
+        row.className = 'legend-row';
+
+        // 颜色选择
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.value = LegendPanel.colorToHex(bin.color);
+        colorInput.title = '修改颜色';
+        colorInput.addEventListener('change', () => {
+            legend.setBin(bin.code, { color: LegendPanel.hexToColor(colorInput.value) });
+        });
+
+        const code = document.createElement('span');
+        code.className = 'legend-code';
+        code.textContent = bin.code;
+
+        // 名称编辑
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'legend-name';
+        nameInput.value = bin.name;
+        nameInput.addEventListener('change', () => {
+            legend.setBin(bin.code, { name: nameInput.value });
+        });
+
+        const countLabel = document.createElement('span');
+        countLabel.className = 'legend-count';
+        countLabel.textContent = `${count} (${((count / total) * 100).toFixed(2)}%)`;
+
+        // 良品标记
+        const goodLabel = document.createElement('label');
+        goodLabel.className = 'legend-good';
+        const goodInput = document.createElement('input');
+        goodInput.type = 'checkbox';
+        goodInput.checked = bin.isGood;
+        goodInput.addEventListener('change', () => {
+            legend.setBin(bin.code, { isGood: goodInput.checked });
+        });
+        goodLabel.appendChild(goodInput);
+        goodLabel.appendChild(document.createTextNode('良品'));
+
+        row.append(colorInput, code, nameInput, countLabel, goodLabel);
+        return row;
+    }
+
+    /**
+     * RGBA颜色数组转换为十六进制颜色字符串
+     * @param {Array<number>} color - RGBA颜色数组 (0-1)
+     * @returns {string} 十六进制颜色，如 #ff0000
+     */
+    static colorToHex(color) {
+        return '#' + color
+            .slice(0, 3)
+            .map(c => Math.round(c * 255).toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * 十六进制颜色字符串转换为RGBA颜色数组
+     * @param {string} hex - 十六进制颜色，如 #ff0000
+     * @returns {Array<number>} RGBA颜色数组 (0-1)
+     */
+    static hexToColor(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [
+            ((value >> 16) & 255) / 255,
+            ((value >> 8) & 255) / 255,
+            (value & 255) / 255,
+            1
+        ];
+    }
+}
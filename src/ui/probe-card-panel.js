@@ -0,0 +1,235 @@
+import { ProbeCard } from '../models/probe-card.js';
+
+/**
+ * 探针卡面板
+ * 设置探针卡的Site布局、步进顺序和偏移，选择在晶圆图上显示的触点分组、步进路径和按Site着色，
+ * 并列出各Site的良率及其与整体良率的差异
+ */
+export class ProbeCardPanel {
+    /**
+     * 构造函数
+     * @param {HTMLElement} container - 面板容器元素
+     * @param {Function} onChange - 设置变化回调 (options)，options 见 CircleRenderer.setProbeCard()
+     */
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+
+        this.build();
+        this.hide();
+    }
+
+    /**
+     * 创建面板元素
+     */
+    build() {
+        this.container.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.className = 'legend-title';
+        title.textContent = '探针卡';
+
+        const closeButton = document.createElement('button');
+        closeButton.className = 'failed-wafers-close';
+        closeButton.textContent = '×';
+        closeButton.title = '关闭';
+        closeButton.addEventListener('click', () => this.emit({ visible: false }));
+        title.appendChild(closeButton);
+
+        this.enabledInput = this.createCheckbox('enabled');
+        this.siteRowsInput = this.createNumberInput('siteRows', '每次触点测试的芯片行数', 1, 16);
+        this.siteColsInput = this.createNumberInput('siteCols', '每次触点测试的芯片列数', 1, 16);
+
+        this.steppingSelect = document.createElement('select');
+        this.steppingSelect.title = '步进顺序: 触点按行从上到下，蛇形在相邻行之间交替方向';
+        for (const [value, stepping] of Object.entries(ProbeCard.STEPPINGS)) {
+            this.steppingSelect.appendChild(new Option(stepping.name, value));
+        }
+        this.steppingSelect.addEventListener('change', () => {
+            this.emit({ stepping: this.steppingSelect.value });
+        });
+
+        this.offsetRowInput = this.createNumberInput('offsetRow', '某个触点左上角芯片的内部行索引');
+        this.offsetColInput = this.createNumberInput('offsetCol', '某个触点左上角芯片的内部列索引');
+
+        this.touchdownsInput = this.createCheckbox('touchdowns');
+        this.pathInput = this.createCheckbox('path');
+        this.colorBySiteInput = this.createCheckbox('colorBySite');
+
+        const layoutControls = document.createElement('div');
+        layoutControls.className = 'color-mode-controls';
+        layoutControls.append(
+            this.createLabel('启用', this.enabledInput, true),
+            this.createLabel('行', this.siteRowsInput),
+            this.createLabel('列', this.siteColsInput),
+            this.createLabel('步进', this.steppingSelect)
+        );
+
+        const offsetControls = document.createElement('div');
+        offsetControls.className = 'color-mode-controls';
+        offsetControls.append(
+            this.createLabel('行偏移', this.offsetRowInput),
+            this.createLabel('列偏移', this.offsetColInput)
+        );
+
+        const displayControls = document.createElement('div');
+        displayControls.className = 'color-mode-controls';
+        displayControls.append(
+            this.createLabel('触点', this.touchdownsInput, true),
+            this.createLabel('路径', this.pathInput, true),
+            this.createLabel('按Site着色', this.colorBySiteInput, true)
+        );
+
+        this.summary = document.createElement('div');
+        this.summary.className = 'cluster-summary';
+
+        this.table = document.createElement('table');
+        this.table.className = 'zonal-yield-table';
+
+        this.container.append(title, layoutControls, offsetControls, displayControls, this.summary, this.table);
+    }
+
+    /**
+     * 创建复选框，勾选变化时通知
+     * @param {string} key - 设置名
+     * @returns {HTMLInputElement} 复选框
+     */
+    createCheckbox(key) {
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.addEventListener('change', () => this.emit({ [key]: input.checked }));
+        return input;
+    }
+
+    /**
+     * 创建整数输入框，输入有效时通知变化
+     * @param {string} key - 设置名
+     * @param {string} title - 提示
+     * @param {number} min - 最小值，未指定时不限
+     * @param {number} max - 最大值，未指定时不限
+     * @returns {HTMLInputElement} 输入框
+     */
+    createNumberInput(key, title, min = -Infinity, max = Infinity) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = '1';
+        if (isFinite(min)) input.min = String(min);
+        if (isFinite(max)) input.max = String(max);
+        input.title = title;
+        input.addEventListener('change', () => {
+            const value = Number(input.value);
+            if (Number.isInteger(value) && value >= min && value <= max) {
+                this.emit({ [key]: value });
+            }
+        });
+        return input;
+    }
+
+    /**
+     * 创建带文字的标签
+     * @param {string} text - 文字
+     * @param {HTMLElement} control - 控件
+     * @param {boolean} after - 文字是否放在控件之后 (复选框)
+     * @returns {HTMLLabelElement} 标签
+     */
+    createLabel(text, control, after = false) {
+        const label = document.createElement('label');
+        if (after) {
+            label.append(control, ' ', text);
+        } else {
+            label.append(text, ' ', control);
+        }
+        return label;
+    }
+
+    /**
+     * 按当前设置刷新控件，并列出各Site的良率
+     * @param {Object} options - 设置 {enabled, siteRows, siteCols, stepping, offsetRow, offsetCol, touchdowns, path, colorBySite}
+     * @param {Object} plan - 触点计划 (ProbeCard.plan() 的结果)，没有探针卡时为null
+     * @param {Array<Object>} stats - 各Site的良率 (ProbeCard.getSiteStats() 的结果)，没有探针卡时为null
+     */
+    sync(options, plan, stats) {
+        this.enabledInput.checked = options.enabled;
+        this.siteRowsInput.value = String(options.siteRows);
+        this.siteColsInput.value = String(options.siteCols);
+        this.steppingSelect.value = options.stepping;
+        this.offsetRowInput.value = String(options.offsetRow);
+        this.offsetColInput.value = String(options.offsetCol);
+        this.touchdownsInput.checked = options.touchdowns;
+        this.pathInput.checked = options.path;
+        this.colorBySiteInput.checked = options.colorBySite;
+
+        this.table.innerHTML = '';
+        if (!plan || !stats) {
+            this.summary.textContent = '未启用探针卡';
+            return;
+        }
+        this.summary.textContent = `触点 ${plan.count} 次` +
+            (plan.uncovered > 0 ? `，${plan.uncovered} 个芯片不属于任何触点` : '');
+
+        let total = 0;
+        let bad = 0;
+        for (const stat of stats) {
+            total += stat.total;
+            bad += stat.bad;
+        }
+        const overall = total > 0 ? (total - bad) / total : NaN;
+
+        const header = this.table.insertRow();
+        for (const text of ['Site', '芯片', '坏', '良率', '差异']) {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        }
+        for (const stat of stats) {
+            const row = this.table.insertRow();
+            const nameCell = row.insertCell();
+            const swatch = document.createElement('span');
+            swatch.className = 'zonal-yield-swatch';
+            swatch.style.backgroundColor = `rgb(${stat.color.slice(0, 3).map(c => Math.round(c * 255)).join(', ')})`;
+            nameCell.append(swatch, String(stat.site));
+            row.insertCell().textContent = String(stat.total);
+            row.insertCell().textContent = String(stat.bad);
+            row.insertCell().textContent = isFinite(stat.yield) ? `${(stat.yield * 100).toFixed(2)}%` : '-';
+            // 与所有Site整体良率的差异 (百分点)
+            const difference = (stat.yield - overall) * 100;
+            const differenceCell = row.insertCell();
+            differenceCell.textContent = isFinite(difference)
+                ? `${difference >= 0 ? '+' : ''}${difference.toFixed(2)}`
+                : '-';
+            differenceCell.title = '与所有Site整体良率的差异 (百分点)';
+        }
+    }
+
+    /**
+     * 面板是否显示
+     * @returns {boolean} 是否显示
+     */
+    isVisible() {
+        return !this.container.hidden;
+    }
+
+    /**
+     * 显示面板
+     */
+    show() {
+        this.container.hidden = false;
+    }
+
+    /**
+     * 隐藏面板
+     */
+    hide() {
+        this.container.hidden = true;
+    }
+
+    /**
+     * 通知设置变化
+     * @param {Object} options - 设置
+     */
+    emit(options) {
+        if (this.onChange) {
+            this.onChange(options);
+        }
+    }
+}
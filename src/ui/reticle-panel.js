@@ -0,0 +1,202 @@
+/**
+ * 掩模面板
+ * 设置曝光区域的芯片行列数和偏移、是否在晶圆图上绘制曝光区域边界，
+ * 并以曝光区域内各位置的失效率热图显示掩模重复缺陷
+ */
+export class ReticlePanel {
+    /**
+     * 热图格子的边长 (像素)，曝光区域的行列数较多时缩小
+     */
+    static CELL_SIZE = 36;
+
+    /**
+     * 构造函数
+     * @param {HTMLElement} container - 面板容器元素
+     * @param {Function} onChange - 设置变化回调 (options)，options 为 {visible, shotRows, shotCols, offsetRow, offsetCol, showShots}
+     */
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+
+        this.build();
+        this.hide();
+    }
+
+    /**
+     * 创建面板元素
+     */
+    build() {
+        this.container.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.className = 'legend-title';
+        title.textContent = '掩模';
+
+        const closeButton = document.createElement('button');
+        closeButton.className = 'failed-wafers-close';
+        closeButton.textContent = '×';
+        closeButton.title = '关闭';
+        closeButton.addEventListener('click', () => this.emit({ visible: false }));
+        title.appendChild(closeButton);
+
+        this.shotRowsInput = this.createNumberInput('shotRows', '每个曝光区域的芯片行数', 1, 50);
+        this.shotColsInput = this.createNumberInput('shotCols', '每个曝光区域的芯片列数', 1, 50);
+        this.offsetRowInput = this.createNumberInput('offsetRow', '曝光区域的行偏移 (芯片数)');
+        this.offsetColInput = this.createNumberInput('offsetCol', '曝光区域的列偏移 (芯片数)');
+
+        this.showShotsInput = document.createElement('input');
+        this.showShotsInput.type = 'checkbox';
+        this.showShotsInput.addEventListener('change', () => {
+            this.emit({ showShots: this.showShotsInput.checked });
+        });
+        const showShotsLabel = document.createElement('label');
+        showShotsLabel.title = '在晶圆图上绘制曝光区域边界 (曝光区域在屏幕上过小时不绘制)';
+        showShotsLabel.append(this.showShotsInput, ' 边界');
+
+        const sizeControls = document.createElement('div');
+        sizeControls.className = 'color-mode-controls';
+        sizeControls.append(
+            this.createLabel('行', this.shotRowsInput),
+            this.createLabel('列', this.shotColsInput),
+            showShotsLabel
+        );
+
+        const offsetControls = document.createElement('div');
+        offsetControls.className = 'color-mode-controls';
+        offsetControls.append(
+            this.createLabel('行偏移', this.offsetRowInput),
+            this.createLabel('列偏移', this.offsetColInput)
+        );
+
+        this.summary = document.createElement('div');
+        this.summary.className = 'cluster-summary';
+
+        this.map = document.createElement('div');
+        this.map.className = 'reticle-map';
+
+        this.container.append(title, sizeControls, offsetControls, this.summary, this.map);
+    }
+
+    /**
+     * 创建整数输入框，输入有效时通知变化
+     * @param {string} key - 设置名
+     * @param {string} title - 提示
+     * @param {number} min - 最小值，未指定时不限
+     * @param {number} max - 最大值，未指定时不限
+     * @returns {HTMLInputElement} 输入框
+     */
+    createNumberInput(key, title, min = -Infinity, max = Infinity) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = '1';
+        if (isFinite(min)) input.min = String(min);
+        if (isFinite(max)) input.max = String(max);
+        input.title = title;
+        input.addEventListener('change', () => {
+            const value = Number(input.value);
+            if (Number.isInteger(value) && value >= min && value <= max) {
+                this.emit({ [key]: value });
+            }
+        });
+        return input;
+    }
+
+    /**
+     * 创建带文字的标签
+     * @param {string} text - 文字
+     * @param {HTMLElement} control - 控件
+     * @returns {HTMLLabelElement} 标签
+     */
+    createLabel(text, control) {
+        const label = document.createElement('label');
+        label.append(text, ' ', control);
+        return label;
+    }
+
+    /**
+     * 按当前设置刷新控件
+     * @param {{shotRows: number, shotCols: number, offsetRow: number, offsetCol: number, showShots: boolean}} options - 设置
+     */
+    sync(options) {
+        this.shotRowsInput.value = String(options.shotRows);
+        this.shotColsInput.value = String(options.shotCols);
+        this.offsetRowInput.value = String(options.offsetRow);
+        this.offsetColInput.value = String(options.offsetCol);
+        this.showShotsInput.checked = options.showShots;
+    }
+
+    /**
+     * 显示曝光区域内各位置的失效率热图 (失效率最低为绿色、最高为红色)
+     * @param {Object} result - Reticle.compute() 的结果
+     */
+    render(result) {
+        const { overall, shotRows, shotCols } = result;
+        const overallText = isFinite(overall.failRate) ? `${(overall.failRate * 100).toFixed(2)}%` : '-';
+        let worst = null;
+        for (const cell of result.cells) {
+            if (isFinite(cell.failRate) && (!worst || cell.failRate > worst.failRate)) {
+                worst = cell;
+            }
+        }
+        this.summary.textContent = worst
+            ? `${result.shotCount} 个曝光区域，整片失效率 ${overallText}，最高 (${worst.row}, ${worst.col}) ` +
+              `${(worst.failRate * 100).toFixed(2)}%`
+            : '没有统计芯片';
+
+        // 格子总宽度不超过约 360 像素
+        const size = Math.max(8, Math.min(ReticlePanel.CELL_SIZE, Math.floor(360 / Math.max(shotRows, shotCols))));
+        this.map.innerHTML = '';
+        this.map.style.gridTemplateColumns = `repeat(${shotCols}, ${size}px)`;
+        this.map.style.gridAutoRows = `${size}px`;
+        for (const cell of result.cells) {
+            const element = document.createElement('div');
+            element.className = 'reticle-cell';
+            if (cell.color) {
+                element.style.backgroundColor =
+                    `rgb(${cell.color.slice(0, 3).map(c => Math.round(c * 255)).join(', ')})`;
+            }
+            // 格子太小时只显示颜色
+            if (size >= 30 && isFinite(cell.failRate)) {
+                element.textContent = `${(cell.failRate * 100).toFixed(cell.failRate < 0.1 ? 1 : 0)}`;
+            }
+            element.title = isFinite(cell.failRate)
+                ? `位置 (${cell.row}, ${cell.col})\n芯片 ${cell.total}，坏 ${cell.bad}\n` +
+                  `失效率 ${(cell.failRate * 100).toFixed(2)}%` +
+                  (isFinite(cell.ratio) ? `，为整片的 ${cell.ratio.toFixed(2)} 倍` : '')
+                : `位置 (${cell.row}, ${cell.col})\n没有统计芯片`;
+            this.map.appendChild(element);
+        }
+    }
+
+    /**
+     * 面板是否显示
+     * @returns {boolean} 是否显示
+     */
+    isVisible() {
+        return !this.container.hidden;
+    }
+
+    /**
+     * 显示面板
+     */
+    show() {
+        this.container.hidden = false;
+    }
+
+    /**
+     * 隐藏面板
+     */
+    hide() {
+        this.container.hidden = true;
+    }
+
+    /**
+     * 通知设置变化
+     * @param {Object} options - 设置
+     */
+    emit(options) {
+        if (this.onChange) {
+            this.onChange(options);
+        }
+    }
+}
@@ -0,0 +1,451 @@
+/**
+ * 晶圆轮廓叠加层
+ * 在渲染Canvas上方的2D Canvas中绘制晶圆边缘 (含缺口或平边)、边缘排除区、框选范围、刚测出芯片的高亮、按良率着色的分区、
+ * 选中的失效簇、曝光区域边界和探针卡的触点分组与步进路径，
+ * 不参与WebGL实例渲染，也不拦截鼠标事件
+ */
+export class WaferOverlay {
+    /**
+     * 刚测出芯片的高亮持续时间 (毫秒)
+     */
+    static HIGHLIGHT_DURATION = 1000;
+
+    /**
+     * 分区着色的不透明度
+     */
+    static ZONE_ALPHA = 0.45;
+
+    /**
+     * 曝光区域在屏幕上的最小尺寸 (像素)，更小时边界线过密，不绘制
+     */
+    static MIN_SHOT_SIZE = 12;
+
+    /**
+     * 触点在屏幕上的最小尺寸 (像素)，更小时不绘制触点分组和步进路径
+     */
+    static MIN_TOUCHDOWN_SIZE = 12;
+
+    /**
+     * 芯片在屏幕上至少多大 (像素) 时标注Site编号
+     */
+    static MIN_SITE_LABEL_SIZE = 18;
+
+    /**
+     * 每帧最多绘制的触点数，视图内触点过多时只绘制步进顺序中靠前的部分
+     */
+    static MAX_TOUCHDOWNS = 5000;
+
+    /**
+     * 构造函数
+     * @param {HTMLCanvasElement} canvas - 叠加层Canvas元素
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas ? canvas.getContext('2d') : null;
+        this.visible = true;
+        this.outlineColor = 'rgba(255, 255, 255, 0.8)';
+        this.exclusionColor = 'rgba(255, 200, 0, 0.8)';
+        this.selectionColor = 'rgba(0, 170, 255, 0.9)';
+        this.clusterColor = 'rgba(255, 64, 255, 0.9)';
+        this.shotColor = 'rgba(0, 230, 255, 0.6)';
+        this.touchdownColor = 'rgba(255, 255, 255, 0.6)';
+        this.pathColor = 'rgba(255, 170, 0, 0.9)';
+    }
+
+    /**
+     * 使叠加层的像素尺寸与显示尺寸一致
+     */
+    resize() {
+        const pixelRatio = window.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * pixelRatio);
+        const height = Math.round(this.canvas.clientHeight * pixelRatio);
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+
+    /**
+     * 绘制晶圆轮廓、边缘排除区、框选范围、刚测出芯片的高亮、分区着色、选中的失效簇、曝光区域边界和探针卡触点
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     * @param {Camera} camera - 相机对象
+     * @param {Object} selection - 框选范围 (世界坐标 {left, right, bottom, top})，为null时不绘制
+     * @param {Map<number, number>} recentDies - 刚测出的芯片 (芯片索引 → 测出时间)，为null时不绘制
+     * @param {Array<Object>} zones - 按良率着色的分区 (ZonalYield.compute() 结果中的一组)，为null时不绘制
+     * @param {Object} cluster - 选中的失效簇 (ClusterDetector.detect() 结果中的簇)，为null时不绘制
+     * @param {Reticle} reticle - 绘制边界的掩模，为null时不绘制
+     * @param {Object} probing - 探针卡触点 {card, plan, touchdowns, path}，touchdowns/path 为是否绘制触点分组和步进路径，
+     *   为null时不绘制
+     */
+    render(circleGrid, camera, selection = null, recentDies = null, zones = null, cluster = null, reticle = null,
+        probing = null) {
+        if (!this.ctx) return;
+        try {
+            this.resize();
+            const ctx = this.ctx;
+            const pixelRatio = window.devicePixelRatio || 1;
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            if (!this.visible || !circleGrid) return;
+
+            // 相机的屏幕坐标为CSS像素
+            ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+
+            // 分区着色在最下层，不遮挡轮廓和框选范围
+            if (zones && zones.length > 0) {
+                this.drawZones(circleGrid, camera, zones);
+            }
+            if (reticle) {
+                this.drawReticle(circleGrid, camera, reticle);
+            }
+            if (probing && probing.plan && (probing.touchdowns || probing.path)) {
+                this.drawProbing(circleGrid, camera, probing);
+            }
+            const geometry = circleGrid.geometry;
+            const orientation = circleGrid.coordinates.orientation;
+            // 加载的文件没有晶圆直径时，按默认几何参数估计缺口大小
+            const scale = circleGrid.mmScale || geometry.getScale();
+
+            // 晶圆边缘
+            ctx.beginPath();
+            geometry.getOutline(scale, orientation).forEach((point, i) => {
+                const screen = camera.worldToScreen(point.x, point.y);
+                if (i === 0) {
+                    ctx.moveTo(screen.x, screen.y);
+                } else {
+                    ctx.lineTo(screen.x, screen.y);
+                }
+            });
+            ctx.closePath();
+            ctx.strokeStyle = this.outlineColor;
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([]);
+            ctx.stroke();
+
+            // 边缘排除区 (只有已知实际尺寸时绘制)
+            if (circleGrid.mmScale && geometry.edgeExclusion > 0) {
+                const center = camera.worldToScreen(0, 0);
+                const edge = camera.worldToScreen(circleGrid.radius - geometry.edgeExclusion * circleGrid.mmScale, 0);
+                ctx.beginPath();
+                ctx.arc(center.x, center.y, Math.abs(edge.x - center.x), 0, Math.PI * 2);
+                ctx.strokeStyle = this.exclusionColor;
+                ctx.lineWidth = 1;
+                ctx.setLineDash([6, 4]);
+                ctx.stroke();
+            }
+
+            // 框选范围
+            if (selection) {
+                const start = camera.worldToScreen(selection.left, selection.top);
+                const end = camera.worldToScreen(selection.right, selection.bottom);
+                const x = Math.min(start.x, end.x);
+                const y = Math.min(start.y, end.y);
+                const width = Math.abs(end.x - start.x);
+                const height = Math.abs(end.y - start.y);
+                ctx.fillStyle = 'rgba(0, 170, 255, 0.1)';
+                ctx.fillRect(x, y, width, height);
+                ctx.strokeStyle = this.selectionColor;
+                ctx.lineWidth = 1;
+                ctx.setLineDash([4, 3]);
+                ctx.strokeRect(x, y, width, height);
+            }
+
+            if (recentDies && recentDies.size > 0) {
+                this.drawRecentDies(circleGrid, camera, recentDies);
+            }
+
+            if (cluster) {
+                this.drawCluster(circleGrid, camera, cluster);
+            }
+        } catch (error) {
+            console.error('绘制晶圆轮廓失败:', error);
+        }
+    }
+
+    /**
+     * 按良率填充分区并标注良率
+     * 径向环为圆环，扇区为扇形 (角度从+X方向逆时针)，框选区域为矩形
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     * @param {Camera} camera - 相机对象
+     * @param {Array<Object>} zones - 分区 {yield, color, inner/outer | start/end | bounds}
+     */
+    drawZones(circleGrid, camera, zones) {
+        const ctx = this.ctx;
+        const center = camera.worldToScreen(0, 0);
+        const edge = camera.worldToScreen(circleGrid.radius, 0);
+        const radius = Math.abs(edge.x - center.x);
+
+        ctx.setLineDash([]);
+        ctx.lineWidth = 1;
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (const zone of zones) {
+            if (!zone.color) continue;
+            let label;
+            ctx.beginPath();
+            if (zone.bounds) {
+                const start = camera.worldToScreen(zone.bounds.left, zone.bounds.top);
+                const end = camera.worldToScreen(zone.bounds.right, zone.bounds.bottom);
+                ctx.rect(start.x, start.y, end.x - start.x, end.y - start.y);
+                label = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+            } else if (zone.outer !== undefined) {
+                ctx.arc(center.x, center.y, zone.outer * radius, 0, Math.PI * 2);
+                ctx.arc(center.x, center.y, zone.inner * radius, Math.PI * 2, 0, true);
+                // 标注在环的右上方，避免各环的文字重叠
+                const labelRadius = ((zone.inner + zone.outer) / 2) * radius;
+                label = { x: center.x + labelRadius * Math.SQRT1_2, y: center.y - labelRadius * Math.SQRT1_2 };
+            } else {
+                // 屏幕的Y轴向下，世界坐标的角度取反
+                ctx.moveTo(center.x, center.y);
+                ctx.arc(center.x, center.y, radius, -zone.end, -zone.start);
+                ctx.closePath();
+                const middle = (zone.start + zone.end) / 2;
+                label = { x: center.x + radius * 0.6 * Math.cos(middle), y: center.y - radius * 0.6 * Math.sin(middle) };
+            }
+            const [r, g, b] = zone.color.map(c => Math.round(c * 255));
+            ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${WaferOverlay.ZONE_ALPHA})`;
+            ctx.fill();
+            ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, 0.9)`;
+            ctx.stroke();
+
+            const text = `${(zone.yield * 100).toFixed(1)}%`;
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+            ctx.strokeText(text, label.x, label.y);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(text, label.x, label.y);
+            ctx.lineWidth = 1;
+        }
+    }
+
+    /**
+     * 绘制晶圆内的曝光区域边界 (曝光区域在屏幕上小于 MIN_SHOT_SIZE 像素时不绘制)
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     * @param {Camera} camera - 相机对象
+     * @param {Reticle} reticle - 掩模
+     */
+    drawReticle(circleGrid, camera, reticle) {
+        const ctx = this.ctx;
+        const corner = camera.worldToScreen(0, 0);
+        const size = camera.worldToScreen(reticle.shotCols * circleGrid.pitch.x, reticle.shotRows * circleGrid.pitch.y);
+        if (Math.min(Math.abs(size.x - corner.x), Math.abs(size.y - corner.y)) < WaferOverlay.MIN_SHOT_SIZE) return;
+
+        // 只绘制视图与晶圆外接正方形相交的部分
+        const view = camera.getViewBounds();
+        const radius = circleGrid.radius;
+        const bounds = {
+            left: Math.max(view.left, -radius),
+            right: Math.min(view.right, radius),
+            bottom: Math.max(view.bottom, -radius),
+            top: Math.min(view.top, radius)
+        };
+        if (bounds.left >= bounds.right || bounds.bottom >= bounds.top) return;
+        const { xs, ys } = reticle.getBoundaries(circleGrid, bounds);
+
+        // 边界线裁剪到晶圆圆周内
+        const center = camera.worldToScreen(0, 0);
+        const edge = camera.worldToScreen(radius, 0);
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, Math.abs(edge.x - center.x), 0, Math.PI * 2);
+        ctx.clip();
+
+        const start = camera.worldToScreen(bounds.left, bounds.top);
+        const end = camera.worldToScreen(bounds.right, bounds.bottom);
+        ctx.beginPath();
+        for (const x of xs) {
+            const screenX = camera.worldToScreen(x, 0).x;
+            ctx.moveTo(screenX, start.y);
+            ctx.lineTo(screenX, end.y);
+        }
+        for (const y of ys) {
+            const screenY = camera.worldToScreen(0, y).y;
+            ctx.moveTo(start.x, screenY);
+            ctx.lineTo(end.x, screenY);
+        }
+        ctx.strokeStyle = this.shotColor;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([]);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * 绘制视图内的探针卡触点: 触点分组为Site布局的外框 (芯片足够大时标注Site编号)，
+     * 步进路径为相邻触点中心之间的箭头 (换行的箭头为虚线)
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     * @param {Camera} camera - 相机对象
+     * @param {Object} probing - {card, plan, touchdowns, path}
+     */
+    drawProbing(circleGrid, camera, probing) {
+        const ctx = this.ctx;
+        const { card, plan } = probing;
+        const pitch = circleGrid.pitch;
+        const corner = camera.worldToScreen(0, 0);
+        const step = camera.worldToScreen(card.stepCols * pitch.x, card.stepRows * pitch.y);
+        if (Math.min(Math.abs(step.x - corner.x), Math.abs(step.y - corner.y)) < WaferOverlay.MIN_TOUCHDOWN_SIZE) return;
+
+        // 视图向外扩展一个布局的大小，边缘处部分可见的触点也绘制
+        const view = camera.getViewBounds();
+        const marginX = Math.max(card.siteCols, card.stepCols) * pitch.x;
+        const marginY = Math.max(card.siteRows, card.stepRows) * pitch.y;
+        const visible = [];
+        for (let k = 0; k < plan.count && visible.length < WaferOverlay.MAX_TOUCHDOWNS; k++) {
+            if (plan.x[k] >= view.left - marginX && plan.x[k] <= view.right + marginX &&
+                plan.y[k] >= view.bottom - marginY && plan.y[k] <= view.top + marginY) {
+                visible.push(k);
+            }
+        }
+
+        ctx.setLineDash([]);
+        ctx.lineWidth = 1;
+        if (probing.touchdowns) {
+            const die = camera.worldToScreen(pitch.x, pitch.y);
+            const labelSites = Math.abs(die.x - corner.x) >= WaferOverlay.MIN_SITE_LABEL_SIZE;
+            ctx.strokeStyle = this.touchdownColor;
+            ctx.beginPath();
+            for (const k of visible) {
+                // 布局外框: 第一个芯片的左上角到最后一个芯片的右下角
+                const topLeft = circleGrid.gridToWorld(plan.rows[k] - 0.5, plan.cols[k] - 0.5);
+                const bottomRight = circleGrid.gridToWorld(
+                    plan.rows[k] + card.siteRows - 0.5,
+                    plan.cols[k] + card.siteCols - 0.5
+                );
+                const start = camera.worldToScreen(topLeft.x, topLeft.y);
+                const end = camera.worldToScreen(bottomRight.x, bottomRight.y);
+                ctx.rect(start.x, start.y, end.x - start.x, end.y - start.y);
+            }
+            ctx.stroke();
+
+            if (labelSites) {
+                ctx.font = '11px sans-serif';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillStyle = this.touchdownColor;
+                for (const k of visible) {
+                    card.sites.forEach((site, s) => {
+                        const world = circleGrid.gridToWorld(plan.rows[k] + site.row, plan.cols[k] + site.col);
+                        const screen = camera.worldToScreen(world.x, world.y);
+                        ctx.fillText(String(s + 1), screen.x, screen.y);
+                    });
+                }
+            }
+        }
+
+        if (probing.path) {
+            ctx.strokeStyle = this.pathColor;
+            ctx.fillStyle = this.pathColor;
+            ctx.lineWidth = 1.5;
+            for (const k of visible) {
+                if (k === 0) continue;
+                const from = camera.worldToScreen(plan.x[k - 1], plan.y[k - 1]);
+                const to = camera.worldToScreen(plan.x[k], plan.y[k]);
+                ctx.setLineDash(plan.rows[k] !== plan.rows[k - 1] ? [4, 3] : []);
+                this.drawArrow(from, to);
+            }
+            ctx.setLineDash([]);
+        }
+    }
+
+    /**
+     * 绘制箭头 (箭头在线段中点，避免与触点中心的Site编号重叠)
+     * @param {{x: number, y: number}} from - 起点 (屏幕坐标)
+     * @param {{x: number, y: number}} to - 终点 (屏幕坐标)
+     */
+    drawArrow(from, to) {
+        const ctx = this.ctx;
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy);
+        if (length < 1) return;
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+
+        const ux = dx / length;
+        const uy = dy / length;
+        const size = Math.min(8, length / 3);
+        const tipX = (from.x + to.x) / 2 + ux * size / 2;
+        const tipY = (from.y + to.y) / 2 + uy * size / 2;
+        ctx.beginPath();
+        ctx.moveTo(tipX, tipY);
+        ctx.lineTo(tipX - ux * size - uy * size * 0.5, tipY - uy * size + ux * size * 0.5);
+        ctx.lineTo(tipX - ux * size + uy * size * 0.5, tipY - uy * size - ux * size * 0.5);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * 高亮失效簇: 簇内芯片填充半透明品红色，并用虚线框出包围盒 (芯片在屏幕上小于2像素时只绘制包围盒)
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     * @param {Camera} camera - 相机对象
+     * @param {Object} cluster - 簇 {indexes, bounds}
+     */
+    drawCluster(circleGrid, camera, cluster) {
+        const ctx = this.ctx;
+        const dies = circleGrid.dies;
+        const corner = camera.worldToScreen(0, 0);
+        const size = camera.worldToScreen(dies.dieWidth, dies.dieHeight);
+        const width = Math.abs(size.x - corner.x);
+        const height = Math.abs(size.y - corner.y);
+
+        if (width >= 2 && height >= 2) {
+            ctx.fillStyle = 'rgba(255, 64, 255, 0.45)';
+            for (const index of cluster.indexes) {
+                if (index >= dies.count) continue;
+                const center = camera.worldToScreen(dies.x[index], dies.y[index]);
+                ctx.fillRect(center.x - width / 2, center.y - height / 2, width, height);
+            }
+        }
+
+        // 包围盒至少8像素，缩小时仍能看到簇的位置
+        const start = camera.worldToScreen(cluster.bounds.left, cluster.bounds.top);
+        const end = camera.worldToScreen(cluster.bounds.right, cluster.bounds.bottom);
+        const boxWidth = Math.max(8, end.x - start.x);
+        const boxHeight = Math.max(8, end.y - start.y);
+        ctx.strokeStyle = this.clusterColor;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([5, 3]);
+        ctx.strokeRect(
+            (start.x + end.x - boxWidth) / 2 - 3,
+            (start.y + end.y - boxHeight) / 2 - 3,
+            boxWidth + 6,
+            boxHeight + 6
+        );
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * 高亮刚测出的芯片: 白色方块随时间淡出，芯片在屏幕上过小时至少绘制为4像素
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     * @param {Camera} camera - 相机对象
+     * @param {Map<number, number>} recentDies - 芯片索引 → 测出时间
+     */
+    drawRecentDies(circleGrid, camera, recentDies) {
+        const ctx = this.ctx;
+        const dies = circleGrid.dies;
+        const now = performance.now();
+        const corner = camera.worldToScreen(0, 0);
+        const size = camera.worldToScreen(dies.dieWidth, dies.dieHeight);
+        const width = Math.max(4, Math.abs(size.x - corner.x));
+        const height = Math.max(4, Math.abs(size.y - corner.y));
+
+        ctx.setLineDash([]);
+        ctx.lineWidth = 1;
+        for (const [index, time] of recentDies) {
+            const fade = 1 - (now - time) / WaferOverlay.HIGHLIGHT_DURATION;
+            if (fade <= 0 || index >= dies.count) continue;
+            const center = camera.worldToScreen(dies.x[index], dies.y[index]);
+            if (center.x + width < 0 || center.y + height < 0 ||
+                center.x - width > this.canvas.clientWidth || center.y - height > this.canvas.clientHeight) {
+                continue;
+            }
+            ctx.fillStyle = `rgba(255, 255, 255, ${0.6 * fade})`;
+            ctx.fillRect(center.x - width / 2, center.y - height / 2, width, height);
+            ctx.strokeStyle = `rgba(255, 255, 255, ${fade})`;
+            ctx.strokeRect(center.x - width / 2, center.y - height / 2, width, height);
+        }
+    }
+}
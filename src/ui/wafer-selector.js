@@ -0,0 +1,178 @@
+/**
+ * 晶圆选择面板
+ * 在批次中选择要显示的晶圆，可用上一片/下一片按钮快速切换，也可新建随机批次、生成叠加图，
+ * 或将当前晶圆与另一片晶圆对比生成差异图
+ */
+export class WaferSelector {
+    /**
+     * 构造函数
+     * @param {HTMLElement} container - 面板容器元素
+     * @param {Function} onSelect - 选择晶圆回调 (index)
+     * @param {Function} onCreateLot - 新建随机批次回调
+     * @param {Function} onCreateStack - 生成叠加图回调
+     * @param {Function} onCompare - 与当前晶圆对比的回调 (对比晶圆的索引)
+     */
+    constructor(container, onSelect, onCreateLot, onCreateStack, onCompare) {
+        this.container = container;
+        this.onSelect = onSelect;
+        this.onCreateLot = onCreateLot;
+        this.onCreateStack = onCreateStack;
+        this.onCompare = onCompare;
+        this.lot = null;
+
+        this.build();
+    }
+
+    /**
+     * 创建面板元素
+     */
+    build() {
+        this.container.innerHTML = '';
+
+        this.title = document.createElement('div');
+        this.title.className = 'legend-title';
+
+        this.previousButton = document.createElement('button');
+        this.previousButton.textContent = '◀';
+        this.previousButton.title = '上一片 (PageUp)';
+        this.previousButton.addEventListener('click', () => this.step(-1));
+
+        this.waferSelect = document.createElement('select');
+        this.waferSelect.title = '选择晶圆';
+        this.waferSelect.addEventListener('change', () => {
+            this.emit(Number(this.waferSelect.value));
+        });
+
+        this.nextButton = document.createElement('button');
+        this.nextButton.textContent = '▶';
+        this.nextButton.title = '下一片 (PageDown)';
+        this.nextButton.addEventListener('click', () => this.step(1));
+
+        const lotButton = document.createElement('button');
+        lotButton.textContent = '随机批次';
+        lotButton.title = '按当前种子和失效图形生成一个随机批次';
+        lotButton.addEventListener('click', () => {
+            if (this.onCreateLot) {
+                this.onCreateLot();
+            }
+        });
+
+        this.stackButton = document.createElement('button');
+        this.stackButton.textContent = '叠加图';
+        this.stackButton.title = '统计批次中每个芯片位置的失效晶圆数';
+        this.stackButton.addEventListener('click', () => {
+            if (this.onCreateStack) {
+                this.onCreateStack();
+            }
+        });
+
+        // 选择对比晶圆，当前晶圆为对比基准
+        this.compareSelect = document.createElement('select');
+        this.compareSelect.title = '选择与当前晶圆对比的晶圆';
+
+        this.compareButton = document.createElement('button');
+        this.compareButton.textContent = '对比';
+        this.compareButton.title = '生成当前晶圆到所选晶圆的差异图';
+        this.compareButton.addEventListener('click', () => {
+            if (this.onCompare && this.compareSelect.value !== '') {
+                this.onCompare(Number(this.compareSelect.value));
+            }
+        });
+
+        // 已缓存LOD瓦片的晶圆数量
+        this.cacheLabel = document.createElement('span');
+        this.cacheLabel.className = 'coordinate-origin';
+
+        const controls = document.createElement('div');
+        controls.className = 'color-mode-controls';
+        controls.append(
+            this.previousButton,
+            this.waferSelect,
+            this.nextButton,
+            lotButton,
+            this.stackButton,
+            this.compareSelect,
+            this.compareButton,
+            this.cacheLabel
+        );
+
+        this.container.append(this.title, controls);
+    }
+
+    /**
+     * 设置批次并刷新面板
+     * @param {WaferLot} lot - 批次
+     */
+    setLot(lot) {
+        this.lot = lot;
+        this.render();
+    }
+
+    /**
+     * 重新生成晶圆选项 (批次或晶圆名称变化后调用)
+     */
+    render() {
+        if (!this.lot) return;
+        this.waferSelect.innerHTML = '';
+        this.compareSelect.innerHTML = '';
+        const wafers = this.lot.getWafers();
+        this.lot.wafers.forEach((wafer, index) => {
+            // 已识别失效特征的晶圆在名称后显示特征，便于分拣
+            const text = wafer.signature ? `${wafer.name} · ${wafer.signature.name}` : wafer.name;
+            this.waferSelect.appendChild(new Option(text, String(index)));
+            if (wafers.includes(wafer)) {
+                this.compareSelect.appendChild(new Option(wafer.name, String(index)));
+            }
+        });
+        this.sync();
+    }
+
+    /**
+     * 按批次当前状态刷新面板
+     */
+    sync() {
+        if (!this.lot) return;
+        const count = this.lot.wafers.length;
+        const index = this.lot.currentIndex;
+        this.title.textContent = this.lot.name
+            ? `批次 ${this.lot.name} (${index + 1}/${count})`
+            : `晶圆 (${index + 1}/${count})`;
+        this.waferSelect.value = String(index);
+        this.previousButton.disabled = index <= 0;
+        this.nextButton.disabled = index >= count - 1;
+        const wafers = this.lot.getWafers();
+        this.stackButton.disabled = wafers.length < 2;
+        // 只能从批次中的晶圆出发对比，默认对比下一片
+        const current = this.lot.getCurrent();
+        const comparable = wafers.length >= 2 && wafers.includes(current);
+        this.compareSelect.disabled = !comparable;
+        this.compareButton.disabled = !comparable;
+        if (comparable && Number(this.compareSelect.value) === index) {
+            const next = wafers[(wafers.indexOf(current) + 1) % wafers.length];
+            this.compareSelect.value = String(this.lot.wafers.indexOf(next));
+        }
+        this.cacheLabel.textContent = `已缓存 ${this.lot.getCachedCount()}`;
+    }
+
+    /**
+     * 切换到相邻的晶圆
+     * @param {number} offset - 偏移 (-1 为上一片，1 为下一片)
+     */
+    step(offset) {
+        if (!this.lot) return;
+        const index = this.lot.currentIndex + offset;
+        if (index >= 0 && index < this.lot.wafers.length) {
+            this.emit(index);
+        }
+    }
+
+    /**
+     * 通知选择变化
+     * @param {number} index - 晶圆索引
+     */
+    emit(index) {
+        if (this.onSelect) {
+            this.onSelect(index);
+        }
+    }
+}
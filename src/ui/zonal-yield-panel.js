@@ -0,0 +1,210 @@
+import { ZonalYield } from '../models/zonal-yield.js';
+
+/**
+ * 分区良率面板
+ * 设置径向环数量、扇区划分和着色的分区类型，并按径向环、扇区和框选区域列出芯片数、坏数据数和良率
+ */
+export class ZonalYieldPanel {
+    /**
+     * 扇区划分选项
+     */
+    static SECTOR_CHOICES = {
+        4: { name: '象限' },
+        8: { name: '八分区' }
+    };
+
+    /**
+     * 构造函数
+     * @param {HTMLElement} container - 面板容器元素
+     * @param {Function} onChange - 设置变化回调 (options)，options 为 {ringCount, sectorCount, shade}
+     */
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+
+        this.build();
+        this.hide();
+    }
+
+    /**
+     * 创建面板元素
+     */
+    build() {
+        this.container.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.className = 'legend-title';
+        title.textContent = '分区良率';
+
+        const closeButton = document.createElement('button');
+        closeButton.className = 'failed-wafers-close';
+        closeButton.textContent = '×';
+        closeButton.title = '关闭';
+        closeButton.addEventListener('click', () => this.emit({ visible: false }));
+        title.appendChild(closeButton);
+
+        this.ringInput = document.createElement('input');
+        this.ringInput.type = 'number';
+        this.ringInput.min = '1';
+        this.ringInput.max = '20';
+        this.ringInput.title = '径向环数量 (按半径等分)';
+        this.ringInput.addEventListener('change', () => {
+            const ringCount = Number(this.ringInput.value);
+            if (Number.isInteger(ringCount) && ringCount >= 1 && ringCount <= 20) {
+                this.emit({ ringCount });
+            }
+        });
+
+        this.sectorSelect = document.createElement('select');
+        this.sectorSelect.title = '扇区划分';
+        for (const [value, choice] of Object.entries(ZonalYieldPanel.SECTOR_CHOICES)) {
+            this.sectorSelect.appendChild(new Option(choice.name, value));
+        }
+        this.sectorSelect.addEventListener('change', () => {
+            this.emit({ sectorCount: Number(this.sectorSelect.value) });
+        });
+
+        this.shadeSelect = document.createElement('select');
+        this.shadeSelect.title = '在晶圆图上按良率着色的分区 (良率低为红色、高为绿色)';
+        this.shadeSelect.appendChild(new Option('不着色', 'none'));
+        for (const [value, type] of Object.entries(ZonalYield.ZONE_TYPES)) {
+            this.shadeSelect.appendChild(new Option(type.name, value));
+        }
+        this.shadeSelect.addEventListener('change', () => {
+            this.emit({ shade: this.shadeSelect.value });
+        });
+
+        const controls = document.createElement('div');
+        controls.className = 'color-mode-controls';
+        controls.append(
+            this.createLabel('环数', this.ringInput),
+            this.createLabel('扇区', this.sectorSelect),
+            this.createLabel('着色', this.shadeSelect)
+        );
+
+        this.table = document.createElement('table');
+        this.table.className = 'zonal-yield-table';
+
+        this.container.append(title, controls, this.table);
+    }
+
+    /**
+     * 创建带文字的标签
+     * @param {string} text - 文字
+     * @param {HTMLElement} control - 控件
+     * @returns {HTMLLabelElement} 标签
+     */
+    createLabel(text, control) {
+        const label = document.createElement('label');
+        label.append(text, ' ', control);
+        return label;
+    }
+
+    /**
+     * 按当前设置刷新控件
+     * @param {{ringCount: number, sectorCount: number, shade: string}} options - 设置
+     */
+    sync(options) {
+        this.ringInput.value = String(options.ringCount);
+        this.sectorSelect.value = String(options.sectorCount);
+        this.shadeSelect.value = options.shade;
+    }
+
+    /**
+     * 显示统计结果
+     * @param {Object} result - ZonalYield.compute() 的结果
+     */
+    render(result) {
+        this.table.innerHTML = '';
+
+        const header = this.table.insertRow();
+        for (const text of ['分区', '芯片', '坏', '良率']) {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        }
+
+        this.addRow(result.overall);
+        this.addSection(ZonalYield.ZONE_TYPES.rings.name, result.rings);
+        this.addSection(ZonalYield.ZONE_TYPES.sectors.name, result.sectors);
+        if (result.region) {
+            this.addSection(ZonalYield.ZONE_TYPES.region.name, [result.region]);
+        } else {
+            this.addSection(ZonalYield.ZONE_TYPES.region.name, []);
+            const row = this.table.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 4;
+            cell.className = 'zonal-yield-empty';
+            cell.textContent = '按住Shift拖动框选区域';
+        }
+    }
+
+    /**
+     * 添加分组标题和分组内的分区
+     * @param {string} name - 分组名称
+     * @param {Array<Object>} zones - 分区
+     */
+    addSection(name, zones) {
+        const row = this.table.insertRow();
+        row.className = 'zonal-yield-section';
+        const cell = row.insertCell();
+        cell.colSpan = 4;
+        cell.textContent = name;
+        for (const zone of zones) {
+            this.addRow(zone);
+        }
+    }
+
+    /**
+     * 添加一个分区的统计行，分区名称前的色块为着色时使用的颜色
+     * @param {Object} zone - 分区 {name, total, bad, yield, color}
+     */
+    addRow(zone) {
+        const row = this.table.insertRow();
+
+        const nameCell = row.insertCell();
+        if (zone.color) {
+            const swatch = document.createElement('span');
+            swatch.className = 'zonal-yield-swatch';
+            swatch.style.backgroundColor = `rgb(${zone.color.slice(0, 3).map(c => Math.round(c * 255)).join(', ')})`;
+            nameCell.appendChild(swatch);
+        }
+        nameCell.append(zone.name);
+
+        row.insertCell().textContent = String(zone.total);
+        row.insertCell().textContent = String(zone.bad);
+        row.insertCell().textContent = isFinite(zone.yield) ? `${(zone.yield * 100).toFixed(2)}%` : '-';
+    }
+
+    /**
+     * 面板是否显示
+     * @returns {boolean} 是否显示
+     */
+    isVisible() {
+        return !this.container.hidden;
+    }
+
+    /**
+     * 显示面板
+     */
+    show() {
+        this.container.hidden = false;
+    }
+
+    /**
+     * 隐藏面板
+     */
+    hide() {
+        this.container.hidden = true;
+    }
+
+    /**
+     * 通知设置变化
+     * @param {Object} options - 设置
+     */
+    emit(options) {
+        if (this.onChange) {
+            this.onChange(options);
+        }
+    }
+}
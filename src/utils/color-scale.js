@@ -0,0 +1,184 @@
+/**
+ * 连续数值颜色映射类
+ * 由一组颜色停靠点 (stops) 和数值范围 (min/max) 组成，将数值映射为RGBA颜色
+ */
+export class ColorScale {
+    /**
+     * 预设颜色映射
+     */
+    static PRESETS = {
+        viridis: {
+            name: 'Viridis',
+            stops: [
+                [0.0, '#440154'],
+                [0.125, '#46327e'],
+                [0.25, '#365c8d'],
+                [0.375, '#277f8e'],
+                [0.5, '#1fa187'],
+                [0.625, '#4ac16d'],
+                [0.75, '#a0da39'],
+                [0.875, '#d0e11c'],
+                [1.0, '#fde725']
+            ]
+        },
+        diverging: {
+            name: '发散 (蓝-白-红)',
+            stops: [
+                [0.0, '#3b4cc0'],
+                [0.25, '#7396f5'],
+                [0.5, '#dddddd'],
+                [0.75, '#f49a7b'],
+                [1.0, '#b40426']
+            ]
+        },
+        heat: {
+            name: '热度 (黑-红-黄)',
+            stops: [
+                [0.0, '#000004'],
+                [0.35, '#8c1a1a'],
+                [0.7, '#f05a14'],
+                [1.0, '#fcf07c']
+            ]
+        },
+        frequency: {
+            name: '失效频率 (绿-黄-红)',
+            stops: [
+                [0.0, '#1a9850'],
+                [0.5, '#fee08b'],
+                [1.0, '#d73027']
+            ]
+        },
+        grayscale: {
+            name: '灰度',
+            stops: [
+                [0.0, '#000000'],
+                [1.0, '#ffffff']
+            ]
+        }
+    };
+
+    /**
+     * 查找表大小 (映射结果量化为固定数量的颜色，避免每次映射都创建新数组)
+     */
+    static LUT_SIZE = 256;
+
+    /**
+     * 无数据时的颜色
+     */
+    static NO_DATA_COLOR = [0.3, 0.3, 0.3, 1];
+
+    /**
+     * 构造函数
+     * @param {Array<[number, string|Array<number>]>} stops - 颜色停靠点 [位置(0-1), 颜色]
+     * @param {number} min - 映射范围最小值
+     * @param {number} max - 映射范围最大值
+     */
+    constructor(stops, min = 0, max = 1) {
+        if (!Array.isArray(stops) || stops.length < 2) {
+            throw new Error('颜色映射至少需要两个停靠点');
+        }
+
+        this.stops = stops
+            .map(([position, color]) => [
+                Math.max(0, Math.min(1, position)),
+                typeof color === 'string' ? ColorScale.parseHex(color) : color
+            ])
+            .sort((a, b) => a[0] - b[0]);
+
+        this.min = min;
+        this.max = max;
+        this.buildLUT();
+    }
+
+    /**
+     * 根据预设名称创建颜色映射
+     * @param {string} presetName - 预设名称 (viridis、diverging、heat、frequency、grayscale)
+     * @param {number} min - 映射范围最小值
+     * @param {number} max - 映射范围最大值
+     * @returns {ColorScale} 颜色映射
+     */
+    static create(presetName, min = 0, max = 1) {
+        const preset = this.PRESETS[presetName];
+        if (!preset) {
+            throw new Error(`未知的颜色映射: ${presetName}`);
+        }
+        const scale = new ColorScale(preset.stops, min, max);
+        scale.presetName = presetName;
+        return scale;
+    }
+
+    /**
+     * 解析十六进制颜色
+     * @param {string} hex - 十六进制颜色，如 #ff0000
+     * @returns {Array<number>} RGBA颜色数组 (0-1)
+     */
+    static parseHex(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        if (!isFinite(value)) {
+            throw new Error(`无效的颜色: ${hex}`);
+        }
+        return [((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255, 1];
+    }
+
+    /**
+     * 预先计算颜色查找表
+     */
+    buildLUT() {
+        const size = ColorScale.LUT_SIZE;
+        this.lut = new Array(size);
+        for (let i = 0; i < size; i++) {
+            this.lut[i] = this.interpolate(i / (size - 1));
+        }
+    }
+
+    /**
+     * 在停靠点之间线性插值
+     * @param {number} t - 位置 (0-1)
+     * @returns {Array<number>} RGBA颜色数组
+     */
+    interpolate(t) {
+        const stops = this.stops;
+        if (t <= stops[0][0]) return stops[0][1].slice();
+        if (t >= stops[stops.length - 1][0]) return stops[stops.length - 1][1].slice();
+
+        for (let i = 1; i < stops.length; i++) {
+            const [position, color] = stops[i];
+            if (t <= position) {
+                const [prevPosition, prevColor] = stops[i - 1];
+                const span = position - prevPosition || 1;
+                const f = (t - prevPosition) / span;
+                return prevColor.map((c, k) => c + (color[k] - c) * f);
+            }
+        }
+        return stops[stops.length - 1][1].slice();
+    }
+
+    /**
+     * 设置映射范围
+     * @param {number} min - 最小值
+     * @param {number} max - 最大值
+     */
+    setRange(min, max) {
+        if (!isFinite(min) || !isFinite(max)) {
+            console.warn('颜色映射范围无效:', min, max);
+            return;
+        }
+        this.min = Math.min(min, max);
+        this.max = Math.max(min, max);
+    }
+
+    /**
+     * 将数值映射为颜色
+     * @param {number} value - 数值
+     * @returns {Array<number>} RGBA颜色数组 (查找表中的共享数组，请勿修改)
+     */
+    map(value) {
+        if (value === undefined || value === null || !isFinite(value)) {
+            return ColorScale.NO_DATA_COLOR;
+        }
+        const range = this.max - this.min;
+        const t = range > 0 ? (value - this.min) / range : 0.5;
+        const index = Math.round(Math.max(0, Math.min(1, t)) * (ColorScale.LUT_SIZE - 1));
+        return this.lut[index];
+    }
+}
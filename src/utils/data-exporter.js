@@ -0,0 +1,160 @@
+import { DieStore } from '../models/die-store.js';
+
+/**
+ * 晶圆测试数据导出工具类
+ * 将圆形网格中的芯片 (索引坐标、行列、中心坐标、bin、通过/失败、标记 (含打点和修改) 和测量值) 导出为 CSV / JSON，
+ * 导出的文件可以再由 DataLoader 加载 (按 row/col 定位)
+ */
+export class DataExporter {
+    /**
+     * 导出的芯片标记 (标记位 → 字段名)
+     */
+    static FLAGS = [
+        { flag: DieStore.FLAG_PARTIAL, name: 'partial' },
+        { flag: DieStore.FLAG_EXCLUDED, name: 'excluded' },
+        { flag: DieStore.FLAG_INKED, name: 'inked' },
+        { flag: DieStore.FLAG_EDITED, name: 'edited' }
+    ];
+
+    /**
+     * CSV中除测量值以外的列 (DataLoader 加载时不作为测量值通道)
+     */
+    static CSV_COLUMNS = [
+        'row', 'col', 'index_x', 'index_y', 'center_x', 'center_y',
+        'bin', 'bin_name', 'pass', ...DataExporter.FLAGS.map(({ name }) => name)
+    ];
+
+    /**
+     * 按范围选出要导出的芯片
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     * @param {Object} bounds - 世界坐标范围 {left, right, bottom, top}，与芯片有重叠的芯片被选中；为null时导出全部芯片
+     * @returns {Array<number>} 芯片索引
+     */
+    static collect(circleGrid, bounds = null) {
+        const dies = circleGrid.dies;
+        const indexes = [];
+        const halfWidth = dies.dieWidth / 2;
+        const halfHeight = dies.dieHeight / 2;
+        // 相机视图范围的top大于bottom，框选范围可能任意方向
+        const bottom = bounds ? Math.min(bounds.bottom, bounds.top) : 0;
+        const top = bounds ? Math.max(bounds.bottom, bounds.top) : 0;
+        for (let i = 0; i < dies.count; i++) {
+            if (bounds && (
+                dies.x[i] + halfWidth < bounds.left ||
+                dies.x[i] - halfWidth > bounds.right ||
+                dies.y[i] + halfHeight < bottom ||
+                dies.y[i] - halfHeight > top
+            )) {
+                continue;
+            }
+            indexes.push(i);
+        }
+        return indexes;
+    }
+
+    /**
+     * 生成芯片记录
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     * @param {number} index - 芯片索引
+     * @returns {Object} 芯片记录 {row, col, index, center, bin, binName, pass, flags, values}
+     */
+    static toRecord(circleGrid, index) {
+        const dies = circleGrid.dies;
+        const bin = dies.bin[index];
+        const flags = {};
+        for (const { flag, name } of this.FLAGS) {
+            flags[name] = dies.hasFlag(index, flag);
+        }
+        return {
+            row: dies.row[index],
+            col: dies.col[index],
+            index: circleGrid.getDieIndex(index),
+            center: { x: dies.x[index], y: dies.y[index] },
+            bin,
+            binName: circleGrid.binLegend.ensureBin(bin).name,
+            pass: !dies.isBad(index),
+            flags,
+            values: dies.getValues(index)
+        };
+    }
+
+    /**
+     * 导出为JSON文本
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     * @param {Array<number>} indexes - 芯片索引
+     * @returns {string} JSON文本 (芯片在 dies 数组中)
+     */
+    static toJSON(circleGrid, indexes) {
+        const data = {
+            source: circleGrid.sourceName || circleGrid.dataSource,
+            exportedAt: new Date().toISOString(),
+            wafer: {
+                radius: circleGrid.radius,
+                pitch: circleGrid.pitch,
+                geometry: circleGrid.geometry.getOptions(),
+                coordinates: circleGrid.coordinates.getOptions()
+            },
+            bins: circleGrid.binLegend.getEntries().map(({ code, name, isGood }) => ({ code, name, isGood })),
+            dies: indexes.map(index => this.toRecord(circleGrid, index))
+        };
+        return JSON.stringify(data, null, 2);
+    }
+
+    /**
+     * 导出为CSV文本
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     * @param {Array<number>} indexes - 芯片索引
+     * @returns {string} CSV文本 (首行为表头，测量值通道在固定列之后，缺失值为空)
+     */
+    static toCSV(circleGrid, indexes) {
+        const channels = circleGrid.dies.getChannels();
+        const lines = [[...this.CSV_COLUMNS, ...channels].map(cell => this.escapeCSV(cell)).join(',')];
+        for (const index of indexes) {
+            const record = this.toRecord(circleGrid, index);
+            const cells = [
+                record.row,
+                record.col,
+                record.index.x,
+                record.index.y,
+                record.center.x,
+                record.center.y,
+                record.bin,
+                record.binName,
+                record.pass ? 'P' : 'F',
+                ...this.FLAGS.map(({ name }) => (record.flags[name] ? 1 : 0)),
+                ...channels.map(channel => (channel in record.values ? record.values[channel] : ''))
+            ];
+            lines.push(cells.map(cell => this.escapeCSV(cell)).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * 转义CSV字段 (包含逗号、引号或换行时用双引号包裹)
+     * @param {*} value - 字段值
+     * @returns {string} CSV字段
+     */
+    static escapeCSV(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * 在浏览器中下载文件
+     * @param {string|Blob} content - 文件内容
+     * @param {string} fileName - 文件名
+     * @param {string} type - MIME类型
+     */
+    static download(content, fileName, type = 'text/plain') {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // 等待浏览器开始下载后再释放
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
@@ -0,0 +1,318 @@
+import { DataExporter } from './data-exporter.js';
+
+/**
+ * 晶圆测试数据加载工具类
+ * 负责解析 JSON / CSV 格式的芯片(die)测试结果，并校验为统一的记录格式:
+ * { row, col, x, y, pass, bin, values }
+ * 其余数值列 (或JSON中的 values 对象) 作为测量值通道，例如漏电流、阈值电压
+ */
+export class DataLoader {
+    /**
+     * 字段别名表 (全部小写)
+     */
+    static FIELD_ALIASES = {
+        row: ['row', 'die_row', 'dierow', 'r'],
+        col: ['col', 'column', 'die_col', 'diecol', 'c'],
+        x: ['x', 'die_x', 'diex', 'xcoord', 'x_coord'],
+        y: ['y', 'die_y', 'diey', 'ycoord', 'y_coord'],
+        pass: ['pass', 'passed', 'result', 'status', 'passfail', 'pass_fail'],
+        bin: ['bin', 'bin_code', 'bincode', 'hardbin', 'hard_bin', 'softbin', 'soft_bin']
+    };
+
+    /**
+     * 表示通过的字符串值
+     */
+    static PASS_VALUES = ['1', 'p', 'pass', 'passed', 'true', 'good', 'ok', 'y', 'yes'];
+
+    /**
+     * 表示失败的字符串值
+     */
+    static FAIL_VALUES = ['0', 'f', 'fail', 'failed', 'false', 'bad', 'ng', 'n', 'no'];
+
+    /**
+     * 根据文件名或内容推断数据格式
+     * @param {string} text - 文件内容
+     * @param {string} fileName - 文件名
+     * @returns {string} 'json' 或 'csv'
+     */
+    static detectFormat(text, fileName = '') {
+        const lowerName = fileName.toLowerCase();
+        if (lowerName.endsWith('.json')) return 'json';
+        if (lowerName.endsWith('.csv') || lowerName.endsWith('.txt')) return 'csv';
+
+        const firstChar = text.trimStart().charAt(0);
+        return firstChar === '[' || firstChar === '{' ? 'json' : 'csv';
+    }
+
+    /**
+     * 解析数据文本
+     * @param {string} text - 文件内容
+     * @param {string} format - 数据格式 ('json' 或 'csv')
+     * @param {Object} options - 选项 {goodBins: 视为通过的bin列表，不指定时只有bin的记录按当前bin定义判断}
+     * @returns {{records: Array<Object>, errors: Array<Object>}} 有效记录与错误列表
+     */
+    static parse(text, format, options = {}) {
+        if (typeof text !== 'string' || text.trim() === '') {
+            throw new Error('数据文件为空');
+        }
+
+        const rawRecords = format === 'json' ? this.parseJSON(text) : this.parseCSV(text);
+        return this.validate(rawRecords, options);
+    }
+
+    /**
+     * 解析JSON文本
+     * 支持顶层数组，或包含 dies / data / records 数组的对象
+     * @param {string} text - JSON文本
+     * @returns {Array<{line: number, data: Object}>} 原始记录
+     */
+    static parseJSON(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`JSON解析失败: ${error.message}`);
+        }
+
+        const list = Array.isArray(parsed)
+            ? parsed
+            : parsed && (parsed.dies || parsed.data || parsed.records);
+
+        if (!Array.isArray(list)) {
+            throw new Error('JSON中未找到芯片数组 (需要顶层数组或 dies 字段)');
+        }
+
+        return list.map((data, index) => ({ line: index + 1, data }));
+    }
+
+    /**
+     * 解析CSV文本 (首行为表头，支持逗号、分号、制表符分隔和双引号)
+     * @param {string} text - CSV文本
+     * @returns {Array<{line: number, data: Object}>} 原始记录
+     */
+    static parseCSV(text) {
+        const lines = text.split(/\r?\n/);
+
+        // 查找表头 (跳过空行和#注释行)
+        let headerIndex = lines.findIndex(line => line.trim() !== '' && !line.trim().startsWith('#'));
+        if (headerIndex === -1) {
+            throw new Error('CSV中没有表头');
+        }
+
+        const delimiter = this.detectDelimiter(lines[headerIndex]);
+        const headers = this.splitCSVLine(lines[headerIndex], delimiter).map(h => h.trim());
+
+        const records = [];
+        for (let i = headerIndex + 1; i < lines.length; i++) {
+            const line = lines[i];
+            if (line.trim() === '' || line.trim().startsWith('#')) continue;
+
+            const cells = this.splitCSVLine(line, delimiter);
+            const data = {};
+            headers.forEach((header, column) => {
+                data[header] = cells[column] !== undefined ? cells[column].trim() : '';
+            });
+
+            // 行号从1开始，便于与编辑器中的行号对应
+            records.push({ line: i + 1, data });
+        }
+
+        return records;
+    }
+
+    /**
+     * 推断CSV分隔符
+     * @param {string} headerLine - 表头行
+     * @returns {string} 分隔符
+     */
+    static detectDelimiter(headerLine) {
+        const candidates = [',', ';', '\t'];
+        let best = ',';
+        let bestCount = 0;
+        for (const candidate of candidates) {
+            const count = headerLine.split(candidate).length - 1;
+            if (count > bestCount) {
+                best = candidate;
+                bestCount = count;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * 拆分一行CSV (处理双引号包裹的字段)
+     * @param {string} line - CSV行
+     * @param {string} delimiter - 分隔符
+     * @returns {Array<string>} 字段数组
+     */
+    static splitCSVLine(line, delimiter) {
+        const cells = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (inQuotes) {
+                if (char === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                cells.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        cells.push(current);
+
+        return cells;
+    }
+
+    /**
+     * 在对象中按别名查找字段值
+     * @param {Object} data - 原始记录
+     * @param {string} field - 字段名
+     * @returns {*} 字段值，不存在时返回undefined
+     */
+    static getField(data, field) {
+        const aliases = this.FIELD_ALIASES[field];
+        for (const key of Object.keys(data)) {
+            if (aliases.includes(key.toLowerCase())) {
+                const value = data[key];
+                if (value !== '' && value !== null && value !== undefined) {
+                    return value;
+                }
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * 提取测量值通道 (未被识别为坐标/结果的数值字段)
+     * @param {Object} data - 原始记录
+     * @returns {Object} 通道名 → 数值
+     */
+    static getValues(data) {
+        // DataExporter 导出的附加列 (索引坐标、中心坐标、bin名称和标记) 不作为测量值
+        const knownKeys = new Set([...Object.values(this.FIELD_ALIASES).flat(), ...DataExporter.CSV_COLUMNS]);
+        const values = {};
+
+        const source = data.values && typeof data.values === 'object' ? data.values : data;
+        for (const key of Object.keys(source)) {
+            if (source === data && (knownKeys.has(key.toLowerCase()) || key === 'values')) continue;
+
+            const raw = source[key];
+            if (raw === '' || raw === null || raw === undefined || typeof raw === 'boolean') continue;
+
+            const value = this.toNumber(raw);
+            if (isFinite(value)) {
+                values[key] = value;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * 将值转换为数字
+     * @param {*} value - 原始值
+     * @returns {number} 数字，无效时返回NaN
+     */
+    static toNumber(value) {
+        if (value === undefined) return NaN;
+        if (typeof value === 'number') return value;
+        return Number(String(value).trim());
+    }
+
+    /**
+     * 解析通过/失败字段
+     * @param {*} value - 原始值
+     * @returns {boolean|null} 是否通过，无法识别时返回null
+     */
+    static toPass(value) {
+        if (typeof value === 'boolean') return value;
+        const text = String(value).trim().toLowerCase();
+        if (this.PASS_VALUES.includes(text)) return true;
+        if (this.FAIL_VALUES.includes(text)) return false;
+        return null;
+    }
+
+    /**
+     * 校验并规范化原始记录
+     * @param {Array<{line: number, data: Object}>} rawRecords - 原始记录
+     * @param {Object} options - 选项 {goodBins: 视为通过的bin列表，不指定时只有bin的记录 pass 为 null}
+     * @returns {{records: Array<Object>, errors: Array<Object>}} 有效记录与错误列表
+     */
+    static validate(rawRecords, options = {}) {
+        const goodBins = options.goodBins || null;
+        const records = [];
+        const errors = [];
+        const seenPositions = new Set();
+
+        for (const { line, data } of rawRecords) {
+            if (!data || typeof data !== 'object') {
+                errors.push({ line, message: '记录不是对象' });
+                continue;
+            }
+
+            const row = this.toNumber(this.getField(data, 'row'));
+            const col = this.toNumber(this.getField(data, 'col'));
+            const x = this.toNumber(this.getField(data, 'x'));
+            const y = this.toNumber(this.getField(data, 'y'));
+
+            const hasIndex = Number.isInteger(row) && Number.isInteger(col);
+            const hasCoords = isFinite(x) && isFinite(y);
+            if (!hasIndex && !hasCoords) {
+                errors.push({ line, message: '缺少有效的 row/col 或 x/y 坐标' });
+                continue;
+            }
+
+            const rawBin = this.getField(data, 'bin');
+            const rawPass = this.getField(data, 'pass');
+            const bin = this.toNumber(rawBin);
+
+            if (rawBin !== undefined && !Number.isInteger(bin)) {
+                errors.push({ line, message: `无效的bin值: ${rawBin}` });
+                continue;
+            }
+
+            let pass = rawPass !== undefined ? this.toPass(rawPass) : null;
+            if (rawPass !== undefined && pass === null) {
+                errors.push({ line, message: `无法识别的通过/失败值: ${rawPass}` });
+                continue;
+            }
+            if (pass === null) {
+                if (rawBin === undefined) {
+                    errors.push({ line, message: '缺少 pass/fail 或 bin 字段' });
+                    continue;
+                }
+                pass = goodBins ? goodBins.includes(bin) : null;
+            }
+
+            const positionKey = hasIndex ? `rc:${row},${col}` : `xy:${x},${y}`;
+            if (seenPositions.has(positionKey)) {
+                errors.push({ line, message: '重复的芯片位置' });
+                continue;
+            }
+            seenPositions.add(positionKey);
+
+            records.push({
+                row: hasIndex ? row : null,
+                col: hasIndex ? col : null,
+                x: hasCoords ? x : null,
+                y: hasCoords ? y : null,
+                pass,
+                bin: rawBin !== undefined ? bin : null,
+                values: this.getValues(data)
+            });
+        }
+
+        return { records, errors };
+    }
+}
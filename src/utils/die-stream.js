@@ -0,0 +1,240 @@
+/**
+ * 测试机实时数据流
+ * 通过WebSocket接收晶圆测试 (wafer sort) 过程中逐个测出的芯片结果，先放入待处理队列，
+ * 由渲染循环每帧取出并应用到晶圆；连接断开后按指数退避自动重连，并请求服务器补发断开期间的结果
+ *
+ * 协议 (JSON文本消息):
+ * - 芯片结果: {seq, dies: [{x, y, bin, values}]} 或单个芯片 {seq, x, y, bin, values}
+ *   x/y 为芯片索引坐标 (也可写作 index_x/index_y)，bin 为整数，values 为 {通道名: 数值}
+ *   seq 为递增的消息序号 (可选)，序号不大于已收到的最大序号的消息视为重复并丢弃
+ * - 测试结束: {type: 'end'}
+ * - 客户端在每次连接后发送 {type: 'resume', lastSeq}，服务器补发序号大于 lastSeq 的消息
+ */
+export class DieStream {
+    /**
+     * 首次重连的等待时间 (毫秒)，之后每次加倍
+     */
+    static RECONNECT_DELAY = 1000;
+
+    /**
+     * 重连等待时间的上限 (毫秒)
+     */
+    static MAX_RECONNECT_DELAY = 30000;
+
+    /**
+     * 数据流停止送来新结果多久之后 (毫秒) 重新运行遍历整片晶圆的分析，
+     * 接收期间只刷新良率计数
+     */
+    static ANALYSIS_DELAY = 2000;
+
+    /**
+     * 连接状态的显示名称
+     */
+    static STATUS_NAMES = {
+        connecting: '连接中',
+        open: '已连接',
+        reconnecting: '重连中',
+        ended: '测试结束',
+        closed: '已断开'
+    };
+
+    /**
+     * 构造函数
+     * @param {string} url - WebSocket地址，例如 ws://localhost:8765
+     * @param {Function} onStatus - 连接状态变化回调，参数为状态 (见 STATUS_NAMES)
+     * @param {Function} WebSocketClass - WebSocket实现，默认使用浏览器的WebSocket
+     */
+    constructor(url, onStatus = null, WebSocketClass = globalThis.WebSocket) {
+        if (!/^wss?:\/\//i.test(url)) {
+            throw new Error(`数据流地址必须以 ws:// 或 wss:// 开头: ${url}`);
+        }
+        if (!WebSocketClass) {
+            throw new Error('浏览器不支持WebSocket');
+        }
+        this.url = url;
+        this.onStatus = onStatus;
+        this.WebSocketClass = WebSocketClass;
+        this.socket = null;
+        this.status = 'closed';
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        // 用户主动断开后不再重连
+        this.closedByUser = false;
+        // 已收到的最大消息序号，重连后从这里继续
+        this.lastSeq = -1;
+        // 待处理的芯片结果 (索引坐标键 → 结果)，同一芯片的多次结果合并为一条
+        this.pending = new Map();
+        // 统计: 收到的芯片结果、无效结果和重复消息
+        this.received = 0;
+        this.invalid = 0;
+        this.duplicates = 0;
+    }
+
+    /**
+     * 待处理的芯片结果数量
+     * @returns {number} 数量
+     */
+    get backlog() {
+        return this.pending.size;
+    }
+
+    /**
+     * 连接服务器
+     */
+    connect() {
+        this.closedByUser = false;
+        this.setStatus(this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
+
+        const socket = new this.WebSocketClass(this.url);
+        this.socket = socket;
+        socket.onopen = () => {
+            this.reconnectAttempts = 0;
+            this.setStatus('open');
+            socket.send(JSON.stringify({ type: 'resume', lastSeq: this.lastSeq }));
+        };
+        socket.onmessage = (event) => {
+            try {
+                this.handleMessage(event.data);
+            } catch (error) {
+                console.error('处理数据流消息失败:', error);
+            }
+        };
+        socket.onerror = () => {
+            console.warn(`数据流连接出错: ${this.url}`);
+        };
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            if (this.closedByUser || this.status === 'ended') {
+                this.setStatus(this.status === 'ended' ? 'ended' : 'closed');
+                return;
+            }
+            this.scheduleReconnect();
+        };
+    }
+
+    /**
+     * 按指数退避安排重连
+     */
+    scheduleReconnect() {
+        const delay = Math.min(
+            DieStream.MAX_RECONNECT_DELAY,
+            DieStream.RECONNECT_DELAY * Math.pow(2, this.reconnectAttempts)
+        );
+        this.reconnectAttempts++;
+        this.setStatus('reconnecting');
+        console.log(`数据流连接断开，${delay / 1000}秒后第${this.reconnectAttempts}次重连`);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+
+    /**
+     * 断开连接 (不再重连，未处理的结果保留)
+     */
+    disconnect() {
+        this.closedByUser = true;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        if (this.status !== 'ended') {
+            this.setStatus('closed');
+        }
+    }
+
+    /**
+     * 更新连接状态并通知
+     * @param {string} status - 状态
+     */
+    setStatus(status) {
+        this.status = status;
+        if (this.onStatus) {
+            this.onStatus(status);
+        }
+    }
+
+    /**
+     * 处理一条消息
+     * @param {string} text - 消息文本
+     */
+    handleMessage(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`数据流消息不是有效的JSON: ${error.message}`);
+        }
+        if (!message || typeof message !== 'object') {
+            throw new Error('数据流消息必须是对象');
+        }
+
+        const hasSeq = Number.isInteger(message.seq);
+        if (hasSeq && message.seq <= this.lastSeq) {
+            this.duplicates++;
+            return;
+        }
+
+        if (message.type === 'end') {
+            console.log(`测试结束，共收到${this.received}个芯片结果`);
+            this.setStatus('ended');
+        } else {
+            const results = Array.isArray(message.dies) ? message.dies : [message];
+            for (const result of results) {
+                this.addResult(result);
+            }
+        }
+
+        // 整条消息处理完后才记录序号，中途出错时重连可以补发
+        if (hasSeq) {
+            this.lastSeq = message.seq;
+        }
+    }
+
+    /**
+     * 校验芯片结果并放入待处理队列 (同一芯片尚未处理的结果合并，后到的字段覆盖先到的)
+     * 无效的结果 (包括不是对象的条目) 只计数，不影响同一消息中的其他结果
+     * @param {Object} result - 芯片结果 {x, y, bin, values}
+     */
+    addResult(result) {
+        if (!result || typeof result !== 'object') {
+            this.invalid++;
+            return;
+        }
+        const x = result.x !== undefined ? result.x : result.index_x;
+        const y = result.y !== undefined ? result.y : result.index_y;
+        const values = result.values && typeof result.values === 'object' ? result.values : {};
+        const validValues = Object.values(values).every(value => value === null || isFinite(value));
+        if (!Number.isInteger(x) || !Number.isInteger(y) ||
+            (result.bin !== undefined && !Number.isInteger(result.bin)) || !validValues) {
+            this.invalid++;
+            return;
+        }
+        this.received++;
+
+        const key = `${x},${y}`;
+        const previous = this.pending.get(key);
+        const update = { x, y, values: previous ? { ...previous.values, ...values } : { ...values } };
+        const bin = result.bin !== undefined ? result.bin : previous && previous.bin;
+        if (bin !== undefined) {
+            update.bin = bin;
+        }
+        this.pending.set(key, update);
+    }
+
+    /**
+     * 取出全部待处理的芯片结果
+     * @returns {Array<{x: number, y: number, bin: number, values: Object}>} 芯片结果 (按到达顺序)
+     */
+    takePending() {
+        const results = Array.from(this.pending.values());
+        this.pending.clear();
+        return results;
+    }
+}
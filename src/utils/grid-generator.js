@@ -0,0 +1,105 @@
+import { DieStore } from '../models/die-store.js';
+
+/**
+ * 网格生成器
+ * 在Worker中生成圆形网格和空间索引，避免大规模数据生成阻塞主线程
+ */
+export class GridGenerator {
+    /**
+     * 各阶段在总进度中所占的比例
+     */
+    static STAGE_WEIGHTS = {
+        generate: 0.6,
+        index: 0.4
+    };
+
+    /**
+     * 构造函数
+     */
+    constructor() {
+        this.worker = null;
+        this.pending = null;
+    }
+
+    /**
+     * 当前环境是否支持Worker
+     * @returns {boolean} 是否支持
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * 在Worker中生成网格
+     * 新的生成请求会取消尚未完成的请求 (被取消的请求返回null)
+     * @param {Object} request - 生成参数，见 CircleGrid.getGeneratorRequest()
+     * @param {Function} onProgress - 进度回调 (progress: 0-1, stage: 'generate' | 'index')
+     * @returns {Promise<Object|null>} {dies: DieStore, index: 空间索引}，被取消时为null
+     */
+    generate(request, onProgress = null) {
+        this.cancel();
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(new URL('../workers/grid-worker.js', import.meta.url), { type: 'module' });
+            this.worker = worker;
+            this.pending = resolve;
+
+            const finish = () => {
+                worker.terminate();
+                if (this.worker === worker) {
+                    this.worker = null;
+                    this.pending = null;
+                }
+            };
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    if (onProgress) {
+                        onProgress(this.getOverallProgress(message.stage, message.progress), message.stage);
+                    }
+                } else if (message.type === 'done') {
+                    finish();
+                    resolve({ dies: DieStore.restore(message.dies), index: message.index });
+                } else if (message.type === 'error') {
+                    finish();
+                    reject(new Error(message.message));
+                }
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish();
+                reject(new Error(event.message || '无法启动网格生成Worker'));
+            };
+
+            worker.postMessage(request);
+        });
+    }
+
+    /**
+     * 将阶段内的进度换算为总进度
+     * @param {string} stage - 阶段
+     * @param {number} progress - 阶段内进度 (0-1)
+     * @returns {number} 总进度 (0-1)
+     */
+    getOverallProgress(stage, progress) {
+        const weights = GridGenerator.STAGE_WEIGHTS;
+        const offset = stage === 'index' ? weights.generate : 0;
+        return Math.min(1, offset + weights[stage] * progress);
+    }
+
+    /**
+     * 取消正在进行的生成
+     */
+    cancel() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (this.pending) {
+            this.pending(null);
+            this.pending = null;
+        }
+    }
+}
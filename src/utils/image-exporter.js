@@ -0,0 +1,325 @@
+import { InstanceBuffer } from '../core/instance-buffer.js';
+import { ColorModes } from '../models/color-modes.js';
+import { MathUtils } from './math.js';
+
+/**
+ * 图片导出工具类
+ * 将当前视图按指定分辨率渲染到离屏帧缓冲区 (超过帧缓冲区上限时分块渲染再拼接)，
+ * 再叠加晶圆轮廓、图例和比例尺，生成PNG图片
+ */
+export class ImageExporter {
+    /**
+     * 输出图片的最大边长 (浏览器Canvas的常见上限)
+     */
+    static MAX_SIZE = 16384;
+
+    /**
+     * 图例中最多列出的bin数量
+     */
+    static MAX_LEGEND_BINS = 20;
+
+    /**
+     * 构造函数
+     * @param {Renderer} renderer - 渲染器 (需使用WebGL)
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+        // 分块渲染复用的实例数据
+        this.instances = new InstanceBuffer();
+    }
+
+    /**
+     * 扩大视图范围，使其长宽比与输出图片一致 (当前视图内容全部保留)
+     * @param {Object} bounds - 视图范围 {left, right, top, bottom}
+     * @param {number} width - 输出宽度 (像素)
+     * @param {number} height - 输出高度 (像素)
+     * @returns {Object} 调整后的视图范围
+     */
+    static fitBounds(bounds, width, height) {
+        const centerX = (bounds.left + bounds.right) / 2;
+        const centerY = (bounds.top + bounds.bottom) / 2;
+        let viewWidth = bounds.right - bounds.left;
+        let viewHeight = bounds.top - bounds.bottom;
+        if (viewWidth / viewHeight > width / height) {
+            viewHeight = viewWidth * height / width;
+        } else {
+            viewWidth = viewHeight * width / height;
+        }
+        return {
+            left: centerX - viewWidth / 2,
+            right: centerX + viewWidth / 2,
+            top: centerY + viewHeight / 2,
+            bottom: centerY - viewHeight / 2
+        };
+    }
+
+    /**
+     * 渲染图片
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     * @param {TileManager} tileManager - 网格的瓦片管理器
+     * @param {Object} viewBounds - 视图范围 (通常为 Camera.getViewBounds())
+     * @param {number} width - 输出宽度 (像素)
+     * @param {number} height - 输出高度 (像素)
+     * @param {Object} options - 选项
+     * @param {string} options.title - 图例标题 (例如晶圆名称)
+     * @param {boolean} options.outline - 是否绘制晶圆轮廓，默认true
+     * @param {boolean} options.legend - 是否绘制图例，默认true
+     * @param {boolean} options.scaleBar - 是否绘制比例尺，默认true
+     * @returns {HTMLCanvasElement} 图片Canvas
+     */
+    render(circleGrid, tileManager, viewBounds, width, height, options = {}) {
+        if (!Number.isInteger(width) || !Number.isInteger(height) ||
+            width < 1 || height < 1 || width > ImageExporter.MAX_SIZE || height > ImageExporter.MAX_SIZE) {
+            throw new Error(`图片尺寸必须为 1-${ImageExporter.MAX_SIZE} 的整数: ${width} x ${height}`);
+        }
+        const tileSize = this.renderer.getMaxRenderSize();
+        if (!tileSize) {
+            throw new Error('导出图片需要WebGL');
+        }
+
+        const bounds = ImageExporter.fitBounds(viewBounds, width, height);
+        const worldPerPixel = (bounds.right - bounds.left) / width;
+        const level = tileManager.getLevelForResolution(worldPerPixel);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        // 分块渲染，每块读取像素后翻转为自上而下写入图片
+        let tiles = 0;
+        for (let y = 0; y < height; y += tileSize) {
+            for (let x = 0; x < width; x += tileSize) {
+                const tileWidth = Math.min(tileSize, width - x);
+                const tileHeight = Math.min(tileSize, height - y);
+                const tileBounds = {
+                    left: bounds.left + x * worldPerPixel,
+                    right: bounds.left + (x + tileWidth) * worldPerPixel,
+                    top: bounds.top - y * worldPerPixel,
+                    bottom: bounds.top - (y + tileHeight) * worldPerPixel
+                };
+                const instances = tileManager.collectInstances(tileBounds, level, this.instances);
+                const matrix = MathUtils.ortho(
+                    tileBounds.left, tileBounds.right, tileBounds.bottom, tileBounds.top, -1, 1
+                );
+                const pixels = this.renderer.renderToPixels(instances, matrix, tileWidth, tileHeight);
+
+                const image = ctx.createImageData(tileWidth, tileHeight);
+                const rowLength = tileWidth * 4;
+                for (let row = 0; row < tileHeight; row++) {
+                    const source = (tileHeight - 1 - row) * rowLength;
+                    image.data.set(pixels.subarray(source, source + rowLength), row * rowLength);
+                }
+                ctx.putImageData(image, x, y);
+                tiles++;
+            }
+        }
+        console.log(`导出图片 ${width} x ${height}，LOD级别${level}，分${tiles}块渲染`);
+
+        // 叠加层按输出尺寸缩放 (以800像素为基准)
+        const unit = Math.max(1, Math.min(width, height) / 800);
+        const toPixel = (wx, wy) => ({
+            x: (wx - bounds.left) / worldPerPixel,
+            y: (bounds.top - wy) / worldPerPixel
+        });
+        if (options.outline !== false) {
+            this.drawOutline(ctx, circleGrid, toPixel, unit);
+        }
+        if (options.scaleBar !== false) {
+            this.drawScaleBar(ctx, circleGrid, worldPerPixel, unit, height);
+        }
+        if (options.legend !== false) {
+            this.drawLegend(ctx, circleGrid, options.title || '', unit, width);
+        }
+        return canvas;
+    }
+
+    /**
+     * 绘制晶圆轮廓 (含缺口或平边)
+     * @param {CanvasRenderingContext2D} ctx - 2D上下文
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     * @param {Function} toPixel - 世界坐标 → 图片像素坐标
+     * @param {number} unit - 叠加层缩放
+     */
+    drawOutline(ctx, circleGrid, toPixel, unit) {
+        const scale = circleGrid.mmScale || circleGrid.geometry.getScale();
+        const outline = circleGrid.geometry.getOutline(scale, circleGrid.coordinates.orientation);
+        ctx.beginPath();
+        outline.forEach((point, i) => {
+            const pixel = toPixel(point.x, point.y);
+            if (i === 0) {
+                ctx.moveTo(pixel.x, pixel.y);
+            } else {
+                ctx.lineTo(pixel.x, pixel.y);
+            }
+        });
+        ctx.closePath();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = 1.5 * unit;
+        ctx.stroke();
+    }
+
+    /**
+     * 绘制比例尺 (左下角，长度取 1/2/5×10^n 毫米)
+     * 加载的文件没有晶圆直径时按默认晶圆直径估计
+     * @param {CanvasRenderingContext2D} ctx - 2D上下文
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     * @param {number} worldPerPixel - 每个像素对应的世界坐标长度
+     * @param {number} unit - 叠加层缩放
+     * @param {number} height - 图片高度
+     */
+    drawScaleBar(ctx, circleGrid, worldPerPixel, unit, height) {
+        const mmPerPixel = worldPerPixel / (circleGrid.mmScale || circleGrid.geometry.getScale());
+        const target = mmPerPixel * 150 * unit;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(target)));
+        const length = [5, 2, 1].map(step => step * magnitude).find(value => value <= target) || magnitude;
+        const barWidth = length / mmPerPixel;
+
+        const x = 16 * unit;
+        const y = height - 20 * unit;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(x - 8 * unit, y - 24 * unit, barWidth + 16 * unit, 34 * unit);
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2 * unit;
+        ctx.beginPath();
+        ctx.moveTo(x, y - 6 * unit);
+        ctx.lineTo(x, y);
+        ctx.lineTo(x + barWidth, y);
+        ctx.lineTo(x + barWidth, y - 6 * unit);
+        ctx.stroke();
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `${12 * unit}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        const label = length >= 1 ? `${length} mm` : `${Math.round(length * 1000)} µm`;
+        ctx.fillText(label, x + barWidth / 2, y - 6 * unit);
+    }
+
+    /**
+     * 生成图例内容: 按Bin着色时列出出现的bin (数量最多 MAX_LEGEND_BINS)，连续颜色映射时附带颜色映射
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     * @param {string} title - 标题
+     * @returns {{lines: Array<{text: string, bold: boolean, color: Array<number>}>, scale: ColorScale|null}} 图例文字行和颜色映射
+     */
+    static getLegend(circleGrid, title) {
+        const colorModes = circleGrid.colorModes;
+        const mode = ColorModes.MODES[colorModes.mode];
+        const lines = [];
+        if (title) {
+            lines.push({ text: title, bold: true });
+        }
+        lines.push({ text: colorModes.mode === 'value' ? `${mode.name}: ${colorModes.channel}` : mode.name });
+
+        if (colorModes.mode === 'bin') {
+            const counts = circleGrid.getBinCounts();
+            const bins = circleGrid.binLegend.getEntries().filter(bin => counts.has(bin.code));
+            for (const bin of bins.slice(0, ImageExporter.MAX_LEGEND_BINS)) {
+                lines.push({ text: `${bin.code} ${bin.name} (${counts.get(bin.code)})`, color: bin.color });
+            }
+            if (bins.length > ImageExporter.MAX_LEGEND_BINS) {
+                lines.push({ text: `… 另有${bins.length - ImageExporter.MAX_LEGEND_BINS}个bin` });
+            }
+        }
+        return { lines, scale: mode.scale ? colorModes.scale : null };
+    }
+
+    /**
+     * 格式化颜色条的刻度值
+     * @param {number} value - 数值
+     * @returns {string} 刻度文字 (4位有效数字)
+     */
+    static formatScaleValue(value) {
+        return isFinite(value) ? Number(value.toPrecision(4)).toString() : '';
+    }
+
+    /**
+     * 绘制图例 (右上角): 按Bin着色时列出出现的bin，连续颜色映射时绘制颜色条
+     * @param {CanvasRenderingContext2D} ctx - 2D上下文
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     * @param {string} title - 标题
+     * @param {number} unit - 叠加层缩放
+     * @param {number} width - 图片宽度
+     */
+    drawLegend(ctx, circleGrid, title, unit, width) {
+        const { lines, scale } = ImageExporter.getLegend(circleGrid, title);
+
+        const fontSize = 12 * unit;
+        const lineHeight = 18 * unit;
+        const padding = 8 * unit;
+        const swatch = 10 * unit;
+        ctx.font = `${fontSize}px Arial`;
+        const textWidth = Math.max(...lines.map(line => ctx.measureText(line.text).width + (line.color ? swatch + 6 * unit : 0)));
+        const boxWidth = Math.max(textWidth, scale ? 160 * unit : 0) + padding * 2;
+        const boxHeight = lines.length * lineHeight + (scale ? 34 * unit : 0) + padding * 2;
+        const left = width - boxWidth - 10 * unit;
+        const top = 10 * unit;
+
+        ctx.fillStyle = 'rgba(44, 44, 44, 0.9)';
+        ctx.fillRect(left, top, boxWidth, boxHeight);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+
+        let y = top + padding + lineHeight / 2;
+        for (const line of lines) {
+            let x = left + padding;
+            if (line.color) {
+                ctx.fillStyle = ImageExporter.toCSSColor(line.color);
+                ctx.fillRect(x, y - swatch / 2, swatch, swatch);
+                x += swatch + 6 * unit;
+            }
+            ctx.fillStyle = '#f0f0f0';
+            ctx.font = `${line.bold ? 'bold ' : ''}${fontSize}px Arial`;
+            ctx.fillText(line.text, x, y);
+            y += lineHeight;
+        }
+
+        if (scale) {
+            const barLeft = left + padding;
+            const barWidth = boxWidth - padding * 2;
+            const barTop = y - lineHeight / 2 + 4 * unit;
+            const steps = Math.max(2, Math.round(barWidth));
+            for (let i = 0; i < steps; i++) {
+                ctx.fillStyle = ImageExporter.toCSSColor(scale.interpolate(i / (steps - 1)));
+                ctx.fillRect(barLeft + (i * barWidth) / steps, barTop, barWidth / steps + 1, 12 * unit);
+            }
+            ctx.fillStyle = '#f0f0f0';
+            ctx.font = `${fontSize}px Arial`;
+            const labelY = barTop + 22 * unit;
+            const format = ImageExporter.formatScaleValue;
+            ctx.textAlign = 'left';
+            ctx.fillText(format(scale.min), barLeft, labelY);
+            ctx.textAlign = 'center';
+            ctx.fillText(format((scale.min + scale.max) / 2), barLeft + barWidth / 2, labelY);
+            ctx.textAlign = 'right';
+            ctx.fillText(format(scale.max), barLeft + barWidth, labelY);
+        }
+    }
+
+    /**
+     * RGBA颜色数组 (0-1) → CSS颜色
+     * @param {Array<number>} color - RGBA颜色数组
+     * @returns {string} CSS颜色
+     */
+    static toCSSColor(color) {
+        const [r, g, b] = color.map(c => Math.round(c * 255));
+        return `rgba(${r}, ${g}, ${b}, ${color[3] === undefined ? 1 : color[3]})`;
+    }
+
+    /**
+     * 将Canvas编码为PNG
+     * @param {HTMLCanvasElement} canvas - 图片Canvas
+     * @returns {Promise<Blob>} PNG数据
+     */
+    static toBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('PNG编码失败，图片可能过大'));
+                }
+            }, 'image/png');
+        });
+    }
+}
@@ -249,4 +249,14 @@ export class MathUtils {
           return [0, 0, 0, 1]; // 默认黑色
         }
     }
+
+    /**
+     * 非负取模 (被除数为负时余数仍在 [0, divisor) 内)
+     * @param {number} value - 被除数
+     * @param {number} divisor - 除数
+     * @returns {number} 余数
+     */
+    static mod(value, divisor) {
+        return ((value % divisor) + divisor) % divisor;
+    }
 } 
\ No newline at end of file
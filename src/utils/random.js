@@ -0,0 +1,74 @@
+/**
+ * 可设置种子的伪随机数生成器 (mulberry32)
+ * 相同种子产生相同序列，用于生成可复现的晶圆图
+ */
+export class SeededRandom {
+    /**
+     * 构造函数
+     * @param {number|string} seed - 随机种子，字符串会被哈希为整数
+     */
+    constructor(seed = 1) {
+        this.seed = SeededRandom.toSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * 将种子转换为32位无符号整数
+     * @param {number|string} seed - 随机种子
+     * @returns {number} 32位无符号整数
+     */
+    static toSeed(seed) {
+        if (typeof seed === 'number' && isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        // FNV-1a 字符串哈希
+        let hash = 2166136261;
+        const text = String(seed);
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * 生成下一个随机数
+     * @returns {number} [0, 1) 范围内的随机数
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * 生成指定范围内的随机数
+     * @param {number} min - 最小值
+     * @param {number} max - 最大值 (不含)
+     * @returns {number} 随机数
+     */
+    range(min, max) {
+        return min + (max - min) * this.next();
+    }
+
+    /**
+     * 生成随机整数
+     * @param {number} n - 上限 (不含)
+     * @returns {number} [0, n) 范围内的整数
+     */
+    int(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    /**
+     * 从数组中随机选取一个元素
+     * @param {Array} array - 数组
+     * @returns {*} 选中的元素，数组为空时返回undefined
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+}
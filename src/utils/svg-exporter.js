@@ -0,0 +1,355 @@
+import { InstanceBuffer } from '../core/instance-buffer.js';
+import { DataExporter } from './data-exporter.js';
+import { ImageExporter } from './image-exporter.js';
+
+/**
+ * SVG矢量图导出工具类
+ * 从瓦片管理器收集视图范围内指定LOD级别的方块，同一行中相邻且颜色相同的方块合并为一个矩形以减小文件，
+ * 再加上晶圆轮廓 (含缺口或平边)、图例和可选的芯片索引坐标标签
+ */
+export class SvgExporter {
+    /**
+     * 默认输出宽度 (SVG像素单位)
+     */
+    static DEFAULT_WIDTH = 1000;
+
+    /**
+     * 芯片标签的最大数量 (超过时不生成标签，避免文件过大)
+     */
+    static MAX_LABELS = 20000;
+
+    /**
+     * 背景颜色 (与WebGL画布的清屏颜色一致)
+     */
+    static BACKGROUND = '#0d0d1a';
+
+    /**
+     * 构造函数
+     */
+    constructor() {
+        // 收集方块复用的实例数据
+        this.instances = new InstanceBuffer();
+    }
+
+    /**
+     * 生成SVG
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     * @param {TileManager} tileManager - 网格的瓦片管理器
+     * @param {Object} viewBounds - 视图范围 (通常为 Camera.getViewBounds())
+     * @param {Object} options - 选项
+     * @param {number} options.width - 输出宽度，默认 DEFAULT_WIDTH
+     * @param {number} options.height - 输出高度，默认按视图长宽比计算
+     * @param {number} options.level - LOD级别，默认按输出分辨率选择
+     * @param {string} options.title - 图例标题 (例如晶圆名称)
+     * @param {boolean} options.outline - 是否绘制晶圆轮廓，默认true
+     * @param {boolean} options.legend - 是否绘制图例，默认true
+     * @param {boolean} options.labels - 是否标注芯片索引坐标 (仅芯片级别)，默认false
+     * @returns {string} SVG文本
+     */
+    render(circleGrid, tileManager, viewBounds, options = {}) {
+        const viewWidth = viewBounds.right - viewBounds.left;
+        const viewHeight = viewBounds.top - viewBounds.bottom;
+        const width = options.width || SvgExporter.DEFAULT_WIDTH;
+        const height = options.height || Math.round((width * viewHeight) / viewWidth);
+        if (!(width > 0) || !(height > 0) || !isFinite(width) || !isFinite(height)) {
+            throw new Error(`SVG尺寸无效: ${width} x ${height}`);
+        }
+
+        const bounds = ImageExporter.fitBounds(viewBounds, width, height);
+        const worldPerPixel = (bounds.right - bounds.left) / width;
+        const dieLevel = tileManager.lodLevels - 1;
+        const level = options.level === undefined || options.level === null
+            ? tileManager.getLevelForResolution(worldPerPixel)
+            : options.level;
+        if (!Number.isInteger(level) || level < 0 || level > dieLevel) {
+            throw new Error(`LOD级别必须为 0-${dieLevel} 的整数: ${level}`);
+        }
+
+        const format = SvgExporter.formatNumber;
+        const toPixel = (wx, wy) => ({
+            x: format((wx - bounds.left) / worldPerPixel),
+            y: format((bounds.top - wy) / worldPerPixel)
+        });
+        // 叠加层按输出尺寸缩放 (与PNG导出一致，以800像素为基准)
+        const unit = Math.max(1, Math.min(width, height) / 800);
+
+        const parts = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, sans-serif">`,
+            `<rect width="${width}" height="${height}" fill="${SvgExporter.BACKGROUND}"/>`
+        ];
+
+        // 超出晶圆的部分芯片按晶圆圆周裁剪 (与渲染器一致)
+        const center = toPixel(0, 0);
+        parts.push(
+            '<defs>',
+            `<clipPath id="wafer-clip"><circle cx="${center.x}" cy="${center.y}" r="${format(circleGrid.radius / worldPerPixel)}"/></clipPath>`,
+            '</defs>'
+        );
+
+        const instances = tileManager.collectInstances(bounds, level, this.instances);
+        const runs = SvgExporter.mergeRuns(instances);
+        parts.push('<g clip-path="url(#wafer-clip)" shape-rendering="crispEdges">');
+        // 同色矩形放在同一个分组中，颜色只写一次
+        for (const rects of SvgExporter.groupByColor(runs).values()) {
+            const { color, opacity } = rects[0];
+            const fillOpacity = opacity < 1 ? ` fill-opacity="${format(opacity)}"` : '';
+            parts.push(`<g fill="${color}"${fillOpacity}>`);
+            for (const rect of rects) {
+                const topLeft = toPixel(rect.left, rect.top);
+                parts.push(
+                    `<rect x="${topLeft.x}" y="${topLeft.y}" width="${format(rect.width / worldPerPixel)}" height="${format(rect.height / worldPerPixel)}"/>`
+                );
+            }
+            parts.push('</g>');
+        }
+        parts.push('</g>');
+
+        if (options.outline !== false) {
+            parts.push(this.renderOutline(circleGrid, toPixel, unit));
+        }
+        if (options.labels) {
+            if (level === dieLevel) {
+                parts.push(this.renderLabels(circleGrid, bounds, toPixel, worldPerPixel));
+            } else {
+                console.warn(`芯片标签只在芯片级别 (LOD ${dieLevel}) 生成`);
+            }
+        }
+        if (options.legend !== false) {
+            parts.push(this.renderLegend(circleGrid, options.title || '', unit, width));
+        }
+        parts.push('</svg>');
+
+        console.log(`导出SVG ${width} x ${height}，LOD级别${level}，${instances.count}个方块合并为${runs.length}个矩形`);
+        return parts.join('\n') + '\n';
+    }
+
+    /**
+     * 合并同一行中相邻且颜色相同的方块
+     * @param {InstanceBuffer} instances - 实例数据
+     * @returns {Array<{left: number, top: number, width: number, height: number, color: string, opacity: number}>} 矩形 (世界坐标)
+     */
+    static mergeRuns(instances) {
+        // 中心Y坐标和高度相同的方块属于同一行
+        const rows = new Map();
+        for (let i = 0; i < instances.count; i++) {
+            const opacity = instances.colors[i * 4 + 3];
+            if (opacity <= 0) continue;
+            const rowKey = `${instances.positions[i * 2 + 1]}|${instances.sizes[i * 2 + 1]}`;
+            let row = rows.get(rowKey);
+            if (!row) {
+                row = [];
+                rows.set(rowKey, row);
+            }
+            row.push(i);
+        }
+
+        const runs = [];
+        for (const row of rows.values()) {
+            row.sort((a, b) => instances.positions[a * 2] - instances.positions[b * 2]);
+            let run = null;
+            for (const i of row) {
+                const width = instances.sizes[i * 2];
+                const height = instances.sizes[i * 2 + 1];
+                const left = instances.positions[i * 2] - width / 2;
+                const color = SvgExporter.toHexColor(instances.colors, i * 4);
+                const opacity = instances.colors[i * 4 + 3];
+                // 允许浮点误差 (相邻方块的左右边界在单精度下可能不完全相等)
+                const tolerance = width * 1e-3;
+                if (run && run.color === color && run.opacity === opacity &&
+                    Math.abs(run.left + run.width - left) <= tolerance) {
+                    run.width = left + width - run.left;
+                    continue;
+                }
+                run = {
+                    left,
+                    top: instances.positions[i * 2 + 1] + height / 2,
+                    width,
+                    height,
+                    color,
+                    opacity
+                };
+                runs.push(run);
+            }
+        }
+        return runs;
+    }
+
+    /**
+     * 按颜色分组矩形
+     * @param {Array<Object>} runs - 矩形
+     * @returns {Map<string, Array<Object>>} 颜色和不透明度 → 矩形
+     */
+    static groupByColor(runs) {
+        const groups = new Map();
+        for (const run of runs) {
+            const key = run.opacity < 1 ? `${run.color}|${run.opacity}` : run.color;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(run);
+        }
+        return groups;
+    }
+
+    /**
+     * 生成晶圆轮廓 (含缺口或平边)
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     * @param {Function} toPixel - 世界坐标 → SVG坐标
+     * @param {number} unit - 叠加层缩放
+     * @returns {string} SVG元素
+     */
+    renderOutline(circleGrid, toPixel, unit) {
+        const scale = circleGrid.mmScale || circleGrid.geometry.getScale();
+        const outline = circleGrid.geometry.getOutline(scale, circleGrid.coordinates.orientation);
+        const path = outline.map((point, i) => {
+            const pixel = toPixel(point.x, point.y);
+            return `${i === 0 ? 'M' : 'L'}${pixel.x} ${pixel.y}`;
+        }).join(' ');
+        return `<path d="${path} Z" fill="none" stroke="#ffffff" stroke-opacity="0.8" stroke-width="${SvgExporter.formatNumber(1.5 * unit)}"/>`;
+    }
+
+    /**
+     * 生成芯片索引坐标标签 (文字颜色按芯片颜色亮度选择黑或白)
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     * @param {Object} bounds - 世界坐标范围
+     * @param {Function} toPixel - 世界坐标 → SVG坐标
+     * @param {number} worldPerPixel - 每个SVG单位对应的世界坐标长度
+     * @returns {string} SVG元素
+     */
+    renderLabels(circleGrid, bounds, toPixel, worldPerPixel) {
+        const indexes = DataExporter.collect(circleGrid, bounds);
+        if (indexes.length > SvgExporter.MAX_LABELS) {
+            console.warn(`范围内有${indexes.length}个芯片，超过${SvgExporter.MAX_LABELS}个，不生成芯片标签`);
+            return '';
+        }
+        const dies = circleGrid.dies;
+        const fontSize = SvgExporter.formatNumber((Math.min(dies.dieWidth, dies.dieHeight) / worldPerPixel) * 0.28);
+        const parts = [`<g font-size="${fontSize}" text-anchor="middle" dominant-baseline="central">`];
+        for (const i of indexes) {
+            const index = circleGrid.getDieIndex(i);
+            const pixel = toPixel(dies.x[i], dies.y[i]);
+            const luminance = 0.299 * dies.colors[i * 4] + 0.587 * dies.colors[i * 4 + 1] + 0.114 * dies.colors[i * 4 + 2];
+            const fill = luminance > 0.5 ? '#000000' : '#ffffff';
+            parts.push(`<text x="${pixel.x}" y="${pixel.y}" fill="${fill}">${index.x},${index.y}</text>`);
+        }
+        parts.push('</g>');
+        return parts.join('\n');
+    }
+
+    /**
+     * 生成图例 (右上角，内容与PNG导出一致，颜色条使用线性渐变)
+     * @param {CircleGrid} circleGrid - 圆形网格对象
+     * @param {string} title - 标题
+     * @param {number} unit - 叠加层缩放
+     * @param {number} width - 输出宽度
+     * @returns {string} SVG元素
+     */
+    renderLegend(circleGrid, title, unit, width) {
+        const { lines, scale } = ImageExporter.getLegend(circleGrid, title);
+        const format = SvgExporter.formatNumber;
+        const fontSize = 12 * unit;
+        const lineHeight = 18 * unit;
+        const padding = 8 * unit;
+        const swatch = 10 * unit;
+        const textWidth = Math.max(...lines.map(line =>
+            SvgExporter.estimateTextWidth(line.text, fontSize) + (line.color ? swatch + 6 * unit : 0)
+        ));
+        const boxWidth = Math.max(textWidth, scale ? 160 * unit : 0) + padding * 2;
+        const boxHeight = lines.length * lineHeight + (scale ? 34 * unit : 0) + padding * 2;
+        const left = width - boxWidth - 10 * unit;
+        const top = 10 * unit;
+
+        const parts = [
+            `<g font-size="${format(fontSize)}" fill="#f0f0f0" dominant-baseline="central">`,
+            `<rect x="${format(left)}" y="${format(top)}" width="${format(boxWidth)}" height="${format(boxHeight)}" fill="#2c2c2c" fill-opacity="0.9"/>`
+        ];
+        let y = top + padding + lineHeight / 2;
+        for (const line of lines) {
+            let x = left + padding;
+            if (line.color) {
+                parts.push(
+                    `<rect x="${format(x)}" y="${format(y - swatch / 2)}" width="${format(swatch)}" height="${format(swatch)}" fill="${SvgExporter.toHexColor(line.color)}"/>`
+                );
+                x += swatch + 6 * unit;
+            }
+            const weight = line.bold ? ' font-weight="bold"' : '';
+            parts.push(`<text x="${format(x)}" y="${format(y)}"${weight}>${SvgExporter.escapeXML(line.text)}</text>`);
+            y += lineHeight;
+        }
+
+        if (scale) {
+            const barLeft = left + padding;
+            const barWidth = boxWidth - padding * 2;
+            const barTop = y - lineHeight / 2 + 4 * unit;
+            const stops = [];
+            for (let i = 0; i <= 10; i++) {
+                stops.push(`<stop offset="${i / 10}" stop-color="${SvgExporter.toHexColor(scale.interpolate(i / 10))}"/>`);
+            }
+            parts.push(
+                `<defs><linearGradient id="legend-scale">${stops.join('')}</linearGradient></defs>`,
+                `<rect x="${format(barLeft)}" y="${format(barTop)}" width="${format(barWidth)}" height="${format(12 * unit)}" fill="url(#legend-scale)"/>`
+            );
+            const labelY = format(barTop + 22 * unit);
+            const label = ImageExporter.formatScaleValue;
+            parts.push(
+                `<text x="${format(barLeft)}" y="${labelY}">${label(scale.min)}</text>`,
+                `<text x="${format(barLeft + barWidth / 2)}" y="${labelY}" text-anchor="middle">${label((scale.min + scale.max) / 2)}</text>`,
+                `<text x="${format(barLeft + barWidth)}" y="${labelY}" text-anchor="end">${label(scale.max)}</text>`
+            );
+        }
+        parts.push('</g>');
+        return parts.join('\n');
+    }
+
+    /**
+     * 估计文字宽度 (SVG文本不经过浏览器排版，中日韩字符按1个字号、其他字符按0.6个字号计算)
+     * @param {string} text - 文字
+     * @param {number} fontSize - 字号
+     * @returns {number} 宽度
+     */
+    static estimateTextWidth(text, fontSize) {
+        let width = 0;
+        for (const char of text) {
+            width += /[⺀-鿿＀-￯]/.test(char) ? fontSize : fontSize * 0.6;
+        }
+        return width;
+    }
+
+    /**
+     * RGBA颜色 (0-1) → 十六进制颜色 (不含不透明度)
+     * @param {Float32Array|Array<number>} colors - 颜色数组
+     * @param {number} offset - 颜色在数组中的起始位置
+     * @returns {string} 十六进制颜色，例如 #33cc4d
+     */
+    static toHexColor(colors, offset = 0) {
+        let hex = '#';
+        for (let i = 0; i < 3; i++) {
+            const value = Math.round(Math.min(1, Math.max(0, colors[offset + i])) * 255);
+            hex += value.toString(16).padStart(2, '0');
+        }
+        return hex;
+    }
+
+    /**
+     * 格式化坐标 (保留2位小数，去掉多余的0)
+     * @param {number} value - 数值
+     * @returns {number} 格式化后的数值
+     */
+    static formatNumber(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * 转义XML文本
+     * @param {string} text - 文字
+     * @returns {string} 转义后的文字
+     */
+    static escapeXML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
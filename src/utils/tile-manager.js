@@ -1,205 +1,637 @@
 import { QuadTree } from '../core/quadtree.js';
+import { InstanceBuffer } from '../core/instance-buffer.js';
+import { MathUtils } from './math.js';
 
 /**
  * 瓦片管理器
+ * 每个LOD级别是一张规则网格，瓦片数据保存在类型化数组中；
+ * 最高细节级别直接使用芯片存储 (DieStore)，不复制芯片数据
  */
 export class TileManager {
+    /**
+     * 增量更新的芯片数量上限 (芯片总数的 1/N)，超过时完整重建LOD瓦片
+     * (每个芯片需要重新统计各级别包含它的瓦片，约为完整重建中每个芯片开销的数百倍)
+     */
+    static INCREMENTAL_UPDATE_RATIO = 256;
+
     /**
      * 构造函数
      * @param {CircleGrid} circleGrid - 圆形网格对象
      * @param {Camera} camera - 相机对象
+     * @param {boolean} autoInitialize - 是否立即生成网格 (在Worker中生成时为false)
      */
-    constructor(circleGrid, camera) {
+    constructor(circleGrid, camera, autoInitialize = true) {
         try {
             console.log('TileManager初始化开始');
             this.circleGrid = circleGrid;
             this.camera = camera;
             this.quadTree = null;
             this.lodLevels = 6; // 增加LOD级别为6 (原来是5)
-            this.baseTileSize = 1.0; // 基础瓦片大小
+            // 基础瓦片大小 (芯片步距，X和Y方向可以不同)
+            this.baseTileWidth = 1.0;
+            this.baseTileHeight = 1.0;
+            this.maxTileSize = 32.0; // 合并瓦片的最大尺寸，超过后不再继续合并
             this.lastZoomLevel = 0;
             this.needsRebuild = true;
-            
-            // 创建瓦片池
-            this.tilePool = [];
-            
-            // 当前可见瓦片
-            this.visibleTiles = [];
-            
+
+            // 各LOD级别的数据 (级别越高细节越多)
+            this.levels = [];
+
+            // 每个芯片所在的网格单元 (floor((坐标 + 偏移) / 芯片步距))
+            this.dieCellX = null;
+            this.dieCellY = null;
+            // 世界坐标到网格单元的偏移，使网格单元的边界落在相邻芯片之间 (芯片中心在单元中央)
+            this.cellShiftX = 0;
+            this.cellShiftY = 0;
+
+            // 当前可见瓦片 (每帧复用)
+            this.instances = new InstanceBuffer();
+            // 收集可见瓦片时的视口和LOD级别，未变化时沿用已收集的实例数据
+            this.visibleView = null;
+
             // 初始化
-            this.initialize();
+            if (autoInitialize) {
+                this.initialize();
+            }
             console.log('TileManager初始化完成');
         } catch (error) {
             console.error('TileManager初始化失败:', error);
         }
     }
-    
+
     /**
      * 初始化
      */
     initialize() {
         console.log('开始生成圆形网格中的方块');
         // 生成圆形网格中的所有方块
-        const blocks = this.circleGrid.generate();
-        console.log(`生成完成，共${blocks.length}个方块`);
-        
-        // 为了提高性能，限制初始瓦片数量
-        const maxInitialTiles = 300000; // 最大初始瓦片数量
-        let processedBlocks = blocks;
-        
-        if (blocks.length > maxInitialTiles) {
-            console.warn(`方块数量(${blocks.length})超过最大限制(${maxInitialTiles})，将进行采样`);
-            // 对方块进行均匀采样
-            const samplingRate = maxInitialTiles / blocks.length;
-            processedBlocks = blocks.filter(() => Math.random() < samplingRate);
-            console.log(`采样后的方块数量: ${processedBlocks.length}`);
-        }
-        
-        console.log('创建四叉树');
-        // 创建四叉树
-        const size = this.circleGrid.radius * 2.5; // 稍大一些以包含所有方块
-        this.quadTree = new QuadTree(size, size);
-        
-        console.log('将方块添加到四叉树');
-        // 将所有方块添加到四叉树
-        this.quadTree.insertAll(processedBlocks);
-        
+        const dies = this.circleGrid.generate();
+        console.log(`生成完成，共${dies.count}个方块`);
+
+        this.buildSpatialIndex();
+    }
+
+    /**
+     * 使用圆形网格中已有的方块重新加载 (例如从文件加载数据后)
+     */
+    reload() {
+        console.log(`重新加载方块数据，共${this.circleGrid.dies.count}个方块`);
+        this.buildSpatialIndex();
+    }
+
+    /**
+     * 计算芯片所在的网格单元并构建LOD瓦片
+     * @param {Function} onProgress - 进度回调，参数为已完成的比例 (0-1)
+     */
+    buildSpatialIndex(onProgress = null) {
+        const dies = this.circleGrid.dies;
+
+        // 基础瓦片大小与芯片步距一致，保证LOD网格与方块对齐
+        this.baseTileWidth = this.circleGrid.pitch.x;
+        this.baseTileHeight = this.circleGrid.pitch.y;
+
+        // 芯片中心 x = (col - gridOrigin.col) * pitch.x，原点为整数时芯片中心正好落在 k * pitch 上，
+        // 按浮点坐标取整会把相邻芯片分到同一单元；偏移网格使芯片中心位于 (k + 0.5) * pitch
+        const origin = this.circleGrid.gridOrigin;
+        const offsetX = MathUtils.mod(origin.col + 0.5, 1);
+        const offsetY = MathUtils.mod(0.5 - origin.row, 1);
+        this.cellShiftX = offsetX * this.baseTileWidth;
+        this.cellShiftY = offsetY * this.baseTileHeight;
+
+        // 芯片位置只在生成或加载时变化，网格单元按整数行列索引计算一次
+        this.dieCellX = new Int32Array(dies.count);
+        this.dieCellY = new Int32Array(dies.count);
+        for (let i = 0; i < dies.count; i++) {
+            this.dieCellX[i] = Math.round(dies.col[i] - origin.col + offsetX - 0.5);
+            this.dieCellY[i] = Math.round(origin.row - dies.row[i] + offsetY - 0.5);
+        }
+
         console.log('构建LOD瓦片');
-        // 创建初始LOD瓦片
-        this.buildLODTiles();
+        this.buildLODTiles(onProgress);
     }
-    
+
     /**
      * 构建LOD瓦片
+     * @param {Function} onProgress - 进度回调，每完成一个级别调用一次，参数为已完成的比例 (0-1)
      */
-    buildLODTiles() {
+    buildLODTiles(onProgress = null) {
+        this.visibleView = null;
         try {
-            this.lodTiles = [];
-            this.tilesByLevel = new Array(this.lodLevels).fill(0).map(() => []);
-            
-            console.log('复制原始方块作为最高细节级别');
-            // 复制所有原始方块作为最高细节级别
-            this.tilesByLevel[this.lodLevels - 1] = [...this.circleGrid.blocks];
-            
+            const topLevel = this.lodLevels - 1;
+            this.levels = new Array(this.lodLevels);
+
+            console.log('芯片存储作为最高细节级别');
+            this.levels[topLevel] = this.buildDieLevel(topLevel);
+
             // 为每个LOD级别生成合并瓦片
-            for (let level = this.lodLevels - 2; level >= 0; level--) {
-                console.log(`构建LOD级别${level}的瓦片`);
+            for (let level = topLevel - 1; level >= 0; level--) {
                 // 当前级别的瓦片尺寸是下一级别的2倍
-                const tileSize = this.baseTileSize * Math.pow(2, this.lodLevels - 1 - level);
-                
-                // 计算网格尺寸
-                const gridSize = Math.ceil(this.circleGrid.radius * 2 / tileSize);
-                
-                // 构建网格
-                const grid = {};
-                
-                // 获取下一级别的瓦片
-                const nextLevelTiles = this.tilesByLevel[level + 1];
-                
-                // 将下一级别的瓦片分组到网格中
-                for (const tile of nextLevelTiles) {
-                  // 计算所属网格单元
-                  const gridX = Math.floor(tile.x / tileSize);
-                  const gridY = Math.floor(tile.y / tileSize);
-                  const key = `${gridX},${gridY}`;
-
-                  if (!grid[key]) {
-                    grid[key] = {
-                      tiles: [],
-                      totalColor: [0, 0, 0, 0],
-                      x: (gridX + 0.5) * tileSize,
-                      y: (gridY + 0.5) * tileSize,
-                      badDataCount: 0,
-                    };
-                  }
-
-                  // 添加瓦片到网格单元
-                  grid[key].tiles.push(tile);
-
-                  // 检查是否是坏数据
-                  if (tile.isBadData) {
-                    grid[key].badDataCount++;
-                  }
-
-                  // 累加颜色
-                  for (let i = 0; i < 4; i++) {
-                    grid[key].totalColor[i] += tile.color[i];
-                  }
-                }
+                const factor = Math.pow(2, topLevel - level);
+                const tileSize = Math.max(this.baseTileWidth, this.baseTileHeight) * factor;
 
-                // 为每个网格单元创建合并瓦片
-                for (const key in grid) {
-                  const cell = grid[key];
-                  if (cell.tiles.length > 0) {
-                    // 检查是否包含坏数据
-                    const hasBadData = cell.badDataCount > 0;
-                    const badDataRatio = cell.badDataCount / cell.tiles.length;
-
-                    // 如果包含坏数据并且比例超过阈值，或者是第0级，则标记为坏数据
-                    const markAsBadData =
-                      hasBadData && (badDataRatio > 0.15 || level === 0);
-
-                    // 根据是否标记为坏数据决定颜色
-                    let finalColor;
-                    if (markAsBadData) {
-                      // 使用红色表示坏数据
-                      finalColor = [1, 0, 0, 1];
-                    } else {
-                      // 计算平均颜色
-                      finalColor = cell.totalColor.map(
-                        (c) => c / cell.tiles.length
-                      );
-                    }
+                // 方块较大时(例如加载的真实晶圆数据)，过大的合并瓦片没有意义，直接沿用下一级别
+                if (tileSize > this.maxTileSize) {
+                    this.levels[level] = this.levels[level + 1];
+                    continue;
+                }
 
-                    // 创建合并瓦片
-                    const mergedTile = {
-                      x: cell.x,
-                      y: cell.y,
-                      size: tileSize,
-                      color: finalColor,
-                      merged: true,
-                      originalTiles: cell.tiles,
-                      level,
-                      isBadData: markAsBadData,
-                      badDataCount: cell.badDataCount,
-                      badDataRatio: badDataRatio,
-                    };
-
-                    // 添加到当前LOD级别
-                    this.tilesByLevel[level].push(mergedTile);
-                  }
+                console.log(`构建LOD级别${level}的瓦片`);
+                this.levels[level] = this.buildMergedLevel(level, factor);
+                console.log(`LOD级别${level}: 生成了${this.levels[level].count}个合并瓦片`);
+                if (onProgress) {
+                    onProgress((topLevel - level) / (topLevel + 1));
                 }
-                
-                console.log(`LOD级别${level}: 生成了${this.tilesByLevel[level].length}个合并瓦片`);
             }
-            
+
+            this.buildCoarseIndex();
             this.needsRebuild = false;
+            if (onProgress) {
+                onProgress(1);
+            }
         } catch (error) {
             console.error('构建LOD瓦片失败:', error);
             // 确保即使有错误也能渲染一些东西
             this.needsRebuild = false;
-            // 使用最简单的瓦片集
-            if (!this.tilesByLevel || !this.tilesByLevel[0] || this.tilesByLevel[0].length === 0) {
-                this.tilesByLevel = [
-                    [{x: 0, y: 0, size: 100, color: [1, 0, 0, 1], isBadData: true}] // 至少显示一个红色方块
-                ];
+            this.levels = new Array(this.lodLevels).fill(this.createFallbackLevel());
+            this.buildCoarseIndex();
+        }
+    }
+
+    /**
+     * 创建网格描述 (网格单元范围和 单元 → 瓦片索引 的查找表)
+     * @param {number} factor - 相对芯片网格的倍数
+     * @returns {Object} {minCellX, minCellY, gridWidth, gridHeight, cellToTile}
+     */
+    createGrid(factor) {
+        let minCellX = Infinity;
+        let maxCellX = -Infinity;
+        let minCellY = Infinity;
+        let maxCellY = -Infinity;
+        for (let i = 0; i < this.dieCellX.length; i++) {
+            if (this.dieCellX[i] < minCellX) minCellX = this.dieCellX[i];
+            if (this.dieCellX[i] > maxCellX) maxCellX = this.dieCellX[i];
+            if (this.dieCellY[i] < minCellY) minCellY = this.dieCellY[i];
+            if (this.dieCellY[i] > maxCellY) maxCellY = this.dieCellY[i];
+        }
+        if (this.dieCellX.length === 0) {
+            minCellX = maxCellX = minCellY = maxCellY = 0;
+        }
+
+        minCellX = Math.floor(minCellX / factor);
+        minCellY = Math.floor(minCellY / factor);
+        const gridWidth = Math.floor(maxCellX / factor) - minCellX + 1;
+        const gridHeight = Math.floor(maxCellY / factor) - minCellY + 1;
+
+        return {
+            minCellX,
+            minCellY,
+            gridWidth,
+            gridHeight,
+            cellToTile: new Int32Array(gridWidth * gridHeight).fill(-1)
+        };
+    }
+
+    /**
+     * 构建最高细节级别 (瓦片即芯片，位置和颜色直接引用芯片存储的数组)
+     * 网格单元为芯片步距，绘制尺寸为芯片尺寸 (不含划片道)
+     * @param {number} level - LOD级别
+     * @returns {Object} LOD级别数据
+     */
+    buildDieLevel(level) {
+        const dies = this.circleGrid.dies;
+        const grid = this.createGrid(1);
+
+        for (let i = 0; i < dies.count; i++) {
+            const cell = (this.dieCellY[i] - grid.minCellY) * grid.gridWidth + (this.dieCellX[i] - grid.minCellX);
+            grid.cellToTile[cell] = i;
+        }
+
+        return {
+            ...grid,
+            level,
+            merged: false,
+            cellWidth: this.baseTileWidth,
+            cellHeight: this.baseTileHeight,
+            tileWidth: dies.dieWidth,
+            tileHeight: dies.dieHeight,
+            count: dies.count,
+            x: dies.x,
+            y: dies.y,
+            colors: dies.colors
+        };
+    }
+
+    /**
+     * 构建合并瓦片级别
+     * 直接从芯片统计每个瓦片的芯片数、坏数据数、失效bin和测量值之和，
+     * 不保留瓦片包含的芯片列表
+     * @param {number} level - LOD级别
+     * @param {number} factor - 瓦片边长相对芯片的倍数
+     * @returns {Object} LOD级别数据 {level, merged, cellWidth, cellHeight, tileWidth, tileHeight,
+     *   count, x, y, colors, dieCount,
+     *   badCount, isBad, dominantFailBin, valueSums, valueCounts, 以及网格描述}
+     */
+    buildMergedLevel(level, factor) {
+        const dies = this.circleGrid.dies;
+        const tileWidth = this.baseTileWidth * factor;
+        const tileHeight = this.baseTileHeight * factor;
+        const grid = this.createGrid(factor);
+
+        // 为出现芯片的网格单元分配瓦片
+        const dieTile = new Int32Array(dies.count);
+        const tileCellX = [];
+        const tileCellY = [];
+        for (let i = 0; i < dies.count; i++) {
+            const cellX = Math.floor(this.dieCellX[i] / factor);
+            const cellY = Math.floor(this.dieCellY[i] / factor);
+            const cell = (cellY - grid.minCellY) * grid.gridWidth + (cellX - grid.minCellX);
+            let tile = grid.cellToTile[cell];
+            if (tile < 0) {
+                tile = tileCellX.length;
+                grid.cellToTile[cell] = tile;
+                tileCellX.push(cellX);
+                tileCellY.push(cellY);
+            }
+            dieTile[i] = tile;
+        }
+
+        const count = tileCellX.length;
+        const data = {
+            ...grid,
+            level,
+            merged: true,
+            // 合并瓦片填满整个网格单元
+            cellWidth: tileWidth,
+            cellHeight: tileHeight,
+            tileWidth,
+            tileHeight,
+            count,
+            x: new Float32Array(count),
+            y: new Float32Array(count),
+            colors: new Float32Array(count * 4),
+            dieCount: new Uint32Array(count),
+            badCount: new Uint32Array(count),
+            isBad: new Uint8Array(count),
+            dominantFailBin: new Int32Array(count),
+            valueSums: new Map(),
+            valueCounts: new Map()
+        };
+
+        // 累加芯片统计
+        const colorSums = new Float32Array(count * 4);
+        const failBinCounts = new Map(); // 瓦片索引 → (bin → 数量)，只统计坏数据
+        for (let i = 0; i < dies.count; i++) {
+            const tile = dieTile[i];
+            data.dieCount[tile]++;
+            for (let k = 0; k < 4; k++) {
+                colorSums[tile * 4 + k] += dies.colors[i * 4 + k];
+            }
+            if (dies.isBad(i)) {
+                data.badCount[tile]++;
+                let binCounts = failBinCounts.get(tile);
+                if (!binCounts) {
+                    binCounts = new Map();
+                    failBinCounts.set(tile, binCounts);
+                }
+                binCounts.set(dies.bin[i], (binCounts.get(dies.bin[i]) || 0) + 1);
+            }
+        }
+
+        for (const [channel, values] of dies.values) {
+            const sums = new Float64Array(count);
+            const counts = new Uint32Array(count);
+            for (let i = 0; i < dies.count; i++) {
+                const value = values[i];
+                if (!Number.isNaN(value)) {
+                    sums[dieTile[i]] += value;
+                    counts[dieTile[i]]++;
+                }
+            }
+            data.valueSums.set(channel, sums);
+            data.valueCounts.set(channel, counts);
+        }
+
+        // 计算每个瓦片的位置、坏数据标记和颜色
+        const averageColor = [0, 0, 0, 0];
+        for (let tile = 0; tile < count; tile++) {
+            data.x[tile] = (tileCellX[tile] + 0.5) * tileWidth - this.cellShiftX;
+            data.y[tile] = (tileCellY[tile] + 0.5) * tileHeight - this.cellShiftY;
+            for (let k = 0; k < 4; k++) {
+                averageColor[k] = colorSums[tile * 4 + k] / data.dieCount[tile];
+            }
+            this.summarizeTile(data, tile, averageColor, failBinCounts.get(tile));
+        }
+
+        return data;
+    }
+
+    /**
+     * 根据合并瓦片的芯片统计计算坏数据标记、数量最多的失效bin和颜色
+     * @param {Object} data - LOD级别数据
+     * @param {number} tile - 瓦片索引
+     * @param {Array<number>} averageColor - 瓦片内芯片颜色的平均值
+     * @param {Map<number, number>} failBinCounts - 瓦片内坏数据的 bin编码 → 数量 (没有坏数据时可为undefined)
+     */
+    summarizeTile(data, tile, averageColor, failBinCounts) {
+        // 如果包含坏数据并且比例超过阈值，或者是第0级，则标记为坏数据
+        const badCount = data.badCount[tile];
+        const badDataRatio = badCount / data.dieCount[tile];
+        data.isBad[tile] = badCount > 0 && (badDataRatio > 0.15 || data.level === 0) ? 1 : 0;
+        data.dominantFailBin[tile] = badCount > 0
+            ? this.getDominantBin(failBinCounts)
+            : -1;
+
+        // 按当前颜色模式着色 (按bin着色时使用平均颜色或失效bin颜色)
+        const color = this.circleGrid.colorModes.colorMergedTile(data, tile, averageColor);
+        data.colors.set(color, tile * 4);
+    }
+
+    /**
+     * 芯片的bin、测量值或颜色被修改后，只重新统计包含这些芯片的合并瓦片
+     * (最高细节级别直接引用芯片存储，无需更新)，并更新可见瓦片中对应实例的颜色，
+     * 渲染器只上传这些实例所在的区间
+     * 修改的芯片较多时，逐个瓦片重新统计不如完整重建，改为标记重建
+     * @param {Array<number>} indexes - 被修改的芯片索引
+     * @returns {number} 重新统计的瓦片数量，标记完整重建时返回-1
+     */
+    updateDies(indexes) {
+        if (this.needsRebuild) {
+            return -1;
+        }
+        const dies = this.circleGrid.dies;
+        if (indexes.length > dies.count / TileManager.INCREMENTAL_UPDATE_RATIO) {
+            this.rebuildTiles();
+            return -1;
+        }
+
+        // 颜色数组 → 颜色被修改的瓦片，最高细节级别的瓦片即芯片
+        const changes = new Map([[dies.colors, new Set(indexes)]]);
+        let updated = 0;
+        for (const data of new Set(this.levels)) {
+            if (!data.merged) continue;
+
+            // 合并瓦片边长相对芯片网格的倍数
+            const factor = Math.round(data.cellWidth / this.baseTileWidth);
+            const tiles = new Set();
+            for (const index of indexes) {
+                const gridX = Math.floor(this.dieCellX[index] / factor) - data.minCellX;
+                const gridY = Math.floor(this.dieCellY[index] / factor) - data.minCellY;
+                tiles.add(data.cellToTile[gridY * data.gridWidth + gridX]);
+            }
+            for (const tile of tiles) {
+                this.recountTile(data, factor, tile);
+            }
+            changes.set(data.colors, tiles);
+            updated += tiles.size;
+        }
+        this.instances.updateColors(changes);
+        return updated;
+    }
+
+    /**
+     * 从芯片重新统计一个合并瓦片 (坏数据数、失效bin、测量值之和与颜色)
+     * 通过最高细节级别的网格查找瓦片覆盖的芯片，不需要保留瓦片包含的芯片列表
+     * @param {Object} data - LOD级别数据
+     * @param {number} factor - 瓦片边长相对芯片的倍数
+     * @param {number} tile - 瓦片索引
+     */
+    recountTile(data, factor, tile) {
+        const dies = this.circleGrid.dies;
+        const dieLevel = this.levels[this.lodLevels - 1];
+        const cell = this.findCell(data, tile);
+
+        const averageColor = [0, 0, 0, 0];
+        const failBinCounts = new Map();
+        const channels = Array.from(data.valueSums.keys());
+        const channelValues = channels.map((channel) => dies.values.get(channel));
+        const valueSums = new Float64Array(channels.length);
+        const valueCounts = new Uint32Array(channels.length);
+
+        let badCount = 0;
+        for (let dy = 0; dy < factor; dy++) {
+            const gridY = cell.y * factor + dy - dieLevel.minCellY;
+            if (gridY < 0 || gridY >= dieLevel.gridHeight) continue;
+            for (let dx = 0; dx < factor; dx++) {
+                const gridX = cell.x * factor + dx - dieLevel.minCellX;
+                if (gridX < 0 || gridX >= dieLevel.gridWidth) continue;
+                const i = dieLevel.cellToTile[gridY * dieLevel.gridWidth + gridX];
+                if (i < 0) continue;
+
+                for (let k = 0; k < 4; k++) {
+                    averageColor[k] += dies.colors[i * 4 + k];
+                }
+                if (dies.isBad(i)) {
+                    badCount++;
+                    failBinCounts.set(dies.bin[i], (failBinCounts.get(dies.bin[i]) || 0) + 1);
+                }
+                for (let c = 0; c < channelValues.length; c++) {
+                    const value = channelValues[c][i];
+                    if (!Number.isNaN(value)) {
+                        valueSums[c] += value;
+                        valueCounts[c]++;
+                    }
+                }
+            }
+        }
+
+        data.badCount[tile] = badCount;
+        channels.forEach((channel, c) => {
+            data.valueSums.get(channel)[tile] = valueSums[c];
+            data.valueCounts.get(channel)[tile] = valueCounts[c];
+        });
+        for (let k = 0; k < 4; k++) {
+            averageColor[k] /= data.dieCount[tile];
+        }
+        this.summarizeTile(data, tile, averageColor, failBinCounts);
+    }
+
+    /**
+     * 创建只有一个红色瓦片的级别 (构建失败时使用)
+     * @returns {Object} LOD级别数据
+     */
+    createFallbackLevel() {
+        return {
+            level: 0,
+            merged: false,
+            cellWidth: 100,
+            cellHeight: 100,
+            tileWidth: 100,
+            tileHeight: 100,
+            count: 1,
+            minCellX: 0,
+            minCellY: 0,
+            gridWidth: 1,
+            gridHeight: 1,
+            cellToTile: new Int32Array([0]),
+            x: new Float32Array([50]),
+            y: new Float32Array([50]),
+            colors: new Float32Array([1, 0, 0, 1])
+        };
+    }
+
+    /**
+     * 将最粗级别的瓦片加入四叉树，用于查询视图范围内的瓦片
+     */
+    buildCoarseIndex() {
+        const coarse = this.levels[0];
+        const size = this.circleGrid.radius * 2.5; // 稍大一些以包含所有方块
+        this.quadTree = new QuadTree(size, size);
+
+        for (let tile = 0; tile < coarse.count; tile++) {
+            const cell = this.findCell(coarse, tile);
+            this.quadTree.insert({
+                x: coarse.x[tile],
+                y: coarse.y[tile],
+                width: coarse.cellWidth,
+                height: coarse.cellHeight,
+                cellX: cell.x,
+                cellY: cell.y
+            });
+        }
+    }
+
+    /**
+     * 导出空间索引 (网格单元、LOD级别和四叉树)，用于从Worker发送到主线程
+     * @returns {Object} 空间索引 {baseTileWidth, baseTileHeight, cellShiftX, cellShiftY, dieCellX, dieCellY, levels, quadTree}
+     */
+    exportIndex() {
+        return {
+            baseTileWidth: this.baseTileWidth,
+            baseTileHeight: this.baseTileHeight,
+            cellShiftX: this.cellShiftX,
+            cellShiftY: this.cellShiftY,
+            dieCellX: this.dieCellX,
+            dieCellY: this.dieCellY,
+            levels: this.levels,
+            quadTree: this.quadTree
+        };
+    }
+
+    /**
+     * 获取空间索引中类型化数组的缓冲区，用于 postMessage 的转移列表
+     * (与芯片存储共用的缓冲区由调用方去重)
+     * @returns {Array<ArrayBuffer>} 缓冲区数组
+     */
+    getIndexTransferables() {
+        const buffers = [this.dieCellX.buffer, this.dieCellY.buffer];
+        for (const data of new Set(this.levels)) {
+            buffers.push(data.cellToTile.buffer, data.x.buffer, data.y.buffer, data.colors.buffer);
+            if (data.merged) {
+                buffers.push(
+                    data.dieCount.buffer,
+                    data.badCount.buffer,
+                    data.isBad.buffer,
+                    data.dominantFailBin.buffer,
+                    ...Array.from(data.valueSums.values(), (array) => array.buffer),
+                    ...Array.from(data.valueCounts.values(), (array) => array.buffer)
+                );
+            }
+        }
+        return buffers;
+    }
+
+    /**
+     * 使用Worker中构建的空间索引，替代在主线程中构建
+     * @param {Object} index - exportIndex() 的结果 (经过结构化克隆)
+     */
+    importIndex(index) {
+        const dies = this.circleGrid.dies;
+        this.baseTileWidth = index.baseTileWidth;
+        this.baseTileHeight = index.baseTileHeight;
+        this.cellShiftX = index.cellShiftX;
+        this.cellShiftY = index.cellShiftY;
+        this.dieCellX = index.dieCellX;
+        this.dieCellY = index.dieCellY;
+        this.levels = index.levels;
+        this.quadTree = QuadTree.restore(index.quadTree);
+        this.visibleView = null;
+
+        // 最高细节级别引用芯片存储的数组
+        for (const data of this.levels) {
+            if (!data.merged) {
+                data.x = dies.x;
+                data.y = dies.y;
+                data.colors = dies.colors;
+            }
+        }
+        this.needsRebuild = false;
+    }
+
+    /**
+     * 根据瓦片中心计算其网格单元
+     * @param {Object} levelData - LOD级别数据
+     * @param {number} tile - 瓦片索引
+     * @returns {{x: number, y: number}} 网格单元
+     */
+    findCell(levelData, tile) {
+        return {
+            x: Math.floor((levelData.x[tile] + this.cellShiftX) / levelData.cellWidth),
+            y: Math.floor((levelData.y[tile] + this.cellShiftY) / levelData.cellHeight)
+        };
+    }
+
+    /**
+     * 查找包含世界坐标的芯片 (使用最高细节级别的网格，O(1))
+     * @param {number} x - 世界X坐标
+     * @param {number} y - 世界Y坐标
+     * @returns {number} 芯片索引，该位置没有芯片时返回-1
+     */
+    getDieAt(x, y) {
+        const data = this.levels[this.lodLevels - 1];
+        if (!data || data.merged || !this.dieCellX) {
+            return -1;
+        }
+        const gridX = Math.floor((x + this.cellShiftX) / data.cellWidth) - data.minCellX;
+        const gridY = Math.floor((y + this.cellShiftY) / data.cellHeight) - data.minCellY;
+        if (gridX < 0 || gridY < 0 || gridX >= data.gridWidth || gridY >= data.gridHeight) {
+            return -1;
+        }
+        return data.cellToTile[gridY * data.gridWidth + gridX];
+    }
+
+    /**
+     * 获取数量最多的bin
+     * @param {Map<number, number>} binCounts - bin编码 → 芯片数量
+     * @returns {number} bin编码，没有bin时返回-1
+     */
+    getDominantBin(binCounts) {
+        let dominantBin = -1;
+        let maxCount = 0;
+        for (const [bin, count] of binCounts) {
+            if (count > maxCount) {
+                maxCount = count;
+                dominantBin = bin;
             }
         }
+        return dominantBin;
     }
-    
+
+    /**
+     * 获取指定LOD级别的瓦片尺寸
+     * @param {number} level - LOD级别
+     * @returns {{width: number, height: number}} 瓦片尺寸
+     */
+    getLevelTileSize(level) {
+        if (this.levels[level]) {
+            return { width: this.levels[level].tileWidth, height: this.levels[level].tileHeight };
+        }
+        const factor = Math.pow(2, this.lodLevels - 1 - level);
+        return { width: this.baseTileWidth * factor, height: this.baseTileHeight * factor };
+    }
+
     /**
      * 获取可见瓦片
-     * @returns {Array} 可见瓦片数组
+     * @returns {InstanceBuffer} 可见瓦片的实例数据
      */
     getVisibleTiles() {
         const viewBounds = this.camera.getViewBounds();
         const currentZoom = this.camera.getZoomLevel();
-        
+
         // 检查是否需要重建LOD瓦片
         if (this.needsRebuild) {
             this.buildLODTiles();
         }
-        
+
         // 查询范围内的瓦片
         const range = {
             x: (viewBounds.left + viewBounds.right) / 2,
@@ -207,22 +639,26 @@ export class TileManager {
             width: viewBounds.right - viewBounds.left,
             height: viewBounds.top - viewBounds.bottom
         };
-        
+
         // 确定基于缩放的LOD级别
         const zoomBasedLevel = this.calculateLODLevelFromZoom(currentZoom);
-        
-        // 获取瓦片
-        this.visibleTiles = this.quadTree.queryRange(range);
-        
-        // 应用LOD
-        const result = this.applyLOD(this.visibleTiles, zoomBasedLevel);
-        
+
+        // 视口和级别不变时沿用已收集的瓦片 (芯片更新时由 updateDies() 修改颜色)，渲染器不需要重新上传
+        const last = this.visibleView;
+        if (!last || last.level !== zoomBasedLevel || last.left !== viewBounds.left || last.right !== viewBounds.right ||
+            last.top !== viewBounds.top || last.bottom !== viewBounds.bottom) {
+            // 获取最粗级别的瓦片，再按距离逐级细化
+            const coarseTiles = this.quadTree.queryRange(range);
+            this.applyLOD(coarseTiles, zoomBasedLevel, viewBounds);
+            this.visibleView = { ...viewBounds, level: zoomBasedLevel };
+        }
+
         // 更新UI显示
-        document.getElementById('visibleTiles').textContent = result.length;
-        
-        return result;
+        document.getElementById('visibleTiles').textContent = this.instances.count;
+
+        return this.instances;
     }
-    
+
     /**
      * 根据缩放级别计算LOD级别
      * @param {number} zoomLevel - 当前缩放级别
@@ -233,147 +669,169 @@ export class TileManager {
         // 缩放越大，LOD级别越高 (更多细节)
         const minZoom = this.camera.minZoom;
         const maxZoom = this.camera.maxZoom;
-        
+
         // 更平滑的LOD计算方式
         let normalizedZoom = (zoomLevel - minZoom) / (maxZoom - minZoom);
-        
+
         // 应用非线性映射，使缩放较高时增加更多细节
         normalizedZoom = Math.pow(normalizedZoom, 0.8);
-        
+
         // 计算LOD级别，支持小数级别
         const floatLevel = normalizedZoom * (this.lodLevels - 1);
-        
+
         // 返回整数级别（0 到 lodLevels-1）
         return Math.min(this.lodLevels - 1, Math.floor(floatLevel));
     }
-    
+
     /**
-     * 应用LOD策略
-     * @param {Array} tiles - 瓦片数组
+     * 应用LOD策略，将选中的瓦片写入实例数据
+     * @param {Array} coarseTiles - 视图内最粗级别的瓦片
      * @param {number} baseLevel - 基础LOD级别
-     * @returns {Array} 经过LOD处理的瓦片数组
+     * @param {Object} viewBounds - 视图边界 {left, right, top, bottom}
      */
-    applyLOD(tiles, baseLevel) {
-        // 创建网格来跟踪已处理的区域
-        const processedGrid = {};
-        const result = [];
-        
-        // 计算每个瓦片的距离到视口中心
-        const viewBounds = this.camera.getViewBounds();
-        const centerX = (viewBounds.left + viewBounds.right) / 2;
-        const centerY = (viewBounds.top + viewBounds.bottom) / 2;
-        
-        // 视口宽度，用于计算距离因子
-        const viewportWidth = viewBounds.right - viewBounds.left;
-        const viewportHeight = viewBounds.bottom - viewBounds.top;
-        const viewportSize = Math.max(viewportWidth, viewportHeight);
-        
-        // 对每个瓦片应用基于距离的LOD
-        for (const tile of tiles) {
-          // 计算到视口中心的距离
-          const distanceToCenter = Math.sqrt(
-            Math.pow(tile.x - centerX, 2) + Math.pow(tile.y - centerY, 2)
-          );
-
-          // 计算基于距离的LOD调整
-          // 距离越远，细节越少，但减少LOD下降速度
-          const distanceFactor = Math.min(
-            1,
-            distanceToCenter / (viewportSize * 0.8)
-          );
-
-          // 指数下降，使中心区域保持高细节，边缘区域逐渐降低细节
-          const lodDropoff = 2.5 * Math.pow(distanceFactor, 1.5);
-
-          // 计算最终LOD级别，至少保持0级
-          const targetLevel = Math.max(0, baseLevel - Math.floor(lodDropoff));
-
-          // 计算瓦片在此LOD级别的网格位置
-          const tileSize =
-            this.baseTileSize * Math.pow(2, this.lodLevels - 1 - targetLevel);
-          const gridX = Math.floor(tile.x / tileSize);
-          const gridY = Math.floor(tile.y / tileSize);
-          const gridKey = `${targetLevel}:${gridX},${gridY}`;
-
-          // 检查此位置是否已处理
-          if (!processedGrid[gridKey]) {
-            processedGrid[gridKey] = true;
-
-            // 查找对应的LOD瓦片
-            const lodTiles = this.tilesByLevel[targetLevel];
-            const lodTile = lodTiles.find(
-              (t) =>
-                Math.floor(t.x / tileSize) === gridX &&
-                Math.floor(t.y / tileSize) === gridY
-            );
-
-            if (lodTile) {
-              result.push(lodTile);
-            } else if (targetLevel < this.lodLevels - 1) {
-              // 如果没有找到合适的LOD瓦片，尝试在更高细节级别寻找
-              let foundHigherLOD = false;
-
-              // 从当前级别+1开始搜索
-              for (
-                let level = targetLevel + 1;
-                level < this.lodLevels;
-                level++
-              ) {
-                // 计算在此级别的网格位置
-                const higherTileSize =
-                  this.baseTileSize * Math.pow(2, this.lodLevels - 1 - level);
-                const higherGridXMin = Math.floor(
-                  (gridX * tileSize) / higherTileSize
-                );
-                const higherGridXMax = Math.floor(
-                  ((gridX + 1) * tileSize) / higherTileSize
-                );
-                const higherGridYMin = Math.floor(
-                  (gridY * tileSize) / higherTileSize
-                );
-                const higherGridYMax = Math.floor(
-                  ((gridY + 1) * tileSize) / higherTileSize
-                );
+    applyLOD(coarseTiles, baseLevel, viewBounds) {
+        this.instances.reset();
 
-                // 检查每个可能的位置
-                for (let x = higherGridXMin; x <= higherGridXMax; x++) {
-                  for (let y = higherGridYMin; y <= higherGridYMax; y++) {
-                    const higherLodTiles = this.tilesByLevel[level];
-                    const higherLodTile = higherLodTiles.find(
-                      (t) =>
-                        Math.floor(t.x / higherTileSize) === x &&
-                        Math.floor(t.y / higherTileSize) === y
-                    );
-
-                    if (higherLodTile) {
-                      result.push(higherLodTile);
-                      foundHigherLOD = true;
-                    }
-                  }
-                }
+        // 视口中心和尺寸，用于计算距离因子
+        const view = {
+            ...viewBounds,
+            centerX: (viewBounds.left + viewBounds.right) / 2,
+            centerY: (viewBounds.top + viewBounds.bottom) / 2,
+            size: Math.max(viewBounds.right - viewBounds.left, viewBounds.top - viewBounds.bottom),
+            baseLevel,
+            instances: this.instances
+        };
+
+        for (const tile of coarseTiles) {
+            this.collectCell(0, tile.cellX, tile.cellY, view);
+        }
+    }
+
+    /**
+     * 计算位置对应的目标LOD级别 (距离视口中心越远，细节越少)
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @param {Object} view - 视口信息
+     * @returns {number} 目标LOD级别
+     */
+    getTargetLevel(x, y, view) {
+        // 统一细节级别 (导出图片时)
+        if (view.uniform) {
+            return view.baseLevel;
+        }
+
+        // 计算到视口中心的距离
+        const dx = x - view.centerX;
+        const dy = y - view.centerY;
+        const distanceToCenter = Math.sqrt(dx * dx + dy * dy);
+
+        // 计算基于距离的LOD调整
+        // 距离越远，细节越少，但减少LOD下降速度
+        const distanceFactor = Math.min(1, distanceToCenter / (view.size * 0.8));
+
+        // 指数下降，使中心区域保持高细节，边缘区域逐渐降低细节
+        const lodDropoff = 2.5 * Math.pow(distanceFactor, 1.5);
+
+        // 计算最终LOD级别，至少保持0级
+        return Math.max(0, view.baseLevel - Math.floor(lodDropoff));
+    }
+
+    /**
+     * 收集网格单元中的瓦片: 目标级别不高于当前级别时输出该瓦片，否则细分到下一级别
+     * @param {number} level - LOD级别
+     * @param {number} cellX - 网格单元X
+     * @param {number} cellY - 网格单元Y
+     * @param {Object} view - 视口信息
+     */
+    collectCell(level, cellX, cellY, view) {
+        const data = this.levels[level];
+        const gridX = cellX - data.minCellX;
+        const gridY = cellY - data.minCellY;
+        if (gridX < 0 || gridY < 0 || gridX >= data.gridWidth || gridY >= data.gridHeight) {
+            return;
+        }
+
+        const tile = data.cellToTile[gridY * data.gridWidth + gridX];
+        if (tile < 0) return;
+
+        // 跳过视图外的瓦片
+        const x = data.x[tile];
+        const y = data.y[tile];
+        const halfWidth = data.cellWidth / 2;
+        const halfHeight = data.cellHeight / 2;
+        if (x + halfWidth < view.left || x - halfWidth > view.right ||
+            y + halfHeight < view.bottom || y - halfHeight > view.top) {
+            return;
+        }
+
+        // 下一个更精细的级别 (跳过沿用同一数据的级别)
+        let next = level + 1;
+        while (next < this.lodLevels && this.levels[next] === data) {
+            next++;
+        }
+
+        if (next >= this.lodLevels || this.getTargetLevel(x, y, view) < next) {
+            view.instances.push(x, y, data.tileWidth, data.tileHeight, data.colors, tile * 4);
+            return;
+        }
 
-                // 如果找到了更高细节级别的瓦片，不再继续搜索
-                if (foundHigherLOD) break;
-              }
-
-              // 如果在所有级别都没找到，使用原始瓦片
-              if (!foundHigherLOD) {
-                result.push(tile);
-              }
-            } else {
-              // 直接使用原始瓦片
-              result.push(tile);
+        // 细分为下一级别的子单元
+        const ratio = Math.round(data.cellWidth / this.levels[next].cellWidth);
+        for (let dy = 0; dy < ratio; dy++) {
+            for (let dx = 0; dx < ratio; dx++) {
+                this.collectCell(next, cellX * ratio + dx, cellY * ratio + dy, view);
+            }
+        }
+    }
+
+    /**
+     * 选择与输出分辨率匹配的LOD级别: 网格单元不小于一个像素的最精细级别
+     * @param {number} worldPerPixel - 每个像素对应的世界坐标长度
+     * @returns {number} LOD级别
+     */
+    getLevelForResolution(worldPerPixel) {
+        if (this.needsRebuild) {
+            this.buildLODTiles();
+        }
+        for (let level = this.lodLevels - 1; level > 0; level--) {
+            if (this.levels[level].cellWidth >= worldPerPixel) {
+                return level;
             }
-          }
         }
-        
-        return result;
+        return 0;
+    }
+
+    /**
+     * 收集范围内的瓦片 (所有位置使用同一LOD级别，不按到视口中心的距离降低细节)
+     * 用于导出图片，不影响每帧渲染使用的实例数据
+     * @param {Object} bounds - 世界坐标范围 {left, right, top, bottom}
+     * @param {number} level - LOD级别
+     * @param {InstanceBuffer} instances - 输出的实例数据 (会被清空)
+     * @returns {InstanceBuffer} 实例数据
+     */
+    collectInstances(bounds, level, instances = new InstanceBuffer()) {
+        if (this.needsRebuild) {
+            this.buildLODTiles();
+        }
+        instances.reset();
+
+        const view = { ...bounds, baseLevel: level, uniform: true, instances };
+        const coarseTiles = this.quadTree.queryRange({
+            x: (bounds.left + bounds.right) / 2,
+            y: (bounds.top + bounds.bottom) / 2,
+            width: bounds.right - bounds.left,
+            height: bounds.top - bounds.bottom
+        });
+        for (const tile of coarseTiles) {
+            this.collectCell(0, tile.cellX, tile.cellY, view);
+        }
+        return instances;
     }
-    
+
     /**
      * 重建瓦片
      */
     rebuildTiles() {
         this.needsRebuild = true;
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,562 @@
+/**
+ * 标准晶圆图格式导入工具类
+ * 支持 SEMI E142 XML 晶圆图和 KLARF 风格的文本文件，
+ * 输出与 DataLoader 相同的记录格式 { row, col, x, y, pass, bin }，
+ * 并附带芯片间距、晶圆中心等版图信息 (layout)
+ */
+export class WaferMapImporter {
+    /**
+     * E142 BinType 对应的每个芯片的字符宽度和进制
+     */
+    static E142_BIN_TYPES = {
+        ascii: { width: 1, radix: 36, pattern: /^[0-9a-z]$/i },
+        hexadecimal: { width: 2, radix: 16, pattern: /^[0-9a-f]{2}$/i },
+        decimal: { width: 3, radix: 10, pattern: /^\d{3}$/ },
+        integer2: { width: 4, radix: 16, pattern: /^[0-9a-f]{4}$/i }
+    };
+
+    /**
+     * KLARF 缺陷类别对应的失效bin起始编码 (类别 n 对应 bin 1000 + n)，
+     * 避免类别编号与良品bin等测试bin重合
+     */
+    static KLARF_DEFECT_BIN_BASE = 1000;
+
+    /**
+     * 长度单位换算为微米
+     */
+    static UNIT_TO_MICRON = {
+        micron: 1,
+        um: 1,
+        mm: 1000,
+        cm: 10000,
+        mil: 25.4,
+        inch: 25400,
+        in: 25400
+    };
+
+    /**
+     * 根据文件名或内容判断是否为标准晶圆图格式
+     * @param {string} text - 文件内容
+     * @param {string} fileName - 文件名
+     * @returns {string|null} 'e142'、'klarf'，不是标准格式时返回null
+     */
+    static detectFormat(text, fileName = '') {
+        const lowerName = fileName.toLowerCase();
+        if (lowerName.endsWith('.xml')) return 'e142';
+        if (/\.(klarf|klf|\d{3})$/.test(lowerName)) return 'klarf';
+
+        const head = text.trimStart().slice(0, 2048);
+        if (head.startsWith('<') && /MapData|SubstrateMap/.test(head)) return 'e142';
+        if (/^\s*(FileVersion|InspectionStationID|DiePitch)\b/m.test(head)) return 'klarf';
+        return null;
+    }
+
+    /**
+     * 解析标准晶圆图
+     * @param {string} text - 文件内容
+     * @param {string} format - 'e142' 或 'klarf'
+     * @returns {{records: Array<Object>, errors: Array<Object>, layout: Object}} 解析结果
+     */
+    static parse(text, format) {
+        if (typeof text !== 'string' || text.trim() === '') {
+            throw new Error('晶圆图文件为空');
+        }
+        return format === 'e142' ? this.parseE142(text) : this.parseKLARF(text);
+    }
+
+    /**
+     * 解析 SEMI E142 XML 晶圆图
+     * @param {string} text - XML文本
+     * @returns {{records: Array<Object>, errors: Array<Object>, bins: Array<Object>, layout: Object}} 解析结果
+     */
+    static parseE142(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        const parserError = doc.getElementsByTagName('parsererror')[0];
+        if (parserError) {
+            throw new Error(`XML解析失败: ${parserError.textContent.trim().split('\n')[0]}`);
+        }
+
+        const errors = [];
+        const substrateMap = this.findElements(doc, 'SubstrateMap')[0];
+        if (!substrateMap) {
+            throw new Error('E142文件中没有 SubstrateMap 元素');
+        }
+
+        const binCodeMap = this.findElements(substrateMap, 'BinCodeMap')[0];
+        if (!binCodeMap) {
+            throw new Error('SubstrateMap 中没有 BinCodeMap 元素');
+        }
+
+        // 芯片编码格式
+        const binTypeName = (binCodeMap.getAttribute('BinType') || 'Decimal').toLowerCase();
+        const binType = this.E142_BIN_TYPES[binTypeName];
+        if (!binType) {
+            throw new Error(`不支持的 BinType: ${binCodeMap.getAttribute('BinType')}`);
+        }
+        const nullBinText = binCodeMap.getAttribute('NullBin');
+        const nullBin = nullBinText !== null ? parseInt(nullBinText, binType.radix) : null;
+
+        // bin定义 (通过/失败、描述)
+        const binQuality = new Map();
+        const bins = [];
+        for (const definition of this.findElements(binCodeMap, 'BinDefinition')) {
+            const codeText = definition.getAttribute('BinCode');
+            const code = parseInt(codeText, binType.radix);
+            if (!Number.isInteger(code)) {
+                errors.push({ line: null, element: `BinDefinition[BinCode="${codeText}"]`, message: '无效的 BinCode' });
+                continue;
+            }
+            const quality = (definition.getAttribute('BinQuality') || '').toLowerCase();
+            const isGood = quality === 'pass' || quality === 'good';
+            binQuality.set(code, isGood);
+            bins.push({ code, name: definition.getAttribute('BinDescription') || '', isGood });
+        }
+
+        // 坐标轴方向: 第一个字符为Y方向 (Up/Down)，后面为X方向 (Left/Right)
+        const axisDirection = (substrateMap.getAttribute('AxisDirection') || 'DownRight').toLowerCase();
+        const rowsGoUp = axisDirection.startsWith('up');
+        const colsGoLeft = axisDirection.endsWith('left');
+
+        // 解析每一行的bin编码
+        const rows = this.findElements(binCodeMap, 'BinCode').map(element => element.textContent.trim());
+        const rowCount = rows.length;
+        const records = [];
+        let colCount = 0;
+
+        rows.forEach((rowText, rowIndex) => {
+            const element = `BinCode[${rowIndex + 1}]`;
+            if (rowText.length % binType.width !== 0) {
+                errors.push({
+                    line: null,
+                    element,
+                    message: `长度${rowText.length}不是${binType.width}的整数倍`
+                });
+                return;
+            }
+
+            const dieCount = rowText.length / binType.width;
+            colCount = Math.max(colCount, dieCount);
+
+            for (let c = 0; c < dieCount; c++) {
+                const codeText = rowText.substr(c * binType.width, binType.width);
+                if (codeText === nullBinText) continue;
+
+                if (!binType.pattern.test(codeText)) {
+                    errors.push({ line: null, element, message: `第${c + 1}个芯片的编码无效: "${codeText}"` });
+                    continue;
+                }
+                const bin = parseInt(codeText, binType.radix);
+                if (bin === nullBin) continue;
+
+                records.push({
+                    row: rowsGoUp ? rowCount - 1 - rowIndex : rowIndex,
+                    col: c,
+                    x: null,
+                    y: null,
+                    pass: binQuality.has(bin) ? binQuality.get(bin) : bin === 1,
+                    bin
+                });
+            }
+        });
+
+        // 列方向向左时需要在得到总列数后翻转
+        if (colsGoLeft) {
+            for (const record of records) {
+                record.col = colCount - 1 - record.col;
+            }
+        }
+
+        return {
+            records,
+            errors,
+            bins,
+            layout: this.readE142Layout(doc, substrateMap, rowCount, errors)
+        };
+    }
+
+    /**
+     * 读取 E142 版图信息 (芯片间距、晶圆尺寸)
+     * @param {Document} doc - XML文档
+     * @param {Element} substrateMap - SubstrateMap元素
+     * @param {number} rowCount - 芯片行数
+     * @param {Array<Object>} errors - 错误列表
+     * @returns {Object} 版图信息
+     */
+    static readE142Layout(doc, substrateMap, rowCount, errors) {
+        const layouts = new Map();
+        for (const layout of this.findElements(doc, 'Layout')) {
+            layouts.set(layout.getAttribute('LayoutId'), layout);
+        }
+
+        // LayoutSpecifier 形如 "WaferLayout/Devices"，最后一级为芯片版图
+        const specifier = (substrateMap.getAttribute('LayoutSpecifier') || '').split('/').filter(Boolean);
+        const waferLayout = layouts.get(specifier[0]);
+        const dieLayout = layouts.get(specifier[specifier.length - 1]);
+
+        const layout = {
+            format: 'e142',
+            substrateId: substrateMap.getAttribute('SubstrateId') || '',
+            pitchX: null,
+            pitchY: null,
+            waferDiameter: null,
+            center: null
+        };
+
+        if (dieLayout && dieLayout !== waferLayout) {
+            const pitch = this.readE142Size(dieLayout, 'StepSize') || this.readE142Size(dieLayout, 'DeviceSize');
+            if (pitch) {
+                layout.pitchX = pitch.x;
+                layout.pitchY = pitch.y;
+
+                // LowerLeft 为芯片阵列左下角相对晶圆中心的位置，换算为芯片中心索引坐标
+                const lowerLeft = this.readE142Size(dieLayout, 'LowerLeft', true);
+                if (lowerLeft) {
+                    layout.center = {
+                        col: -lowerLeft.x / pitch.x - 0.5,
+                        row: rowCount - 1 - (-lowerLeft.y / pitch.y - 0.5)
+                    };
+                }
+            } else {
+                errors.push({ line: null, element: `Layout[LayoutId="${dieLayout.getAttribute('LayoutId')}"]`, message: '缺少 DeviceSize，无法确定芯片间距' });
+            }
+        }
+
+        if (waferLayout) {
+            const waferSize = this.readE142Size(waferLayout, 'DeviceSize');
+            if (waferSize) {
+                layout.waferDiameter = Math.max(waferSize.x, waferSize.y);
+            }
+        }
+
+        return layout;
+    }
+
+    /**
+     * 读取 E142 Layout 中的尺寸元素 (X/Y属性，单位换算为微米)
+     * @param {Element} layout - Layout元素
+     * @param {string} tagName - 尺寸元素名
+     * @param {boolean} allowNegative - 是否允许零和负值 (用于位置)
+     * @returns {{x: number, y: number}|null} 尺寸
+     */
+    static readE142Size(layout, tagName, allowNegative = false) {
+        const element = this.findElements(layout, tagName, true)[0];
+        if (!element) return null;
+
+        const units = (element.getAttribute('Units') || layout.getAttribute('DefaultUnits') || 'micron').toLowerCase();
+        const scale = this.UNIT_TO_MICRON[units] || 1;
+        const x = parseFloat(element.getAttribute('X'));
+        const y = parseFloat(element.getAttribute('Y'));
+        if (!isFinite(x) || !isFinite(y)) return null;
+        if (!allowNegative && (x <= 0 || y <= 0)) return null;
+
+        return { x: x * scale, y: y * scale };
+    }
+
+    /**
+     * 按本地名称查找元素 (忽略XML命名空间)
+     * @param {Document|Element} root - 查找起点
+     * @param {string} localName - 元素本地名称
+     * @param {boolean} directOnly - 是否只查找直接子元素
+     * @returns {Array<Element>} 元素数组
+     */
+    static findElements(root, localName, directOnly = false) {
+        const candidates = directOnly ? Array.from(root.children) : Array.from(root.getElementsByTagName('*'));
+        return candidates.filter(element => element.localName === localName);
+    }
+
+    /**
+     * 解析 KLARF 风格的文本文件
+     * 使用 SampleTestPlan 作为全部芯片，DefectList 中出现的芯片标记为失败，
+     * 缺陷类别映射为失效bin (见 KLARF_DEFECT_BIN_BASE)
+     * @param {string} text - KLARF文本
+     * @returns {{records: Array<Object>, errors: Array<Object>, bins: Array<Object>, layout: Object}} 解析结果
+     */
+    static parseKLARF(text) {
+        const errors = [];
+        const statements = this.tokenizeKLARF(text, errors);
+
+        const layout = {
+            format: 'klarf',
+            substrateId: '',
+            pitchX: null,
+            pitchY: null,
+            waferDiameter: null,
+            center: null
+        };
+
+        let dieOrigin = { x: 0, y: 0 };
+        let sampleCenter = null;
+        let testPlan = null;
+        let defectColumns = null;
+        const defects = [];
+
+        for (const statement of statements) {
+            const values = statement.tokens.map(token => token.value);
+            switch (statement.keyword.toLowerCase()) {
+                case 'waferid':
+                    layout.substrateId = values[0] || '';
+                    break;
+                case 'diepitch':
+                    layout.pitchX = this.readNumber(values[0], statement, errors);
+                    layout.pitchY = this.readNumber(values[1], statement, errors);
+                    break;
+                case 'dieorigin':
+                    dieOrigin = {
+                        x: this.readNumber(values[0], statement, errors) || 0,
+                        y: this.readNumber(values[1], statement, errors) || 0
+                    };
+                    break;
+                case 'samplecenterlocation':
+                    sampleCenter = {
+                        x: this.readNumber(values[0], statement, errors),
+                        y: this.readNumber(values[1], statement, errors)
+                    };
+                    break;
+                case 'samplesize':
+                    // SampleSize <类型> <直径(mm)>
+                    if (values.length >= 2) {
+                        const diameter = this.readNumber(values[1], statement, errors);
+                        if (diameter) layout.waferDiameter = diameter * 1000;
+                    }
+                    break;
+                case 'sampletestplan':
+                    testPlan = this.readKLARFTestPlan(statement, errors);
+                    break;
+                case 'defectrecordspec':
+                    // DefectRecordSpec <列数> <列名...>
+                    defectColumns = values.slice(1).map(name => name.toUpperCase());
+                    break;
+                case 'defectlist':
+                    if (!defectColumns) {
+                        errors.push({ line: statement.line, message: 'DefectList 出现在 DefectRecordSpec 之前' });
+                        break;
+                    }
+                    defects.push(...this.readKLARFDefects(statement, defectColumns, errors));
+                    break;
+                default:
+                    // 其他记录与芯片图无关，忽略
+                    break;
+            }
+        }
+
+        if (!testPlan) {
+            errors.push({ line: null, message: '缺少 SampleTestPlan，只能显示有缺陷的芯片' });
+            testPlan = [];
+        }
+
+        // 以 (XINDEX, YINDEX) 为键建立芯片表
+        const dies = new Map();
+        for (const { xIndex, yIndex } of testPlan) {
+            dies.set(`${xIndex},${yIndex}`, { xIndex, yIndex, pass: true, bin: null });
+        }
+        for (const defect of defects) {
+            const key = `${defect.xIndex},${defect.yIndex}`;
+            if (!dies.has(key)) {
+                if (testPlan.length > 0) {
+                    errors.push({ line: defect.line, message: `缺陷所在芯片 (${defect.xIndex}, ${defect.yIndex}) 不在 SampleTestPlan 中` });
+                }
+                dies.set(key, { xIndex: defect.xIndex, yIndex: defect.yIndex, pass: true, bin: null });
+            }
+            const die = dies.get(key);
+            die.pass = false;
+            if (defect.bin !== null && die.bin === null) {
+                die.bin = defect.bin;
+            }
+        }
+
+        // KLARF 的 YINDEX 向上递增，转换为行向下递增
+        let maxYIndex = -Infinity;
+        let minXIndex = Infinity;
+        for (const die of dies.values()) {
+            maxYIndex = Math.max(maxYIndex, die.yIndex);
+            minXIndex = Math.min(minXIndex, die.xIndex);
+        }
+
+        const records = Array.from(dies.values()).map(die => ({
+            row: maxYIndex - die.yIndex,
+            col: die.xIndex - minXIndex,
+            x: null,
+            y: null,
+            pass: die.pass,
+            bin: die.bin
+        }));
+
+        // 缺陷类别对应的bin全部为失效bin
+        const defectBins = new Set(defects.map(defect => defect.bin).filter(bin => bin !== null));
+        const bins = Array.from(defectBins).sort((a, b) => a - b).map(code => ({
+            code,
+            name: `缺陷类别 ${code - this.KLARF_DEFECT_BIN_BASE}`,
+            isGood: false
+        }));
+
+        // 晶圆中心换算为芯片中心索引坐标 (芯片i占据 [i, i+1) 个间距)
+        if (sampleCenter && layout.pitchX && layout.pitchY && isFinite(sampleCenter.x) && isFinite(sampleCenter.y)) {
+            const centerXIndex = (sampleCenter.x - dieOrigin.x) / layout.pitchX - 0.5;
+            const centerYIndex = (sampleCenter.y - dieOrigin.y) / layout.pitchY - 0.5;
+            layout.center = {
+                col: centerXIndex - minXIndex,
+                row: maxYIndex - centerYIndex
+            };
+        }
+
+        return { records, errors, bins, layout };
+    }
+
+    /**
+     * 将 KLARF 文本切分为以分号结束的记录
+     * @param {string} text - KLARF文本
+     * @param {Array<Object>} errors - 错误列表
+     * @returns {Array<{keyword: string, line: number, tokens: Array<{value: string, line: number}>}>} 记录数组
+     */
+    static tokenizeKLARF(text, errors) {
+        const statements = [];
+        let tokens = [];
+        let current = '';
+        let currentLine = 1;
+        let line = 1;
+        let inQuotes = false;
+
+        const pushToken = () => {
+            if (current !== '') {
+                tokens.push({ value: current, line: currentLine });
+                current = '';
+            }
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"') {
+                    inQuotes = false;
+                    tokens.push({ value: current, line: currentLine });
+                    current = '';
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                pushToken();
+                inQuotes = true;
+                currentLine = line;
+            } else if (char === ';') {
+                pushToken();
+                if (tokens.length > 0) {
+                    const [keyword, ...rest] = tokens;
+                    statements.push({ keyword: keyword.value, line: keyword.line, tokens: rest });
+                }
+                tokens = [];
+            } else if (/\s/.test(char)) {
+                pushToken();
+            } else {
+                if (current === '') currentLine = line;
+                current += char;
+            }
+
+            if (char === '\n') line++;
+        }
+
+        pushToken();
+        if (tokens.length > 0) {
+            errors.push({ line: tokens[0].line, message: `记录 ${tokens[0].value} 缺少结束分号` });
+        }
+
+        return statements;
+    }
+
+    /**
+     * 读取 SampleTestPlan (芯片索引列表)
+     * @param {Object} statement - KLARF记录
+     * @param {Array<Object>} errors - 错误列表
+     * @returns {Array<{xIndex: number, yIndex: number}>} 芯片索引
+     */
+    static readKLARFTestPlan(statement, errors) {
+        const [countToken, ...pairs] = statement.tokens;
+        const expected = countToken ? parseInt(countToken.value, 10) : NaN;
+        const plan = [];
+
+        for (let i = 0; i + 1 < pairs.length; i += 2) {
+            const xIndex = Number(pairs[i].value);
+            const yIndex = Number(pairs[i + 1].value);
+            if (!Number.isInteger(xIndex) || !Number.isInteger(yIndex)) {
+                errors.push({ line: pairs[i].line, message: `无效的芯片索引: ${pairs[i].value} ${pairs[i + 1].value}` });
+                continue;
+            }
+            plan.push({ xIndex, yIndex });
+        }
+
+        if (pairs.length % 2 !== 0) {
+            errors.push({ line: pairs[pairs.length - 1].line, message: 'SampleTestPlan 中的索引不成对' });
+        }
+        if (Number.isInteger(expected) && expected !== Math.floor(pairs.length / 2)) {
+            errors.push({ line: statement.line, message: `SampleTestPlan 声明${expected}个芯片，实际为${Math.floor(pairs.length / 2)}个` });
+        }
+
+        return plan;
+    }
+
+    /**
+     * 读取 DefectList (每行一个缺陷)
+     * @param {Object} statement - KLARF记录
+     * @param {Array<string>} columns - DefectRecordSpec中的列名
+     * @param {Array<Object>} errors - 错误列表
+     * @returns {Array<{xIndex: number, yIndex: number, bin: number|null, line: number}>} 缺陷数组 (bin为缺陷类别对应的失效bin)
+     */
+    static readKLARFDefects(statement, columns, errors) {
+        const xColumn = columns.indexOf('XINDEX');
+        const yColumn = columns.indexOf('YINDEX');
+        if (xColumn === -1 || yColumn === -1) {
+            errors.push({ line: statement.line, message: 'DefectRecordSpec 中缺少 XINDEX/YINDEX 列' });
+            return [];
+        }
+        const binColumn = ['ROUGHBINNUMBER', 'CLASSNUMBER', 'FINEBINNUMBER']
+            .map(name => columns.indexOf(name))
+            .find(index => index !== -1);
+
+        // 按行分组
+        const lines = new Map();
+        for (const token of statement.tokens) {
+            if (!lines.has(token.line)) lines.set(token.line, []);
+            lines.get(token.line).push(token.value);
+        }
+
+        const defects = [];
+        for (const [line, values] of lines) {
+            if (values.length <= Math.max(xColumn, yColumn)) {
+                errors.push({ line, message: `缺陷记录字段不足 (${values.length}/${columns.length})` });
+                continue;
+            }
+            const xIndex = Number(values[xColumn]);
+            const yIndex = Number(values[yColumn]);
+            if (!Number.isInteger(xIndex) || !Number.isInteger(yIndex)) {
+                errors.push({ line, message: `无效的芯片索引: ${values[xColumn]} ${values[yColumn]}` });
+                continue;
+            }
+
+            const defectClass = binColumn !== undefined ? Number(values[binColumn]) : NaN;
+            defects.push({
+                xIndex,
+                yIndex,
+                bin: Number.isInteger(defectClass) && defectClass > 0 ? this.KLARF_DEFECT_BIN_BASE + defectClass : null,
+                line
+            });
+        }
+
+        return defects;
+    }
+
+    /**
+     * 读取数值字段
+     * @param {string} value - 字段文本
+     * @param {Object} statement - 所在KLARF记录
+     * @param {Array<Object>} errors - 错误列表
+     * @returns {number|null} 数值，无效时返回null
+     */
+    static readNumber(value, statement, errors) {
+        const number = Number(value);
+        if (value === undefined || !isFinite(number)) {
+            errors.push({ line: statement.line, message: `${statement.keyword} 的数值无效: ${value}` });
+            return null;
+        }
+        return number;
+    }
+}
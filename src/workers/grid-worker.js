@@ -0,0 +1,46 @@
+import { CircleGrid } from '../models/circle-grid.js';
+import { TileManager } from '../utils/tile-manager.js';
+
+/**
+ * 网格生成Worker
+ * 在后台线程中生成芯片并构建LOD瓦片和四叉树，
+ * 结果中的类型化数组以转移方式发送回主线程，不复制数据
+ *
+ * 请求: {radius, geometry, orientation, badDataRate, seed, patterns, bins}，见 CircleGrid.getGeneratorRequest()
+ * 响应: {type: 'progress', stage, progress} 或 {type: 'done', dies, index} 或 {type: 'error', message}
+ */
+self.onmessage = (event) => {
+    try {
+        const request = event.data;
+        const postProgress = (stage) => (progress) => {
+            self.postMessage({ type: 'progress', stage, progress });
+        };
+
+        const circleGrid = new CircleGrid(request.radius);
+        circleGrid.geometry.configure(request.geometry);
+        // 缺口方向决定缺口和平边处不生成芯片的位置
+        circleGrid.coordinates.configure({ orientation: request.orientation });
+        circleGrid.badDataRate = request.badDataRate;
+        circleGrid.setGeneratorOptions({ seed: request.seed, patterns: request.patterns });
+        if (request.bins) {
+            circleGrid.binLegend.setEntries(request.bins);
+        }
+        circleGrid.generate(postProgress('generate'));
+
+        const tileManager = new TileManager(circleGrid, null, false);
+        tileManager.buildSpatialIndex(postProgress('index'));
+
+        // 最高细节级别与芯片存储共用缓冲区，转移列表中不能重复
+        const transfer = new Set([
+            ...circleGrid.dies.getTransferables(),
+            ...tileManager.getIndexTransferables()
+        ]);
+        self.postMessage(
+            { type: 'done', dies: circleGrid.dies, index: tileManager.exportIndex() },
+            Array.from(transfer)
+        );
+    } catch (error) {
+        console.error('Worker生成网格失败:', error);
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};